@@ -2,10 +2,77 @@
  * Bitcoin Serverless Payments - TypeScript Definitions
  */
 
+/**
+ * Texts of the widget; {name} placeholders are filled in when shown
+ */
+export interface BitcoinPayMessages {
+  copyButtonText: string;
+  copiedText: string;
+  copyFailedText: string;
+  copyLinkButtonText: string;
+  bitcoinTab: string;
+  lightningTab: string;
+  silentPaymentTab: string;
+  /** Wallet name in {wallet} of the on-chain instructions */
+  bitcoinWallet: string;
+  /** Wallet name in {wallet} when the URI also carries Lightning (unified QR) */
+  bitcoinOrLightningWallet: string;
+  /** On-chain instructions on devices with a mouse, with {wallet} */
+  bitcoinScanText: string;
+  /** On-chain instructions on touch devices, with {wallet} */
+  bitcoinTapText: string;
+  lightningScanText: string;
+  lightningTapText: string;
+  silentPaymentScanText: string;
+  silentPaymentTapText: string;
+  openBitcoinWallet: string;
+  openLightningWallet: string;
+  bitcoinQrAlt: string;
+  lightningQrAlt: string;
+  silentPaymentQrAlt: string;
+  loadErrorText: string;
+  progressErrorText: string;
+  invoiceButtonText: string;
+  amountPlaceholder: string;
+  commentPlaceholder: string;
+  /** With {min} and {max} */
+  invoiceRangeText: string;
+  /** With {amount} and {time} */
+  invoiceExpiresText: string;
+  invoiceExpiredText: string;
+  /** With {error} */
+  invoiceErrorText: string;
+  /** Text of the confirmation state (HTML with `allowHtml`), or a function returning it */
+  paymentReceivedText: string | ((payment: PaymentDetail) => string);
+  /** Text below the progress bar with {raised}, {goal}, {percent} and {count} placeholders (HTML with `allowHtml`), or a function returning it */
+  progressText: string | ((progress: ProgressDetail) => string);
+  fiatInputPlaceholder: string;
+  /** Shown once a fiat amount is chosen, with {fiat} and {btc} */
+  fiatAmountText: string;
+  /** With {price} and {time} */
+  fiatRateText: string;
+}
+
+export type BitcoinNetwork = "mainnet" | "testnet" | "signet" | "regtest";
+
+export type BitcoinScriptType = "p2pkh" | "p2sh" | "p2wpkh" | "p2wsh" | "p2tr";
+
 /**
  * Configuration options for customizing the widget appearance and behavior
  */
 export interface BitcoinPayOptions {
+  /** BCP 47 language tag such as "de" or "pt-BR" (defaults to the browser's languages, then English) */
+  locale?: string;
+  /** Overrides of single messages of the locale */
+  messages?: Partial<BitcoinPayMessages>;
+  /** Insert the donate texts, `paymentReceivedText` and `progressText` as HTML instead of text (defaults to false) */
+  allowHtml?: boolean;
+  /** Network of the addresses shown (defaults to that of `bitcoinFallbackAddress`) */
+  network?: BitcoinNetwork;
+  /** Address types the backend may hand out (defaults to any) */
+  allowedScriptTypes?: BitcoinScriptType[];
+  /** Accept SegWit addresses with no script type defined yet (v2 to v16, or v1 other than Taproot), which no wallet can spend from today (defaults to false) */
+  allowFutureWitnessVersions?: boolean;
   /** Width of the QR code in pixels */
   width?: number;
   /** Height of the QR code in pixels */
@@ -16,8 +83,44 @@ export interface BitcoinPayOptions {
   copyButtonText?: string;
   /** Text displayed when address is copied */
   copiedText?: string;
+  /** Text of the "copy payment link" button, shown when amount, label or message is set */
+  copyLinkButtonText?: string;
   /** Cache duration in milliseconds (0 to 1 week) */
   cacheDuration?: number;
+  /** Show one QR code whose BIP21 URI carries both the on-chain address and a Lightning invoice or LNURL */
+  unifiedQr?: boolean;
+  /** Add an amount form to the Lightning tab that fetches BOLT11 invoices from the backend */
+  lightningInvoices?: boolean;
+  /** Text of the invoice form's submit button */
+  invoiceButtonText?: string;
+  /** Placeholder of the invoice amount field */
+  amountPlaceholder?: string;
+  /** Placeholder of the invoice comment field (shown if the Lightning service accepts comments) */
+  commentPlaceholder?: string;
+  /** Poll the backend's check-payment route and show a confirmation once the address is paid */
+  detectPayments?: boolean;
+  /** Milliseconds between payment checks at first (minimum 5000); checks that find nothing new back off to 8 times this */
+  paymentPollInterval?: number;
+  /** Milliseconds after which payment checks stop */
+  paymentPollTimeout?: number;
+  /** Payment status that switches the widget to its confirmation state */
+  confirmOn?: "mempool" | "confirmed";
+  /** Text of the confirmation state (HTML with `allowHtml`), or a function returning it */
+  paymentReceivedText?: string | ((payment: PaymentDetail) => string);
+  /** Text below the progress bar with {raised}, {goal}, {percent} and {count} placeholders (HTML with `allowHtml`), or a function returning it */
+  progressText?: string | ((progress: ProgressDetail) => string);
+  /** Count unconfirmed donations towards the goal (defaults to true) */
+  includePending?: boolean;
+  /** Number of recent donation amounts listed below the progress bar (at most 10) */
+  recentDonations?: number;
+  /** Show a free-entry field next to the preset fiat amounts (defaults to true) */
+  fiatInput?: boolean;
+  /** Placeholder of the fiat amount field, followed by the currency */
+  fiatInputPlaceholder?: string;
+  /** Text shown once a fiat amount is chosen, with {fiat} and {btc} placeholders */
+  fiatAmountText?: string;
+  /** Text showing the rate, with {price} and {time} placeholders */
+  fiatRateText?: string;
   /** QR code configuration options */
   qrCodeOptions?: {
     /** Error correction level: 'L' | 'M' | 'Q' | 'H' */
@@ -32,21 +135,147 @@ export interface BitcoinPayOptions {
 }
 
 /**
- * Configuration for rendering the Bitcoin payment widget
+ * Detail of the `payment` event fired on each widget element
  */
-export interface BitcoinPayConfig {
-  /** CSS selector for the target element(s) (e.g., "#bitcoin-donate" or ".donation-widget") */
+export interface PaymentDetail {
+  /** Address that received the payment */
+  address: string;
+  /** "mempool" while unconfirmed, "confirmed" once it has a confirmation */
+  status: "mempool" | "confirmed";
+  /** Satoshis received since the widget loaded */
+  amountSats: number;
+}
+
+/**
+ * Detail of the `address` event, fired on each widget element once it shows an on-chain address
+ */
+export interface AddressDetail {
+  address: string;
+  /** BIP21 URI shown in the QR code */
+  uri: string;
+  /** True if this is the fallback address because the backend could not be used */
+  fallback: boolean;
+}
+
+/**
+ * Detail of the `fallback` event, fired after `address` when the fallback address is shown
+ */
+export interface FallbackDetail {
+  address: string;
+  /** Why the backend was not used (a failed request, or a backoff after one) */
+  error: Error;
+}
+
+/**
+ * Detail of the `copy` event, fired on the copy button after a click
+ * (a native ClipboardEvent of the same name has no detail)
+ */
+export interface CopyDetail {
+  /** Text that was copied */
+  text: string;
+  /** False if the clipboard could not be written */
+  success: boolean;
+}
+
+/**
+ * Detail of the `tabchange` event, fired on the tab button that was clicked
+ */
+export interface TabChangeDetail {
+  /** The tab now shown: "bitcoin", "lightning" or "silent-payment" */
+  tab: string;
+}
+
+/**
+ * Detail of the `error` event, fired on the element when the widget cannot be rendered
+ * (a native ErrorEvent of the same name has no detail)
+ */
+export interface ErrorDetail {
+  error: Error;
+}
+
+/**
+ * Donation totals from the backend's stats route
+ */
+export interface DonationStats {
+  /** Confirmed and pending satoshis together */
+  totalSats: number;
+  confirmedSats: number;
+  /** Satoshis in unconfirmed donations */
+  pendingSats: number;
+  donationCount: number;
+  /** Most recent donations first */
+  recentDonations: Array<{ sats: number; confirmed: boolean; time: number }>;
+  /** When the backend last recorded a change, 0 if nothing has been recorded */
+  updatedAt: number;
+}
+
+/**
+ * Argument of a `progressText` function
+ */
+export interface ProgressDetail extends DonationStats {
+  /** Satoshis counted towards the goal (depends on `includePending`) */
+  raisedSats: number;
+  goalSats: number;
+  /** Whole percent of the goal reached, at most 100 */
+  percent: number;
+}
+
+/**
+ * Configuration for rendering a fundraising progress bar
+ */
+export interface BitcoinPayProgressConfig {
+  /** CSS selector for the target element(s) */
   selector: string;
-  /** The serverless function endpoint URL */
+  /** The serverless function endpoint URL; totals come from the stats route next to it */
   endpoint: string;
-  /** Fallback Bitcoin address to use if the serverless function fails */
-  bitcoinFallbackAddress: string;
-  /** Optional custom text to display above the Bitcoin address field */
+  /** Fundraising goal */
+  goal: number | string;
+  /** Unit of `goal` (defaults to "btc") */
+  goalUnit?: "btc" | "sats";
+  /** Optional campaign whose donations are shown */
+  campaign?: string;
+  /** Optional configuration overrides */
+  options?: BitcoinPayOptions;
+}
+
+/**
+ * Configuration for rendering the Bitcoin payment widget
+ */
+export interface BitcoinPayConfig {
+  /** CSS selector for the target element(s) (e.g., "#bitcoin-donate" or ".donation-widget"); required without `element` */
+  selector?: string;
+  /** Element to render into instead of `selector` (e.g. inside a shadow root) */
+  element?: Element;
+  /** The serverless function endpoint URL (may be omitted when only a silent payment address is shown) */
+  endpoint?: string;
+  /** Fallback Bitcoin address to use if the serverless function fails (required with `endpoint`) */
+  bitcoinFallbackAddress?: string;
+  /** Optional custom text to display above the Bitcoin address field (HTML with `options.allowHtml`) */
   bitcoinDonateText?: string;
   /** Optional Lightning address (e.g., "name@provider.com") */
   lightningAddress?: string;
-  /** Optional custom text to display above the Lightning address field */
+  /** Optional custom text to display above the Lightning address field (HTML with `options.allowHtml`) */
   lightningDonateText?: string;
+  /** Optional BIP352 silent payment address (sp1...), shown in its own tab or, without `endpoint`, alone */
+  silentPaymentAddress?: string;
+  /** Optional custom text to display above the silent payment address field (HTML with `options.allowHtml`) */
+  silentPaymentDonateText?: string;
+  /** Optional requested amount, added to the BIP21 payment URI */
+  amount?: number | string;
+  /** Unit of `amount` (defaults to "btc") */
+  amountUnit?: "btc" | "sats";
+  /** Optional BIP21 label, e.g. your name or project */
+  label?: string;
+  /** Optional BIP21 message describing the payment */
+  message?: string;
+  /** Optional campaign served from its own address pool (listed in BITCOIN_CAMPAIGNS on the backend) */
+  campaign?: string;
+  /** Optional ISO 4217 currency (e.g. "USD") in which donors can choose the amount */
+  fiatCurrency?: string;
+  /** Optional preset amounts in `fiatCurrency`, converted to sats at the backend's rate */
+  fiatAmounts?: number[];
+  /** Optional Ed25519 public key (hex) of the backend's ADDRESS_SIGNING_KEY; addresses without a valid signature from it are refused */
+  signingKey?: string;
   /** Optional configuration overrides */
   options?: BitcoinPayOptions;
 }
@@ -59,6 +288,26 @@ export interface RenderSuccess {
   element: Element;
 }
 
+/**
+ * Controls one rendered payment widget
+ */
+export interface WidgetController extends RenderSuccess {
+  /** The on-chain address shown, or null (silent payment only, or destroyed) */
+  readonly address: string | null;
+  /**
+   * Render the widget again with `changes` merged into its config (`options` are merged too)
+   * @throws Error if the new config is invalid or the widget cannot be rendered (the previous widget is gone by then)
+   */
+  update(changes?: Partial<BitcoinPayConfig>): Promise<WidgetController>;
+  /**
+   * Drop the cached address and render with a new one from the backend
+   * @returns The address now shown (the fallback address while the backend backs off)
+   */
+  refreshAddress(): Promise<string | null>;
+  /** Remove the widget's listeners, timers and payment polling and empty the element */
+  destroy(): void;
+}
+
 /**
  * Result types from Promise.allSettled
  */
@@ -66,6 +315,21 @@ export type RenderResult =
   | { status: "fulfilled"; value: RenderSuccess }
   | { status: "rejected"; reason: Error };
 
+/**
+ * Result of rendering the payment widget into one element
+ */
+export type WidgetRenderResult =
+  | { status: "fulfilled"; value: WidgetController }
+  | { status: "rejected"; reason: Error };
+
+/**
+ * The `<bitcoin-pay>` custom element
+ */
+export interface BitcoinPayElement extends HTMLElement {
+  /** Ask the backend for a new address and render it; null before the first render */
+  refreshAddress(): Promise<string | null>;
+}
+
 /**
  * Bitcoin Serverless Payments Widget
  */
@@ -76,10 +340,34 @@ export class BitcoinPay {
   /**
    * Render the Bitcoin donation widget
    * @param config - Configuration object
-   * @returns Promise that resolves to an array of results for each matched element
+   * @returns Promise that resolves to an array of results for each matched element, each with a controller for its widget
    * @throws Error if required parameters are missing or no elements match the selector
    */
-  static render(config: BitcoinPayConfig): Promise<RenderResult[]>;
+  static render(config: BitcoinPayConfig): Promise<WidgetRenderResult[]>;
+
+  /**
+   * Render a fundraising progress bar ("X of Y BTC raised")
+   * @param config - Configuration object
+   * @returns Promise that resolves to an array of results for each matched element
+   * @throws Error if required parameters are missing, no elements match the selector or the stats cannot be loaded
+   */
+  static renderProgress(
+    config: BitcoinPayProgressConfig
+  ): Promise<RenderResult[]>;
+
+  /**
+   * Bundled message catalogues by language tag; add one to support another language
+   * (messages it leaves out are shown in English)
+   */
+  static readonly locales: Record<string, Partial<BitcoinPayMessages>>;
+
+  /**
+   * Register the `<bitcoin-pay>` custom element, which renders the widget into its
+   * shadow root from its attributes (already done on load in browsers)
+   * @param tagName - Element name to register instead of "bitcoin-pay"
+   * @returns The element class (the one already registered, if the name is taken)
+   */
+  static defineElement(tagName?: string): CustomElementConstructor;
 
   constructor();
 }
@@ -96,4 +384,16 @@ declare global {
   interface Window {
     BitcoinPay: typeof BitcoinPay;
   }
+
+  // `copy` and `error` are typed by the DOM as native events; see CopyDetail and ErrorDetail
+  interface HTMLElementEventMap {
+    payment: CustomEvent<PaymentDetail>;
+    address: CustomEvent<AddressDetail>;
+    fallback: CustomEvent<FallbackDetail>;
+    tabchange: CustomEvent<TabChangeDetail>;
+  }
+
+  interface HTMLElementTagNameMap {
+    "bitcoin-pay": BitcoinPayElement;
+  }
 }
@@ -8,6 +8,31 @@ import postcss from "postcss";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Adapt the widget CSS to the <bitcoin-pay> shadow root
+ * The custom property defaults move to :host, where styles the page sets on
+ * the element win over them, and the manual dark modes look past the shadow root.
+ */
+function toShadowCss(css) {
+  return css
+    .replace(
+      /html(\[data-theme="dark"\]|\.dark) :where\(\.bitcoin-pay-widget\)/g,
+      ":host-context(html$1)"
+    )
+    .replace(/:where\(\.bitcoin-pay-widget\)/g, ":host")
+    .concat("\n:host { display: block; }\n");
+}
+
+/**
+ * Strip ESM syntax from a local helper module so it can be inlined into the bundle
+ */
+function toPlainScript(source) {
+  return source
+    .replace(/^import\s+[^;]*?from\s+"\.\/[^"]+";\n?/gm, "")
+    .replace(/^export\s+default\s+[^;]+;?\n?/gm, "")
+    .replace(/^export\s+(?=(async\s+)?function|const|let|class)/gm, "");
+}
+
 async function build() {
   try {
     console.log("Building Bitcoin Serverless Payments...");
@@ -57,6 +82,17 @@ async function build() {
       .replace(/__BITCOIN_LOGO__/g, btcDataUri)
       .replace(/__LIGHTNING_LOGO__/g, ltgDataUri);
 
+    // Inline the minified shadow root CSS as the content of a string literal
+    const cssSource = join(__dirname, "src", "bitcoin-pay.css");
+    const cssContent = readFileSync(cssSource, "utf8");
+    const shadowCssResult = await postcss([cssnano()]).process(
+      toShadowCss(cssContent),
+      { from: cssSource }
+    );
+    sourceCode = sourceCode.replace(/__BITCOIN_PAY_SHADOW_CSS__/, () =>
+      JSON.stringify(shadowCssResult.css).slice(1, -1)
+    );
+
     // ===== PREPARE BUNDLED CODE =====
     console.log("📦 Bundling dependencies...");
 
@@ -87,9 +123,20 @@ async function build() {
       )
       .replace(/\nexport\s+default\s+generateQrSvg;?\n?/, "\n");
 
-    // Remove the ES module import from main source
+    // Local helper modules are inlined as plain scripts
+    const bip21Util = toPlainScript(
+      readFileSync(join(__dirname, "src", "bip21.js"), "utf8")
+    );
+    const i18nUtil = toPlainScript(
+      readFileSync(join(__dirname, "src", "i18n.js"), "utf8")
+    );
+    const addressUtil = toPlainScript(
+      readFileSync(join(__dirname, "src", "address.js"), "utf8")
+    );
+
+    // Remove the ES module imports from main source
     const coreSourceCode = sourceCode.replace(
-      /import\s+generateQrSvg.*?from\s+\"\.\/qr\.js\";\n?/,
+      /^import\s+[^;]*?from\s+"\.\/[^"]+";\n?/gm,
       ""
     );
 
@@ -110,6 +157,15 @@ async function build() {
       // qr svg util
       ${qrUtil}
 
+      // bip21 util
+      ${bip21Util}
+
+      // locale messages
+      ${i18nUtil}
+
+      // address checks
+      ${addressUtil}
+
       // Bitcoin Donate Library
       ${cdnSourceCode}
       `;
@@ -148,6 +204,15 @@ async function build() {
       // qr svg util
       ${qrUtil}
 
+      // bip21 util
+      ${bip21Util}
+
+      // locale messages
+      ${i18nUtil}
+
+      // address checks
+      ${addressUtil}
+
       // Bitcoin Donate Library
       ${coreSourceCode}
       `;
@@ -176,9 +241,7 @@ async function build() {
 
     // ===== CSS BUILD =====
     console.log("🎨 Minifying CSS file...");
-    const cssSource = join(__dirname, "src", "bitcoin-pay.css");
     const cssDest = join(distDir, "bitcoin-pay.min.css");
-    const cssContent = readFileSync(cssSource, "utf8");
 
     const cssResult = await postcss([cssnano()]).process(cssContent, {
       from: cssSource,
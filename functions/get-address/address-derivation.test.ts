@@ -3,7 +3,7 @@
  *
  * These tests ensure that address generation remains consistent across
  * dependency upgrades. They use known XPUB values with expected addresses
- * for each BIP standard (44, 49, 84, 86).
+ * for each BIP standard (44, 49, 84, 86) on mainnet and the test networks.
  */
 
 import { describe, it, expect } from "vitest";
@@ -65,6 +65,65 @@ const BIP86_TEST = {
   ],
 };
 
+/**
+ * Test network fixtures
+ *
+ * The official BIP vectors above re-encoded with testnet version bytes
+ * (tpub/upub/vpub). Each expected address carries the same hash or witness
+ * program as the mainnet vector at that index, only under the test network
+ * prefix (tb1/bcrt1, m/n, 2).
+ */
+const BIP84_TESTNET = {
+  vpub: "vpub5YvMuJNjRSYon44z9QmCfdf8SqJRVNvz6m55Qy5iVjZQxDfUgtiQjnc7CC1fAbED2tAGCZRERUfvtn2DstZGU6HMns6dXXH2wujSc2wfi2x",
+  tpub: "tpubDCxX2sYFS5bDkSe5GKKYHjBW7tgyN1R3UchpLJvdbf54ohxeGRtd8MbDUe1cguVHe4vnK68DsuD5MXjxi9EXx16rb9EnNsaF5KT99CinaJz",
+  purpose: 84,
+  testnetAddresses: [
+    "tb1qcr8te4kr609gcawutmrza0j4xv80jy8zmfp6l0", // index 0
+    "tb1qnjg0jd8228aq7egyzacy8cys3knf9xvrn9d67m", // index 1
+    "tb1qp59yckz4ae5c4efgw2s5wfyvrz0ala7rz283u3", // index 2
+  ],
+  regtestAddresses: [
+    "bcrt1qcr8te4kr609gcawutmrza0j4xv80jy8zeqchgx", // index 0
+    "bcrt1qnjg0jd8228aq7egyzacy8cys3knf9xvr3v5hfj", // index 1
+    "bcrt1qp59yckz4ae5c4efgw2s5wfyvrz0ala7rqr7utc", // index 2
+  ],
+};
+
+const BIP49_TESTNET = {
+  upub: "upub5DbzVwGq4YpRSyWY3wUF8p8e6Usopgqsbv6DNMBtifUNDqAEaMfy1xLFE7fmL1W2zDFmBT9d9YXwbxgznndu6g7mPJGJG12MDaJp6j9WNDJ",
+  purpose: 49,
+  expectedAddresses: [
+    "2My47gHNc8nhX5kBWqXHU4f8uuQvQKEgwMd", // index 0
+    "2NCSZrX49HHyzUy6oj8ggm9WD19hFvjzzou", // index 1
+    "2N2cpzFCSjybt4vRU967MRJHkKTSEQbzDFE", // index 2
+  ],
+};
+
+const BIP44_TESTNET = {
+  tpub: "tpubDCBWBScQPGv4Xk3JSbhw6wYYpayMjb2eAYyArpbSqQTbLDpphHGAetB6VQgVeftLML8vDSUEWcC2xDi3qJJ3YCDChJDvqVzpgoYSuT52MhJ",
+  purpose: 44,
+  expectedAddresses: [
+    "n1M8ZVQtL7QoFvGMg24D6b2ojWvFXCGpoS", // index 0
+    "mqG5gik9qo6ESfGDF8PX4BsfXFACgVnMBM", // index 1
+    "n1tCNUXZPchCPiMvSRHK9hSJks8E9i4tnx", // index 2
+  ],
+};
+
+const BIP86_TESTNET = {
+  tpub: "tpubDC3pD7UZXnsgh3EBjbtBQiB1FnLask7UHBSunZ1DPK4dCFFZoFRkgxHB8gt42FvLzx1DpxfHWxAsYaY6b643RVcGjDxXxns7wKKYnnfEcbB",
+  purpose: 86,
+  testnetAddresses: [
+    "tb1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqp3mvzv", // index 0
+    "tb1p4qhjn9zdvkux4e44uhx8tc55attvtyu358kutcqkudyccelu0wasjpkd5c", // index 1
+    "tb1p0d0rhyynq0awa9m8cqrcr8f5nxqx3aw29w4ru5u9my3h0sfygnzsj7pfcg", // index 2
+  ],
+  regtestAddresses: [
+    "bcrt1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqvg32hk", // index 0
+    "bcrt1p4qhjn9zdvkux4e44uhx8tc55attvtyu358kutcqkudyccelu0waslcutpz", // index 1
+    "bcrt1p0d0rhyynq0awa9m8cqrcr8f5nxqx3aw29w4ru5u9my3h0sfygnzsl8t0dj", // index 2
+  ],
+};
+
 describe("Bitcoin Address Derivation - Regression Tests", () => {
   it("BIP84 (P2WPKH) - Native SegWit addresses (bc1q...)", () => {
     BIP84_TEST.expectedAddresses.forEach((expected, index) => {
@@ -117,3 +176,110 @@ describe("Bitcoin Address Derivation - Regression Tests", () => {
     expect(addresses.size).toBe(testIndices.length);
   });
 });
+
+describe("Bitcoin Address Derivation - Test Networks", () => {
+  it("BIP84 (P2WPKH) - testnet and signet addresses (tb1q...)", () => {
+    BIP84_TESTNET.testnetAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP84_TESTNET.vpub,
+          BIP84_TESTNET.purpose,
+          index,
+          "testnet"
+        )
+      ).toBe(expected);
+      expect(
+        deriveAddress(
+          BIP84_TESTNET.vpub,
+          BIP84_TESTNET.purpose,
+          index,
+          "signet"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("BIP84 (P2WPKH) - regtest addresses (bcrt1q...)", () => {
+    BIP84_TESTNET.regtestAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP84_TESTNET.vpub,
+          BIP84_TESTNET.purpose,
+          index,
+          "regtest"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("BIP84 (P2WPKH) - accepts a plain tpub as well as a vpub", () => {
+    BIP84_TESTNET.testnetAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP84_TESTNET.tpub,
+          BIP84_TESTNET.purpose,
+          index,
+          "testnet"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("BIP49 (P2WPKH-in-P2SH) - testnet addresses (2...)", () => {
+    BIP49_TESTNET.expectedAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP49_TESTNET.upub,
+          BIP49_TESTNET.purpose,
+          index,
+          "testnet"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("BIP44 (P2PKH) - testnet addresses (m/n...)", () => {
+    BIP44_TESTNET.expectedAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP44_TESTNET.tpub,
+          BIP44_TESTNET.purpose,
+          index,
+          "testnet"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("BIP86 (P2TR) - testnet and regtest addresses (tb1p.../bcrt1p...)", () => {
+    BIP86_TESTNET.testnetAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP86_TESTNET.tpub,
+          BIP86_TESTNET.purpose,
+          index,
+          "testnet"
+        )
+      ).toBe(expected);
+    });
+    BIP86_TESTNET.regtestAddresses.forEach((expected, index) => {
+      expect(
+        deriveAddress(
+          BIP86_TESTNET.tpub,
+          BIP86_TESTNET.purpose,
+          index,
+          "regtest"
+        )
+      ).toBe(expected);
+    });
+  });
+
+  it("rejects mainnet keys on a test network and vice versa", () => {
+    expect(() =>
+      deriveAddress(BIP84_TEST.xpub, BIP84_TEST.purpose, 0, "testnet")
+    ).toThrow();
+    expect(() =>
+      deriveAddress(BIP84_TESTNET.vpub, BIP84_TESTNET.purpose, 0, "mainnet")
+    ).toThrow();
+  });
+});
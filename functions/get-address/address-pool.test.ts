@@ -0,0 +1,458 @@
+/**
+ * Tests for concurrent access to the address pool
+ *
+ * Every read and write against the store is delayed by a random amount so that
+ * parallel invocations interleave the way cold-started functions do.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  AddressPoolManager,
+  deriveAddress,
+  type AddressPoolState,
+} from "./address-pool.ts";
+import type { ChainBackend } from "./chain-backends.ts";
+import { MemoryStore, type VersionedValue } from "./storage.ts";
+
+const XPUB =
+  "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs";
+const PATH = "m/84'/0'/0'";
+const PARALLEL_CALLS = 10;
+
+const jitter = () =>
+  new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+
+/**
+ * In-memory store with random latency that records every committed state
+ */
+class SlowMemoryStore extends MemoryStore {
+  commits: AddressPoolState[] = [];
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    await jitter();
+    return super.getWithVersion<T>(key);
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    await jitter();
+    const written = await super.setIfVersion(key, value, expectedVersion);
+    if (written) {
+      this.commits.push(structuredClone(value) as AddressPoolState);
+    }
+    return written;
+  }
+
+  latest(): AddressPoolState {
+    return this.commits[this.commits.length - 1];
+  }
+}
+
+/**
+ * Chain backend that reports activity for a fixed set of addresses
+ */
+function fundedBackend(funded: Set<string>): ChainBackend {
+  return {
+    name: "test",
+    async getAddressActivity(address) {
+      await jitter();
+      return {
+        confirmedTxCount: funded.has(address) ? 1 : 0,
+        mempoolTxCount: 0,
+        confirmedReceivedSats: funded.has(address) ? 10_000 : 0,
+        mempoolReceivedSats: 0,
+      };
+    },
+  };
+}
+
+function parallelGetCurrentAddress(
+  store: SlowMemoryStore,
+  chainBackend: ChainBackend
+): Promise<string[]> {
+  return Promise.all(
+    Array.from({ length: PARALLEL_CALLS }, () =>
+      new AddressPoolManager(XPUB, PATH, {
+        store,
+        chainBackend,
+      }).getCurrentAddress()
+    )
+  );
+}
+
+describe("AddressPoolManager concurrency", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("initializes the pool exactly once on a parallel cold start", async () => {
+    const store = new SlowMemoryStore();
+
+    const addresses = await parallelGetCurrentAddress(
+      store,
+      fundedBackend(new Set())
+    );
+
+    expect(new Set(addresses).size).toBe(1);
+    expect(store.commits).toHaveLength(1);
+    expect(store.latest().revision).toBe(1);
+    expect(store.latest().pool.map((entry) => entry.index)).toEqual([
+      0, 1, 2, 3, 4,
+    ]);
+  });
+
+  it("never loses or reuses indices across parallel rotations", async () => {
+    const store = new SlowMemoryStore();
+    const funded = new Set<string>();
+    const backend = fundedBackend(funded);
+
+    await parallelGetCurrentAddress(store, backend);
+
+    for (let round = 1; round <= 5; round++) {
+      // Fund the next address in rotation order, then let the interval pass
+      const before = store.latest();
+      const next = before.pool[(before.currentIndex + 1) % before.pool.length];
+      funded.add(next.address);
+      vi.advanceTimersByTime(11 * 60 * 1000);
+
+      const addresses = await parallelGetCurrentAddress(store, backend);
+
+      // Every caller serves the single committed rotation
+      expect(new Set(addresses).size).toBe(1);
+      expect(store.commits).toHaveLength(round + 1);
+      expect(store.latest().revision).toBe(round + 1);
+      expect(funded.has(addresses[0])).toBe(false);
+
+      // Exactly one fresh index replaced the funded one, with no gaps or repeats
+      const indices = store.latest().pool.map((entry) => entry.index);
+      expect(new Set(indices).size).toBe(indices.length);
+      expect(Math.max(...indices)).toBe(4 + round);
+      expect(indices).not.toContain(next.index);
+    }
+
+    // Every derived index made it into a committed pool
+    const seen = new Set(
+      store.commits.flatMap((state) => state.pool.map((entry) => entry.index))
+    );
+    expect([...seen].sort((a, b) => a - b)).toEqual([
+      0, 1, 2, 3, 4, 5, 6, 7, 8, 9,
+    ]);
+  });
+});
+
+describe("AddressPoolManager.checkPayment", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("still checks an address after rotation replaced it", async () => {
+    const funded = new Set<string>();
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: fundedBackend(funded),
+    });
+
+    await manager.getCurrentAddress();
+    const paid = (await manager.getPoolStats()).poolEntries[1].address;
+    funded.add(paid);
+    vi.advanceTimersByTime(11 * 60 * 1000);
+    await manager.getCurrentAddress();
+
+    const { poolEntries } = await manager.getPoolStats();
+    expect(poolEntries.map((entry) => entry.address)).not.toContain(paid);
+    expect(await manager.checkPayment(paid)).toEqual({
+      address: paid,
+      status: "confirmed",
+      confirmedSats: 10_000,
+      mempoolSats: 0,
+    });
+  });
+});
+
+describe("AddressPoolManager gap limit", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2025-01-01T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("never derives past the gap limit of the highest funded index", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const funded = new Set<string>();
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: fundedBackend(funded),
+      gapLimit: 3,
+    });
+
+    await manager.getCurrentAddress();
+    let stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([0, 1, 2]);
+    expect(stats.gap).toBe(3);
+
+    // Funding index 1 allows indices up to 4, so the pool cannot refill to 5
+    funded.add(stats.poolEntries[1].address);
+    vi.advanceTimersByTime(11 * 60 * 1000);
+    await manager.getCurrentAddress();
+
+    stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([0, 2, 3, 4]);
+    expect(stats.highestFundedIndex).toBe(1);
+    expect(stats.gap).toBe(3);
+    expect(stats.gapLimit).toBe(3);
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("nearing the gap limit of 3")
+    );
+  });
+
+  it("infers the highest funded index of states written before it was tracked", async () => {
+    const store = new MemoryStore();
+    const setIfVersion = vi.spyOn(store, "setIfVersion");
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: null,
+    });
+    await manager.getCurrentAddress();
+
+    // Index 1 was replaced by index 5 under the old rotation logic
+    const key = setIfVersion.mock.calls[0][0];
+    const legacy = (await store.get<AddressPoolState>(key))!;
+    delete legacy.highestFundedIndex;
+    legacy.pool = [0, 2, 3, 4, 5].map((index) => ({
+      index,
+      address: deriveAddress(XPUB, 84, index),
+      lastCheck: Date.now(),
+      hasActivity: false,
+    }));
+    await store.set(key, legacy);
+
+    const stats = await manager.getPoolStats();
+    expect(stats.highestFundedIndex).toBe(1);
+    expect(stats.gap).toBe(4);
+  });
+});
+
+describe("AddressPoolManager admin operations", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("marks an index as used and extends the gap limit past it", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: null,
+      gapLimit: 3,
+    });
+    await manager.getCurrentAddress();
+
+    const address = await manager.markIndexUsed(0);
+
+    const stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([1, 2, 3]);
+    expect(stats.highestFundedIndex).toBe(0);
+    expect(address).toBe(deriveAddress(XPUB, 84, 1));
+    await expect(manager.markIndexUsed(-1)).rejects.toThrow("Invalid index");
+  });
+
+  it("rejects an index the pool has not derived yet", async () => {
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+    await manager.getCurrentAddress();
+
+    await expect(manager.markIndexUsed(7)).rejects.toMatchObject({
+      code: "index_not_derived",
+      status: 400,
+    });
+
+    const stats = await manager.getPoolStats();
+    expect(stats.highestFundedIndex).toBe(-1);
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([
+      0, 1, 2, 3, 4,
+    ]);
+  });
+
+  it("replaces every used address found by a rescan", async () => {
+    const funded = new Set([
+      deriveAddress(XPUB, 84, 0),
+      deriveAddress(XPUB, 84, 3),
+    ]);
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: fundedBackend(funded),
+    });
+    await manager.getCurrentAddress();
+
+    const address = await manager.rescanPool();
+
+    const stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([
+      1, 2, 4, 5, 6,
+    ]);
+    expect(stats.highestFundedIndex).toBe(3);
+    expect(address).toBe(deriveAddress(XPUB, 84, 1));
+  });
+
+  it("keeps indices marked as used on reset", async () => {
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+    await manager.getCurrentAddress();
+    await manager.markIndexUsed(0);
+    await manager.markIndexUsed(2);
+
+    expect(await manager.resetPool()).toBe(deriveAddress(XPUB, 84, 1));
+    const stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([
+      1, 3, 4, 5, 6,
+    ]);
+    expect(stats.highestFundedIndex).toBe(2);
+  });
+
+  it("skips funded addresses when resetting a lost pool", async () => {
+    const funded = new Set([
+      deriveAddress(XPUB, 84, 0),
+      deriveAddress(XPUB, 84, 3),
+    ]);
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: fundedBackend(funded),
+    });
+
+    expect(await manager.resetPool()).toBe(deriveAddress(XPUB, 84, 1));
+    const stats = await manager.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([
+      1, 2, 4, 5, 6,
+    ]);
+    expect(stats.highestFundedIndex).toBe(3);
+  });
+
+  it("keeps the old pool when the chain backend fails during a reset", async () => {
+    const store = new MemoryStore();
+    await new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: null,
+    }).getCurrentAddress();
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: {
+        name: "test",
+        async getAddressActivity() {
+          throw new Error("Esplora API error: 503");
+        },
+      },
+    });
+    const before = await manager.getPoolStats();
+
+    await expect(manager.resetPool()).rejects.toMatchObject({
+      code: "upstream_error",
+    });
+    const after = await manager.getPoolStats();
+    expect(after.poolEntries).toEqual(before.poolEntries);
+    expect(after.lastRotation).toBe(before.lastRotation);
+  });
+
+  it("needs an existing pool and a chain backend", async () => {
+    const manager = new AddressPoolManager(XPUB, PATH, {
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    await expect(manager.markIndexUsed(0)).rejects.toThrow(
+      "No pool state found"
+    );
+    await expect(manager.rescanPool()).rejects.toThrow("No chain backend");
+  });
+});
+
+describe("AddressPoolManager index ranges", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("keeps a campaign pool inside its range", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const store = new MemoryStore();
+    const campaign = new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: null,
+      campaign: "spring",
+      firstIndex: 1000,
+      lastIndex: 1005,
+    });
+    const main = new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: null,
+    });
+
+    expect(await campaign.getCurrentAddress()).toBe(
+      deriveAddress(XPUB, 84, 1000)
+    );
+    expect(await main.getCurrentAddress()).toBe(deriveAddress(XPUB, 84, 0));
+    expect((await campaign.getPoolStats()).highestFundedIndex).toBe(999);
+
+    // Funding 1002 would allow up to 1022, but the range ends at 1005
+    await campaign.markIndexUsed(1002);
+    const stats = await campaign.getPoolStats();
+    expect(stats.poolEntries.map((entry) => entry.index)).toEqual([
+      1000, 1001, 1003, 1004, 1005,
+    ]);
+    await expect(campaign.markIndexUsed(3)).rejects.toThrow(
+      "outside this pool's range"
+    );
+  });
+
+  it("refuses to serve once every address in the range is used", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const funded = new Set<string>();
+    const store = new MemoryStore();
+    const campaign = new AddressPoolManager(XPUB, PATH, {
+      store,
+      chainBackend: fundedBackend(funded),
+      campaign: "spring",
+      firstIndex: 1000,
+      lastIndex: 1002,
+    });
+    await campaign.getCurrentAddress();
+
+    for (const entry of (await campaign.getPoolStats()).poolEntries) {
+      funded.add(entry.address);
+    }
+    vi.advanceTimersByTime(11 * 60 * 1000);
+    const before = await campaign.getPoolStats();
+
+    // Each later request fails the same way rather than starting over at 1000
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await expect(campaign.getCurrentAddress()).rejects.toMatchObject({
+        code: "campaign_exhausted",
+        status: 503,
+      });
+    }
+    await expect(campaign.rescanPool()).rejects.toMatchObject({
+      code: "campaign_exhausted",
+    });
+
+    expect(await campaign.getPoolStats()).toEqual(before);
+    vi.useRealTimers();
+  });
+});
@@ -4,7 +4,34 @@ import { bech32, bech32m, createBase58check } from "@scure/base";
 import { sha256 } from "@noble/hashes/sha2.js";
 import { ripemd160 } from "@noble/hashes/legacy.js";
 import { secp256k1 } from "@noble/curves/secp256k1.js";
-import { utf8ToBytes, concatBytes, bytesToHex } from "@noble/hashes/utils.js";
+import {
+  utf8ToBytes,
+  concatBytes,
+  bytesToHex,
+  hexToBytes,
+} from "@noble/hashes/utils.js";
+import { NETWORKS, type BitcoinNetwork } from "./networks.js";
+import {
+  BackendError,
+  ConfigurationError,
+  DerivationError,
+  RequestError,
+  StorageError,
+  toUpstreamError,
+} from "./errors.js";
+import {
+  createChainBackend,
+  type AddressActivity,
+  type ChainBackend,
+} from "./chain-backends.js";
+import {
+  isValidLedger,
+  mergeReceipts,
+  summarizeLedger,
+  type DonationLedger,
+  type DonationStats,
+} from "./ledger.js";
+import { NetlifyBlobsStore, type PoolStore } from "./storage.js";
 
 export interface AddressPoolEntry {
   index: number;
@@ -17,17 +44,116 @@ export interface AddressPoolState {
   currentIndex: number;
   lastRotation: number;
   pool: AddressPoolEntry[];
+  /** Incremented on every committed write (absent in states written before versioning) */
+  revision?: number;
+  /** Highest index found with activity, -1 (or absent) if none has been funded yet */
+  highestFundedIndex?: number;
+}
+
+export interface PaymentStatus {
+  address: string;
+  /** "confirmed" once any payment has a confirmation, "mempool" while all are unconfirmed */
+  status: "unpaid" | "mempool" | "confirmed";
+  /** Satoshis received in confirmed transactions */
+  confirmedSats: number;
+  /** Satoshis received in mempool transactions */
+  mempoolSats: number;
 }
 
 const POOL_SIZE = 5;
+const DEFAULT_GAP_LIMIT = 20; // addresses wallets scan past the last used one
+const GAP_WARNING_RATIO = 0.8; // warn once the gap reaches 80% of the limit
+const RECENT_ADDRESS_WINDOW = 20; // addresses below the pool's highest index still checkable
 const ROTATION_INTERVAL = 10 * 60 * 1000; // 10 minutes
-const STORE_NAME = "address-pool";
+const MAX_WRITE_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 25; // milliseconds
+export const MAX_ADDRESS_INDEX = 0x7fffffff; // highest unhardened BIP32 index
+export const STORE_NAME = "address-pool";
+
+/** Wallets whose first address has matched BITCOIN_EXPECTED_FIRST_ADDRESS in this instance */
+const verifiedWallets = new Set<string>();
+
+/**
+ * Check that a stored value has the shape of a pool state
+ */
+function isValidPoolState(state: unknown): state is AddressPoolState {
+  const candidate = state as AddressPoolState | null;
+  return (
+    !!candidate &&
+    typeof candidate.currentIndex === "number" &&
+    typeof candidate.lastRotation === "number" &&
+    Array.isArray(candidate.pool) &&
+    candidate.pool.length > 0 &&
+    candidate.currentIndex >= 0 &&
+    candidate.currentIndex < candidate.pool.length
+  );
+}
+
+/**
+ * Highest funded index of a pool state
+ * States written before it was tracked can still be read: every derived index
+ * missing from the pool was removed because it had activity.
+ */
+function highestFundedIndexOf(state: AddressPoolState): number {
+  if (state.highestFundedIndex !== undefined) {
+    return state.highestFundedIndex;
+  }
+
+  const inPool = new Set(state.pool.map((entry) => entry.index));
+  let index = Math.max(...inPool);
+  while (index >= 0 && inPool.has(index)) {
+    index--;
+  }
+  return index;
+}
+
+/**
+ * Error for operations that need an existing pool (admin rotate, mark-used, rescan)
+ */
+function poolNotFoundError(): BackendError {
+  return new BackendError("No pool state found", {
+    code: "pool_not_found",
+    status: 409,
+    publicMessage: "The pool has not been created yet; use reset to create it",
+  });
+}
+
+/**
+ * Error for a pool whose addresses are all used with none left in its range
+ * Thrown before the state is saved, so the used addresses are never served again.
+ */
+function campaignExhaustedError(
+  firstIndex: number,
+  lastIndex: number
+): BackendError {
+  return new BackendError(
+    `Every address in the index range ${firstIndex}-${lastIndex} has been used`,
+    {
+      code: "campaign_exhausted",
+      status: 503,
+      publicMessage: "No unused donation addresses are left",
+    }
+  );
+}
 
 /**
  * Generate a hash of the environment configuration for cache key versioning
+ * Mainnet keeps the original hash input so existing pools survive upgrades
  */
-function generateEnvironmentHash(xpub: string, derivationPath: string): string {
-  const configString = `${xpub}:${derivationPath}`;
+function generateEnvironmentHash(
+  xpub: string,
+  derivationPath: string,
+  network: BitcoinNetwork,
+  scriptVariant?: string
+): string {
+  let configString =
+    network === "mainnet"
+      ? `${xpub}:${derivationPath}`
+      : `${xpub}:${derivationPath}:${network}`;
+  // Descriptors set the script type and branch themselves, so they key the pool too
+  if (scriptVariant) {
+    configString += `:${scriptVariant}`;
+  }
   const hash = sha256(utf8ToBytes(configString));
   return bytesToHex(hash).slice(0, 16); // Use first 16 chars for shorter keys
 }
@@ -39,9 +165,15 @@ function taggedHash(tag: string, m: Uint8Array): Uint8Array {
   return sha256(concatBytes(th, th, m));
 }
 
-/** BIP86 output key = P + H_TapTweak(P)*G (no script tree) -> return x-only(Q) */
-function taprootTweakXOnly(internalXOnly: Uint8Array): Uint8Array {
-  const tweak = taggedHash("TapTweak", internalXOnly);
+/**
+ * BIP341 output key = P + H_TapTweak(P||merkleRoot)*G -> return x-only(Q)
+ * Without a merkle root this is the BIP86 key-path-only tweak.
+ */
+function taprootTweakXOnly(
+  internalXOnly: Uint8Array,
+  merkleRoot: Uint8Array = new Uint8Array()
+): Uint8Array {
+  const tweak = taggedHash("TapTweak", concatBytes(internalXOnly, merkleRoot));
   const tweakBig = BigInt("0x" + bytesToHex(tweak));
 
   // Lift x-only to even-Y point per BIP340: use compressed key 0x02||X
@@ -56,21 +188,25 @@ function taprootTweakXOnly(internalXOnly: Uint8Array): Uint8Array {
 }
 
 /**
- * Get version bytes for HDKey based on BIP purpose
+ * Get version bytes for HDKey based on BIP purpose and network
  */
-function getVersionBytes(purpose: number): {
+function getVersionBytes(
+  purpose: number,
+  network: BitcoinNetwork
+): {
   public: number;
   private: number;
 } {
+  const { bip32 } = NETWORKS[network];
   switch (purpose) {
     case 44:
-      return { public: 0x488b21e, private: 0x488ade4 }; // xpub / xprv
+      return bip32.x; // xpub / tpub
     case 49:
-      return { public: 0x49d7cb2, private: 0x49d7878 }; // ypub / yprv
+      return bip32.y; // ypub / upub
     case 84:
-      return { public: 0x4b24746, private: 0x4b2430c }; // zpub / zprv
+      return bip32.z; // zpub / vpub
     case 86:
-      return { public: 0x488b21e, private: 0x488ade4 }; // xpub / xprv
+      return bip32.x; // xpub / tpub
     default:
       throw new Error(
         `Unsupported purpose: ${purpose}. Supported: 44 (P2PKH), 49 (P2WPKH-in-P2SH), 84 (P2WPKH), 86 (P2TR)`
@@ -78,65 +214,114 @@ function getVersionBytes(purpose: number): {
   }
 }
 
+const base58check = createBase58check(sha256);
+const HASH160 = (buf: Uint8Array) => ripemd160(sha256(buf));
+
 /**
- * Derive a Bitcoin address from an extended public key at the given index
+ * Parse an extended public key
+ * @param versions SLIP-132 versions to accept when the key is not a plain xpub/tpub
  */
-export function deriveAddress(
+function parseExtendedKey(
   xpub: string,
-  purpose: number,
-  index: number
-): string {
-  // Try to create HDKey without version strings first (let it auto-detect)
-  let hdkey: HDKey;
+  versions: { public: number; private: number },
+  network: BitcoinNetwork
+): HDKey {
+  // Try the network's plain xpub/tpub version first
   try {
-    hdkey = HDKey.fromExtendedKey(xpub);
+    return HDKey.fromExtendedKey(xpub, NETWORKS[network].bip32.x);
   } catch {
-    // If auto-detection fails, try with explicit version strings
-    const versions = getVersionBytes(purpose);
-    hdkey = HDKey.fromExtendedKey(xpub, versions);
+    // If that fails, try the SLIP-132 version for the address type (ypub/zpub, Ypub/Zpub, ...)
+    return HDKey.fromExtendedKey(xpub, versions);
   }
+}
+
+/**
+ * BIP32 fingerprint of an extended public key: the first 4 bytes of HASH160(key), as hex
+ */
+function keyFingerprint(
+  xpub: string,
+  versions: { public: number; private: number },
+  network: BitcoinNetwork
+): string {
+  const hdkey = parseExtendedKey(xpub, versions, network);
+  return bytesToHex(HASH160(hdkey.publicKey!).slice(0, 4));
+}
+
+/**
+ * Derive the compressed public key at `receiveBranch/index` below an extended public key
+ * @param versions SLIP-132 versions to accept when the key is not a plain xpub/tpub
+ */
+function deriveChildPublicKey(
+  xpub: string,
+  versions: { public: number; private: number },
+  index: number,
+  network: BitcoinNetwork,
+  receiveBranch: number[]
+): Uint8Array {
+  const hdkey = parseExtendedKey(xpub, versions, network);
 
   // Derive the child key for this address index
   // XPUB is at account level, so we derive to change level (0 for receiving) then to address index
   // Note: We can only derive non-hardened children from XPUB
-  const child = hdkey.derive(`m/0/${index}`);
+  const child = hdkey.derive(["m", ...receiveBranch, index].join("/"));
 
   if (!child.publicKey) {
     throw new Error(`Failed to derive public key for index ${index}`);
   }
+  return child.publicKey;
+}
 
-  const base58check = createBase58check(sha256);
-  const HASH160 = (buf: Uint8Array) => ripemd160(sha256(buf));
+/**
+ * Derive a Bitcoin address from an extended public key at the given index
+ * @param receiveBranch Steps between the xpub and the index (defaults to the BIP44 receive chain, /0)
+ */
+export function deriveAddress(
+  xpub: string,
+  purpose: number,
+  index: number,
+  network: BitcoinNetwork = "mainnet",
+  receiveBranch: number[] = [0]
+): string {
+  const params = NETWORKS[network];
+  const publicKey = deriveChildPublicKey(
+    xpub,
+    getVersionBytes(purpose, network),
+    index,
+    network,
+    receiveBranch
+  );
 
   switch (purpose) {
     case 44: {
       // Legacy P2PKH: base58check(version + HASH160(pubkey))
-      const payload = new Uint8Array([0x00, ...HASH160(child.publicKey)]);
+      const payload = new Uint8Array([
+        params.pubKeyHash,
+        ...HASH160(publicKey),
+      ]);
       return base58check.encode(payload);
     }
     case 49: {
       // P2WPKH-in-P2SH: base58check(version + HASH160(redeemScript))
-      const redeemScript = new Uint8Array([
-        0x00,
-        0x14,
-        ...HASH160(child.publicKey),
+      const redeemScript = new Uint8Array([0x00, 0x14, ...HASH160(publicKey)]);
+      const payload = new Uint8Array([
+        params.scriptHash,
+        ...HASH160(redeemScript),
       ]);
-      const payload = new Uint8Array([0x05, ...HASH160(redeemScript)]);
       return base58check.encode(payload);
     }
     case 84: {
       // Native SegWit (P2WPKH): bech32 encode witness v0 + HASH160(pubkey)
-      const words = bech32.toWords(HASH160(child.publicKey));
+      const words = bech32.toWords(HASH160(publicKey));
       words.unshift(0x00); // witness version 0
-      return bech32.encode("bc", words);
+      return bech32.encode(params.bech32, words);
     }
     case 86: {
       // Taproot (P2TR)
-      const xOnlyInternal = child.publicKey.slice(1, 33);
+      const xOnlyInternal = publicKey.slice(1, 33);
       const xOnlyTweaked = taprootTweakXOnly(xOnlyInternal);
       const words = bech32m.toWords(xOnlyTweaked);
       words.unshift(0x01); // v1
-      return bech32m.encode("bc", words);
+      return bech32m.encode(params.bech32, words);
     }
     default:
       throw new Error(
@@ -145,25 +330,322 @@ export function deriveAddress(
   }
 }
 
+export type MultisigScriptType = "wsh" | "sh-wsh" | "tr";
+
+export interface MultisigKey {
+  /** Extended public key (xpub/tpub, or the SLIP-132 Ypub/Zpub and Upub/Vpub forms) */
+  xpub: string;
+  /** Steps between the xpub and the address index, e.g. [0] for /0/* */
+  receiveBranch: number[];
+}
+
+/**
+ * A k-of-n multisig wallet: multi()/sortedmulti() in wsh() or sh(wsh()),
+ * or multi_a()/sortedmulti_a() as the single script leaf of tr()
+ */
+export interface MultisigPolicy {
+  scriptType: MultisigScriptType;
+  /** Signatures required (k) */
+  threshold: number;
+  keys: MultisigKey[];
+  /** Sort each address's keys (sortedmulti, BIP67) rather than keep the key order (multi) */
+  sorted: boolean;
+  /** Taproot internal key: x-only hex, or a ranged key derived alongside the others (tr only) */
+  internalKey?: string | MultisigKey;
+}
+
+/** Minimally encoded script number push (OP_1..OP_16, otherwise 1 or 2 bytes) */
+function scriptNumber(n: number): Uint8Array {
+  if (n >= 1 && n <= 16) {
+    return new Uint8Array([0x50 + n]);
+  }
+  return n <= 0x7f
+    ? new Uint8Array([0x01, n])
+    : new Uint8Array([0x02, n & 0xff, n >> 8]);
+}
+
+/**
+ * Witness script for multi(): OP_k <pubkey>... OP_n OP_CHECKMULTISIG
+ */
+export function multisigScript(
+  threshold: number,
+  pubkeys: Uint8Array[]
+): Uint8Array {
+  return concatBytes(
+    scriptNumber(threshold),
+    ...pubkeys.map((pubkey) => concatBytes(new Uint8Array([0x21]), pubkey)),
+    scriptNumber(pubkeys.length),
+    new Uint8Array([0xae])
+  );
+}
+
+/**
+ * Tapscript for multi_a(): <key1> OP_CHECKSIG <key2> OP_CHECKSIGADD ... OP_k OP_NUMEQUAL
+ */
+export function multiAScript(
+  threshold: number,
+  xOnlyKeys: Uint8Array[]
+): Uint8Array {
+  return concatBytes(
+    ...xOnlyKeys.map((key, i) =>
+      concatBytes(
+        new Uint8Array([0x20]),
+        key,
+        new Uint8Array([i ? 0xba : 0xac])
+      )
+    ),
+    scriptNumber(threshold),
+    new Uint8Array([0x9c])
+  );
+}
+
+/**
+ * P2WSH address for a witness script, or P2SH-P2WSH when `nested`
+ */
+export function witnessScriptAddress(
+  witnessScript: Uint8Array,
+  nested: boolean,
+  network: BitcoinNetwork = "mainnet"
+): string {
+  const params = NETWORKS[network];
+  const scriptHash = sha256(witnessScript);
+
+  if (nested) {
+    // P2SH redeem script: OP_0 <32-byte script hash>
+    const redeemScript = new Uint8Array([0x00, 0x20, ...scriptHash]);
+    return base58check.encode(
+      new Uint8Array([params.scriptHash, ...HASH160(redeemScript)])
+    );
+  }
+
+  const words = bech32.toWords(scriptHash);
+  words.unshift(0x00); // witness version 0
+  return bech32.encode(params.bech32, words);
+}
+
+/**
+ * P2TR address whose script tree is a single tapscript leaf (leaf version 0xc0)
+ */
+export function taprootScriptAddress(
+  internalXOnly: Uint8Array,
+  leafScript: Uint8Array,
+  network: BitcoinNetwork = "mainnet"
+): string {
+  // Leaf scripts are serialised with a compact-size length prefix
+  const length =
+    leafScript.length < 0xfd
+      ? new Uint8Array([leafScript.length])
+      : new Uint8Array([
+          0xfd,
+          leafScript.length & 0xff,
+          leafScript.length >> 8,
+        ]);
+  const leafHash = taggedHash(
+    "TapLeaf",
+    concatBytes(new Uint8Array([0xc0]), length, leafScript)
+  );
+
+  // With one leaf, the merkle root is the leaf hash
+  const words = bech32m.toWords(taprootTweakXOnly(internalXOnly, leafHash));
+  words.unshift(0x01); // v1
+  return bech32m.encode(NETWORKS[network].bech32, words);
+}
+
+/**
+ * Compare keys bytewise, the BIP67 order used by sortedmulti
+ */
+function compareKeys(a: Uint8Array, b: Uint8Array): number {
+  const hexA = bytesToHex(a);
+  const hexB = bytesToHex(b);
+  return hexA < hexB ? -1 : hexA > hexB ? 1 : 0;
+}
+
+/**
+ * SLIP-132 versions of a multisig wallet's keys
+ * BIP48 prefixes: Ypub/Upub for P2SH-P2WSH, Zpub/Vpub for P2WSH
+ */
+function multisigVersions(
+  scriptType: MultisigScriptType,
+  network: BitcoinNetwork
+): { public: number; private: number } {
+  const { bip32 } = NETWORKS[network];
+  return scriptType === "sh-wsh"
+    ? bip32.Y
+    : scriptType === "wsh"
+      ? bip32.Z
+      : bip32.x;
+}
+
+/**
+ * Derive a multisig address at the given index, like Bitcoin Core's deriveaddresses
+ */
+export function deriveMultisigAddress(
+  policy: MultisigPolicy,
+  index: number,
+  network: BitcoinNetwork = "mainnet"
+): string {
+  const versions = multisigVersions(policy.scriptType, network);
+  const deriveKey = (key: MultisigKey) =>
+    deriveChildPublicKey(key.xpub, versions, index, network, key.receiveBranch);
+
+  const pubkeys = policy.keys.map(deriveKey);
+
+  if (policy.scriptType !== "tr") {
+    if (policy.sorted) {
+      pubkeys.sort(compareKeys);
+    }
+    return witnessScriptAddress(
+      multisigScript(policy.threshold, pubkeys),
+      policy.scriptType === "sh-wsh",
+      network
+    );
+  }
+
+  if (!policy.internalKey) {
+    throw new Error("Taproot multisig needs an internal key");
+  }
+  // Tapscript uses x-only keys, and sortedmulti_a sorts those
+  const xOnlyKeys = pubkeys.map((pubkey) => pubkey.slice(1));
+  if (policy.sorted) {
+    xOnlyKeys.sort(compareKeys);
+  }
+  const internalXOnly =
+    typeof policy.internalKey === "string"
+      ? hexToBytes(policy.internalKey)
+      : deriveKey(policy.internalKey).slice(1);
+
+  return taprootScriptAddress(
+    internalXOnly,
+    multiAScript(policy.threshold, xOnlyKeys),
+    network
+  );
+}
+
+export interface AddressPoolOptions {
+  /** Network to derive addresses for (defaults to mainnet) */
+  network?: BitcoinNetwork;
+  /** Chain data source for activity checks (defaults to CHAIN_BACKEND from env, null disables checks) */
+  chainBackend?: ChainBackend | null;
+  /** Persistence for pool state (defaults to the Netlify Blobs "address-pool" store) */
+  store?: PoolStore;
+  /** Most unused addresses to derive past the highest funded one (defaults to 20) */
+  gapLimit?: number;
+  /** Address type as a BIP purpose (44/49/84/86), e.g. from a descriptor (defaults to the one in the derivation path) */
+  purpose?: number;
+  /** Steps between the xpub and the address index, e.g. [0] for a descriptor's /0/* (defaults to [0]) */
+  receiveBranch?: number[];
+  /** Derive multisig addresses from these keys instead of single-key ones from the xpub */
+  multisig?: MultisigPolicy;
+  /** Campaign name, giving the pool its own state next to the wallet's default pool */
+  campaign?: string;
+  /** First address index the pool derives (defaults to 0) */
+  firstIndex?: number;
+  /** Last address index the pool may derive, where the next campaign's range starts */
+  lastIndex?: number;
+  /** Refuse to use the pool unless the wallet's address at index 0 is this one */
+  expectedFirstAddress?: string;
+}
+
+/**
+ * What the pool derives from, for comparing with the wallet software
+ */
+export interface WalletDescription {
+  network: BitcoinNetwork;
+  derivationPath: string;
+  /** Output script type, e.g. "p2wpkh", or "p2wsh" for multisig */
+  scriptType: string;
+  /** BIP32 fingerprint of each configured extended public key (not the wallet's master fingerprint) */
+  keyFingerprints: string[];
+  /** Receive addresses from index 0 */
+  addresses: { index: number; address: string }[];
+  expectedFirstAddress: string | null;
+  /** Whether index 0 is the expected first address, null without one */
+  matches: boolean | null;
+}
+
+const SCRIPT_TYPES: Record<number, string> = {
+  44: "p2pkh",
+  49: "p2sh-p2wpkh",
+  84: "p2wpkh",
+  86: "p2tr",
+};
+const MULTISIG_SCRIPT_TYPES: Record<MultisigScriptType, string> = {
+  wsh: "p2wsh",
+  "sh-wsh": "p2sh-p2wsh",
+  tr: "p2tr",
+};
+
+/**
+ * Compare a derived address with one typed in by hand
+ * Bech32 addresses may be written in upper case (as in QR codes).
+ */
+function isSameAddress(derived: string, expected: string): boolean {
+  return derived === expected || derived === expected.toLowerCase();
+}
+
 export class AddressPoolManager {
-  private store: ReturnType<typeof getStore>;
+  private store: PoolStore;
   private xpub: string;
   private derivationPath: string;
+  private network: BitcoinNetwork;
+  private chainBackend: ChainBackend | null;
+  private gapLimit: number;
+  private purpose: number | undefined;
+  private receiveBranch: number[];
+  private multisig: MultisigPolicy | undefined;
+  private firstIndex: number;
+  private lastIndex: number;
+  private expectedFirstAddress: string | undefined;
   private environmentHash: string;
   private cacheKey: string;
+  private ledgerKey: string;
 
-  constructor(xpub: string, derivationPath: string) {
-    this.store = getStore(STORE_NAME);
+  constructor(
+    xpub: string,
+    derivationPath: string,
+    options: AddressPoolOptions = {}
+  ) {
+    this.store = options.store ?? new NetlifyBlobsStore(getStore(STORE_NAME));
     this.xpub = xpub;
     this.derivationPath = derivationPath;
-    this.environmentHash = generateEnvironmentHash(xpub, derivationPath);
-    this.cacheKey = `pool-state-${this.environmentHash}`;
+    this.network = options.network ?? "mainnet";
+    this.chainBackend =
+      options.chainBackend !== undefined
+        ? options.chainBackend
+        : createChainBackend(this.network);
+    this.gapLimit = options.gapLimit ?? DEFAULT_GAP_LIMIT;
+    this.purpose = options.purpose;
+    this.receiveBranch = options.receiveBranch ?? [0];
+    this.multisig = options.multisig;
+    this.firstIndex = options.firstIndex ?? 0;
+    this.lastIndex = options.lastIndex ?? MAX_ADDRESS_INDEX;
+    this.expectedFirstAddress = options.expectedFirstAddress;
+    this.environmentHash = generateEnvironmentHash(
+      xpub,
+      derivationPath,
+      this.network,
+      this.multisig
+        ? JSON.stringify(this.multisig)
+        : options.purpose !== undefined || options.receiveBranch
+          ? `${this.detectPurpose()}:${this.receiveBranch.join("/")}`
+          : undefined
+    );
+    // A campaign's pool is keyed by its start index too, so moving the range starts it afresh
+    const keySuffix = options.campaign
+      ? `${this.environmentHash}-${options.campaign}-${this.firstIndex}`
+      : this.environmentHash;
+    this.cacheKey = `pool-state-${keySuffix}`;
+    this.ledgerKey = `ledger-${keySuffix}`;
   }
 
   /**
    * Detect purpose from derivation path
    */
   private detectPurpose(): number {
+    if (this.purpose !== undefined) {
+      return this.purpose;
+    }
+
     // Extract purpose from derivation path (e.g., m/84'/0'/0' -> 84)
     const match = this.derivationPath.match(/m\/(\d+)'/);
     if (match) {
@@ -174,83 +656,312 @@ export class AddressPoolManager {
   }
 
   /**
-   * Check if an address has activity on mempool.space
+   * Derive the receive address at `index` for this wallet
    */
-  private async checkAddressActivity(address: string): Promise<boolean> {
+  private deriveAt(index: number): string {
     try {
-      const response = await fetch(
-        `https://mempool.space/api/address/${address}`
+      if (this.multisig) {
+        return deriveMultisigAddress(this.multisig, index, this.network);
+      }
+      return deriveAddress(
+        this.xpub,
+        this.detectPurpose(),
+        index,
+        this.network,
+        this.receiveBranch
       );
+    } catch (error) {
+      throw new DerivationError(
+        `Failed to derive address ${index}: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Mempool API error: ${response.status}`);
-      }
+  /**
+   * Refuse to go on if index 0 is not the expected first address
+   * A mismatch means the key, path or script type is not the wallet's, so
+   * donations would go to addresses it never sees. Checked once per instance.
+   */
+  private assertExpectedFirstAddress(): void {
+    if (!this.expectedFirstAddress) {
+      return;
+    }
+    const walletKey = `${this.environmentHash}:${this.expectedFirstAddress}`;
+    if (verifiedWallets.has(walletKey)) {
+      return;
+    }
+
+    const firstAddress = this.deriveAt(0);
+    if (!isSameAddress(firstAddress, this.expectedFirstAddress)) {
+      throw new ConfigurationError(
+        `BITCOIN_EXPECTED_FIRST_ADDRESS is ${this.expectedFirstAddress}, but the configured wallet ` +
+          `derives ${firstAddress}; check the key, derivation path and script type`
+      );
+    }
+    verifiedWallets.add(walletKey);
+  }
+
+  /**
+   * Describe the wallet and derive its first `count` receive addresses
+   * Always from index 0, whatever the pool's campaign range, as wallets list them.
+   */
+  describeWallet(count: number): WalletDescription {
+    const addresses = Array.from({ length: count }, (_, index) => ({
+      index,
+      address: this.deriveAt(index),
+    }));
+
+    const keyFingerprints = this.multisig
+      ? this.multisig.keys.map((key) =>
+          keyFingerprint(
+            key.xpub,
+            multisigVersions(this.multisig!.scriptType, this.network),
+            this.network
+          )
+        )
+      : [
+          keyFingerprint(
+            this.xpub,
+            getVersionBytes(this.detectPurpose(), this.network),
+            this.network
+          ),
+        ];
+
+    return {
+      network: this.network,
+      derivationPath: this.derivationPath,
+      scriptType: this.multisig
+        ? MULTISIG_SCRIPT_TYPES[this.multisig.scriptType]
+        : SCRIPT_TYPES[this.detectPurpose()],
+      keyFingerprints,
+      addresses,
+      expectedFirstAddress: this.expectedFirstAddress ?? null,
+      matches: this.expectedFirstAddress
+        ? isSameAddress(addresses[0].address, this.expectedFirstAddress)
+        : null,
+    };
+  }
+
+  /**
+   * Check if an address has activity using the configured chain backend
+   */
+  private async checkAddressActivity(
+    address: string,
+    index: number
+  ): Promise<boolean> {
+    if (!this.chainBackend) {
+      // No data source for this network, so treat as unused
+      return false;
+    }
 
-      const data = await response.json();
+    try {
+      const activity = await this.chainBackend.getAddressActivity(address);
+      await this.recordDonations(index, activity);
 
       // Check if address has any transactions
-      return data.chain_stats?.tx_count > 0 || data.mempool_stats?.tx_count > 0;
+      return activity.confirmedTxCount > 0 || activity.mempoolTxCount > 0;
     } catch (error) {
-      console.error(`Failed to check activity for address ${address}:`, error);
+      console.error(
+        `Failed to check activity for address ${address} via ${this.chainBackend.name}:`,
+        error
+      );
       // On error, assume no activity to be safe
       return false;
     }
   }
 
   /**
-   * Get the current pool state from Netlify Blobs
+   * Get the current pool state and its version token from the store
+   * A corrupted state comes back as null together with its version, so it gets replaced.
+   * Every use of the pool reads it here, so this is where a wallet that does not
+   * derive BITCOIN_EXPECTED_FIRST_ADDRESS is stopped.
+   */
+  private async getPoolState(): Promise<{
+    state: AddressPoolState | null;
+    version: string | null;
+  }> {
+    this.assertExpectedFirstAddress();
+
+    try {
+      const current = await this.store.getWithVersion<AddressPoolState>(
+        this.cacheKey
+      );
+
+      if (!current) {
+        return { state: null, version: null };
+      }
+
+      if (!isValidPoolState(current.value)) {
+        console.error("Discarding corrupted pool state");
+        return { state: null, version: current.version };
+      }
+
+      return { state: current.value, version: current.version };
+    } catch (error) {
+      throw new StorageError(`Failed to get pool state: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Save the pool state if nobody else has written since `expectedVersion` was read
+   * @returns false when another invocation won the race
    */
-  private async getPoolState(): Promise<AddressPoolState | null> {
+  private async savePoolState(
+    state: AddressPoolState,
+    expectedVersion: string | null
+  ): Promise<boolean> {
     try {
-      const data = await this.store.get(this.cacheKey, { type: "json" });
-      return data as AddressPoolState | null;
+      return await this.store.setIfVersion(
+        this.cacheKey,
+        state,
+        expectedVersion
+      );
     } catch (error) {
-      console.error("Failed to get pool state:", error);
-      return null;
+      throw new StorageError(`Failed to save pool state: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Read-modify-write the pool state with compare-and-swap
+   * `update` returns the state to write, or null to keep the current one. On a
+   * conflicting write the state is re-read and `update` runs again.
+   */
+  private async updatePoolState(
+    update: (state: AddressPoolState | null) => Promise<AddressPoolState | null>
+  ): Promise<AddressPoolState> {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const { state, version } = await this.getPoolState();
+      const next = await update(state);
+
+      if (!next) {
+        if (!state) {
+          throw poolNotFoundError();
+        }
+        return state;
+      }
+
+      next.revision = (state?.revision ?? 0) + 1;
+      if (await this.savePoolState(next, version)) {
+        return next;
+      }
+
+      // Another invocation wrote first - back off with jitter, then retry on its state
+      const delay = RETRY_BASE_DELAY * attempt * (0.5 + Math.random());
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    throw new StorageError(
+      `Pool state update failed after ${MAX_WRITE_ATTEMPTS} conflicting writes`
+    );
+  }
+
+  /**
+   * Get the donation ledger and its version token from the store
+   * A corrupted ledger comes back as null together with its version, so it gets replaced
+   */
+  private async getLedger(): Promise<{
+    ledger: DonationLedger | null;
+    version: string | null;
+  }> {
+    const current = await this.store.getWithVersion<DonationLedger>(
+      this.ledgerKey
+    );
+    if (!current) {
+      return { ledger: null, version: null };
     }
+    if (!isValidLedger(current.value)) {
+      console.error("Discarding corrupted donation ledger");
+      return { ledger: null, version: current.version };
+    }
+    return { ledger: current.value, version: current.version };
   }
 
   /**
-   * Save the current pool state to Netlify Blobs
+   * Record the transactions paying the address at `index` in the donation ledger
+   * Uses the same compare-and-swap retries as the pool state. Failures are
+   * logged rather than thrown, so bookkeeping never stops an address from
+   * being served.
    */
-  private async savePoolState(state: AddressPoolState): Promise<void> {
+  private async recordDonations(
+    index: number,
+    activity: AddressActivity
+  ): Promise<void> {
+    if (!activity.receipts) {
+      return;
+    }
+
     try {
-      await this.store.set(this.cacheKey, JSON.stringify(state));
+      for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const { ledger, version } = await this.getLedger();
+        const next = mergeReceipts(ledger, index, activity.receipts);
+        if (!next) {
+          return;
+        }
+        if (await this.store.setIfVersion(this.ledgerKey, next, version)) {
+          return;
+        }
+
+        const delay = RETRY_BASE_DELAY * attempt * (0.5 + Math.random());
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      throw new Error(
+        `Ledger update failed after ${MAX_WRITE_ATTEMPTS} conflicting writes`
+      );
     } catch (error) {
-      console.error("Failed to save pool state:", error);
-      throw error;
+      console.error(`Failed to record donations for index ${index}:`, error);
     }
   }
 
   /**
-   * Initialize a new address pool
+   * Build a new address pool (not yet saved)
    */
-  private async initializePool(): Promise<AddressPoolState> {
-    const purpose = this.detectPurpose();
+  private createInitialPool(): AddressPoolState {
     const pool: AddressPoolEntry[] = [];
 
-    for (let i = 0; i < POOL_SIZE; i++) {
+    // A gap limit below the pool size caps the pool itself, and so does the end of its range
+    const count = Math.min(
+      POOL_SIZE,
+      this.gapLimit,
+      this.lastIndex - this.firstIndex + 1
+    );
+    for (let i = this.firstIndex; i < this.firstIndex + count; i++) {
       pool.push({
         index: i,
-        address: deriveAddress(this.xpub, purpose, i),
+        address: this.deriveAt(i),
         lastCheck: Date.now(),
         hasActivity: false,
       });
     }
 
-    const state: AddressPoolState = {
+    return {
       currentIndex: 0,
       lastRotation: Date.now(),
       pool,
+      highestFundedIndex: this.firstIndex - 1,
     };
+  }
 
-    await this.savePoolState(state);
-    return state;
+  /**
+   * Number of derived addresses past the highest funded one
+   * Wallets stop scanning after `gapLimit` unused addresses in a row, so
+   * funds sent beyond that would not show up in them.
+   */
+  private getGap(state: AddressPoolState): number {
+    const maxIndex = Math.max(...state.pool.map((entry) => entry.index));
+    return Math.max(0, maxIndex - highestFundedIndexOf(state));
   }
 
   /**
    * Replace used addresses in the pool with fresh ones
-   * Removes used addresses and adds fresh ones to the end, maintaining sequential generation
+   * Removes used addresses and adds fresh ones to the end, maintaining sequential generation.
+   * New indices stay within the gap limit of the highest funded index; past it the
+   * remaining unused addresses keep rotating instead, and the pool refills as
+   * later donations move the funded index up.
    */
   private async replaceUsedAddresses(
     state: AddressPoolState
@@ -266,94 +977,198 @@ export class AddressPoolManager {
     const maxIndex = Math.max(...state.pool.map((entry) => entry.index));
     let nextIndex = maxIndex + 1;
 
-    const purpose = this.detectPurpose();
+    const highestFundedIndex = Math.max(
+      highestFundedIndexOf(state),
+      ...usedAddresses.map((entry) => entry.index)
+    );
+    const lastAllowedIndex = Math.min(
+      highestFundedIndex + this.gapLimit,
+      this.lastIndex
+    );
 
     // Start with unused addresses, then add fresh ones to the end
     const newPool = [...unusedAddresses];
 
-    // Generate fresh addresses for each used address
-    for (const usedEntry of usedAddresses) {
+    // Top the pool back up with fresh addresses, as far as the gap limit allows
+    while (newPool.length < POOL_SIZE && nextIndex <= lastAllowedIndex) {
       newPool.push({
         index: nextIndex,
-        address: deriveAddress(this.xpub, purpose, nextIndex),
+        address: this.deriveAt(nextIndex),
         lastCheck: Date.now(),
         hasActivity: false,
       });
       nextIndex++;
     }
 
+    // An empty pool has nothing to serve; keep the saved state as it was
+    if (newPool.length === 0) {
+      throw campaignExhaustedError(this.firstIndex, this.lastIndex);
+    }
+
     // Update currentIndex to point to the first unused address in the new pool
     const newCurrentIndex = newPool.findIndex((entry) => !entry.hasActivity);
     const adjustedCurrentIndex = newCurrentIndex >= 0 ? newCurrentIndex : 0;
 
-    return {
+    const next = {
       ...state,
       pool: newPool,
       currentIndex: adjustedCurrentIndex,
+      highestFundedIndex,
     };
+
+    const gap = this.getGap(next);
+    if (gap >= Math.ceil(this.gapLimit * GAP_WARNING_RATIO)) {
+      console.warn(
+        `Address gap ${gap} is nearing the gap limit of ${this.gapLimit}; ` +
+          "unused addresses will be reused rather than extending it. " +
+          `Make sure your wallet scans at least ${this.gapLimit} addresses ahead.`
+      );
+    }
+
+    return next;
   }
 
   /**
-   * Get the current address to serve, handling rotation logic
+   * Rotate to the next unused address, replacing any used ones found on the way
    */
-  async getCurrentAddress(): Promise<string> {
-    let state = await this.getPoolState();
+  private async rotatePool(state: AddressPoolState): Promise<AddressPoolState> {
+    const now = Date.now();
 
-    // Initialize pool if it doesn't exist
-    if (!state) {
-      state = await this.initializePool();
-    }
+    // Always rotate after 10 minutes - find the next unused address
+    let selectedEntry: AddressPoolEntry | null = null;
+    let nextIndex = (state.currentIndex + 1) % state.pool.length;
 
-    const now = Date.now();
-    const timeSinceLastRotation = now - state.lastRotation;
-
-    // Check if we need to rotate (10 minutes have passed)
-    if (timeSinceLastRotation >= ROTATION_INTERVAL) {
-      // Always rotate after 10 minutes - find the next unused address
-      let selectedEntry: AddressPoolEntry | null = null;
-      let nextIndex = (state.currentIndex + 1) % state.pool.length;
-
-      // Check addresses in rotation order until we find an unused one
-      for (let i = 0; i < state.pool.length; i++) {
-        const entry = state.pool[nextIndex];
-
-        // Check if this address has activity
-        const hasActivity = await this.checkAddressActivity(entry.address);
-
-        // Update the entry with current activity status
-        entry.hasActivity = hasActivity;
-        entry.lastCheck = now;
-
-        // If this address is unused, select it
-        if (!hasActivity) {
-          selectedEntry = entry;
-          state.currentIndex = nextIndex;
-          break;
-        }
+    // Check addresses in rotation order until we find an unused one
+    for (let i = 0; i < state.pool.length; i++) {
+      const entry = state.pool[nextIndex];
 
-        // Move to next address in rotation
-        nextIndex = (nextIndex + 1) % state.pool.length;
-      }
+      // Check if this address has activity
+      const hasActivity = await this.checkAddressActivity(
+        entry.address,
+        entry.index
+      );
 
-      // Replace any used addresses we found during rotation with fresh ones
-      state = await this.replaceUsedAddresses(state);
+      // Update the entry with current activity status
+      entry.hasActivity = hasActivity;
+      entry.lastCheck = now;
 
-      // If all addresses were used, reset to first address
-      if (!selectedEntry) {
-        state.currentIndex = 0;
+      // If this address is unused, select it
+      if (!hasActivity) {
+        selectedEntry = entry;
+        state.currentIndex = nextIndex;
+        break;
       }
 
-      // Update rotation time
-      state.lastRotation = now;
+      // Move to next address in rotation
+      nextIndex = (nextIndex + 1) % state.pool.length;
+    }
 
-      // Save the updated state
-      await this.savePoolState(state);
+    // Replace any used addresses we found during rotation with fresh ones
+    state = await this.replaceUsedAddresses(state);
+
+    // If all addresses were used, reset to first address
+    if (!selectedEntry) {
+      state.currentIndex = 0;
     }
 
+    // Update rotation time
+    state.lastRotation = now;
+
+    return state;
+  }
+
+  /**
+   * Get the current address to serve, handling rotation logic
+   * Concurrent invocations race on a compare-and-swap, so only one of them
+   * initializes or rotates the pool and the others serve its result.
+   */
+  async getCurrentAddress(): Promise<string> {
+    const state = await this.updatePoolState(async (state) => {
+      // Initialize pool if it doesn't exist
+      if (!state) {
+        return this.createInitialPool();
+      }
+
+      // Check if we need to rotate (10 minutes have passed)
+      if (Date.now() - state.lastRotation >= ROTATION_INTERVAL) {
+        return this.rotatePool(state);
+      }
+
+      return null;
+    });
+
     // Return the current address
     return state.pool[state.currentIndex].address;
   }
 
+  /**
+   * Find the index of an address handed out by this pool
+   * Covers the current pool plus the most recently derived indices, so a
+   * payment can still be checked after its address was rotated out.
+   * @returns The derivation index, or null for any other address
+   */
+  private findAddressIndex(
+    state: AddressPoolState,
+    address: string
+  ): number | null {
+    const inPool = state.pool.find((entry) => entry.address === address);
+    if (inPool) {
+      return inPool.index;
+    }
+
+    const maxIndex = Math.max(...state.pool.map((entry) => entry.index));
+    for (
+      let index = maxIndex;
+      index >= this.firstIndex && index > maxIndex - RECENT_ADDRESS_WINDOW;
+      index--
+    ) {
+      if (this.deriveAt(index) === address) {
+        return index;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Look up payments received by a pool address
+   * Only addresses this pool has served are checked, so the endpoint cannot
+   * be used to query arbitrary addresses through the chain backend.
+   * @returns The payment status, or null if the address is not from this pool
+   */
+  async checkPayment(address: string): Promise<PaymentStatus | null> {
+    const { state } = await this.getPoolState();
+    const index = state && this.findAddressIndex(state, address);
+    if (index === null) {
+      return null;
+    }
+
+    if (!this.chainBackend) {
+      throw new ConfigurationError(
+        `No chain backend available for ${this.network}`
+      );
+    }
+
+    // Unlike rotation checks, errors propagate: "unpaid" must not be a guess
+    const activity = await this.chainBackend
+      .getAddressActivity(address)
+      .catch((error) => {
+        throw toUpstreamError(error, "chain backend");
+      });
+    await this.recordDonations(index, activity);
+
+    return {
+      address,
+      status:
+        activity.confirmedTxCount > 0
+          ? "confirmed"
+          : activity.mempoolTxCount > 0
+            ? "mempool"
+            : "unpaid",
+      confirmedSats: activity.confirmedReceivedSats,
+      mempoolSats: activity.mempoolReceivedSats,
+    };
+  }
+
   /**
    * Get pool statistics for debugging
    */
@@ -364,6 +1179,11 @@ export class AddressPoolManager {
     lastRotation: number;
     timeUntilNextRotation: number;
     currentAddress: string;
+    highestFundedIndex: number;
+    gap: number;
+    gapLimit: number;
+    firstIndex: number;
+    lastIndex: number;
     poolEntries: Array<{
       index: number;
       address: string;
@@ -371,7 +1191,7 @@ export class AddressPoolManager {
       lastCheck: number;
     }>;
   }> {
-    const state = await this.getPoolState();
+    const { state } = await this.getPoolState();
 
     if (!state) {
       return {
@@ -381,6 +1201,11 @@ export class AddressPoolManager {
         lastRotation: 0,
         timeUntilNextRotation: 0,
         currentAddress: "",
+        highestFundedIndex: this.firstIndex - 1,
+        gap: 0,
+        gapLimit: this.gapLimit,
+        firstIndex: this.firstIndex,
+        lastIndex: this.lastIndex,
         poolEntries: [],
       };
     }
@@ -402,6 +1227,11 @@ export class AddressPoolManager {
       lastRotation: state.lastRotation,
       timeUntilNextRotation,
       currentAddress,
+      highestFundedIndex: highestFundedIndexOf(state),
+      gap: this.getGap(state),
+      gapLimit: this.gapLimit,
+      firstIndex: this.firstIndex,
+      lastIndex: this.lastIndex,
       poolEntries: state.pool.map((entry) => ({
         index: entry.index,
         address: entry.address,
@@ -411,21 +1241,166 @@ export class AddressPoolManager {
     };
   }
 
+  /**
+   * Donation totals and the most recent donations, from the ledger
+   * Amounts only: neither addresses nor txids are included.
+   */
+  async getDonationStats(): Promise<DonationStats> {
+    const { ledger } = await this.getLedger().catch((error) => {
+      throw new StorageError(`Failed to get ledger: ${error.message}`, {
+        cause: error,
+      });
+    });
+    return summarizeLedger(ledger);
+  }
+
   /**
    * Force a pool rotation (useful for testing)
    */
   async forceRotation(): Promise<string> {
-    const state = await this.getPoolState();
-
-    if (!state) {
-      throw new Error("No pool state found");
-    }
+    await this.updatePoolState(async (state) => {
+      if (!state) {
+        throw poolNotFoundError();
+      }
 
-    // Force rotation by setting lastRotation to a time that would trigger rotation
-    state.lastRotation = Date.now() - ROTATION_INTERVAL - 1;
-    await this.savePoolState(state);
+      // Force rotation by setting lastRotation to a time that would trigger rotation
+      state.lastRotation = Date.now() - ROTATION_INTERVAL - 1;
+      return state;
+    });
 
     // Get the new address (this will trigger rotation)
     return await this.getCurrentAddress();
   }
+
+  /**
+   * Discard the pool and derive it afresh from the start of the range
+   * Nothing used is served again: indices the old pool had found or been told
+   * were used stay used, as does its highest funded index, and with a chain
+   * backend every new address is checked before the pool is saved. Chain
+   * backend errors propagate and leave the old pool in place.
+   * @returns The address now being served
+   */
+  async resetPool(): Promise<string> {
+    const state = await this.updatePoolState(async (previous) => {
+      const fresh = this.createInitialPool();
+
+      if (previous) {
+        // Indices missing from a pool were removed because they had activity
+        const unused = new Set(
+          previous.pool
+            .filter((entry) => !entry.hasActivity)
+            .map((entry) => entry.index)
+        );
+        const maxIndex = Math.max(...previous.pool.map((entry) => entry.index));
+        for (const entry of fresh.pool) {
+          entry.hasActivity =
+            entry.index <= maxIndex && !unused.has(entry.index);
+        }
+        fresh.highestFundedIndex = highestFundedIndexOf(previous);
+      }
+
+      if (this.chainBackend) {
+        await this.scanPoolEntries(fresh, this.chainBackend);
+      }
+      return this.replaceUsedAddresses(fresh);
+    });
+    return state.pool[state.currentIndex].address;
+  }
+
+  /**
+   * Look up every pool address with the chain backend and mark the used ones
+   * Unlike rotation checks, errors propagate rather than leaving an address
+   * marked as unused.
+   */
+  private async scanPoolEntries(
+    state: AddressPoolState,
+    chainBackend: ChainBackend
+  ): Promise<void> {
+    const now = Date.now();
+    for (const entry of state.pool) {
+      const activity = await chainBackend
+        .getAddressActivity(entry.address)
+        .catch((error) => {
+          throw toUpstreamError(error, "chain backend");
+        });
+      await this.recordDonations(entry.index, activity);
+      entry.hasActivity =
+        entry.hasActivity ||
+        activity.confirmedTxCount > 0 ||
+        activity.mempoolTxCount > 0;
+      entry.lastCheck = now;
+    }
+  }
+
+  /**
+   * Record that an index received funds, e.g. a payment the chain backend missed
+   * The address is replaced if it is in the pool, and the highest funded index
+   * moves up so the gap limit allows deriving further. Indices past the end of
+   * the pool are rejected: they have not been handed out yet.
+   * @returns The address now being served
+   */
+  async markIndexUsed(index: number): Promise<string> {
+    if (!Number.isSafeInteger(index) || index < 0) {
+      throw new RequestError(`Invalid index ${index}: expected a whole number`);
+    }
+    if (index < this.firstIndex || index > this.lastIndex) {
+      throw new RequestError(
+        `Invalid index ${index}: outside this pool's range ${this.firstIndex}-${this.lastIndex}`
+      );
+    }
+
+    const state = await this.updatePoolState(async (state) => {
+      if (!state) {
+        throw poolNotFoundError();
+      }
+
+      // Marking an index that has not been derived yet would only move the
+      // gap along; the pool would still hand it out once it got there
+      const maxIndex = Math.max(...state.pool.map((entry) => entry.index));
+      if (index > maxIndex) {
+        throw new RequestError(
+          `Invalid index ${index}: not derived yet, the pool ends at ${maxIndex}`,
+          { code: "index_not_derived" }
+        );
+      }
+
+      for (const entry of state.pool) {
+        if (entry.index === index) {
+          entry.hasActivity = true;
+          entry.lastCheck = Date.now();
+        }
+      }
+      state.highestFundedIndex = Math.max(highestFundedIndexOf(state), index);
+
+      return this.replaceUsedAddresses(state);
+    });
+
+    return state.pool[state.currentIndex].address;
+  }
+
+  /**
+   * Check every pool address for activity and replace the used ones
+   * Unlike rotation checks, chain backend errors propagate rather than
+   * leaving an address marked as unused.
+   * @returns The address now being served
+   */
+  async rescanPool(): Promise<string> {
+    if (!this.chainBackend) {
+      throw new ConfigurationError(
+        `No chain backend available for ${this.network}`
+      );
+    }
+    const chainBackend = this.chainBackend;
+
+    const state = await this.updatePoolState(async (state) => {
+      if (!state) {
+        throw poolNotFoundError();
+      }
+
+      await this.scanPoolEntries(state, chainBackend);
+      return this.replaceUsedAddresses(state);
+    });
+
+    return state.pool[state.currentIndex].address;
+  }
 }
@@ -0,0 +1,151 @@
+import { sha256 } from "@noble/hashes/sha2.js";
+import { utf8ToBytes } from "@noble/hashes/utils.js";
+import type { AddressPoolManager } from "./address-pool.js";
+import { BackendError, RequestError } from "./errors.js";
+import {
+  createPoolManager,
+  errorResponse,
+  jsonResponse,
+  type HandlerDeps,
+} from "./handler.js";
+import type { Env } from "./validation.js";
+
+type AdminAction = (
+  poolManager: AddressPoolManager,
+  searchParams: URLSearchParams
+) => Promise<Record<string, unknown>>;
+
+/**
+ * Actions that change the pool, run with POST ?action=<name>
+ * Each returns the address being served afterwards.
+ */
+const ACTIONS: Record<string, AdminAction> = {
+  rotate: async (poolManager) => ({
+    address: await poolManager.forceRotation(),
+  }),
+  reset: async (poolManager) => ({
+    address: await poolManager.resetPool(),
+  }),
+  "mark-used": async (poolManager, searchParams) => {
+    const index = searchParams.get("index");
+    if (!index || !/^\d{1,15}$/.test(index)) {
+      throw new RequestError(
+        `Invalid index "${index ?? ""}": expected a whole number`
+      );
+    }
+    return {
+      index: Number(index),
+      address: await poolManager.markIndexUsed(Number(index)),
+    };
+  },
+  rescan: async (poolManager) => ({
+    address: await poolManager.rescanPool(),
+  }),
+};
+
+/**
+ * Compare two secrets without leaking how much of them matched through timing
+ * Hashing first makes the comparison independent of their lengths.
+ */
+function secretsMatch(given: string, expected: string): boolean {
+  const a = sha256(utf8ToBytes(given));
+  const b = sha256(utf8ToBytes(expected));
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Check the request's `Authorization: Bearer <ADMIN_SECRET>` header
+ * Throws a RequestError: 404 while ADMIN_SECRET is unset, 401 for a missing or wrong token.
+ */
+export function checkAdminAuth(request: Request, env: Env): void {
+  const secret = env.ADMIN_SECRET;
+  if (!secret) {
+    throw new RequestError("Admin API is disabled", {
+      code: "admin_disabled",
+      status: 404,
+    });
+  }
+
+  const token = request.headers
+    .get("Authorization")
+    ?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (!token || !secretsMatch(token, secret)) {
+    throw new RequestError("Unauthorized", {
+      code: "unauthorized",
+      status: 401,
+    });
+  }
+}
+
+/**
+ * Error response for an authenticated admin request
+ * The admin is authenticated, so server-side failures keep their details.
+ */
+export function adminErrorResponse(error: unknown): Response {
+  const { status, code } =
+    error instanceof BackendError
+      ? error
+      : { status: 500, code: "internal_error" };
+  return status < 500
+    ? errorResponse(error)
+    : jsonResponse({ error: (error as Error).message, code }, status);
+}
+
+/**
+ * Inspect and operate the address pool, authenticated with ADMIN_SECRET
+ *
+ * Requests carry `Authorization: Bearer <ADMIN_SECRET>`; without the variable
+ * the route is disabled. GET returns the pool stats. POST with `action`
+ * "rotate", "reset", "mark-used" (with `index`) or "rescan" changes the pool
+ * and returns the action's result together with the updated stats. `campaign`
+ * selects that campaign's pool instead of the default one.
+ */
+export async function handleAdmin(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  try {
+    checkAdminAuth(request, deps.env);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const actionName = searchParams.get("action") ?? "stats";
+  const action = Object.hasOwn(ACTIONS, actionName)
+    ? ACTIONS[actionName]
+    : undefined;
+  if (actionName !== "stats" && !action) {
+    return errorResponse(
+      new RequestError(
+        `Unknown action "${actionName}": expected stats, ${Object.keys(ACTIONS).join(", ")}`,
+        { code: "unknown_action" }
+      )
+    );
+  }
+  if (action && request.method !== "POST") {
+    return errorResponse(
+      new RequestError(`${actionName} requires POST`, {
+        code: "method_not_allowed",
+        status: 405,
+      })
+    );
+  }
+
+  try {
+    const poolManager = createPoolManager(deps, searchParams.get("campaign"));
+    const result = action ? await action(poolManager, searchParams) : {};
+    return jsonResponse({
+      action: actionName,
+      ...result,
+      stats: await poolManager.getPoolStats(),
+    });
+  } catch (error) {
+    console.error(`Admin action ${actionName} failed:`, error);
+    return adminErrorResponse(error);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for BIP21 payment URI construction
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  buildPaymentUri,
+  normalizeBtcAmount,
+  paymentRequestFromQuery,
+} from "./bip21.ts";
+
+const ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+
+describe("normalizeBtcAmount", () => {
+  it.each([
+    ["1", "1"],
+    ["0.001", "0.001"],
+    ["0.00100000", "0.001"],
+    ["20.3", "20.3"],
+    ["0.00000001", "0.00000001"],
+    ["21000000", "21000000"],
+  ])("normalises %s to %s", (input, expected) => {
+    expect(normalizeBtcAmount(input)).toBe(expected);
+  });
+
+  it.each(["0", "-1", "1e-3", "0.000000001", "abc", "21000000.00000001"])(
+    "rejects %s",
+    (input) => {
+      expect(() => normalizeBtcAmount(input)).toThrow("Invalid amount");
+    }
+  );
+});
+
+describe("buildPaymentUri", () => {
+  it("returns a bare URI without parameters", () => {
+    expect(buildPaymentUri(ADDRESS)).toBe(`bitcoin:${ADDRESS}`);
+  });
+
+  it("matches the BIP21 examples", () => {
+    expect(buildPaymentUri(ADDRESS, { amount: "20.3", label: "Luke-Jr" })).toBe(
+      `bitcoin:${ADDRESS}?amount=20.3&label=Luke-Jr`
+    );
+
+    expect(
+      buildPaymentUri(ADDRESS, {
+        amount: "50",
+        label: "Luke-Jr",
+        message: "Donation for project xyz",
+      })
+    ).toBe(
+      `bitcoin:${ADDRESS}?amount=50&label=Luke-Jr&message=Donation%20for%20project%20xyz`
+    );
+  });
+
+  it("percent-encodes reserved characters", () => {
+    expect(buildPaymentUri(ADDRESS, { label: "a&b=c?d#e" })).toBe(
+      `bitcoin:${ADDRESS}?label=a%26b%3Dc%3Fd%23e`
+    );
+  });
+});
+
+describe("paymentRequestFromQuery", () => {
+  it("ignores empty parameters", () => {
+    expect(
+      paymentRequestFromQuery(new URLSearchParams("amount=&label=&other=1"))
+    ).toEqual({});
+  });
+});
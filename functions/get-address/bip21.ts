@@ -0,0 +1,107 @@
+/**
+ * BIP21 payment URIs
+ * https://github.com/bitcoin/bips/blob/master/bip-0021.mediawiki
+ */
+
+import { RequestError } from "./errors.js";
+
+const SATS_PER_BTC = 100_000_000n;
+const MAX_SATS = 21_000_000n * SATS_PER_BTC;
+
+/**
+ * Optional parameters of a payment request
+ */
+export interface PaymentRequest {
+  /** Amount in BTC as a decimal string, normalised (e.g. "0.001") */
+  amount?: string;
+  label?: string;
+  message?: string;
+  /** BOLT11 invoice or LNURL for wallets that can pay over Lightning */
+  lightning?: string;
+}
+
+/**
+ * Parse a BTC amount into satoshis
+ * Throws on malformed, zero, over-precise or out-of-range amounts.
+ */
+export function btcToSats(amount: string): bigint {
+  const match = amount.trim().match(/^(\d+)(?:\.(\d{1,8}))?$/);
+  if (!match) {
+    throw new RequestError(
+      `Invalid amount "${amount}": expected BTC with up to 8 decimals`
+    );
+  }
+
+  const sats =
+    BigInt(match[1]) * SATS_PER_BTC + BigInt((match[2] ?? "").padEnd(8, "0"));
+  if (sats <= 0n || sats > MAX_SATS) {
+    throw new RequestError(`Invalid amount "${amount}": out of range`);
+  }
+  return sats;
+}
+
+/**
+ * Parse and normalise a BTC amount ("0.0010" -> "0.001")
+ */
+export function normalizeBtcAmount(amount: string): string {
+  const sats = btcToSats(amount);
+  const whole = sats / SATS_PER_BTC;
+  const fraction = (sats % SATS_PER_BTC)
+    .toString()
+    .padStart(8, "0")
+    .replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+/**
+ * Read `amount`, `label` and `message` from request query parameters
+ */
+export function paymentRequestFromQuery(
+  params: URLSearchParams
+): PaymentRequest {
+  const request: PaymentRequest = {};
+
+  const amount = params.get("amount");
+  if (amount) {
+    request.amount = normalizeBtcAmount(amount);
+  }
+
+  const label = params.get("label");
+  if (label) {
+    request.label = label;
+  }
+
+  const message = params.get("message");
+  if (message) {
+    request.message = message;
+  }
+
+  return request;
+}
+
+/**
+ * Build a bitcoin: URI for an address and optional payment request
+ */
+export function buildPaymentUri(
+  address: string,
+  request: PaymentRequest = {}
+): string {
+  const query: string[] = [];
+
+  if (request.amount) {
+    query.push(`amount=${request.amount}`);
+  }
+  if (request.label) {
+    query.push(`label=${encodeURIComponent(request.label)}`);
+  }
+  if (request.message) {
+    query.push(`message=${encodeURIComponent(request.message)}`);
+  }
+  if (request.lightning) {
+    query.push(`lightning=${request.lightning}`);
+  }
+
+  return query.length > 0
+    ? `bitcoin:${address}?${query.join("&")}`
+    : `bitcoin:${address}`;
+}
@@ -0,0 +1,405 @@
+/**
+ * Tests for the chain activity backends
+ *
+ * Each backend talks to a local stub server, so these tests never reach
+ * mempool.space or any other third party.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createServer, type Server } from "node:http";
+import { createServer as createTcpServer, type AddressInfo } from "node:net";
+import {
+  EsploraBackend,
+  ElectrumBackend,
+  BitcoinCoreBackend,
+  createChainBackend,
+  electrumScriptHash,
+} from "./chain-backends.ts";
+
+const USED_ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+const FRESH_ADDRESS = "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g";
+
+function listen(server: Server | ReturnType<typeof createTcpServer>) {
+  return new Promise<number>((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve((server.address() as AddressInfo).port)
+    );
+  });
+}
+
+describe("electrumScriptHash", () => {
+  it("matches the Electrum protocol documentation example", () => {
+    // From: https://electrum-protocol.readthedocs.io/en/latest/protocol-basics.html#script-hashes
+    expect(
+      electrumScriptHash("1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa", "mainnet")
+    ).toBe("8b01df4e368ea28f8dc0423bcf7a4923e3a12d307c875e47a0cfbf90b5c39161");
+  });
+});
+
+describe("EsploraBackend", () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      if (req.url === `/api/address/${USED_ADDRESS}`) {
+        res.end(
+          JSON.stringify({
+            chain_stats: { tx_count: 2, funded_txo_sum: 150000 },
+            mempool_stats: { tx_count: 1, funded_txo_sum: 21000 },
+          })
+        );
+      } else if (req.url === `/api/address/${USED_ADDRESS}/txs`) {
+        res.end(
+          JSON.stringify([
+            {
+              txid: "cc",
+              status: { confirmed: false },
+              vout: [{ scriptpubkey_address: USED_ADDRESS, value: 21000 }],
+            },
+            {
+              txid: "bb",
+              status: { confirmed: true },
+              vout: [
+                { scriptpubkey_address: USED_ADDRESS, value: 100000 },
+                { scriptpubkey_address: FRESH_ADDRESS, value: 7000 },
+              ],
+            },
+            {
+              txid: "aa",
+              status: { confirmed: true },
+              vout: [
+                { scriptpubkey_address: USED_ADDRESS, value: 30000 },
+                { scriptpubkey_address: USED_ADDRESS, value: 20000 },
+              ],
+            },
+            // Spending from the address pays nothing to it
+            {
+              txid: "dd",
+              status: { confirmed: true },
+              vout: [{ scriptpubkey_address: FRESH_ADDRESS, value: 40000 }],
+            },
+          ])
+        );
+      } else if (req.url === `/api/address/${FRESH_ADDRESS}`) {
+        res.end(
+          JSON.stringify({
+            chain_stats: { tx_count: 0, funded_txo_sum: 0 },
+            mempool_stats: { tx_count: 0, funded_txo_sum: 0 },
+          })
+        );
+      } else {
+        res.statusCode = 429;
+        res.end();
+      }
+    });
+    baseUrl = `http://127.0.0.1:${await listen(server)}/api/`;
+  });
+
+  afterAll(() => server.close());
+
+  it("reports confirmed and mempool transactions with their amounts", async () => {
+    const backend = new EsploraBackend(baseUrl);
+    expect(await backend.getAddressActivity(USED_ADDRESS)).toEqual({
+      confirmedTxCount: 2,
+      mempoolTxCount: 1,
+      confirmedReceivedSats: 150000,
+      mempoolReceivedSats: 21000,
+      receipts: [
+        { txid: "cc", sats: 21000, confirmed: false },
+        { txid: "bb", sats: 100000, confirmed: true },
+        { txid: "aa", sats: 50000, confirmed: true },
+      ],
+    });
+    expect(await backend.getAddressActivity(FRESH_ADDRESS)).toEqual({
+      confirmedTxCount: 0,
+      mempoolTxCount: 0,
+      confirmedReceivedSats: 0,
+      mempoolReceivedSats: 0,
+      receipts: [],
+    });
+  });
+
+  it("throws on API errors", async () => {
+    const backend = new EsploraBackend(baseUrl);
+    await expect(backend.getAddressActivity("bc1qunknown")).rejects.toThrow(
+      "Esplora API error: 429"
+    );
+  });
+});
+
+describe("ElectrumBackend", () => {
+  const server = createTcpServer((socket) => {
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let newline: number;
+      while ((newline = buffer.indexOf("\n")) >= 0) {
+        const request = JSON.parse(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+
+        const used =
+          request.params[0] === electrumScriptHash(USED_ADDRESS, "mainnet");
+        let result: unknown = ["stub", "1.4"];
+        if (request.method === "blockchain.scripthash.get_history") {
+          result = used
+            ? [
+                { tx_hash: "aa", height: 800000 },
+                { tx_hash: "bb", height: 0 },
+              ]
+            : [];
+        } else if (request.method === "blockchain.scripthash.listunspent") {
+          result = used
+            ? [
+                { tx_hash: "aa", tx_pos: 0, height: 800000, value: 30000 },
+                { tx_hash: "aa", tx_pos: 1, height: 800000, value: 20000 },
+                { tx_hash: "bb", tx_pos: 0, height: 0, value: 10000 },
+              ]
+            : [];
+        }
+        socket.write(JSON.stringify({ id: request.id, result }) + "\n");
+      }
+    });
+  });
+  let port: number;
+
+  beforeAll(async () => {
+    port = await listen(server);
+  });
+
+  afterAll(() => server.close());
+
+  it("splits history and unspent outputs into confirmed and mempool", async () => {
+    const backend = new ElectrumBackend({
+      host: "127.0.0.1",
+      port,
+      tls: false,
+      network: "mainnet",
+    });
+    expect(await backend.getAddressActivity(USED_ADDRESS)).toEqual({
+      confirmedTxCount: 1,
+      mempoolTxCount: 1,
+      confirmedReceivedSats: 50000,
+      mempoolReceivedSats: 10000,
+      receipts: [
+        { txid: "aa", sats: 50000, confirmed: true },
+        { txid: "bb", sats: 10000, confirmed: false },
+      ],
+    });
+    expect(await backend.getAddressActivity(FRESH_ADDRESS)).toEqual({
+      confirmedTxCount: 0,
+      mempoolTxCount: 0,
+      confirmedReceivedSats: 0,
+      mempoolReceivedSats: 0,
+      receipts: [],
+    });
+  });
+
+  it("rejects with an upstream error when the server sends invalid JSON", async () => {
+    const broken = createTcpServer((socket) => {
+      socket.on("data", () => socket.write("not json\n"));
+    });
+    const brokenPort = await listen(broken);
+    const backend = new ElectrumBackend({
+      host: "127.0.0.1",
+      port: brokenPort,
+      tls: false,
+      network: "mainnet",
+    });
+
+    try {
+      await expect(
+        backend.getAddressActivity(USED_ADDRESS)
+      ).rejects.toMatchObject({
+        code: "upstream_error",
+        message: expect.stringContaining("invalid JSON"),
+      });
+    } finally {
+      broken.close();
+    }
+  });
+});
+
+describe("BitcoinCoreBackend", () => {
+  const SPENT_ADDRESS = "bc1qm34lsc65zpw79lxes69zkqmk6ee3ewf0j77s3h";
+  let server: Server;
+  let url: string;
+  let lastAuthorization: string | undefined;
+  let lastPath: string | undefined;
+
+  // The watch-only wallet: txids per address and the transactions behind them
+  const wallet: Record<string, string[]> = {
+    [USED_ADDRESS]: ["aa", "bb", "cc"],
+    [FRESH_ADDRESS]: [],
+    [SPENT_ADDRESS]: ["dd"],
+  };
+  const transactions: Record<string, unknown> = {
+    aa: {
+      confirmations: 12,
+      details: [
+        { address: USED_ADDRESS, category: "receive", amount: 0.001 },
+        { address: USED_ADDRESS, category: "receive", amount: 0.002 },
+        { address: FRESH_ADDRESS, category: "receive", amount: 0.5 },
+      ],
+    },
+    bb: {
+      confirmations: 0,
+      details: [{ address: USED_ADDRESS, category: "receive", amount: 0.0001 }],
+    },
+    // Replaced by a transaction that confirmed
+    cc: {
+      confirmations: -3,
+      details: [{ address: USED_ADDRESS, category: "receive", amount: 0.7 }],
+    },
+    dd: {
+      confirmations: 5,
+      details: [
+        { address: SPENT_ADDRESS, category: "receive", amount: 0.0005 },
+        { address: SPENT_ADDRESS, category: "send", amount: -0.0005 },
+      ],
+    },
+  };
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      lastAuthorization = req.headers.authorization;
+      lastPath = req.url;
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const { id, method, params } = JSON.parse(body);
+        let result: unknown = null;
+        let error: unknown = null;
+        if (method === "listreceivedbyaddress") {
+          const txids = wallet[params[3]];
+          result = txids ? [{ address: params[3], txids }] : [];
+        } else if (method === "gettransaction") {
+          result = transactions[params[0]];
+        } else {
+          error = { code: -32601, message: "Method not found" };
+        }
+        res.statusCode = error ? 500 : 200;
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ id, error, result }));
+      });
+    });
+    url = `http://127.0.0.1:${await listen(server)}/wallet/donations`;
+  });
+
+  afterAll(() => server.close());
+
+  it("splits the wallet's transactions into confirmed and mempool", async () => {
+    const backend = new BitcoinCoreBackend({
+      url,
+      user: "rpc",
+      password: "secret",
+    });
+    expect(await backend.getAddressActivity(USED_ADDRESS)).toEqual({
+      confirmedTxCount: 1,
+      mempoolTxCount: 1,
+      confirmedReceivedSats: 300000,
+      mempoolReceivedSats: 10000,
+      receipts: [
+        { txid: "aa", sats: 300000, confirmed: true },
+        { txid: "bb", sats: 10000, confirmed: false },
+      ],
+    });
+    expect(await backend.getAddressActivity(FRESH_ADDRESS)).toEqual({
+      confirmedTxCount: 0,
+      mempoolTxCount: 0,
+      confirmedReceivedSats: 0,
+      mempoolReceivedSats: 0,
+      receipts: [],
+    });
+    expect(lastAuthorization).toBe(`Basic ${btoa("rpc:secret")}`);
+    expect(lastPath).toBe("/wallet/donations");
+  });
+
+  it("still sees funds the address has spent", async () => {
+    const backend = new BitcoinCoreBackend({ url });
+    expect(await backend.getAddressActivity(SPENT_ADDRESS)).toMatchObject({
+      confirmedTxCount: 1,
+      confirmedReceivedSats: 50000,
+    });
+  });
+
+  it("refuses addresses the wallet does not watch", async () => {
+    const backend = new BitcoinCoreBackend({ url });
+    await expect(
+      backend.getAddressActivity("bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq")
+    ).rejects.toMatchObject({
+      code: "configuration_error",
+      message: expect.stringContaining("not watched"),
+    });
+  });
+
+  it("rejects with an upstream error on RPC errors", async () => {
+    const failing = createServer((req, res) => {
+      res.statusCode = 500;
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          id: "listreceivedbyaddress",
+          result: null,
+          error: { code: -18, message: "Requested wallet does not exist" },
+        })
+      );
+    });
+    const backend = new BitcoinCoreBackend({
+      url: `http://127.0.0.1:${await listen(failing)}/wallet/donations`,
+    });
+
+    try {
+      await expect(
+        backend.getAddressActivity(USED_ADDRESS)
+      ).rejects.toMatchObject({
+        code: "upstream_error",
+        message: expect.stringContaining("Requested wallet does not exist"),
+      });
+    } finally {
+      failing.close();
+    }
+  });
+});
+
+describe("createChainBackend", () => {
+  it("defaults to mempool.space for public networks", () => {
+    expect(createChainBackend("mainnet", {})?.name).toBe("esplora");
+    expect(createChainBackend("signet", {})?.name).toBe("esplora");
+  });
+
+  it("returns null for regtest without ESPLORA_URL", () => {
+    expect(createChainBackend("regtest", {})).toBeNull();
+    expect(
+      createChainBackend("regtest", { ESPLORA_URL: "http://localhost:3002" })
+        ?.name
+    ).toBe("esplora");
+  });
+
+  it("selects backends from CHAIN_BACKEND", () => {
+    expect(
+      createChainBackend("mainnet", {
+        CHAIN_BACKEND: "electrum",
+        ELECTRUM_HOST: "electrum.example.com",
+      })?.name
+    ).toBe("electrum");
+    expect(
+      createChainBackend("mainnet", {
+        CHAIN_BACKEND: "bitcoind",
+        BITCOIN_RPC_URL: "http://127.0.0.1:8332",
+      })?.name
+    ).toBe("bitcoind");
+  });
+
+  it("requires connection settings for self-hosted backends", () => {
+    expect(() =>
+      createChainBackend("mainnet", { CHAIN_BACKEND: "electrum" })
+    ).toThrow("ELECTRUM_HOST environment variable is required");
+    expect(() =>
+      createChainBackend("mainnet", { CHAIN_BACKEND: "bitcoind" })
+    ).toThrow("BITCOIN_RPC_URL environment variable is required");
+    expect(() =>
+      createChainBackend("mainnet", { CHAIN_BACKEND: "blockcypher" })
+    ).toThrow("Unsupported CHAIN_BACKEND");
+  });
+});
@@ -0,0 +1,469 @@
+import type { Socket } from "node:net";
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex } from "@noble/hashes/utils.js";
+import { ConfigurationError, UpstreamError } from "./errors.js";
+import { addressToOutputScript, type BitcoinNetwork } from "./networks.js";
+import type { Env } from "./validation.js";
+
+export interface AddressActivity {
+  /** Number of confirmed transactions touching the address */
+  confirmedTxCount: number;
+  /** Number of unconfirmed (mempool) transactions touching the address */
+  mempoolTxCount: number;
+  /** Satoshis received by the address in confirmed transactions */
+  confirmedReceivedSats: number;
+  /** Satoshis received by the address in mempool transactions */
+  mempoolReceivedSats: number;
+  /** The transactions paying the address, for the donation ledger (omitted by backends that cannot list them) */
+  receipts?: AddressReceipt[];
+}
+
+/**
+ * A transaction paying an address
+ */
+export interface AddressReceipt {
+  txid: string;
+  /** Satoshis the transaction paid to the address */
+  sats: number;
+  confirmed: boolean;
+}
+
+/**
+ * Total the amounts paid per transaction, keeping transactions in first-seen order
+ */
+function groupReceipts(
+  outputs: Array<{ txid: string; sats: number; confirmed: boolean }>
+): AddressReceipt[] {
+  const receipts = new Map<string, AddressReceipt>();
+  for (const output of outputs) {
+    const receipt = receipts.get(output.txid);
+    if (receipt) {
+      receipt.sats += output.sats;
+    } else {
+      receipts.set(output.txid, { ...output });
+    }
+  }
+  return [...receipts.values()];
+}
+
+/**
+ * A source of on-chain data for pool addresses
+ */
+export interface ChainBackend {
+  /** Short identifier used in logs */
+  readonly name: string;
+  /** Look up the transaction activity of a single address */
+  getAddressActivity(address: string): Promise<AddressActivity>;
+}
+
+export type ChainBackendType = "esplora" | "electrum" | "bitcoind";
+
+/**
+ * Public Esplora-compatible API (mempool.space) for each network
+ * Regtest has no public explorer, so it needs ESPLORA_URL or another backend
+ */
+const DEFAULT_ESPLORA_URLS: Record<BitcoinNetwork, string | null> = {
+  mainnet: "https://mempool.space/api",
+  testnet: "https://mempool.space/testnet/api",
+  signet: "https://mempool.space/signet/api",
+  regtest: null,
+};
+
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+
+/**
+ * Esplora REST API (Blockstream Esplora, mempool.space, self-hosted instances)
+ */
+export class EsploraBackend implements ChainBackend {
+  readonly name = "esplora";
+  private baseUrl: string;
+
+  constructor(baseUrl: string) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  async getAddressActivity(address: string): Promise<AddressActivity> {
+    const response = await fetch(`${this.baseUrl}/address/${address}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new UpstreamError(
+        "chain backend",
+        `Esplora API error: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    const confirmedTxCount = data.chain_stats?.tx_count ?? 0;
+    const mempoolTxCount = data.mempool_stats?.tx_count ?? 0;
+
+    return {
+      confirmedTxCount,
+      mempoolTxCount,
+      confirmedReceivedSats: data.chain_stats?.funded_txo_sum ?? 0,
+      mempoolReceivedSats: data.mempool_stats?.funded_txo_sum ?? 0,
+      // Unused addresses, the common case, need no second request
+      receipts:
+        confirmedTxCount + mempoolTxCount > 0
+          ? await this.getReceipts(address)
+          : [],
+    };
+  }
+
+  /**
+   * List the transactions paying an address
+   * Esplora returns the mempool transactions and the 25 most recent confirmed
+   * ones, which covers any donation address.
+   */
+  private async getReceipts(address: string): Promise<AddressReceipt[]> {
+    const response = await fetch(`${this.baseUrl}/address/${address}/txs`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new UpstreamError(
+        "chain backend",
+        `Esplora API error: ${response.status}`
+      );
+    }
+
+    const txs = (await response.json()) as Array<{
+      txid: string;
+      status: { confirmed: boolean };
+      vout: Array<{ scriptpubkey_address?: string; value: number }>;
+    }>;
+
+    return txs
+      .map((tx) => ({
+        txid: tx.txid,
+        sats: tx.vout
+          .filter((output) => output.scriptpubkey_address === address)
+          .reduce((sum, output) => sum + output.value, 0),
+        confirmed: tx.status.confirmed,
+      }))
+      .filter((receipt) => receipt.sats > 0);
+  }
+}
+
+/**
+ * Electrum protocol server (ElectrumX, Fulcrum, electrs)
+ * Opens a short-lived connection per lookup, which suits serverless runtimes.
+ * Needs raw TCP sockets, so it only works on Node-compatible runtimes.
+ */
+export class ElectrumBackend implements ChainBackend {
+  readonly name = "electrum";
+  private host: string;
+  private port: number;
+  private tls: boolean;
+  private network: BitcoinNetwork;
+
+  constructor(options: {
+    host: string;
+    port: number;
+    tls: boolean;
+    network: BitcoinNetwork;
+  }) {
+    this.host = options.host;
+    this.port = options.port;
+    this.tls = options.tls;
+    this.network = options.network;
+  }
+
+  /**
+   * Electrum lists unspent outputs rather than totals received, so outputs
+   * the address has already spent are not included in the amounts.
+   */
+  async getAddressActivity(address: string): Promise<AddressActivity> {
+    const scriptHash = electrumScriptHash(address, this.network);
+    const [history, unspents] = (await Promise.all([
+      this.request("blockchain.scripthash.get_history", [scriptHash]),
+      this.request("blockchain.scripthash.listunspent", [scriptHash]),
+    ])) as [
+      Array<{ tx_hash: string; height: number }>,
+      Array<{ tx_hash: string; height: number; value: number }>,
+    ];
+
+    // Height 0 (or -1 with unconfirmed parents) marks mempool transactions
+    const mempoolTxCount = history.filter((tx) => tx.height <= 0).length;
+    const receipts = groupReceipts(
+      unspents.map((utxo) => ({
+        txid: utxo.tx_hash,
+        sats: utxo.value,
+        confirmed: utxo.height > 0,
+      }))
+    );
+    const sum = (confirmed: boolean) =>
+      receipts
+        .filter((receipt) => receipt.confirmed === confirmed)
+        .reduce((total, receipt) => total + receipt.sats, 0);
+
+    return {
+      confirmedTxCount: history.length - mempoolTxCount,
+      mempoolTxCount,
+      confirmedReceivedSats: sum(true),
+      mempoolReceivedSats: sum(false),
+      receipts,
+    };
+  }
+
+  /**
+   * Send a single JSON-RPC call after the server.version handshake
+   */
+  private async request(method: string, params: unknown[]): Promise<unknown> {
+    // Loaded lazily so edge runtimes without node:net can still bundle this module
+    const { connect: connectTcp } = await import("node:net");
+    const { connect: connectTls } = await import("node:tls");
+
+    return new Promise((resolve, reject) => {
+      const socket: Socket = this.tls
+        ? connectTls({
+            host: this.host,
+            port: this.port,
+            servername: this.host,
+          })
+        : connectTcp({ host: this.host, port: this.port });
+
+      let buffer = "";
+      const fail = (error: Error) => {
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.setTimeout(REQUEST_TIMEOUT, () =>
+        fail(
+          new UpstreamError(
+            "chain backend",
+            `Electrum request timed out: ${method}`
+          )
+        )
+      );
+      socket.on("error", fail);
+      socket.on("close", () =>
+        reject(
+          new UpstreamError(
+            "chain backend",
+            `Electrum connection closed before ${method}`
+          )
+        )
+      );
+
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+
+        let newline: number;
+        while ((newline = buffer.indexOf("\n")) >= 0) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch {
+            // A broken server must not take the process down with it
+            fail(
+              new UpstreamError(
+                "chain backend",
+                `Electrum sent invalid JSON in reply to ${method}`
+              )
+            );
+            return;
+          }
+          if (message.id !== 2) continue; // Ignore the version handshake reply
+
+          socket.end();
+          if (message.error) {
+            reject(
+              new UpstreamError(
+                "chain backend",
+                `Electrum error: ${message.error.message ?? message.error}`
+              )
+            );
+          } else {
+            resolve(message.result);
+          }
+        }
+      });
+
+      const payload = [
+        {
+          jsonrpc: "2.0",
+          id: 1,
+          method: "server.version",
+          params: ["bitcoin-serverless-donations", "1.4"],
+        },
+        { jsonrpc: "2.0", id: 2, method, params },
+      ];
+      socket.write(payload.map((msg) => JSON.stringify(msg)).join("\n") + "\n");
+    });
+  }
+}
+
+/**
+ * Electrum script hash: sha256(scriptPubKey) with the bytes reversed, hex encoded
+ */
+export function electrumScriptHash(
+  address: string,
+  network: BitcoinNetwork
+): string {
+  const hash = sha256(addressToOutputScript(address, network));
+  return bytesToHex(hash.reverse());
+}
+
+/**
+ * Bitcoin Core JSON-RPC against a watch-only wallet
+ *
+ * The URL points at a wallet (`/wallet/<name>`) that the xpub's receive
+ * descriptor was imported into, so the node tracks mempool transactions and
+ * spent outputs as well. Addresses outside the imported range are refused
+ * rather than reported as unused.
+ */
+export class BitcoinCoreBackend implements ChainBackend {
+  readonly name = "bitcoind";
+  private url: string;
+  private authorization: string | null;
+
+  constructor(options: { url: string; user?: string; password?: string }) {
+    this.url = options.url;
+    this.authorization =
+      options.user !== undefined
+        ? `Basic ${btoa(`${options.user}:${options.password ?? ""}`)}`
+        : null;
+  }
+
+  async getAddressActivity(address: string): Promise<AddressActivity> {
+    // minconf 0, include_empty, include_watchonly, address_filter
+    const [received] = (await this.call("listreceivedbyaddress", [
+      0,
+      true,
+      true,
+      address,
+    ])) as Array<{ address: string; txids: string[] }>;
+    if (!received) {
+      throw new ConfigurationError(
+        `Address ${address} is not watched by the Bitcoin Core wallet; import the descriptor with a range covering it`
+      );
+    }
+
+    const outputs = [];
+    for (const txid of received.txids) {
+      const tx = (await this.call("gettransaction", [txid, true])) as {
+        confirmations: number;
+        details: Array<{ address?: string; category: string; amount: number }>;
+      };
+      // Negative confirmations mean the transaction conflicts with the chain
+      if (tx.confirmations < 0) continue;
+      for (const detail of tx.details) {
+        if (detail.category !== "receive" || detail.address !== address) {
+          continue;
+        }
+        // Amounts are in BTC; round each output to avoid float noise
+        outputs.push({
+          txid,
+          sats: Math.round(detail.amount * 100_000_000),
+          confirmed: tx.confirmations > 0,
+        });
+      }
+    }
+
+    const receipts = groupReceipts(outputs);
+    const confirmed = receipts.filter((receipt) => receipt.confirmed);
+    const mempool = receipts.filter((receipt) => !receipt.confirmed);
+    const total = (list: AddressReceipt[]) =>
+      list.reduce((sum, receipt) => sum + receipt.sats, 0);
+
+    return {
+      confirmedTxCount: confirmed.length,
+      mempoolTxCount: mempool.length,
+      confirmedReceivedSats: total(confirmed),
+      mempoolReceivedSats: total(mempool),
+      receipts,
+    };
+  }
+
+  private async call(method: string, params: unknown[]): Promise<unknown> {
+    const headers: Record<string, string> = {
+      "Content-Type": "application/json",
+    };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ jsonrpc: "1.0", id: method, method, params }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    // Bitcoin Core reports RPC errors with a 500 status and a JSON body
+    const data = await response.json().catch(() => null);
+    if (data?.error) {
+      throw new UpstreamError(
+        "chain backend",
+        `Bitcoin Core RPC error: ${data.error.message}`
+      );
+    }
+    if (!response.ok || !data) {
+      throw new UpstreamError(
+        "chain backend",
+        `Bitcoin Core RPC error: ${response.status}`
+      );
+    }
+
+    return data.result;
+  }
+}
+
+/**
+ * Build the chain backend selected by CHAIN_BACKEND (defaults to Esplora)
+ * @returns The backend, or null when the network has no default data source
+ */
+export function createChainBackend(
+  network: BitcoinNetwork,
+  env: Env = process.env
+): ChainBackend | null {
+  const type = (env.CHAIN_BACKEND || "esplora") as ChainBackendType;
+
+  switch (type) {
+    case "esplora": {
+      const baseUrl = env.ESPLORA_URL || DEFAULT_ESPLORA_URLS[network];
+      return baseUrl ? new EsploraBackend(baseUrl) : null;
+    }
+    case "electrum": {
+      if (!env.ELECTRUM_HOST) {
+        throw new ConfigurationError(
+          "ELECTRUM_HOST environment variable is required when CHAIN_BACKEND is electrum"
+        );
+      }
+      const tls = env.ELECTRUM_TLS !== "false";
+      return new ElectrumBackend({
+        host: env.ELECTRUM_HOST,
+        port: env.ELECTRUM_PORT
+          ? parseInt(env.ELECTRUM_PORT, 10)
+          : tls
+            ? 50002
+            : 50001,
+        tls,
+        network,
+      });
+    }
+    case "bitcoind": {
+      if (!env.BITCOIN_RPC_URL) {
+        throw new ConfigurationError(
+          "BITCOIN_RPC_URL environment variable is required when CHAIN_BACKEND is bitcoind"
+        );
+      }
+      return new BitcoinCoreBackend({
+        url: env.BITCOIN_RPC_URL,
+        user: env.BITCOIN_RPC_USER,
+        password: env.BITCOIN_RPC_PASSWORD,
+      });
+    }
+    default:
+      throw new ConfigurationError(
+        `Unsupported CHAIN_BACKEND: ${type}. Supported: esplora, electrum, bitcoind`
+      );
+  }
+}
@@ -0,0 +1,56 @@
+import { RequestError } from "./errors.js";
+import {
+  createPoolManager,
+  errorResponse,
+  jsonResponse,
+  rateLimitResponse,
+  type HandlerDeps,
+} from "./handler.js";
+
+/**
+ * Report payments received by an address served from the pool
+ *
+ * `address` is required. The response carries the status ("unpaid",
+ * "mempool" or "confirmed") and the amounts received so far in sats.
+ * Addresses the pool never served get a 404. A `campaign` address is checked
+ * against that campaign's pool. Requests count against the rate limits, since
+ * each one looks the address up with the chain backend.
+ */
+export async function handleCheckPayment(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const searchParams = new URL(request.url).searchParams;
+  const address = searchParams.get("address")?.trim();
+  if (!address) {
+    return errorResponse(
+      new RequestError("address query parameter is required")
+    );
+  }
+
+  try {
+    const limited = await rateLimitResponse(deps);
+    if (limited) {
+      return limited;
+    }
+
+    const poolManager = createPoolManager(deps, searchParams.get("campaign"));
+    const payment = await poolManager.checkPayment(address);
+    if (!payment) {
+      return errorResponse(
+        new RequestError("Unknown address", {
+          code: "unknown_address",
+          status: 404,
+        })
+      );
+    }
+
+    return jsonResponse({
+      ...payment,
+      amountSats: payment.confirmedSats + payment.mempoolSats,
+    });
+  } catch (error) {
+    console.error(`Failed to check payment for ${address}:`, error);
+    return errorResponse(error);
+  }
+}
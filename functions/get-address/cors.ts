@@ -0,0 +1,60 @@
+/**
+ * Cross-origin access to the routes
+ *
+ * Every route answers any origin unless ALLOWED_ORIGINS lists the sites that
+ * embed the widget (e.g. "https://example.com,https://www.example.com").
+ */
+
+import { RequestError } from "./errors.js";
+import { errorResponse, type HandlerDeps } from "./handler.js";
+import type { RouteHandler } from "./router.js";
+import type { Env } from "./validation.js";
+
+/**
+ * Parse ALLOWED_ORIGINS into normalized origins
+ * @returns The allowed origins, or null when any origin is allowed
+ */
+export function allowedOrigins(env: Env): string[] | null {
+  const origins = (env.ALLOWED_ORIGINS ?? "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, "").toLowerCase())
+    .filter(Boolean);
+  return origins.length === 0 || origins.includes("*") ? null : origins;
+}
+
+/**
+ * Run a route with the CORS headers ALLOWED_ORIGINS calls for
+ * Browser requests from an origin that is not listed are refused with a 403
+ * before the route runs, so other sites cannot spend the endpoint's lookups.
+ * Requests without an Origin header (same-origin GETs, servers) are served.
+ */
+export async function withCors(
+  route: RouteHandler,
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const origins = allowedOrigins(deps.env);
+  if (!origins) {
+    return route(request, deps);
+  }
+
+  const origin = request.headers.get("Origin");
+  const allowed = !!origin && origins.includes(origin.toLowerCase());
+  const response =
+    origin && !allowed
+      ? errorResponse(
+          new RequestError("Origin not allowed", {
+            code: "origin_not_allowed",
+            status: 403,
+          })
+        )
+      : await route(request, deps);
+
+  if (allowed) {
+    response.headers.set("Access-Control-Allow-Origin", origin);
+  } else {
+    response.headers.delete("Access-Control-Allow-Origin");
+  }
+  response.headers.append("Vary", "Origin");
+  return response;
+}
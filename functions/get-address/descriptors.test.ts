@@ -0,0 +1,229 @@
+/**
+ * Tests for output descriptor parsing and the BIP380 checksum
+ *
+ * Keys are the BIP44/49/84/86 test vectors in descriptor (xpub) form, from the
+ * "abandon ... about" mnemonic with master fingerprint 73c5da0a.
+ */
+
+import { describe, it, expect } from "vitest";
+import { deriveAddress, deriveMultisigAddress } from "./address-pool.ts";
+import {
+  descriptorChecksum,
+  parseDescriptor,
+  parseMultisigDescriptor,
+} from "./descriptors.ts";
+import { validateBitcoinEnvironment } from "./validation.ts";
+
+const BIP84_XPUB =
+  "xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V";
+const BIP84_DESCRIPTOR = `wpkh([73c5da0a/84'/0'/0']${BIP84_XPUB}/0/*)#wc3n3van`;
+
+// BIP48 P2WSH account keys of the BIP32 test vector 1, 2 and 3 seeds (see multisig-derivation.test.ts)
+const MULTISIG_XPUBS = [
+  "xpub6E64WfdQwBGz85XhbZryr9gUGUPBgoSu5WV6tJWpzAvgAmpVpdPHkT3XYm9R5J6MeWzvLQoz4q845taC9Q28XutbptxAmg7q8QPkjvTL4oi",
+  "xpub6DwQ4gBCmJZM3TaKogP41tpjuEwnMH2nWEi3PFev37LfsWPvjZrh1GfAG8xvoDYMPWGKG1oBPMCfKpkVbJtUHRaqRdCb6X6o1e9PQTVK88a",
+  "xpub6DuE9tmT2f7qUpcAK7bBvrhS1uf8x2c4paV6tdGRD1htEcueVE2xk9ynFQfQZMK7tNNfhspnFQsd6HkJnhGzkZyDVhdCvcBsf3fenyt5qde",
+];
+const MULTISIG_DESCRIPTOR = `wsh(sortedmulti(2,[3442193e/48'/0'/0'/2']${MULTISIG_XPUBS[0]}/0/*,[bd16bee5/48'/0'/0'/2']${MULTISIG_XPUBS[1]}/0/*,[41d63b50/48'/0'/0'/2']${MULTISIG_XPUBS[2]}/0/*))#n8f4rklh`;
+const MULTISIG_FIRST_ADDRESS =
+  "bc1q2drk5mz22swkwv86g5aq6hh77j5x6q0uynvrt45a3g5n3vm200tq3yt6rq";
+
+describe("descriptorChecksum", () => {
+  it("matches BIP380 and Bitcoin Core examples", () => {
+    expect(descriptorChecksum("raw(deadbeef)")).toBe("89f8spxm");
+    expect(
+      descriptorChecksum(
+        "wpkh([d34db33f/84h/0h/0h]xpub6DJ2dNUysrn5Vt36jH2KLBT2i1auw1tTSSomg8PhqNiUtx8QX2SvC9nrHu81fT41fvDUnhMjEzQgXnQjKEu3oaqMSzhSrHMxyyoEAmUHQbY/0/*)"
+      )
+    ).toBe("cjjspncu");
+  });
+});
+
+describe("parseDescriptor", () => {
+  it("reads the script type, key origin and receive branch", () => {
+    expect(parseDescriptor(BIP84_DESCRIPTOR)).toEqual({
+      scriptType: "wpkh",
+      purpose: 84,
+      xpub: BIP84_XPUB,
+      origin: { fingerprint: "73c5da0a", path: "m/84'/0'/0'" },
+      receiveBranch: [0],
+    });
+  });
+
+  it.each([
+    [
+      "sh(wpkh([73c5da0a/49'/0'/0']xpub6C6nQwHaWbSrzs5tZ1q7m5R9cPK9eYpNMFesiXsYrgc1P8bvLLAet9JfHjYXKjToD8cBRswJXXbbFpXgwsswVPAZzKMa1jUp2kVkGVUaJa7/0/*))#gvfpdstz",
+      "37VucYSaXLCAsxYyAPfbSi9eh4iEcbShgf",
+    ],
+    [
+      "tr([73c5da0a/86'/0'/0']xpub6BgBgsespWvERF3LHQu6CnqdvfEvtMcQjYrcRzx53QJjSxarj2afYWcLteoGVky7D3UKDP9QyrLprQ3VCECoY49yfdDEHGCtMMj92pReUsQ/0/*)#rg247h69",
+      "bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr",
+    ],
+    [
+      "pkh([73c5da0a/44'/0'/0']xpub6BosfCnifzxcFwrSzQiqu2DBVTshkCXacvNsWGYJVVhhawA7d4R5WSWGFNbi8Aw6ZRc1brxMyWMzG3DSSSSoekkudhUd9yLb6qx39T9nMdj/0/*)#8w4z8fed",
+      "1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA",
+    ],
+    [BIP84_DESCRIPTOR, "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu"],
+  ])("derives the BIP test vector from %s", (descriptor, firstAddress) => {
+    const { xpub, purpose, receiveBranch } = parseDescriptor(descriptor);
+    expect(deriveAddress(xpub, purpose, 0, "mainnet", receiveBranch)).toBe(
+      firstAddress
+    );
+  });
+
+  it("takes the receiving branch of a multipath descriptor", () => {
+    const parsed = parseDescriptor(
+      `wpkh([73c5da0a/84h/0h/0h]${BIP84_XPUB}/<0;1>/*)#qf45pmyh`
+    );
+    expect(parsed.receiveBranch).toEqual([0]);
+    expect(parsed.origin?.path).toBe("m/84'/0'/0'");
+  });
+
+  it("accepts descriptors without a checksum", () => {
+    expect(parseDescriptor(`wpkh(${BIP84_XPUB}/0/*)`).origin).toBeNull();
+  });
+
+  it.each([
+    [
+      BIP84_DESCRIPTOR.replace("wc3n3van", "wc3n3vaa"),
+      "checksum does not match",
+    ],
+    [`wpkh(${BIP84_XPUB}/0/5)`, "must be ranged"],
+    [`wpkh(${BIP84_XPUB}/0'/*)`, "only unhardened derivation"],
+    [`wpkh(${BIP84_XPUB}/0/*')`, "Hardened descriptor wildcards"],
+    [`wsh(pk(${BIP84_XPUB}/0/*))`, "Unsupported descriptor"],
+    [
+      "wpkh(xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi/0/*)",
+      "private key",
+    ],
+  ])("rejects %s", (descriptor, message) => {
+    expect(() => parseDescriptor(descriptor)).toThrow(message);
+  });
+});
+
+describe("validateBitcoinEnvironment with BITCOIN_DESCRIPTOR", () => {
+  it("takes the network from the key origin", () => {
+    expect(
+      validateBitcoinEnvironment({ BITCOIN_DESCRIPTOR: BIP84_DESCRIPTOR })
+    ).toEqual({
+      xpub: BIP84_XPUB,
+      derivationPath: "m/84'/0'/0'",
+      network: "mainnet",
+      gapLimit: undefined,
+      purpose: 84,
+      receiveBranch: [0],
+    });
+  });
+
+  it("rejects a descriptor combined with an xpub", () => {
+    expect(() =>
+      validateBitcoinEnvironment({
+        BITCOIN_DESCRIPTOR: BIP84_DESCRIPTOR,
+        BITCOIN_XPUB: BIP84_XPUB,
+      })
+    ).toThrow("not both");
+  });
+
+  it("reports the descriptor error", () => {
+    expect(() =>
+      validateBitcoinEnvironment({ BITCOIN_DESCRIPTOR: "wpkh(nonsense)" })
+    ).toThrow("BITCOIN_DESCRIPTOR is invalid");
+  });
+});
+
+describe("parseMultisigDescriptor", () => {
+  const keyList = MULTISIG_XPUBS.map((xpub) => `${xpub}/0/*`).join(",");
+
+  it("reads the script type, threshold, keys and origins", () => {
+    const { policy, origins } = parseMultisigDescriptor(MULTISIG_DESCRIPTOR);
+
+    expect(policy).toEqual({
+      scriptType: "wsh",
+      threshold: 2,
+      keys: MULTISIG_XPUBS.map((xpub) => ({ xpub, receiveBranch: [0] })),
+      sorted: true,
+    });
+    expect(origins.map((origin) => origin?.fingerprint)).toEqual([
+      "3442193e",
+      "bd16bee5",
+      "41d63b50",
+    ]);
+    expect(deriveMultisigAddress(policy, 0)).toBe(MULTISIG_FIRST_ADDRESS);
+  });
+
+  it("reads nested and Taproot multisig", () => {
+    expect(
+      parseMultisigDescriptor(`sh(wsh(multi(1,${keyList})))`).policy
+    ).toMatchObject({ scriptType: "sh-wsh", threshold: 1, sorted: false });
+
+    const nums =
+      "50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0";
+    expect(
+      parseMultisigDescriptor(`tr(${nums},sortedmulti_a(2,${keyList}))`).policy
+    ).toMatchObject({ scriptType: "tr", sorted: true, internalKey: nums });
+  });
+
+  it.each([
+    [`wsh(sortedmulti(4,${keyList}))`, "threshold must be between 1 and"],
+    [`wsh(sortedmulti_a(2,${keyList}))`, "only valid in tr()"],
+    [`tr(${MULTISIG_XPUBS[0]}/0/*,sortedmulti(2,${keyList}))`, "only valid in"],
+    [`sh(sortedmulti(2,${keyList}))`, "Unsupported multisig descriptor"],
+    [
+      `tr(${MULTISIG_XPUBS[0]}/0/*,{pk(${MULTISIG_XPUBS[1]}/0/*),multi_a(1,${keyList})})`,
+      "single multi_a() or sortedmulti_a() leaf",
+    ],
+    [
+      `wsh(sortedmulti(2,${keyList.replace("/0/*,", "/0/5,")}))`,
+      "must be ranged",
+    ],
+  ])("rejects %s", (descriptor, message) => {
+    expect(() => parseMultisigDescriptor(descriptor)).toThrow(message);
+  });
+});
+
+describe("validateBitcoinEnvironment for multisig", () => {
+  it("accepts a multisig BITCOIN_DESCRIPTOR", () => {
+    const config = validateBitcoinEnvironment({
+      BITCOIN_DESCRIPTOR: MULTISIG_DESCRIPTOR,
+    });
+
+    expect(config).toMatchObject({
+      derivationPath: "m/48'/0'/0'/2'",
+      network: "mainnet",
+    });
+    expect(deriveMultisigAddress(config.multisig!, 0, config.network)).toBe(
+      MULTISIG_FIRST_ADDRESS
+    );
+  });
+
+  it("accepts BIP48 xpubs with a threshold", () => {
+    const config = validateBitcoinEnvironment({
+      BITCOIN_XPUB: MULTISIG_XPUBS.join(", "),
+      BITCOIN_DERIVATION_PATH: "m/48'/0'/0'/2'",
+      BITCOIN_MULTISIG_THRESHOLD: "2",
+    });
+
+    expect(config.multisig).toEqual(
+      parseMultisigDescriptor(MULTISIG_DESCRIPTOR).policy
+    );
+  });
+
+  it.each([
+    [{ BITCOIN_MULTISIG_THRESHOLD: "4" }, "BITCOIN_MULTISIG_THRESHOLD must be"],
+    [
+      { BITCOIN_MULTISIG_THRESHOLD: undefined },
+      "BITCOIN_MULTISIG_THRESHOLD must be",
+    ],
+    [{ BITCOIN_DERIVATION_PATH: "m/48'/0'/0'/3'" }, "BIP48 script type"],
+    [{ BITCOIN_DERIVATION_PATH: "m/84'/0'/0'" }, "Multisig needs a BIP48"],
+  ])("rejects %o", (overrides, message) => {
+    expect(() =>
+      validateBitcoinEnvironment({
+        BITCOIN_XPUB: MULTISIG_XPUBS.join(","),
+        BITCOIN_DERIVATION_PATH: "m/48'/0'/0'/2'",
+        BITCOIN_MULTISIG_THRESHOLD: "2",
+        ...overrides,
+      })
+    ).toThrow(message);
+  });
+});
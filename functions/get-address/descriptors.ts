@@ -0,0 +1,293 @@
+/**
+ * Output descriptors (BIP380)
+ * Supports pkh(), sh(wpkh()), wpkh() and key-path-only tr() with an extended
+ * public key, an optional key origin and a ranged receive branch, plus
+ * multisig wallets (BIP383/BIP387) in wsh(), sh(wsh()) and tr().
+ */
+
+import type { MultisigPolicy, MultisigScriptType } from "./address-pool.js";
+
+export type DescriptorScriptType = "pkh" | "sh-wpkh" | "wpkh" | "tr";
+
+/**
+ * BIP purpose with the same address type as each script type
+ */
+const SCRIPT_TYPE_PURPOSES: Record<DescriptorScriptType, number> = {
+  pkh: 44,
+  "sh-wpkh": 49,
+  wpkh: 84,
+  tr: 86,
+};
+
+// Checksum alphabet and generator from BIP380
+const INPUT_CHARSET =
+  "0123456789()[],'/*abcdefgh@:$%{}" +
+  "IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~" +
+  'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATOR = [
+  0xf5dee51989n,
+  0xa9fdca3312n,
+  0x1bab10e32dn,
+  0x3706b1677an,
+  0x644d626ffdn,
+];
+
+export interface ParsedMultisigDescriptor {
+  policy: MultisigPolicy;
+  /** Key origin of each multisig key, in descriptor order */
+  origins: ParsedDescriptor["origin"][];
+}
+
+export interface ParsedDescriptor {
+  scriptType: DescriptorScriptType;
+  /** BIP44/49/84/86 purpose matching the script type */
+  purpose: number;
+  /** Extended public key the addresses are derived from */
+  xpub: string;
+  /** Key origin: master key fingerprint and path to the xpub, if given */
+  origin: { fingerprint: string; path: string } | null;
+  /** Unhardened steps between the xpub and the address index, e.g. [0] for /0/* */
+  receiveBranch: number[];
+}
+
+function polymod(symbols: number[]): bigint {
+  let chk = 1n;
+  for (const value of symbols) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < 5; i++) {
+      if ((top >> BigInt(i)) & 1n) {
+        chk ^= GENERATOR[i];
+      }
+    }
+  }
+  return chk;
+}
+
+/**
+ * Compute the 8-character BIP380 checksum of a descriptor (without "#")
+ */
+export function descriptorChecksum(descriptor: string): string {
+  const symbols: number[] = [];
+  let groups: number[] = [];
+
+  for (const char of descriptor) {
+    const value = INPUT_CHARSET.indexOf(char);
+    if (value < 0) {
+      throw new Error(`Invalid character in descriptor: ${char}`);
+    }
+    symbols.push(value & 31);
+    groups.push(value >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups = [];
+    }
+  }
+  if (groups.length === 1) {
+    symbols.push(groups[0]);
+  } else if (groups.length === 2) {
+    symbols.push(groups[0] * 3 + groups[1]);
+  }
+
+  const checksum = polymod([...symbols, 0, 0, 0, 0, 0, 0, 0, 0]) ^ 1n;
+  let result = "";
+  for (let i = 0; i < 8; i++) {
+    result += CHECKSUM_CHARSET[Number((checksum >> BigInt(5 * (7 - i))) & 31n)];
+  }
+  return result;
+}
+
+/**
+ * Split off the script wrapper, e.g. "sh(wpkh(KEY))" -> ["sh-wpkh", "KEY"]
+ */
+function unwrapScript(body: string): [DescriptorScriptType, string] {
+  const nested = body.match(/^sh\(wpkh\((.*)\)\)$/);
+  if (nested) {
+    return ["sh-wpkh", nested[1]];
+  }
+
+  const match = body.match(/^(pkh|wpkh|tr)\((.*)\)$/);
+  if (!match) {
+    throw new Error(
+      "Unsupported descriptor: expected pkh(), sh(wpkh()), wpkh() or tr() with a single key"
+    );
+  }
+  if (match[1] === "tr" && match[2].includes(",")) {
+    throw new Error("Taproot descriptors with script trees are not supported");
+  }
+  return [match[1] as DescriptorScriptType, match[2]];
+}
+
+/**
+ * Verify and strip the optional "#checksum" suffix
+ */
+function stripChecksum(descriptor: string): string {
+  const [body, checksum, ...rest] = descriptor.trim().split("#");
+  if (rest.length > 0) {
+    throw new Error("Invalid descriptor: more than one '#'");
+  }
+  if (checksum !== undefined && checksum !== descriptorChecksum(body)) {
+    throw new Error(
+      "Descriptor checksum does not match - copy the descriptor again from your wallet"
+    );
+  }
+  return body;
+}
+
+/**
+ * Parse a ranged key expression such as [d34db33f/84'/0'/0']xpub.../0/*
+ */
+function parseKeyExpression(
+  keyExpression: string
+): Pick<ParsedDescriptor, "xpub" | "origin" | "receiveBranch"> {
+  const match = keyExpression.match(
+    /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['hH]?)*)\])?([1-9A-HJ-NP-Za-km-z]+)((?:\/[^/]+)*)$/
+  );
+  if (!match) {
+    throw new Error(`Invalid descriptor key expression: ${keyExpression}`);
+  }
+  const [, fingerprint, originPath, xpub, keyPath] = match;
+
+  if (/^[a-zA-Z]prv/.test(xpub)) {
+    throw new Error(
+      "Descriptor contains a private key - use the public (xpub) descriptor"
+    );
+  }
+  if (!/^[a-zA-Z]pub/.test(xpub)) {
+    throw new Error("Descriptor key must be an extended public key (xpub)");
+  }
+
+  // Everything after the key must be unhardened steps ending in /*
+  const steps = keyPath.split("/").slice(1);
+  const wildcard = steps.pop();
+  if (wildcard === "*'" || wildcard === "*h" || wildcard === "*H") {
+    throw new Error(
+      "Hardened descriptor wildcards cannot be derived from an xpub"
+    );
+  }
+  if (wildcard !== "*") {
+    throw new Error(
+      "Descriptor must be ranged (end in /*) so fresh addresses can be derived"
+    );
+  }
+  const receiveBranch = steps.map((step) => {
+    const multipath = step.match(/^<(\d+)(?:;\d+)+>$/);
+    if (multipath) {
+      return parseInt(multipath[1], 10);
+    }
+    if (!/^\d+$/.test(step)) {
+      throw new Error(
+        `Unsupported descriptor step "${step}": only unhardened derivation is possible from an xpub`
+      );
+    }
+    return parseInt(step, 10);
+  });
+
+  return {
+    xpub,
+    origin: fingerprint
+      ? {
+          fingerprint: fingerprint.toLowerCase(),
+          path: `m${originPath.replace(/[hH]/g, "'")}`,
+        }
+      : null,
+    receiveBranch,
+  };
+}
+
+/**
+ * Parse a descriptor such as wpkh([d34db33f/84'/0'/0']xpub.../0/*)#checksum
+ * The checksum is optional, but must match when present. Multipath branches
+ * (BIP389, e.g. /<0;1>/*) resolve to their first, receiving, branch.
+ */
+export function parseDescriptor(descriptor: string): ParsedDescriptor {
+  const [scriptType, keyExpression] = unwrapScript(stripChecksum(descriptor));
+
+  return {
+    scriptType,
+    purpose: SCRIPT_TYPE_PURPOSES[scriptType],
+    ...parseKeyExpression(keyExpression),
+  };
+}
+
+/**
+ * Whether a descriptor is a multisig one, for parseMultisigDescriptor()
+ */
+export function isMultisigDescriptor(descriptor: string): boolean {
+  return /multi(_a)?\(/.test(descriptor);
+}
+
+/**
+ * Parse a multisig descriptor: wsh() or sh(wsh()) around multi()/sortedmulti(),
+ * or tr(INTERNAL_KEY, multi_a()/sortedmulti_a()) with the multisig as the only leaf.
+ * Every key must be ranged; the Taproot internal key may instead be a fixed
+ * (e.g. provably unspendable) hex key.
+ */
+export function parseMultisigDescriptor(
+  descriptor: string
+): ParsedMultisigDescriptor {
+  const body = stripChecksum(descriptor);
+
+  let scriptType: MultisigScriptType;
+  let script: string;
+  let internalKey: string | undefined;
+  let match: RegExpMatchArray | null;
+  if ((match = body.match(/^sh\(wsh\((.*)\)\)$/))) {
+    [scriptType, script] = ["sh-wsh", match[1]];
+  } else if ((match = body.match(/^wsh\((.*)\)$/))) {
+    [scriptType, script] = ["wsh", match[1]];
+  } else if ((match = body.match(/^tr\(([^,{}]+),(.*)\)$/))) {
+    [scriptType, internalKey, script] = ["tr", match[1], match[2]];
+  } else {
+    throw new Error(
+      "Unsupported multisig descriptor: expected wsh(), sh(wsh()) or tr() around a multisig"
+    );
+  }
+
+  const multi = script.match(/^(sorted)?multi(_a)?\((\d+),(.*)\)$/);
+  if (!multi) {
+    throw new Error(
+      scriptType === "tr"
+        ? "Taproot multisig must be a single multi_a() or sortedmulti_a() leaf"
+        : "Expected multi() or sortedmulti() inside wsh()"
+    );
+  }
+  const [, sorted, tapscript, thresholdText, keyList] = multi;
+  if (Boolean(tapscript) !== (scriptType === "tr")) {
+    throw new Error(
+      "multi_a() and sortedmulti_a() are only valid in tr(), multi() and sortedmulti() only in wsh()"
+    );
+  }
+
+  const keys = keyList.split(",").map(parseKeyExpression);
+  const threshold = parseInt(thresholdText, 10);
+  // Bitcoin Core's limits: 20 keys for CHECKMULTISIG, 999 for multi_a
+  const maxKeys = tapscript ? 999 : 20;
+  if (keys.length > maxKeys) {
+    throw new Error(`Too many multisig keys: at most ${maxKeys} are allowed`);
+  }
+  if (threshold < 1 || threshold > keys.length) {
+    throw new Error(
+      `Multisig threshold must be between 1 and the number of keys (${keys.length})`
+    );
+  }
+
+  const policy: MultisigPolicy = {
+    scriptType,
+    threshold,
+    keys: keys.map(({ xpub, receiveBranch }) => ({ xpub, receiveBranch })),
+    sorted: Boolean(sorted),
+  };
+  if (internalKey !== undefined) {
+    const fixedKey = internalKey.match(/^(?:0[23])?([0-9a-fA-F]{64})$/);
+    if (fixedKey) {
+      policy.internalKey = fixedKey[1].toLowerCase();
+    } else {
+      const { xpub, receiveBranch } = parseKeyExpression(internalKey);
+      policy.internalKey = { xpub, receiveBranch };
+    }
+  }
+
+  return { policy, origins: keys.map((key) => key.origin) };
+}
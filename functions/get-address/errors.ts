@@ -0,0 +1,126 @@
+/**
+ * Errors the handlers turn into HTTP responses
+ *
+ * Each class carries a stable `code` for clients to branch on and the HTTP
+ * status to answer with. `message` is for the logs and may name environment
+ * variables, hosts or upstream replies; clients only see `publicMessage`.
+ */
+
+export interface BackendErrorOptions {
+  code: string;
+  status: number;
+  /** What the client is told (defaults to the message) */
+  publicMessage?: string;
+  cause?: unknown;
+}
+
+/**
+ * Base class, also used directly for one-off client errors such as 401 or 409
+ */
+export class BackendError extends Error {
+  readonly code: string;
+  readonly status: number;
+  readonly publicMessage: string;
+
+  constructor(message: string, options: BackendErrorOptions) {
+    super(message, { cause: options.cause });
+    this.name = new.target.name;
+    this.code = options.code;
+    this.status = options.status;
+    this.publicMessage = options.publicMessage ?? message;
+  }
+}
+
+/**
+ * A problem with the request itself; the message is shown to the client
+ */
+export class RequestError extends BackendError {
+  constructor(
+    message: string,
+    options: Partial<Pick<BackendErrorOptions, "code" | "status">> = {}
+  ) {
+    super(message, {
+      code: options.code ?? "invalid_request",
+      status: options.status ?? 400,
+    });
+  }
+}
+
+/**
+ * Missing or invalid environment variables
+ */
+export class ConfigurationError extends BackendError {
+  constructor(message: string, options: { cause?: unknown } = {}) {
+    super(message, {
+      code: "configuration_error",
+      status: 500,
+      publicMessage: "The donation backend is not configured correctly",
+      cause: options.cause,
+    });
+  }
+}
+
+/**
+ * Deriving an address from the configured keys failed
+ */
+export class DerivationError extends BackendError {
+  constructor(message: string, options: { cause?: unknown } = {}) {
+    super(message, {
+      code: "derivation_failed",
+      status: 500,
+      publicMessage: "Could not derive a donation address",
+      cause: options.cause,
+    });
+  }
+}
+
+/**
+ * The pool store failed or stayed contended; usually passes, hence 503
+ */
+export class StorageError extends BackendError {
+  constructor(message: string, options: { cause?: unknown } = {}) {
+    super(message, {
+      code: "storage_unavailable",
+      status: 503,
+      publicMessage: "Storage is temporarily unavailable",
+      cause: options.cause,
+    });
+  }
+}
+
+/**
+ * A chain backend, price source or Lightning service failed or answered badly
+ */
+export class UpstreamError extends BackendError {
+  /** Which kind of service failed, e.g. "chain backend" */
+  readonly service: string;
+
+  constructor(
+    service: string,
+    message: string,
+    options: { cause?: unknown } = {}
+  ) {
+    super(message, {
+      code: "upstream_error",
+      status: 502,
+      publicMessage: `The ${service} did not answer correctly`,
+      cause: options.cause,
+    });
+    this.service = service;
+  }
+}
+
+/**
+ * Pass typed errors through and wrap anything else (network failures,
+ * timeouts, malformed JSON) as a failure of `service`
+ */
+export function toUpstreamError(error: unknown, service: string): BackendError {
+  if (error instanceof BackendError) {
+    return error;
+  }
+  return new UpstreamError(
+    service,
+    error instanceof Error ? error.message : String(error),
+    { cause: error }
+  );
+}
@@ -0,0 +1,835 @@
+/**
+ * Tests for the runtime-neutral get-address, check-payment, stats, price, admin and verify handlers
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { ed25519 } from "@noble/curves/ed25519.js";
+import { hexToBytes } from "@noble/hashes/utils.js";
+import { deriveAddress } from "./address-pool.ts";
+import { handleAdmin } from "./admin-handler.ts";
+import type { AddressActivity, ChainBackend } from "./chain-backends.ts";
+import { handleCheckPayment } from "./check-payment-handler.ts";
+import { handleGetAddress } from "./handler.ts";
+import { handlePrice } from "./price-handler.ts";
+import { handleStats } from "./stats-handler.ts";
+import { MemoryStore } from "./storage.ts";
+import { handleVerify } from "./verify-handler.ts";
+import { signedAddressMessage } from "./signing.ts";
+
+const ENV = {
+  BITCOIN_XPUB:
+    "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs",
+  BITCOIN_DERIVATION_PATH: "m/84'/0'/0'",
+};
+
+// RFC 8032 test vector 1
+const SIGNING_KEY =
+  "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60";
+const SIGNING_PUBLIC_KEY =
+  "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a";
+
+const request = () => new Request("http://localhost/get-address");
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("handleGetAddress", () => {
+  it("serves the first pool address as JSON", async () => {
+    const response = await handleGetAddress(request(), {
+      env: ENV,
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toBe("application/json");
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+    expect(await response.json()).toEqual({
+      address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      uri: "bitcoin:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+    });
+  });
+
+  it("persists the pool in the injected store", async () => {
+    const store = new MemoryStore();
+    const deps = { env: ENV, store, chainBackend: null };
+
+    const first = await (await handleGetAddress(request(), deps)).json();
+    const second = await (await handleGetAddress(request(), deps)).json();
+
+    expect(second).toEqual(first);
+  });
+
+  it("builds a BIP21 URI from query parameters", async () => {
+    const response = await handleGetAddress(
+      new Request(
+        "http://localhost/get-address?amount=0.00100&label=Tom%27s%20Fund&message=Tier%201%20%26%20thanks"
+      ),
+      { env: ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).uri).toBe(
+      "bitcoin:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu?amount=0.001&label=Tom's%20Fund&message=Tier%201%20%26%20thanks"
+    );
+  });
+
+  it("rejects invalid amounts", async () => {
+    const response = await handleGetAddress(
+      new Request("http://localhost/get-address?amount=0.000000001"),
+      { env: ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain("Invalid amount");
+  });
+
+  it("reports missing configuration without revealing it", async () => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const response = await handleGetAddress(request(), {
+      env: {},
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({
+      error: "The donation backend is not configured correctly",
+      code: "configuration_error",
+    });
+    // The details go to the logs
+    expect(log.mock.calls[0][1].message).toContain(
+      "BITCOIN_XPUB environment variable is required"
+    );
+  });
+
+  it("reports storage failures as 503", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const store = new MemoryStore();
+    vi.spyOn(store, "getWithVersion").mockRejectedValue(
+      new Error("connect ECONNREFUSED 10.0.0.5:6379")
+    );
+
+    const response = await handleGetAddress(request(), {
+      env: ENV,
+      store,
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toEqual({
+      error: "Storage is temporarily unavailable",
+      code: "storage_unavailable",
+    });
+  });
+
+  it("derives from BITCOIN_DESCRIPTOR instead of an xpub and path", async () => {
+    const response = await handleGetAddress(request(), {
+      env: {
+        BITCOIN_DESCRIPTOR:
+          "wpkh([73c5da0a/84'/0'/0']xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V/0/*)#wc3n3van",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect((await response.json()).address).toBe(
+      "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu"
+    );
+  });
+
+  it("derives multisig addresses from BIP48 xpubs", async () => {
+    const response = await handleGetAddress(request(), {
+      env: {
+        BITCOIN_XPUB: [
+          "xpub6E64WfdQwBGz85XhbZryr9gUGUPBgoSu5WV6tJWpzAvgAmpVpdPHkT3XYm9R5J6MeWzvLQoz4q845taC9Q28XutbptxAmg7q8QPkjvTL4oi",
+          "xpub6DwQ4gBCmJZM3TaKogP41tpjuEwnMH2nWEi3PFev37LfsWPvjZrh1GfAG8xvoDYMPWGKG1oBPMCfKpkVbJtUHRaqRdCb6X6o1e9PQTVK88a",
+          "xpub6DuE9tmT2f7qUpcAK7bBvrhS1uf8x2c4paV6tdGRD1htEcueVE2xk9ynFQfQZMK7tNNfhspnFQsd6HkJnhGzkZyDVhdCvcBsf3fenyt5qde",
+        ].join(","),
+        BITCOIN_DERIVATION_PATH: "m/48'/0'/0'/2'",
+        BITCOIN_MULTISIG_THRESHOLD: "2",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect((await response.json()).address).toBe(
+      "bc1q2drk5mz22swkwv86g5aq6hh77j5x6q0uynvrt45a3g5n3vm200tq3yt6rq"
+    );
+  });
+
+  it("serves each campaign from its own index range", async () => {
+    const store = new MemoryStore();
+    const deps = {
+      env: { ...ENV, BITCOIN_CAMPAIGNS: "spring=1000, gala=2000" },
+      store,
+      chainBackend: null,
+    };
+    const campaignRequest = (campaign: string) =>
+      new Request(`http://localhost/get-address?campaign=${campaign}`);
+
+    const spring = await (
+      await handleGetAddress(campaignRequest("spring"), deps)
+    ).json();
+    const gala = await (
+      await handleGetAddress(campaignRequest("gala"), deps)
+    ).json();
+    const main = await (await handleGetAddress(request(), deps)).json();
+
+    expect(spring.address).toBe(deriveAddress(ENV.BITCOIN_XPUB, 84, 1000));
+    expect(gala.address).toBe(deriveAddress(ENV.BITCOIN_XPUB, 84, 2000));
+    expect(main.address).toBe("bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu");
+  });
+
+  it("rejects campaigns missing from BITCOIN_CAMPAIGNS", async () => {
+    const unlisted = await handleGetAddress(
+      new Request("http://localhost/get-address?campaign=winter"),
+      {
+        env: { ...ENV, BITCOIN_CAMPAIGNS: "spring=1000" },
+        store: new MemoryStore(),
+        chainBackend: null,
+      }
+    );
+    const unconfigured = await handleGetAddress(
+      new Request("http://localhost/get-address?campaign=spring"),
+      { env: ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(unlisted.status).toBe(400);
+    expect(await unlisted.json()).toEqual({
+      error: 'Unknown campaign "winter"',
+      code: "unknown_campaign",
+    });
+    expect(unconfigured.status).toBe(400);
+  });
+
+  it("does not take inherited property names for campaigns", async () => {
+    const response = await handleGetAddress(
+      new Request("http://localhost/get-address?campaign=toString"),
+      {
+        env: { ...ENV, BITCOIN_CAMPAIGNS: "spring=1000" },
+        store: new MemoryStore(),
+        chainBackend: null,
+      }
+    );
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe("unknown_campaign");
+  });
+
+  it.each([
+    ["a missing start index", "spring"],
+    ["an uppercase name", "Spring=1000"],
+    ["start index 0", "spring=0"],
+    ["a repeated start index", "spring=1000,gala=1000"],
+  ])("rejects BITCOIN_CAMPAIGNS with %s", async (_, campaigns) => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const response = await handleGetAddress(request(), {
+      env: { ...ENV, BITCOIN_CAMPAIGNS: campaigns },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).code).toBe("configuration_error");
+    expect(log.mock.calls[0][1].message).toContain("BITCOIN_CAMPAIGNS");
+  });
+
+  it("rejects an invalid gap limit", async () => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const response = await handleGetAddress(request(), {
+      env: { ...ENV, BITCOIN_GAP_LIMIT: "0" },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).code).toBe("configuration_error");
+    expect(log.mock.calls[0][1].message).toBe(
+      "BITCOIN_GAP_LIMIT must be a positive whole number"
+    );
+  });
+
+  it("answers 429 with Retry-After once a client exceeds its limit", async () => {
+    const deps = {
+      env: { ...ENV, RATE_LIMIT_PER_IP: "2" },
+      store: new MemoryStore(),
+      chainBackend: null,
+      clientIp: "203.0.113.7",
+    };
+
+    expect((await handleGetAddress(request(), deps)).status).toBe(200);
+    expect((await handleGetAddress(request(), deps)).status).toBe(200);
+    const limited = await handleGetAddress(request(), deps);
+    const other = await handleGetAddress(request(), {
+      ...deps,
+      clientIp: "198.51.100.1",
+    });
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get("Retry-After"))).toBeGreaterThan(0);
+    expect(limited.headers.get("Access-Control-Expose-Headers")).toBe(
+      "Retry-After"
+    );
+    expect(other.status).toBe(200);
+  });
+
+  it("refuses to serve when the first address is not the expected one", async () => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+    const store = new MemoryStore();
+    const save = vi.spyOn(store, "setIfVersion");
+
+    const response = await handleGetAddress(request(), {
+      // The wallet's second address, not its first
+      env: {
+        ...ENV,
+        BITCOIN_EXPECTED_FIRST_ADDRESS:
+          "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g",
+      },
+      store,
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).code).toBe("configuration_error");
+    expect(log.mock.calls[0][1].message).toContain(
+      "BITCOIN_EXPECTED_FIRST_ADDRESS is bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g"
+    );
+    // No pool was written
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("serves once the first address matches the expected one", async () => {
+    const response = await handleGetAddress(request(), {
+      env: {
+        ...ENV,
+        BITCOIN_EXPECTED_FIRST_ADDRESS:
+          "BC1QCR8TE4KR609GCAWUTMRZA0J4XV80JY8Z306FYU",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(200);
+  });
+
+  it("signs the address with ADDRESS_SIGNING_KEY", async () => {
+    vi.spyOn(Date, "now").mockReturnValue(1_735_689_610_000);
+    const response = await handleGetAddress(
+      new Request("http://localhost/get-address?campaign=spring"),
+      {
+        env: {
+          ...ENV,
+          BITCOIN_CAMPAIGNS: "spring=1000",
+          ADDRESS_SIGNING_KEY: SIGNING_KEY,
+        },
+        store: new MemoryStore(),
+        chainBackend: null,
+      }
+    );
+    const body = await response.json();
+
+    const verify = (fields: typeof body) =>
+      ed25519.verify(
+        hexToBytes(body.signature),
+        signedAddressMessage(fields, "spring", body.signedAt),
+        hexToBytes(SIGNING_PUBLIC_KEY)
+      );
+
+    expect(body.signedAt).toBe(1_735_689_610_000);
+    expect(verify(body)).toBe(true);
+    expect(verify({ ...body, uri: `${body.uri}?amount=1` })).toBe(false);
+  });
+
+  it("rejects an invalid ADDRESS_SIGNING_KEY", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const response = await handleGetAddress(request(), {
+      env: { ...ENV, ADDRESS_SIGNING_KEY: "not-a-key" },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(500);
+    expect((await response.json()).code).toBe("configuration_error");
+  });
+});
+
+describe("handleCheckPayment", () => {
+  const FIRST_ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+
+  function backendReporting(activity: Partial<AddressActivity>): ChainBackend {
+    return {
+      name: "test",
+      async getAddressActivity() {
+        return {
+          confirmedTxCount: 0,
+          mempoolTxCount: 0,
+          confirmedReceivedSats: 0,
+          mempoolReceivedSats: 0,
+          ...activity,
+        };
+      },
+    };
+  }
+
+  // Serve an address first so the pool exists, then check it
+  async function checkServedAddress(
+    chainBackend: ChainBackend,
+    address = FIRST_ADDRESS
+  ) {
+    const store = new MemoryStore();
+    await handleGetAddress(request(), { env: ENV, store, chainBackend });
+    return handleCheckPayment(
+      new Request(`http://localhost/check-payment?address=${address}`),
+      { env: ENV, store, chainBackend }
+    );
+  }
+
+  it("reports an unpaid address", async () => {
+    const response = await checkServedAddress(backendReporting({}));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      address: FIRST_ADDRESS,
+      status: "unpaid",
+      confirmedSats: 0,
+      mempoolSats: 0,
+      amountSats: 0,
+    });
+  });
+
+  it("reports mempool and confirmed payments with their amounts", async () => {
+    const mempool = await checkServedAddress(
+      backendReporting({ mempoolTxCount: 1, mempoolReceivedSats: 21_000 })
+    );
+    expect(await mempool.json()).toMatchObject({
+      status: "mempool",
+      amountSats: 21_000,
+    });
+
+    const confirmed = await checkServedAddress(
+      backendReporting({
+        confirmedTxCount: 1,
+        mempoolTxCount: 1,
+        confirmedReceivedSats: 50_000,
+        mempoolReceivedSats: 21_000,
+      })
+    );
+    expect(await confirmed.json()).toEqual({
+      address: FIRST_ADDRESS,
+      status: "confirmed",
+      confirmedSats: 50_000,
+      mempoolSats: 21_000,
+      amountSats: 71_000,
+    });
+  });
+
+  it("checks a campaign address against the campaign's pool", async () => {
+    const env = { ...ENV, BITCOIN_CAMPAIGNS: "spring=1000" };
+    const store = new MemoryStore();
+    const chainBackend = backendReporting({});
+    const address = deriveAddress(ENV.BITCOIN_XPUB, 84, 1000);
+    await handleGetAddress(
+      new Request("http://localhost/get-address?campaign=spring"),
+      { env, store, chainBackend }
+    );
+
+    const inCampaign = await handleCheckPayment(
+      new Request(
+        `http://localhost/check-payment?address=${address}&campaign=spring`
+      ),
+      { env, store, chainBackend }
+    );
+    const outside = await handleCheckPayment(
+      new Request(`http://localhost/check-payment?address=${address}`),
+      { env, store, chainBackend }
+    );
+
+    expect(inCampaign.status).toBe(200);
+    expect(outside.status).toBe(404);
+  });
+
+  it("refuses addresses the pool never served", async () => {
+    const outside = deriveAddress(ENV.BITCOIN_XPUB, 84, 100);
+    const response = await checkServedAddress(backendReporting({}), outside);
+
+    expect(response.status).toBe(404);
+  });
+
+  it("answers 429 once a client exceeds its limit", async () => {
+    const env = { ...ENV, RATE_LIMIT_PER_IP: "2" };
+    const store = new MemoryStore();
+    const chainBackend = backendReporting({});
+    const deps = { env, store, chainBackend, clientIp: "203.0.113.7" };
+    // Serving the address counts too
+    await handleGetAddress(request(), deps);
+    const check = () =>
+      handleCheckPayment(
+        new Request(`http://localhost/check-payment?address=${FIRST_ADDRESS}`),
+        deps
+      );
+
+    expect((await check()).status).toBe(200);
+    const limited = await check();
+
+    expect(limited.status).toBe(429);
+    expect((await limited.json()).code).toBe("rate_limited");
+    expect(limited.headers.get("Retry-After")).not.toBeNull();
+  });
+
+  it("requires an address", async () => {
+    const response = await handleCheckPayment(
+      new Request("http://localhost/check-payment"),
+      { env: ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(response.status).toBe(400);
+  });
+
+  it("reports chain backend failures as 502", async () => {
+    const response = await checkServedAddress({
+      name: "test",
+      async getAddressActivity() {
+        throw new Error("Esplora API error: 429");
+      },
+    });
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toEqual({
+      error: "The chain backend did not answer correctly",
+      code: "upstream_error",
+    });
+  });
+});
+
+describe("handleStats", () => {
+  it("totals the payments recorded by payment checks", async () => {
+    const store = new MemoryStore();
+    const address = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+    const chainBackend: ChainBackend = {
+      name: "test",
+      async getAddressActivity() {
+        return {
+          confirmedTxCount: 1,
+          mempoolTxCount: 1,
+          confirmedReceivedSats: 50_000,
+          mempoolReceivedSats: 21_000,
+          receipts: [
+            { txid: "aa", sats: 50_000, confirmed: true },
+            { txid: "bb", sats: 21_000, confirmed: false },
+          ],
+        };
+      },
+    };
+    const deps = { env: ENV, store, chainBackend };
+    await handleGetAddress(request(), deps);
+    await handleCheckPayment(
+      new Request(`http://localhost/check-payment?address=${address}`),
+      deps
+    );
+
+    const response = await handleStats(
+      new Request("http://localhost/stats"),
+      deps
+    );
+
+    expect(response.status).toBe(200);
+    const stats = await response.json();
+    expect(stats).toMatchObject({
+      totalSats: 71_000,
+      confirmedSats: 50_000,
+      pendingSats: 21_000,
+      donationCount: 2,
+    });
+    expect(JSON.stringify(stats)).not.toContain(address);
+    expect(JSON.stringify(stats)).not.toContain('"aa"');
+  });
+
+  it("reports an empty ledger for a new campaign", async () => {
+    const response = await handleStats(
+      new Request("http://localhost/stats?campaign=spring"),
+      {
+        env: { ...ENV, BITCOIN_CAMPAIGNS: "spring=1000" },
+        store: new MemoryStore(),
+        chainBackend: null,
+      }
+    );
+
+    expect(await response.json()).toMatchObject({
+      totalSats: 0,
+      donationCount: 0,
+      recentDonations: [],
+    });
+  });
+});
+
+describe("handlePrice", () => {
+  const PRICE_ENV = { PRICE_SOURCE: "fixed", BTC_PRICES: "USD=65000" };
+
+  it("returns the BTC price in the requested currency", async () => {
+    const response = await handlePrice(
+      new Request("http://localhost/price?currency=usd"),
+      { env: PRICE_ENV, store: new MemoryStore() }
+    );
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({
+      currency: "USD",
+      price: 65000,
+      source: "fixed",
+    });
+  });
+
+  it.each([
+    ["a missing currency", "", 400],
+    ["a malformed currency", "?currency=dollars", 400],
+    ["an unquoted currency", "?currency=EUR", 400],
+  ])("rejects %s", async (_, query, status) => {
+    const response = await handlePrice(
+      new Request(`http://localhost/price${query}`),
+      { env: PRICE_ENV, store: new MemoryStore() }
+    );
+
+    expect(response.status).toBe(status);
+  });
+
+  it("reports price source failures as 502", async () => {
+    const response = await handlePrice(
+      new Request("http://localhost/price?currency=USD"),
+      {
+        env: {},
+        store: new MemoryStore(),
+        priceSource: {
+          name: "test",
+          async getPrice() {
+            throw new Error("Price API error: 429");
+          },
+        },
+      }
+    );
+
+    expect(response.status).toBe(502);
+  });
+});
+
+describe("handleAdmin", () => {
+  const ADMIN_ENV = { ...ENV, ADMIN_SECRET: "s3cret" };
+
+  function adminRequest(query = "", init: RequestInit = {}, token = "s3cret") {
+    return new Request(`http://localhost/admin${query}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  }
+
+  it("is disabled without ADMIN_SECRET", async () => {
+    const response = await handleAdmin(adminRequest(), {
+      env: ENV,
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  it("rejects a missing or wrong bearer token", async () => {
+    const deps = {
+      env: ADMIN_ENV,
+      store: new MemoryStore(),
+      chainBackend: null,
+    };
+
+    const wrong = await handleAdmin(adminRequest("", {}, "guess"), deps);
+    const missing = await handleAdmin(
+      new Request("http://localhost/admin"),
+      deps
+    );
+
+    expect(wrong.status).toBe(401);
+    expect(missing.status).toBe(401);
+  });
+
+  it("returns the pool stats", async () => {
+    const store = new MemoryStore();
+    const deps = { env: ADMIN_ENV, store, chainBackend: null };
+    await handleGetAddress(request(), deps);
+
+    const response = await handleAdmin(adminRequest(), deps);
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.action).toBe("stats");
+    expect(body.stats).toMatchObject({
+      poolSize: 5,
+      currentAddress: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      highestFundedIndex: -1,
+    });
+  });
+
+  it("marks an index as used", async () => {
+    const store = new MemoryStore();
+    const deps = { env: ADMIN_ENV, store, chainBackend: null };
+    await handleGetAddress(request(), deps);
+
+    const response = await handleAdmin(
+      adminRequest("?action=mark-used&index=0", { method: "POST" }),
+      deps
+    );
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({
+      action: "mark-used",
+      index: 0,
+      address: deriveAddress(ENV.BITCOIN_XPUB, 84, 1),
+    });
+    expect(body.stats.highestFundedIndex).toBe(0);
+    expect(
+      (await (await handleGetAddress(request(), deps)).json()).address
+    ).toBe(body.address);
+  });
+
+  it("rejects inherited property names as actions", async () => {
+    const response = await handleAdmin(
+      adminRequest("?action=constructor", { method: "POST" }),
+      { env: ADMIN_ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe("unknown_action");
+  });
+
+  it("creates the pool on reset", async () => {
+    const response = await handleAdmin(
+      adminRequest("?action=reset", { method: "POST" }),
+      { env: ADMIN_ENV, store: new MemoryStore(), chainBackend: null }
+    );
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).address).toBe(
+      "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu"
+    );
+  });
+
+  it.each([
+    ["an action sent with GET", "?action=rotate", "GET", 405],
+    ["an unknown action", "?action=delete", "POST", 400],
+    ["a missing index", "?action=mark-used", "POST", 400],
+    ["rotating a pool that does not exist", "?action=rotate", "POST", 409],
+  ])("rejects %s", async (_, query, method, status) => {
+    const response = await handleAdmin(adminRequest(query, { method }), {
+      env: ADMIN_ENV,
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(status);
+    expect((await response.json()).error).toBeTruthy();
+  });
+});
+
+describe("handleVerify", () => {
+  const VERIFY_ENV = { ...ENV, ADMIN_SECRET: "s3cret" };
+
+  function verifyRequest(query = "", token = "s3cret") {
+    return new Request(`http://localhost/verify${query}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  }
+
+  it("reports the wallet and its first addresses", async () => {
+    const response = await handleVerify(verifyRequest("?count=2"), {
+      env: {
+        ...VERIFY_ENV,
+        BITCOIN_EXPECTED_FIRST_ADDRESS:
+          "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      network: "mainnet",
+      derivationPath: "m/84'/0'/0'",
+      scriptType: "p2wpkh",
+      keyFingerprints: ["fd13aac9"],
+      addresses: [
+        { index: 0, address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu" },
+        { index: 1, address: "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g" },
+      ],
+      expectedFirstAddress: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      matches: true,
+    });
+  });
+
+  it("reports a mismatch instead of refusing", async () => {
+    const response = await handleVerify(verifyRequest(), {
+      env: {
+        ...VERIFY_ENV,
+        BITCOIN_EXPECTED_FIRST_ADDRESS:
+          "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+    const report = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(report.addresses).toHaveLength(5);
+    expect(report.addresses[1].address).toBe(
+      "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g"
+    );
+    expect(report.matches).toBe(false);
+  });
+
+  it("reports multisig script types and every key's fingerprint", async () => {
+    const response = await handleVerify(verifyRequest("?count=1"), {
+      env: {
+        ADMIN_SECRET: "s3cret",
+        BITCOIN_XPUB: [
+          "xpub6E64WfdQwBGz85XhbZryr9gUGUPBgoSu5WV6tJWpzAvgAmpVpdPHkT3XYm9R5J6MeWzvLQoz4q845taC9Q28XutbptxAmg7q8QPkjvTL4oi",
+          "xpub6DwQ4gBCmJZM3TaKogP41tpjuEwnMH2nWEi3PFev37LfsWPvjZrh1GfAG8xvoDYMPWGKG1oBPMCfKpkVbJtUHRaqRdCb6X6o1e9PQTVK88a",
+          "xpub6DuE9tmT2f7qUpcAK7bBvrhS1uf8x2c4paV6tdGRD1htEcueVE2xk9ynFQfQZMK7tNNfhspnFQsd6HkJnhGzkZyDVhdCvcBsf3fenyt5qde",
+        ].join(","),
+        BITCOIN_DERIVATION_PATH: "m/48'/0'/0'/2'",
+        BITCOIN_MULTISIG_THRESHOLD: "2",
+      },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+    const report = await response.json();
+
+    expect(report.scriptType).toBe("p2wsh");
+    expect(report.keyFingerprints).toHaveLength(3);
+    expect(report.matches).toBeNull();
+  });
+
+  it("reports the public key of ADDRESS_SIGNING_KEY", async () => {
+    const response = await handleVerify(verifyRequest("?count=1"), {
+      env: { ...VERIFY_ENV, ADDRESS_SIGNING_KEY: SIGNING_KEY },
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect((await response.json()).signingKey).toBe(SIGNING_PUBLIC_KEY);
+  });
+
+  it.each([
+    ["without ADMIN_SECRET", ENV, verifyRequest(), 404],
+    ["with a wrong token", VERIFY_ENV, verifyRequest("", "guess"), 401],
+    ["an invalid count", VERIFY_ENV, verifyRequest("?count=21"), 400],
+  ])("rejects requests %s", async (_, env, verifyRequest, status) => {
+    const response = await handleVerify(verifyRequest, {
+      env,
+      store: new MemoryStore(),
+      chainBackend: null,
+    });
+
+    expect(response.status).toBe(status);
+  });
+});
@@ -0,0 +1,230 @@
+import { AddressPoolManager } from "./address-pool.js";
+import {
+  btcToSats,
+  buildPaymentUri,
+  paymentRequestFromQuery,
+  type PaymentRequest,
+} from "./bip21.js";
+import { resolveUnifiedLightning, type UnifiedLightning } from "./lightning.js";
+import { createChainBackend, type ChainBackend } from "./chain-backends.js";
+import { BackendError, RequestError } from "./errors.js";
+import type { PriceSource } from "./price-sources.js";
+import { checkRateLimit, rateLimitConfig } from "./rate-limit.js";
+import { signAddress, signingKey } from "./signing.js";
+import type { PoolStore } from "./storage.js";
+import {
+  validateBitcoinEnvironment,
+  resolveCampaign,
+  type Env,
+} from "./validation.js";
+
+/**
+ * Runtime services a handler needs, supplied by each platform entry point
+ */
+export interface HandlerDeps {
+  /** Environment variables / bindings */
+  env: Env;
+  /** Persistence for pool state */
+  store: PoolStore;
+  /** Chain data source override (defaults to CHAIN_BACKEND from env) */
+  chainBackend?: ChainBackend | null;
+  /** Exchange rate source override (defaults to PRICE_SOURCE from env) */
+  priceSource?: PriceSource;
+  /** Client IP as reported by the platform, for per-IP rate limits */
+  clientIp?: string;
+}
+
+/**
+ * JSON response with the CORS header every endpoint sends
+ * (narrowed to the requesting origin by withCors when ALLOWED_ORIGINS is set)
+ */
+export function jsonResponse(
+  body: unknown,
+  status = 200,
+  headers: Record<string, string> = {}
+): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Content-Type": "application/json",
+      ...headers,
+    },
+  });
+}
+
+/**
+ * JSON error response with a stable `code`, e.g. `{ "error": "...", "code": "storage_unavailable" }`
+ * Typed errors answer with their status and public message; anything else is
+ * an unexpected failure whose details stay in the logs.
+ */
+export function errorResponse(
+  error: unknown,
+  headers: Record<string, string> = {}
+): Response {
+  if (error instanceof BackendError) {
+    return jsonResponse(
+      { error: error.publicMessage, code: error.code },
+      error.status,
+      headers
+    );
+  }
+  return jsonResponse(
+    { error: "Internal server error", code: "internal_error" },
+    500,
+    headers
+  );
+}
+
+/**
+ * Count a request against the rate limits, if any are configured
+ * Routes that reach the chain backend or the Lightning service call this
+ * before doing so; they share the same counters.
+ * @returns A 429 response with Retry-After once past a limit, or null to go on
+ */
+export async function rateLimitResponse(
+  deps: HandlerDeps
+): Promise<Response | null> {
+  const limits = rateLimitConfig(deps.env);
+  if (!limits) {
+    return null;
+  }
+
+  const { allowed, retryAfter } = await checkRateLimit(
+    deps.store,
+    limits,
+    deps.clientIp
+  );
+  if (allowed) {
+    return null;
+  }
+  return errorResponse(
+    new RequestError("Too many requests, try again later", {
+      code: "rate_limited",
+      status: 429,
+    }),
+    {
+      "Retry-After": String(retryAfter),
+      // Cross-origin widgets can only read it when exposed
+      "Access-Control-Expose-Headers": "Retry-After",
+    }
+  );
+}
+
+/**
+ * Build the pool manager for the configured wallet, or for one of its campaigns
+ * Throws a ConfigurationError if the Bitcoin environment variables are missing
+ * or invalid, or a RequestError if `campaign` is not listed in BITCOIN_CAMPAIGNS.
+ * With BITCOIN_EXPECTED_FIRST_ADDRESS set, the pool is only used once index 0
+ * derives that address.
+ */
+export function createPoolManager(
+  deps: HandlerDeps,
+  campaign?: string | null
+): AddressPoolManager {
+  // Validate required environment variables
+  const {
+    xpub,
+    derivationPath,
+    network,
+    gapLimit,
+    campaigns,
+    expectedFirstAddress,
+    purpose,
+    receiveBranch,
+    multisig,
+  } = validateBitcoinEnvironment(deps.env);
+  const { firstIndex, lastIndex } = resolveCampaign(campaigns, campaign);
+
+  // Initialize address pool manager with xpub, derivation path, network, gap limit, chain backend and store
+  // (descriptors also fix the script type and receive branch, or the multisig policy)
+  return new AddressPoolManager(xpub, derivationPath, {
+    network,
+    gapLimit,
+    purpose,
+    receiveBranch,
+    multisig,
+    campaign: campaign || undefined,
+    firstIndex,
+    lastIndex,
+    expectedFirstAddress,
+    chainBackend:
+      deps.chainBackend !== undefined
+        ? deps.chainBackend
+        : createChainBackend(network, deps.env),
+    store: deps.store,
+  });
+}
+
+/**
+ * Serve the current donation address and its BIP21 payment URI
+ * Runtime-neutral: takes a Fetch API Request and returns a Response.
+ * Optional `amount` (BTC), `label` and `message` query parameters are added to the URI.
+ * `campaign` serves from that campaign's pool, if BITCOIN_CAMPAIGNS lists it.
+ * With `lightning=true` and LIGHTNING_ADDRESS configured, the URI also carries a
+ * BOLT11 invoice (or LNURL) so wallets can choose between on-chain and Lightning.
+ * With ADDRESS_SIGNING_KEY set, the response also carries `signature` and `signedAt`.
+ * Requests past the rate limits get a 429 with Retry-After before any lookups.
+ */
+export async function handleGetAddress(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const searchParams = new URL(request.url).searchParams;
+  let paymentRequest: PaymentRequest;
+  try {
+    paymentRequest = paymentRequestFromQuery(searchParams);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  try {
+    // Each request may trigger chain lookups and a store write, so limit them first
+    const limited = await rateLimitResponse(deps);
+    if (limited) {
+      return limited;
+    }
+
+    const campaign = searchParams.get("campaign");
+    const poolManager = createPoolManager(deps, campaign);
+    const key = signingKey(deps.env);
+
+    // Get the current address (handles rotation logic internally)
+    const address = await poolManager.getCurrentAddress();
+
+    // Log pool statistics for debugging if DEBUG_LOGS is enabled
+    if (deps.env.DEBUG_LOGS === "true") {
+      const poolStats = await poolManager.getPoolStats();
+      console.log("Address Pool Stats:", JSON.stringify(poolStats, null, 2));
+    }
+
+    // Add a Lightning payment option for unified QR codes
+    let unified: UnifiedLightning | undefined;
+    if (
+      searchParams.get("lightning") === "true" &&
+      deps.env.LIGHTNING_ADDRESS
+    ) {
+      unified = await resolveUnifiedLightning(
+        deps.env.LIGHTNING_ADDRESS,
+        paymentRequest.amount ? btcToSats(paymentRequest.amount) : undefined
+      );
+      paymentRequest.lightning = unified.lightning;
+    }
+
+    const fields = {
+      address,
+      uri: buildPaymentUri(address, paymentRequest),
+      lightning: paymentRequest.lightning,
+      expiresAt: unified?.expiresAt,
+    };
+
+    return jsonResponse({
+      ...fields,
+      // Widgets pinned to the public key only show responses signed by it
+      ...(key && signAddress(key, fields, campaign)),
+    });
+  } catch (error) {
+    console.error("Error in get-address function:", error);
+    return errorResponse(error);
+  }
+}
@@ -1,48 +1,14 @@
 import type { Context } from "@netlify/functions";
-import { AddressPoolManager } from "./address-pool.js";
-import {
-  validateBitcoinEnvironment,
-  createValidationErrorResponse,
-} from "./validation.js";
+import { getStore } from "@netlify/blobs";
+import { STORE_NAME } from "./address-pool.js";
+import { withCors } from "./cors.js";
+import { handleGetAddress } from "./handler.js";
+import { NetlifyBlobsStore } from "./storage.js";
 
 export default async (req: Request, context: Context) => {
-  try {
-    // Validate required environment variables
-    const { xpub, derivationPath } = validateBitcoinEnvironment();
-
-    // Initialize address pool manager with both xpub and derivation path
-    const poolManager = new AddressPoolManager(xpub, derivationPath);
-
-    // Get the current address (handles rotation logic internally)
-    const address = await poolManager.getCurrentAddress();
-
-    // Log pool statistics for debugging if DEBUG_LOGS is enabled
-    if (process.env.DEBUG_LOGS === "true") {
-      const poolStats = await poolManager.getPoolStats();
-      console.log("Address Pool Stats:", JSON.stringify(poolStats, null, 2));
-    }
-
-    return new Response(JSON.stringify({ address }), {
-      status: 200,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("Error in get-address function:", error);
-
-    // Handle validation errors with proper response format
-    if (error.message.includes("environment variable is required")) {
-      return createValidationErrorResponse(error.message);
-    }
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Content-Type": "application/json",
-      },
-    });
-  }
+  return withCors(handleGetAddress, req, {
+    env: process.env,
+    store: new NetlifyBlobsStore(getStore(STORE_NAME)),
+    clientIp: context.ip,
+  });
 };
@@ -0,0 +1,109 @@
+/**
+ * Tests for the donation ledger
+ */
+
+import { describe, it, expect } from "vitest";
+import { mergeReceipts, summarizeLedger } from "./ledger.ts";
+
+describe("mergeReceipts", () => {
+  it("records new transactions and confirms pending ones", () => {
+    const first = mergeReceipts(
+      null,
+      3,
+      [{ txid: "aa", sats: 21_000, confirmed: false }],
+      1000
+    );
+    expect(first).toEqual({
+      entries: [
+        {
+          txid: "aa",
+          index: 3,
+          sats: 21_000,
+          confirmed: false,
+          firstSeen: 1000,
+        },
+      ],
+      updatedAt: 1000,
+    });
+
+    const confirmed = mergeReceipts(
+      first,
+      3,
+      [{ txid: "aa", sats: 21_000, confirmed: true }],
+      2000
+    );
+    expect(confirmed!.entries).toEqual([
+      { txid: "aa", index: 3, sats: 21_000, confirmed: true, firstSeen: 1000 },
+    ]);
+    expect(first!.entries[0].confirmed).toBe(false);
+  });
+
+  it("returns null when nothing changed", () => {
+    const ledger = mergeReceipts(null, 0, [
+      { txid: "aa", sats: 5000, confirmed: true },
+    ]);
+
+    expect(
+      mergeReceipts(ledger, 0, [{ txid: "aa", sats: 5000, confirmed: true }])
+    ).toBeNull();
+    // Spent outputs no longer reported keep their recorded amount
+    expect(mergeReceipts(ledger, 0, [])).toBeNull();
+    expect(
+      mergeReceipts(ledger, 0, [{ txid: "aa", sats: 1000, confirmed: true }])
+    ).toBeNull();
+  });
+
+  it("drops pending transactions that disappeared from the address", () => {
+    const ledger = mergeReceipts(null, 0, [
+      { txid: "aa", sats: 5000, confirmed: false },
+    ]);
+    const other = mergeReceipts(ledger, 1, [
+      { txid: "bb", sats: 7000, confirmed: false },
+    ]);
+
+    // A replacement transaction paid the address instead
+    const replaced = mergeReceipts(other, 0, [
+      { txid: "cc", sats: 5000, confirmed: false },
+    ]);
+    expect(replaced!.entries.map((entry) => entry.txid)).toEqual(["bb", "cc"]);
+  });
+});
+
+describe("summarizeLedger", () => {
+  it("totals confirmed and pending amounts without addresses or txids", () => {
+    let ledger = mergeReceipts(
+      null,
+      0,
+      [{ txid: "aa", sats: 50_000, confirmed: true }],
+      1000
+    );
+    ledger = mergeReceipts(
+      ledger,
+      1,
+      [{ txid: "bb", sats: 21_000, confirmed: false }],
+      2000
+    );
+
+    expect(summarizeLedger(ledger)).toEqual({
+      totalSats: 71_000,
+      confirmedSats: 50_000,
+      pendingSats: 21_000,
+      donationCount: 2,
+      recentDonations: [
+        { sats: 21_000, confirmed: false, time: 2000 },
+        { sats: 50_000, confirmed: true, time: 1000 },
+      ],
+      updatedAt: 2000,
+    });
+    expect(summarizeLedger(ledger, 1).recentDonations).toHaveLength(1);
+  });
+
+  it("reports zeros for an empty ledger", () => {
+    expect(summarizeLedger(null)).toMatchObject({
+      totalSats: 0,
+      donationCount: 0,
+      recentDonations: [],
+      updatedAt: 0,
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Donation ledger
+ *
+ * Every transaction found paying a pool address is recorded with its amount,
+ * so totals survive the address leaving the pool (and, with Electrum, the
+ * funds being spent). Stored next to the pool state.
+ */
+
+import type { AddressReceipt } from "./chain-backends.js";
+
+export interface LedgerEntry {
+  txid: string;
+  /** Derivation index of the address paid */
+  index: number;
+  /** Satoshis paid to the address */
+  sats: number;
+  confirmed: boolean;
+  /** When the payment was first recorded */
+  firstSeen: number;
+}
+
+export interface DonationLedger {
+  entries: LedgerEntry[];
+  /** When an entry was last added or changed */
+  updatedAt: number;
+}
+
+/**
+ * Donation totals for display, without addresses or txids
+ */
+export interface DonationStats {
+  /** Confirmed and pending satoshis together */
+  totalSats: number;
+  confirmedSats: number;
+  /** Satoshis in unconfirmed transactions */
+  pendingSats: number;
+  donationCount: number;
+  /** Most recent donations first */
+  recentDonations: Array<{ sats: number; confirmed: boolean; time: number }>;
+  /** When the ledger last changed, 0 if nothing has been recorded */
+  updatedAt: number;
+}
+
+export const RECENT_DONATIONS = 10;
+
+/**
+ * Check that a stored value has the shape of a ledger
+ */
+export function isValidLedger(ledger: unknown): ledger is DonationLedger {
+  const candidate = ledger as DonationLedger | null;
+  return (
+    !!candidate &&
+    Array.isArray(candidate.entries) &&
+    typeof candidate.updatedAt === "number"
+  );
+}
+
+/**
+ * Merge the transactions currently paying the address at `index` into the ledger
+ * Unconfirmed entries the backend no longer reports were replaced or dropped
+ * from the mempool, so they are removed; confirmed entries are kept for good.
+ * @returns The updated ledger, or null if nothing changed
+ */
+export function mergeReceipts(
+  ledger: DonationLedger | null,
+  index: number,
+  receipts: AddressReceipt[],
+  now = Date.now()
+): DonationLedger | null {
+  const current = new Map(receipts.map((receipt) => [receipt.txid, receipt]));
+  let changed = false;
+
+  const entries = (ledger?.entries ?? [])
+    .filter((entry) => {
+      if (entry.index !== index || entry.confirmed || current.has(entry.txid)) {
+        return true;
+      }
+      changed = true;
+      return false;
+    })
+    .map((entry) => ({ ...entry }));
+
+  for (const receipt of receipts) {
+    const entry = entries.find(
+      (candidate) =>
+        candidate.index === index && candidate.txid === receipt.txid
+    );
+    if (!entry) {
+      entries.push({ ...receipt, index, firstSeen: now });
+      changed = true;
+    } else if (
+      (receipt.confirmed && !entry.confirmed) ||
+      receipt.sats > entry.sats
+    ) {
+      // Spent outputs drop out of some backends' amounts, so never lower one
+      entry.sats = Math.max(entry.sats, receipt.sats);
+      entry.confirmed = entry.confirmed || receipt.confirmed;
+      changed = true;
+    }
+  }
+
+  return changed ? { entries, updatedAt: now } : null;
+}
+
+/**
+ * Totals and recent donations of a ledger
+ */
+export function summarizeLedger(
+  ledger: DonationLedger | null,
+  recent = RECENT_DONATIONS
+): DonationStats {
+  const entries = ledger?.entries ?? [];
+  const confirmedSats = entries
+    .filter((entry) => entry.confirmed)
+    .reduce((sum, entry) => sum + entry.sats, 0);
+  const pendingSats = entries
+    .filter((entry) => !entry.confirmed)
+    .reduce((sum, entry) => sum + entry.sats, 0);
+
+  return {
+    totalSats: confirmedSats + pendingSats,
+    confirmedSats,
+    pendingSats,
+    donationCount: entries.length,
+    recentDonations: [...entries]
+      .sort((a, b) => b.firstSeen - a.firstSeen)
+      .slice(0, recent)
+      .map((entry) => ({
+        sats: entry.sats,
+        confirmed: entry.confirmed,
+        time: entry.firstSeen,
+      })),
+    updatedAt: ledger?.updatedAt ?? 0,
+  };
+}
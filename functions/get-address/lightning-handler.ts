@@ -0,0 +1,86 @@
+import { ConfigurationError, RequestError } from "./errors.js";
+import {
+  errorResponse,
+  jsonResponse,
+  rateLimitResponse,
+  type HandlerDeps,
+} from "./handler.js";
+import {
+  checkPayAmount,
+  fetchPayRequest,
+  requestInvoice,
+  type PayRequest,
+} from "./lightning.js";
+
+/**
+ * Resolve the configured Lightning Address (LIGHTNING_ADDRESS) to invoices
+ *
+ * Without `amount` it returns the sendable range and comment limit, so the
+ * widget can build its amount form. With `amount` (sats) and an optional
+ * `comment` it returns a fresh BOLT11 invoice and its expiry time. Requests
+ * count against the rate limits, since each one reaches the Lightning service.
+ */
+export async function handleLightningInvoice(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const lightningAddress = deps.env.LIGHTNING_ADDRESS;
+  if (!lightningAddress) {
+    const error = new ConfigurationError(
+      "LIGHTNING_ADDRESS environment variable is required"
+    );
+    console.error(error.message);
+    return errorResponse(error);
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const amount = searchParams.get("amount");
+  const comment = searchParams.get("comment") || undefined;
+
+  if (amount !== null && !/^[1-9]\d{0,15}$/.test(amount)) {
+    return errorResponse(
+      new RequestError(`Invalid amount "${amount}": expected whole sats`)
+    );
+  }
+
+  let payRequest: PayRequest;
+  try {
+    const limited = await rateLimitResponse(deps);
+    if (limited) {
+      return limited;
+    }
+    payRequest = await fetchPayRequest(lightningAddress);
+  } catch (error) {
+    console.error("Failed to resolve Lightning address:", error);
+    return errorResponse(error);
+  }
+
+  if (amount === null) {
+    // Round the msat limits inwards to whole sats
+    return jsonResponse({
+      lightningAddress,
+      minSats: Number((payRequest.minSendable + 999n) / 1000n),
+      maxSats: Number(payRequest.maxSendable / 1000n),
+      commentAllowed: payRequest.commentAllowed,
+    });
+  }
+
+  const amountMsat = BigInt(amount) * 1000n;
+  try {
+    checkPayAmount(payRequest, amountMsat, comment);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  try {
+    const { invoice, expiresAt } = await requestInvoice(
+      payRequest,
+      amountMsat,
+      comment
+    );
+    return jsonResponse({ invoice, amountSats: Number(amount), expiresAt });
+  } catch (error) {
+    console.error("Failed to fetch Lightning invoice:", error);
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * Tests for Lightning Address resolution used in unified BIP21 URIs
+ *
+ * LNURL-pay requests go to a local stub server.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex } from "@noble/hashes/utils.js";
+import { bech32, utf8 } from "@scure/base";
+import {
+  bolt11AmountMsat,
+  decodeBolt11,
+  encodeLnurl,
+  fetchLightningInvoice,
+  lightningAddressToUrl,
+  resolveUnifiedLightning,
+} from "./lightning.ts";
+import { handleGetAddress } from "./handler.ts";
+import { handleLightningInvoice } from "./lightning-handler.ts";
+import { MemoryStore } from "./storage.ts";
+
+const ENV = {
+  BITCOIN_XPUB:
+    "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs",
+  BITCOIN_DERIVATION_PATH: "m/84'/0'/0'",
+};
+
+// Example invoice from BOLT11 ("Please send $3 for a cup of coffee ... within 1 minute")
+const BOLT11_EXAMPLE =
+  "lnbc2500u1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpu9qrsgquk0rl77nj30yxdy8j9vdx85fkpmdla2087ne0xh8nhedh8w27kyke0lp53ut353s06fv3qfegext0eh0ymjpf39tuven09sam30g4vgpfna3rh";
+
+const METADATA =
+  '[["text/plain","Donation"],["text/identifier","alice@example.com"]]';
+const INVOICE_TIMESTAMP = 1_700_000_000;
+const INVOICE_EXPIRY = 600;
+
+function numberToWords(value: number, length?: number): number[] {
+  const words: number[] = [];
+  do {
+    words.unshift(value % 32);
+    value = Math.floor(value / 32);
+  } while (value > 0);
+  while (length !== undefined && words.length < length) {
+    words.unshift(0);
+  }
+  return words;
+}
+
+function taggedField(type: number, words: number[]): number[] {
+  return [type, ...numberToWords(words.length, 2), ...words];
+}
+
+/**
+ * Build a structurally valid invoice with a dummy signature
+ */
+function makeInvoice(amountMsat: bigint, metadata = METADATA): string {
+  const words = [
+    ...numberToWords(INVOICE_TIMESTAMP, 7),
+    ...taggedField(23, bech32.toWords(sha256(utf8.decode(metadata)))),
+    ...taggedField(6, numberToWords(INVOICE_EXPIRY)),
+    ...new Array(104).fill(0),
+  ];
+  return bech32.encode(`lnbc${amountMsat / 100n}n`, words, false);
+}
+
+describe("encodeLnurl", () => {
+  it("matches the LUD-01 example", () => {
+    expect(
+      encodeLnurl(
+        "https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df"
+      )
+    ).toBe(
+      "LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS"
+    );
+  });
+});
+
+describe("lightningAddressToUrl", () => {
+  it("maps addresses to the well-known LNURL-pay endpoint", () => {
+    expect(lightningAddressToUrl("Alice@example.com")).toBe(
+      "https://example.com/.well-known/lnurlp/alice"
+    );
+    expect(lightningAddressToUrl("bob@localhost:3000")).toBe(
+      "http://localhost:3000/.well-known/lnurlp/bob"
+    );
+  });
+
+  it("rejects malformed addresses", () => {
+    expect(() => lightningAddressToUrl("not-an-address")).toThrow(
+      "Invalid Lightning address"
+    );
+  });
+});
+
+describe("bolt11AmountMsat", () => {
+  it.each([
+    ["lnbc2500u1pvjluez", 250_000_000n],
+    ["lnbc25m1pvjluez", 2_500_000_000n],
+    ["lntb20m1pvjluez", 2_000_000_000n],
+    ["lnbcrt500n1pvjluez", 50_000n],
+    ["lnbc10p1pvjluez", 1n],
+    ["lnbc1pvjluez", null],
+  ])("reads %s", (invoice, expected) => {
+    expect(bolt11AmountMsat(invoice)).toBe(expected);
+  });
+});
+
+describe("decodeBolt11", () => {
+  it("decodes the BOLT11 example", () => {
+    expect(decodeBolt11(BOLT11_EXAMPLE)).toEqual({
+      amountMsat: 250_000_000n,
+      timestamp: 1496314658,
+      expiry: 60,
+      descriptionHash: null,
+    });
+  });
+
+  it("reads the description hash and expiry", () => {
+    expect(decodeBolt11(makeInvoice(1_000_000n))).toEqual({
+      amountMsat: 1_000_000n,
+      timestamp: INVOICE_TIMESTAMP,
+      expiry: INVOICE_EXPIRY,
+      descriptionHash: bytesToHex(sha256(utf8.decode(METADATA))),
+    });
+  });
+});
+
+describe("LNURL-pay", () => {
+  let server: Server;
+  let lightningAddress: string;
+  let invoiceAmount: (msat: bigint) => bigint = (msat) => msat;
+  let invoiceMetadata = METADATA;
+  let lastComment: string | null = null;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const url = new URL(req.url!, "http://localhost");
+      res.setHeader("Content-Type", "application/json");
+
+      if (url.pathname === "/.well-known/lnurlp/alice") {
+        const { port } = server.address() as AddressInfo;
+        res.end(
+          JSON.stringify({
+            tag: "payRequest",
+            callback: `http://127.0.0.1:${port}/lnurlp/alice/callback`,
+            minSendable: 1000,
+            maxSendable: 1_000_000_000,
+            metadata: METADATA,
+            commentAllowed: 32,
+          })
+        );
+      } else if (url.pathname === "/.well-known/lnurlp/bob") {
+        res.end(
+          JSON.stringify({
+            tag: "payRequest",
+            callback: "http://127.0.0.1/lnurlp/bob/callback",
+            minSendable: "1.5",
+            metadata: METADATA,
+          })
+        );
+      } else if (url.pathname === "/lnurlp/alice/callback") {
+        const msat = invoiceAmount(BigInt(url.searchParams.get("amount")!));
+        lastComment = url.searchParams.get("comment");
+        res.end(
+          JSON.stringify({ pr: makeInvoice(msat, invoiceMetadata), routes: [] })
+        );
+      } else {
+        res.end(JSON.stringify({ status: "ERROR", reason: "Unknown user" }));
+      }
+    });
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", resolve)
+    );
+    lightningAddress = `alice@127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  const invoiceRequest = (query: string) =>
+    handleLightningInvoice(
+      new Request(`http://localhost/lightning-invoice${query}`),
+      {
+        env: { LIGHTNING_ADDRESS: lightningAddress },
+        store: new MemoryStore(),
+      }
+    );
+
+  it("fetches an invoice for the requested amount", async () => {
+    expect(
+      await fetchLightningInvoice(lightningAddress, 100_000_000n, "Thanks!")
+    ).toEqual({
+      invoice: makeInvoice(100_000_000n),
+      amountMsat: 100_000_000n,
+      expiresAt: (INVOICE_TIMESTAMP + INVOICE_EXPIRY) * 1000,
+    });
+    expect(lastComment).toBe("Thanks!");
+  });
+
+  it("enforces the sendable range", async () => {
+    await expect(fetchLightningInvoice(lightningAddress, 500n)).rejects.toThrow(
+      "outside the sendable range"
+    );
+  });
+
+  it("enforces the comment length", async () => {
+    await expect(
+      fetchLightningInvoice(lightningAddress, 100_000n, "x".repeat(33))
+    ).rejects.toThrow("longer than 32 characters");
+  });
+
+  it("reports LNURL errors", async () => {
+    const unknown = lightningAddress.replace("alice", "carol");
+    await expect(fetchLightningInvoice(unknown, 100_000n)).rejects.toThrow(
+      "LNURL error: Unknown user"
+    );
+  });
+
+  it("reports a payRequest without whole-number limits as an upstream failure", async () => {
+    const bob = lightningAddress.replace("alice", "bob");
+    await expect(fetchLightningInvoice(bob, 100_000n)).rejects.toMatchObject({
+      code: "upstream_error",
+      message: expect.stringContaining("whole-number minSendable"),
+    });
+  });
+
+  it("rejects invoices for a different amount", async () => {
+    invoiceAmount = (msat) => msat * 2n;
+    try {
+      await expect(
+        fetchLightningInvoice(lightningAddress, 100_000n)
+      ).rejects.toThrow("wrong amount");
+    } finally {
+      invoiceAmount = (msat) => msat;
+    }
+  });
+
+  it("rejects invoices committing to other metadata", async () => {
+    invoiceMetadata = '[["text/plain","Something else"]]';
+    try {
+      await expect(
+        fetchLightningInvoice(lightningAddress, 100_000n)
+      ).rejects.toThrow("description hash");
+    } finally {
+      invoiceMetadata = METADATA;
+    }
+  });
+
+  it("falls back to the LNURL without an amount", async () => {
+    expect(await resolveUnifiedLightning(lightningAddress)).toEqual({
+      lightning: encodeLnurl(lightningAddressToUrl(lightningAddress)),
+    });
+  });
+
+  it("adds the invoice and its expiry to the get-address response", async () => {
+    const response = await handleGetAddress(
+      new Request("http://localhost/get-address?amount=0.001&lightning=true"),
+      {
+        env: { ...ENV, LIGHTNING_ADDRESS: lightningAddress },
+        store: new MemoryStore(),
+        chainBackend: null,
+      }
+    );
+
+    const invoice = makeInvoice(100_000_000n);
+    expect(await response.json()).toEqual({
+      address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      uri: `bitcoin:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu?amount=0.001&lightning=${invoice}`,
+      lightning: invoice,
+      expiresAt: (INVOICE_TIMESTAMP + INVOICE_EXPIRY) * 1000,
+    });
+  });
+
+  describe("lightning-invoice endpoint", () => {
+    it("describes the payable range without an amount", async () => {
+      const response = await invoiceRequest("");
+
+      expect(await response.json()).toEqual({
+        lightningAddress,
+        minSats: 1,
+        maxSats: 1_000_000,
+        commentAllowed: 32,
+      });
+    });
+
+    it("returns an invoice with its expiry", async () => {
+      const response = await invoiceRequest(
+        "?amount=2100&comment=Keep%20going"
+      );
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        invoice: makeInvoice(2_100_000n),
+        amountSats: 2100,
+        expiresAt: (INVOICE_TIMESTAMP + INVOICE_EXPIRY) * 1000,
+      });
+      expect(lastComment).toBe("Keep going");
+    });
+
+    it.each(["0", "1.5", "abc", "2000000"])(
+      "rejects amount %s with 400",
+      async (amount) => {
+        const response = await invoiceRequest(`?amount=${amount}`);
+        expect(response.status).toBe(400);
+      }
+    );
+
+    it("answers 429 once a client exceeds its limit", async () => {
+      const deps = {
+        env: { LIGHTNING_ADDRESS: lightningAddress, RATE_LIMIT_PER_IP: "1" },
+        store: new MemoryStore(),
+        clientIp: "203.0.113.7",
+      };
+      const invoice = () =>
+        handleLightningInvoice(
+          new Request("http://localhost/lightning-invoice?amount=2100"),
+          deps
+        );
+
+      expect((await invoice()).status).toBe(200);
+      const limited = await invoice();
+
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get("Retry-After"))).toBeGreaterThan(0);
+    });
+
+    it("requires LIGHTNING_ADDRESS", async () => {
+      const response = await handleLightningInvoice(
+        new Request("http://localhost/lightning-invoice"),
+        { env: {}, store: new MemoryStore() }
+      );
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).code).toBe("configuration_error");
+    });
+  });
+});
@@ -0,0 +1,357 @@
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex } from "@noble/hashes/utils.js";
+import { bech32, utf8 } from "@scure/base";
+import {
+  ConfigurationError,
+  RequestError,
+  UpstreamError,
+  toUpstreamError,
+} from "./errors.js";
+
+const LIGHTNING_SERVICE = "Lightning service";
+const REQUEST_TIMEOUT = 5 * 1000; // 5 seconds
+const BOLT11_SIGNATURE_WORDS = 104; // 65-byte recoverable signature
+const BOLT11_DEFAULT_EXPIRY = 3600; // seconds
+const TAG_EXPIRY = 6; // "x"
+const TAG_DESCRIPTION_HASH = 23; // "h"
+
+/**
+ * Multipliers of the BOLT11 amount field, in millisatoshis per unit
+ * (the unit without a multiplier is one bitcoin)
+ */
+const BOLT11_MULTIPLIERS: Record<string, bigint> = {
+  "": 100_000_000_000n,
+  m: 100_000_000n,
+  u: 100_000n,
+  n: 100n,
+};
+
+/**
+ * Resolve a Lightning Address (LUD-16) to its LNURL-pay endpoint
+ * Local hosts are reached over plain HTTP so the flow can be tested against a stub server.
+ */
+export function lightningAddressToUrl(lightningAddress: string): string {
+  const match = lightningAddress
+    .trim()
+    .match(/^([a-z0-9\-_.+]+)@([a-z0-9\-.]+(?::\d+)?)$/i);
+  if (!match) {
+    throw new ConfigurationError(
+      `Invalid Lightning address: ${lightningAddress}`
+    );
+  }
+
+  const [, user, domain] = match;
+  const scheme = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(domain)
+    ? "http"
+    : "https";
+  return `${scheme}://${domain}/.well-known/lnurlp/${user.toLowerCase()}`;
+}
+
+/**
+ * Encode a URL as a bech32 LNURL (LUD-01), uppercased for compact QR codes
+ */
+export function encodeLnurl(url: string): string {
+  return bech32
+    .encode("lnurl", bech32.toWords(utf8.decode(url)), false)
+    .toUpperCase();
+}
+
+/**
+ * Read the amount of a BOLT11 invoice from its human-readable part
+ * @returns Amount in millisatoshis, or null for an "any amount" invoice
+ */
+export function bolt11AmountMsat(invoice: string): bigint | null {
+  const lower = invoice.toLowerCase();
+  const hrp = lower.slice(0, lower.lastIndexOf("1"));
+  const match = hrp.match(/^ln(?:bcrt|bc|tbs|tb)(\d+)?([munp])?$/);
+  if (!match) {
+    throw new Error("Invalid BOLT11 invoice");
+  }
+
+  const [, digits, multiplier = ""] = match;
+  if (!digits) {
+    return null;
+  }
+  if (multiplier === "p") {
+    // Pico-bitcoin: 10 pBTC per millisatoshi
+    return BigInt(digits) / 10n;
+  }
+  return BigInt(digits) * BOLT11_MULTIPLIERS[multiplier];
+}
+
+/**
+ * Fields of a decoded BOLT11 invoice used to vet and display it
+ */
+export interface Bolt11Invoice {
+  /** Amount in millisatoshis, or null for an "any amount" invoice */
+  amountMsat: bigint | null;
+  /** Creation time in seconds since the epoch */
+  timestamp: number;
+  /** Seconds after `timestamp` until the invoice expires */
+  expiry: number;
+  /** Hex SHA-256 of the LNURL metadata (`h` field), if present */
+  descriptionHash: string | null;
+}
+
+function wordsToNumber(words: number[]): number {
+  return words.reduce((value, word) => value * 32 + word, 0);
+}
+
+/**
+ * Decode the timestamp and tagged fields of a BOLT11 invoice
+ * The signature is not checked: the invoice is only relayed, and the paying
+ * wallet verifies it against the payee node.
+ */
+export function decodeBolt11(invoice: string): Bolt11Invoice {
+  const { words } = bech32.decode(
+    invoice.toLowerCase() as `${string}1${string}`,
+    false
+  );
+  const data = words.slice(0, words.length - BOLT11_SIGNATURE_WORDS);
+  if (data.length < 7) {
+    throw new Error("Invalid BOLT11 invoice");
+  }
+
+  let expiry = BOLT11_DEFAULT_EXPIRY;
+  let descriptionHash: string | null = null;
+
+  // Tagged fields: 5-bit type, 10-bit data length in words, then the data
+  for (let i = 7; i + 3 <= data.length;) {
+    const type = data[i];
+    const length = data[i + 1] * 32 + data[i + 2];
+    const field = data.slice(i + 3, i + 3 + length);
+
+    if (type === TAG_EXPIRY) {
+      expiry = wordsToNumber(field);
+    } else if (type === TAG_DESCRIPTION_HASH && length === 52) {
+      descriptionHash = bytesToHex(bech32.fromWords(field));
+    }
+    i += 3 + length;
+  }
+
+  return {
+    amountMsat: bolt11AmountMsat(invoice),
+    timestamp: wordsToNumber(data.slice(0, 7)),
+    expiry,
+    descriptionHash,
+  };
+}
+
+async function fetchLnurlJson(url: string): Promise<any> {
+  let data;
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`LNURL request failed: ${response.status}`);
+    }
+    data = await response.json();
+  } catch (error) {
+    throw toUpstreamError(error, LIGHTNING_SERVICE);
+  }
+
+  if (data.status === "ERROR") {
+    throw new UpstreamError(LIGHTNING_SERVICE, `LNURL error: ${data.reason}`);
+  }
+  return data;
+}
+
+/**
+ * LNURL-pay parameters of a Lightning Address (LUD-06)
+ */
+export interface PayRequest {
+  callback: string;
+  /** Smallest payable amount in millisatoshis */
+  minSendable: bigint;
+  /** Largest payable amount in millisatoshis */
+  maxSendable: bigint;
+  /** JSON metadata the invoice's description hash commits to */
+  metadata: string;
+  /** Longest comment the service accepts (LUD-12), 0 if it takes none */
+  commentAllowed: number;
+}
+
+/**
+ * A BOLT11 invoice fetched for a specific amount
+ */
+export interface LightningInvoice {
+  invoice: string;
+  amountMsat: bigint;
+  /** Expiry time in milliseconds since the epoch */
+  expiresAt: number;
+}
+
+/**
+ * The Lightning payload of a unified BIP21 URI
+ */
+export interface UnifiedLightning {
+  /** BOLT11 invoice or bech32 LNURL */
+  lightning: string;
+  /** When the invoice expires (ms since the epoch); absent for the LNURL */
+  expiresAt?: number;
+}
+
+/**
+ * Fetch the LNURL-pay parameters of a Lightning Address (LUD-16)
+ */
+export async function fetchPayRequest(
+  lightningAddress: string
+): Promise<PayRequest> {
+  const data = await fetchLnurlJson(lightningAddressToUrl(lightningAddress));
+
+  if (data.tag !== "payRequest" || !data.callback) {
+    throw new UpstreamError(
+      LIGHTNING_SERVICE,
+      "LNURL endpoint is not a payRequest"
+    );
+  }
+
+  // BigInt() would throw a SyntaxError or TypeError on anything else
+  const isMsat = (value: unknown) =>
+    (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) ||
+    (typeof value === "string" && /^\d+$/.test(value));
+  if (!isMsat(data.minSendable) || !isMsat(data.maxSendable)) {
+    throw new UpstreamError(
+      LIGHTNING_SERVICE,
+      "LNURL payRequest has no whole-number minSendable and maxSendable"
+    );
+  }
+
+  return {
+    callback: data.callback,
+    minSendable: BigInt(data.minSendable),
+    maxSendable: BigInt(data.maxSendable),
+    metadata: data.metadata ?? "",
+    commentAllowed: Number(data.commentAllowed) || 0,
+  };
+}
+
+/**
+ * Check an amount and optional comment against the service's limits
+ * Throws with a message suitable for showing to the payer.
+ */
+export function checkPayAmount(
+  payRequest: PayRequest,
+  amountMsat: bigint,
+  comment?: string
+): void {
+  if (
+    amountMsat < payRequest.minSendable ||
+    amountMsat > payRequest.maxSendable
+  ) {
+    throw new RequestError(
+      `Amount ${amountMsat} msat is outside the sendable range ${payRequest.minSendable}-${payRequest.maxSendable}`
+    );
+  }
+
+  if (comment && comment.length > payRequest.commentAllowed) {
+    throw new RequestError(
+      payRequest.commentAllowed > 0
+        ? `Comment is longer than ${payRequest.commentAllowed} characters`
+        : "This Lightning address does not accept comments"
+    );
+  }
+}
+
+/**
+ * Ask the LNURL-pay callback for an invoice and vet it
+ */
+export async function requestInvoice(
+  payRequest: PayRequest,
+  amountMsat: bigint,
+  comment?: string
+): Promise<LightningInvoice> {
+  checkPayAmount(payRequest, amountMsat, comment);
+
+  const callback = new URL(payRequest.callback);
+  callback.searchParams.set("amount", amountMsat.toString());
+  if (comment) {
+    callback.searchParams.set("comment", comment);
+  }
+  const { pr } = await fetchLnurlJson(callback.toString());
+
+  if (typeof pr !== "string") {
+    throw new UpstreamError(
+      LIGHTNING_SERVICE,
+      "LNURL callback returned no invoice"
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = decodeBolt11(pr);
+  } catch (error) {
+    throw toUpstreamError(error, LIGHTNING_SERVICE);
+  }
+
+  // Never relay an invoice for a different amount than the one requested
+  if (decoded.amountMsat !== amountMsat) {
+    throw new UpstreamError(
+      LIGHTNING_SERVICE,
+      "LNURL callback returned an invoice for the wrong amount"
+    );
+  }
+
+  // The description hash must commit to the metadata we were shown (LUD-06)
+  if (
+    decoded.descriptionHash !== null &&
+    decoded.descriptionHash !==
+      bytesToHex(sha256(utf8.decode(payRequest.metadata)))
+  ) {
+    throw new UpstreamError(
+      LIGHTNING_SERVICE,
+      "LNURL invoice description hash does not match metadata"
+    );
+  }
+
+  return {
+    invoice: pr,
+    amountMsat,
+    expiresAt: (decoded.timestamp + decoded.expiry) * 1000,
+  };
+}
+
+/**
+ * Fetch a BOLT11 invoice for a fixed amount from a Lightning Address (LUD-06/16)
+ * @param lightningAddress Lightning Address, e.g. name@provider.com
+ * @param amountMsat Amount in millisatoshis
+ * @param comment Optional note for the recipient (LUD-12)
+ */
+export async function fetchLightningInvoice(
+  lightningAddress: string,
+  amountMsat: bigint,
+  comment?: string
+): Promise<LightningInvoice> {
+  const payRequest = await fetchPayRequest(lightningAddress);
+  return requestInvoice(payRequest, amountMsat, comment);
+}
+
+/**
+ * Pick the Lightning payload for a unified BIP21 URI
+ * With an amount this is a BOLT11 invoice; without one, or when the invoice
+ * cannot be fetched, it is the LNURL so the wallet asks for the amount itself.
+ * Invoices come with their expiry, which the widget needs to replace them in time.
+ * @param amountSats Requested amount in satoshis, if any
+ */
+export async function resolveUnifiedLightning(
+  lightningAddress: string,
+  amountSats?: bigint
+): Promise<UnifiedLightning> {
+  const lnurl = encodeLnurl(lightningAddressToUrl(lightningAddress));
+
+  if (amountSats === undefined) {
+    return { lightning: lnurl };
+  }
+
+  try {
+    const { invoice, expiresAt } = await fetchLightningInvoice(
+      lightningAddress,
+      amountSats * 1000n
+    );
+    return { lightning: invoice, expiresAt };
+  } catch (error) {
+    console.error("Failed to fetch Lightning invoice, using LNURL:", error);
+    return { lightning: lnurl };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Regression tests for multisig address derivation
+ *
+ * The script and address encodings are checked against published BIP test
+ * vectors. The wallet vectors below were derived with this implementation
+ * and are pinned so dependency upgrades cannot change them; each lists the
+ * descriptor to confirm them with Bitcoin Core:
+ *
+ *   bitcoin-cli deriveaddresses "<descriptor>" "[0,2]"
+ */
+
+import { describe, it, expect } from "vitest";
+import { createBase58check } from "@scure/base";
+import { sha256 } from "@noble/hashes/sha2.js";
+import { ripemd160 } from "@noble/hashes/legacy.js";
+import { hexToBytes } from "@noble/hashes/utils.js";
+import {
+  deriveMultisigAddress,
+  multisigScript,
+  taprootScriptAddress,
+  witnessScriptAddress,
+  type MultisigPolicy,
+} from "./address-pool.ts";
+
+// Account keys of the BIP32 test vector 1, 2 and 3 seeds
+const P2WSH_XPUBS = [
+  "xpub6E64WfdQwBGz85XhbZryr9gUGUPBgoSu5WV6tJWpzAvgAmpVpdPHkT3XYm9R5J6MeWzvLQoz4q845taC9Q28XutbptxAmg7q8QPkjvTL4oi", // [3442193e/48'/0'/0'/2']
+  "xpub6DwQ4gBCmJZM3TaKogP41tpjuEwnMH2nWEi3PFev37LfsWPvjZrh1GfAG8xvoDYMPWGKG1oBPMCfKpkVbJtUHRaqRdCb6X6o1e9PQTVK88a", // [bd16bee5/48'/0'/0'/2']
+  "xpub6DuE9tmT2f7qUpcAK7bBvrhS1uf8x2c4paV6tdGRD1htEcueVE2xk9ynFQfQZMK7tNNfhspnFQsd6HkJnhGzkZyDVhdCvcBsf3fenyt5qde", // [41d63b50/48'/0'/0'/2']
+];
+
+const P2SH_P2WSH_XPUBS = [
+  "xpub6E64WfdQwBGz3gc1KKqS9x4RBXi53ZEXwBz7GRpKKQZg9TCp2TAS2wnTmymLtFYeEJPvg8WwUb3mpRRk1zjgqCLBq6wHUy1mHY2wWaPDdvv", // [3442193e/48'/0'/0'/1']
+  "xpub6DwQ4gBCmJZLzzxbpCg9a22eTA8KGMEC3MyXDpmykxQcus5FUCyJe5BKhfzQtxG4gv3gkdM8GaPmAx8bCSyYmAtgS69iXAn28aXrxjk6GEU", // [bd16bee5/48'/0'/0'/1']
+  "xpub6DuE9tmT2f7qRQqKvybAsyVWGeNj3KRvogMBpH5NS8r2L8QG6P3zezYrW8vn4HeRuW85NSt8pL15Q6TUPMTJKr8UmYGbeA4r7cMtVkfRtsB", // [41d63b50/48'/0'/0'/1']
+];
+
+const TAPROOT_XPUBS = [
+  "xpub6CQu3JxVynoUPoTVxbCpQ7PVFViMKrUAxVNGFBGq4SEvzrzfoM9gwdMUEk6d4mmDFDopPzUP6LHRnAc8DGypvzFCftfCs6caAFG9qzxYD9S", // [3442193e/87'/0'/0']
+  "xpub6D5rhxUp7oJiHr8NDNCHGskbrkFgD9GuceYPXPQ6svYXaMB3Yn2seNs11u7zKsiGTDjXjSsoKDTfD4VXAjucd372ntBwz9GECpzBn2vho4D", // [bd16bee5/87'/0'/0']
+  "xpub6Cy9o9T8sBwRoxxy7mXkED1QsCdr5p6m5BookAowPWaisjk2drsgetWpGacUcv4T193T83SqLrCywZVdLNUxwsyBDV5rT6anvKQ5yAgvdyc", // [41d63b50/87'/0'/0']
+];
+
+const TESTNET_P2WSH_TPUBS = [
+  "tpubDEC8p4skY4i7mNjxt9yF3u7my5T6KtGLcvEDcH5rKA6XVtJN4JV3SsHWoePTqsHNh47WBkQ79r77KsUYc2PAmaqqasBJMvidbxiupZpJexg", // [3442193e/48'/1'/0'/2']
+  "tpubDE5D8FnwpqS4CBcArpshds4FyP5GipL6RZCPqd4hyHbT6UCAZotECu3abj2YsvM8d8YQ71pAF32EQPD3D4Dwryu1WkfdMzRTLY5kvEKynNJ", // [bd16bee5/48'/1'/0'/2']
+  "tpubDEDJXpGEiMSQCdbt9YYHMuWhzK594qCZB8XpzDGhPBDbWAmUPnXnswEJrNsvCD6dNZGCcnNZ9NmUf5KcS2VsunMzEQPn99bVHxqa5AdwWWr", // [41d63b50/48'/1'/0'/2']
+];
+
+// Provably unspendable internal key from BIP341
+const NUMS_KEY =
+  "50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0";
+
+function policy(
+  scriptType: MultisigPolicy["scriptType"],
+  xpubs: string[],
+  sorted: boolean
+): MultisigPolicy {
+  return {
+    scriptType,
+    threshold: 2,
+    keys: xpubs.map((xpub) => ({ xpub, receiveBranch: [0] })),
+    sorted,
+    ...(scriptType === "tr" ? { internalKey: NUMS_KEY } : {}),
+  };
+}
+
+function deriveFirst(p: MultisigPolicy, network?: "testnet") {
+  return [0, 1, 2].map((index) => deriveMultisigAddress(p, index, network));
+}
+
+describe("Multisig script encoding - BIP test vectors", () => {
+  it("encodes P2WSH addresses (BIP173)", () => {
+    const script = hexToBytes(
+      "210279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798ac"
+    );
+    expect(witnessScriptAddress(script, false)).toBe(
+      "bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3"
+    );
+    expect(witnessScriptAddress(script, false, "testnet")).toBe(
+      "tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7"
+    );
+  });
+
+  it("builds CHECKMULTISIG scripts (BIP67)", () => {
+    const script = multisigScript(2, [
+      hexToBytes(
+        "02fe6f0a5a297eb38c391581c4413e084773ea23954d93f7753db7dc0adc188b2f"
+      ),
+      hexToBytes(
+        "02ff12471208c14bd580709cb2358d98975247d8765f92bc25eab3b2763ed605f8"
+      ),
+    ]);
+    const p2sh = createBase58check(sha256).encode(
+      new Uint8Array([0x05, ...ripemd160(sha256(script))])
+    );
+    expect(p2sh).toBe("39bgKC7RFbpoCRbtD5KEdkYKtNyhpsNa3Z");
+  });
+
+  it("commits to a single tapscript leaf (BIP341)", () => {
+    expect(
+      taprootScriptAddress(
+        hexToBytes(
+          "187791b6f712a8ea41c8ecdd0ee77fab3e85263b37e1ec18a3651926b3a6cf27"
+        ),
+        hexToBytes(
+          "20d85a959b0290bf19bb89ed43c916be835475d013da4b362117393e25a48229b8ac"
+        )
+      )
+    ).toBe("bc1pz37fc4cn9ah8anwm4xqqhvxygjf9rjf2resrw8h8w4tmvcs0863sa2e586");
+  });
+});
+
+describe("Multisig Address Derivation - Regression Tests", () => {
+  // wsh(sortedmulti(2,[3442193e/48'/0'/0'/2']xpub6E64.../0/*,[bd16bee5/48'/0'/0'/2']xpub6DwQ.../0/*,[41d63b50/48'/0'/0'/2']xpub6DuE.../0/*))#n8f4rklh
+  it("2-of-3 sortedmulti P2WSH (BIP48 script type 2)", () => {
+    expect(deriveFirst(policy("wsh", P2WSH_XPUBS, true))).toEqual([
+      "bc1q2drk5mz22swkwv86g5aq6hh77j5x6q0uynvrt45a3g5n3vm200tq3yt6rq",
+      "bc1qc9z645y6eegfr0sj05c38hflrdftdh6wdlydpemmhpxh0842q3fq8g5e4x",
+      "bc1q5l9yntgujll4fxmtrd4u5fymtrrw7v9euyvyh5s85v372h8c85pq4xhsqt",
+    ]);
+  });
+
+  // wsh(multi(2,...same keys...))#cv4rd8xx
+  it("2-of-3 multi P2WSH keeps the key order", () => {
+    // Index 1 happens to derive keys already in sorted order
+    expect(deriveFirst(policy("wsh", P2WSH_XPUBS, false))).toEqual([
+      "bc1q6gag9jfxl5ct74632gjdeemrzzfzlnnpevd7zyntd780egnf57mq63qwv0",
+      "bc1qc9z645y6eegfr0sj05c38hflrdftdh6wdlydpemmhpxh0842q3fq8g5e4x",
+      "bc1qv77q099ecdzqzsd9uu4zztgg2y2y7prnmpu9wrgwf22mqylwa02szq4g2x",
+    ]);
+  });
+
+  // sh(wsh(sortedmulti(2,[3442193e/48'/0'/0'/1']xpub6E64.../0/*,[bd16bee5/48'/0'/0'/1']xpub6DwQ.../0/*,[41d63b50/48'/0'/0'/1']xpub6DuE.../0/*)))#aneqh5cv
+  it("2-of-3 sortedmulti P2SH-P2WSH (BIP48 script type 1)", () => {
+    expect(deriveFirst(policy("sh-wsh", P2SH_P2WSH_XPUBS, true))).toEqual([
+      "33sidq1bMmLYJhydePj8VRYNaaiDF3MYBM",
+      "356Ujm6WQPhAnKRQ4aZAFHpjkLpL6v5op4",
+      "3B5KtDPLPzQdLrG3za41GKzrfgtYYcwVan",
+    ]);
+  });
+
+  // tr(50929b74...,sortedmulti_a(2,[3442193e/87'/0'/0']xpub6CQu.../0/*,[bd16bee5/87'/0'/0']xpub6D5r.../0/*,[41d63b50/87'/0'/0']xpub6Cy9.../0/*))#ctfyx67m
+  it("2-of-3 sortedmulti_a P2TR with an unspendable internal key", () => {
+    expect(deriveFirst(policy("tr", TAPROOT_XPUBS, true))).toEqual([
+      "bc1pckjvvypqc9x38ehm6vf7tmeawu20g5ertfcls3vt4wdentdratgq3la2j8",
+      "bc1p9t2dpwu84kgwjzndm8wqstg7zsj0qlgu7dmj75pxwq3tr08q7wesx9lp78",
+      "bc1px0k7wpmjgrqfrrxfytm93jvmhdn9h2z2xkzlxw6rte7rmx4z54aqrhuva6",
+    ]);
+    expect(deriveFirst(policy("tr", TAPROOT_XPUBS, false))).toEqual([
+      "bc1pgsxqc6ahfuw96ams7mmxf5tkxe6zdtludpxfwvkfljdye575exnq2d3d6e",
+      "bc1pj3mrfwjsc4p5eeu2f5gzwtklz9l0hrtt4c82d08qt6xgur0048eq954c3p",
+      "bc1ppvh2uns0k8xkqplhlhqdsgateph00sxdklqp8gk7q8wucuyzq8lq6t3wgn",
+    ]);
+  });
+
+  it("accepts the SLIP-132 Zpub form of a key", () => {
+    const zpubKeys = [
+      "Zpub74egFEhgoVvKFF5KCwuD6QDHLCiLnQ7VE1BDNMa97xWquA1s6M6h5hDjPt24dYd6hGJWhx1DsNDeydR5t217GsNUQ3TRLuDoZanv6xbRqnP",
+      ...P2WSH_XPUBS.slice(1),
+    ];
+    expect(deriveFirst(policy("wsh", zpubKeys, true))).toEqual(
+      deriveFirst(policy("wsh", P2WSH_XPUBS, true))
+    );
+  });
+
+  it("2-of-3 sortedmulti P2WSH on testnet (tb1q...)", () => {
+    expect(
+      deriveFirst(policy("wsh", TESTNET_P2WSH_TPUBS, true), "testnet")
+    ).toEqual([
+      "tb1qvvs95p96lx8j50jlgtvuemvg6c8ejtlrkjnrv25qha7apy5l6e8st8z5a0",
+      "tb1qe23p5g82jg608m5stqcl22hlxhwv77e8dpxw74m9jg6fxwq8cdxqcw5svz",
+      "tb1q3pc04gxguwjvlfx3x4acux4ja8epe5klj5kxwhgee8eupjhtgt9svjsdxk",
+    ]);
+  });
+});
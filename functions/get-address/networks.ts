@@ -0,0 +1,144 @@
+import { bech32, bech32m, createBase58check } from "@scure/base";
+import { sha256 } from "@noble/hashes/sha2.js";
+
+export type BitcoinNetwork = "mainnet" | "testnet" | "signet" | "regtest";
+
+export interface NetworkParams {
+  /** BIP44 coin type used in derivation paths (0' mainnet, 1' for every test network) */
+  coinType: number;
+  /** Bech32/bech32m human-readable part for SegWit addresses */
+  bech32: string;
+  /** Base58check version byte for P2PKH addresses */
+  pubKeyHash: number;
+  /** Base58check version byte for P2SH addresses */
+  scriptHash: number;
+  /** Extended key version bytes, keyed by the SLIP-132 prefix family */
+  bip32: {
+    x: { public: number; private: number }; // xpub / tpub
+    y: { public: number; private: number }; // ypub / upub
+    z: { public: number; private: number }; // zpub / vpub
+    Y: { public: number; private: number }; // Ypub / Upub (multisig P2SH-P2WSH)
+    Z: { public: number; private: number }; // Zpub / Vpub (multisig P2WSH)
+  };
+}
+
+const MAINNET_BIP32 = {
+  x: { public: 0x0488b21e, private: 0x0488ade4 }, // xpub / xprv
+  y: { public: 0x049d7cb2, private: 0x049d7878 }, // ypub / yprv
+  z: { public: 0x04b24746, private: 0x04b2430c }, // zpub / zprv
+  Y: { public: 0x0295b43f, private: 0x0295b005 }, // Ypub / Yprv
+  Z: { public: 0x02aa7ed3, private: 0x02aa7a99 }, // Zpub / Zprv
+};
+
+const TESTNET_BIP32 = {
+  x: { public: 0x043587cf, private: 0x04358394 }, // tpub / tprv
+  y: { public: 0x044a5262, private: 0x044a4e28 }, // upub / uprv
+  z: { public: 0x045f1cf6, private: 0x045f18bc }, // vpub / vprv
+  Y: { public: 0x024289ef, private: 0x024285b5 }, // Upub / Uprv
+  Z: { public: 0x02575483, private: 0x02575048 }, // Vpub / Vprv
+};
+
+export const NETWORKS: Record<BitcoinNetwork, NetworkParams> = {
+  mainnet: {
+    coinType: 0,
+    bech32: "bc",
+    pubKeyHash: 0x00,
+    scriptHash: 0x05,
+    bip32: MAINNET_BIP32,
+  },
+  testnet: {
+    coinType: 1,
+    bech32: "tb",
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    bip32: TESTNET_BIP32,
+  },
+  signet: {
+    coinType: 1,
+    bech32: "tb",
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    bip32: TESTNET_BIP32,
+  },
+  regtest: {
+    coinType: 1,
+    bech32: "bcrt",
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    bip32: TESTNET_BIP32,
+  },
+};
+
+export function isBitcoinNetwork(value: string): value is BitcoinNetwork {
+  return Object.prototype.hasOwnProperty.call(NETWORKS, value);
+}
+
+/**
+ * Pick the network implied by a BIP44 coin type.
+ * Coin type 1' is shared by testnet, signet and regtest, so it maps to testnet
+ * unless BITCOIN_NETWORK narrows it down.
+ */
+export function networkFromCoinType(coinType: number): BitcoinNetwork {
+  switch (coinType) {
+    case 0:
+      return "mainnet";
+    case 1:
+      return "testnet";
+    default:
+      throw new Error(
+        `Unsupported coin type: ${coinType}'. Supported: 0' (mainnet), 1' (testnet, signet, regtest)`
+      );
+  }
+}
+
+/**
+ * Decode an address for the given network into its output script (scriptPubKey)
+ * Supports P2PKH, P2SH and SegWit v0/v1+ addresses
+ */
+export function addressToOutputScript(
+  address: string,
+  network: BitcoinNetwork
+): Uint8Array {
+  const params = NETWORKS[network];
+
+  if (address.toLowerCase().startsWith(`${params.bech32}1`)) {
+    // Witness v0 uses bech32, v1+ uses bech32m (BIP350)
+    const lower = address.toLowerCase() as `${string}1${string}`;
+    const v0 = bech32.decodeUnsafe(lower);
+    const decoded = v0 && v0.words[0] === 0 ? v0 : bech32m.decodeUnsafe(lower);
+    if (
+      !decoded ||
+      decoded.prefix !== params.bech32 ||
+      (decoded !== v0 && decoded.words[0] === 0)
+    ) {
+      throw new Error(`Invalid ${network} SegWit address: ${address}`);
+    }
+
+    const [version, ...programWords] = decoded.words;
+    const program = bech32.fromWords(programWords);
+    if (version > 16 || program.length < 2 || program.length > 40) {
+      throw new Error(`Invalid ${network} SegWit address: ${address}`);
+    }
+
+    // OP_0 is 0x00, OP_1..OP_16 are 0x51..0x60
+    const versionOpcode = version === 0 ? 0x00 : 0x50 + version;
+    return new Uint8Array([versionOpcode, program.length, ...program]);
+  }
+
+  const payload = createBase58check(sha256).decode(address);
+  if (payload.length !== 21) {
+    throw new Error(`Invalid ${network} base58 address: ${address}`);
+  }
+  const hash = payload.slice(1);
+
+  switch (payload[0]) {
+    case params.pubKeyHash:
+      // OP_DUP OP_HASH160 <20 bytes> OP_EQUALVERIFY OP_CHECKSIG
+      return new Uint8Array([0x76, 0xa9, 0x14, ...hash, 0x88, 0xac]);
+    case params.scriptHash:
+      // OP_HASH160 <20 bytes> OP_EQUAL
+      return new Uint8Array([0xa9, 0x14, ...hash, 0x87]);
+    default:
+      throw new Error(`Invalid ${network} base58 address: ${address}`);
+  }
+}
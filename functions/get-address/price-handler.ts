@@ -0,0 +1,37 @@
+import { RequestError } from "./errors.js";
+import { errorResponse, jsonResponse, type HandlerDeps } from "./handler.js";
+import { createPriceSource, getCachedPrice } from "./price-sources.js";
+
+/**
+ * Current BTC price in a fiat currency, for converting fiat amounts in the widget
+ *
+ * `currency` (ISO 4217, e.g. USD) is required. The price comes from the
+ * configured PRICE_SOURCE and is cached in the store; `time` says when the
+ * source quoted it.
+ */
+export async function handlePrice(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const currency = new URL(request.url).searchParams.get("currency")?.trim();
+  if (!currency || !/^[A-Za-z]{3}$/.test(currency)) {
+    return errorResponse(
+      new RequestError(
+        "currency query parameter must be an ISO 4217 code (e.g. USD)"
+      )
+    );
+  }
+
+  try {
+    const priceSource = deps.priceSource ?? createPriceSource(deps.env);
+    const price = await getCachedPrice(
+      priceSource,
+      deps.store,
+      currency.toUpperCase()
+    );
+    return jsonResponse({ ...price, source: priceSource.name });
+  } catch (error) {
+    console.error(`Failed to get ${currency} price:`, error);
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Tests for the BTC price sources and the price cache
+ *
+ * The HTTP sources talk to a local stub server, so these tests never reach
+ * mempool.space or CoinGecko.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import {
+  CoinGeckoPriceSource,
+  FixedPriceSource,
+  MempoolPriceSource,
+  createPriceSource,
+  getCachedPrice,
+  type PriceSource,
+} from "./price-sources.ts";
+import { MemoryStore } from "./storage.ts";
+
+describe("HTTP price sources", () => {
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      if (req.url === "/api/v1/prices") {
+        res.end(JSON.stringify({ time: 1735689600, USD: 94000, EUR: 90000 }));
+      } else if (req.url?.startsWith("/api/v3/simple/price?ids=bitcoin")) {
+        const code = new URL(req.url, "http://stub").searchParams.get(
+          "vs_currencies"
+        )!;
+        res.end(
+          JSON.stringify({
+            bitcoin:
+              code === "usd" ? { usd: 94100, last_updated_at: 1735689600 } : {},
+          })
+        );
+      } else {
+        res.statusCode = 503;
+        res.end();
+      }
+    });
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", () => resolve())
+    );
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(() => server.close());
+
+  it("reads mempool.space prices", async () => {
+    const source = new MempoolPriceSource(`${baseUrl}/api/`);
+
+    expect(await source.getPrice("EUR")).toEqual({
+      currency: "EUR",
+      price: 90000,
+      time: 1735689600000,
+    });
+    await expect(source.getPrice("NZD")).rejects.toThrow(
+      "Unsupported currency: NZD"
+    );
+  });
+
+  it("reads CoinGecko prices", async () => {
+    const source = new CoinGeckoPriceSource(`${baseUrl}/api/v3`);
+
+    expect(await source.getPrice("USD")).toEqual({
+      currency: "USD",
+      price: 94100,
+      time: 1735689600000,
+    });
+    await expect(source.getPrice("EUR")).rejects.toThrow(
+      "Unsupported currency"
+    );
+  });
+
+  it("throws on API errors", async () => {
+    const source = new MempoolPriceSource(`${baseUrl}/down`);
+    await expect(source.getPrice("USD")).rejects.toThrow(
+      "Price API error: 503"
+    );
+  });
+});
+
+describe("createPriceSource", () => {
+  it("defaults to mempool.space", () => {
+    expect(createPriceSource({}).name).toBe("mempool");
+    expect(createPriceSource({ PRICE_SOURCE: "coingecko" }).name).toBe(
+      "coingecko"
+    );
+  });
+
+  it("reads fixed prices from BTC_PRICES", async () => {
+    const source = createPriceSource({
+      PRICE_SOURCE: "fixed",
+      BTC_PRICES: "usd=65000, EUR=60000.5",
+    });
+
+    expect((await source.getPrice("USD")).price).toBe(65000);
+    expect((await source.getPrice("EUR")).price).toBe(60000.5);
+  });
+
+  it("rejects invalid configuration", () => {
+    expect(() => createPriceSource({ PRICE_SOURCE: "fixed" })).toThrow(
+      "BTC_PRICES environment variable is required"
+    );
+    expect(() =>
+      createPriceSource({ PRICE_SOURCE: "fixed", BTC_PRICES: "USD" })
+    ).toThrow("Invalid BTC_PRICES entry");
+    expect(() => createPriceSource({ PRICE_SOURCE: "oracle" })).toThrow(
+      "Unsupported PRICE_SOURCE: oracle"
+    );
+  });
+});
+
+describe("getCachedPrice", () => {
+  function countingSource(prices: number[]): PriceSource & { calls: number } {
+    return {
+      name: "test",
+      calls: 0,
+      async getPrice(currency) {
+        const price = prices[this.calls++];
+        if (price === undefined) {
+          throw new Error("Price API error: 503");
+        }
+        return { currency, price, time: Date.now() };
+      },
+    };
+  }
+
+  it("reuses a price for 5 minutes", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      const store = new MemoryStore();
+      const source = countingSource([65000, 66000]);
+
+      expect((await getCachedPrice(source, store, "USD")).price).toBe(65000);
+      vi.advanceTimersByTime(4 * 60 * 1000);
+      expect((await getCachedPrice(source, store, "USD")).price).toBe(65000);
+      vi.advanceTimersByTime(2 * 60 * 1000);
+      expect((await getCachedPrice(source, store, "USD")).price).toBe(66000);
+      expect(source.calls).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("falls back to a cached price while the source fails", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      const store = new MemoryStore();
+      const source = countingSource([65000]);
+      const first = await getCachedPrice(source, store, "USD");
+
+      vi.advanceTimersByTime(30 * 60 * 1000);
+      expect(await getCachedPrice(source, store, "USD")).toEqual(first);
+
+      vi.advanceTimersByTime(31 * 60 * 1000);
+      await expect(getCachedPrice(source, store, "USD")).rejects.toThrow(
+        "Price API error: 503"
+      );
+    } finally {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    }
+  });
+
+  it("keeps fixed prices per currency", async () => {
+    const store = new MemoryStore();
+    const source = new FixedPriceSource({ USD: 65000, EUR: 60000 });
+
+    expect((await getCachedPrice(source, store, "USD")).price).toBe(65000);
+    expect((await getCachedPrice(source, store, "EUR")).price).toBe(60000);
+  });
+});
@@ -0,0 +1,217 @@
+import {
+  ConfigurationError,
+  RequestError,
+  UpstreamError,
+  toUpstreamError,
+} from "./errors.js";
+import type { PoolStore } from "./storage.js";
+import type { Env } from "./validation.js";
+
+/**
+ * Price of one bitcoin in a fiat currency
+ */
+export interface BtcPrice {
+  /** ISO 4217 code, upper case */
+  currency: string;
+  price: number;
+  /** When the source quoted the price (ms since epoch) */
+  time: number;
+}
+
+/**
+ * A source of BTC exchange rates
+ */
+export interface PriceSource {
+  /** Short identifier used in logs and cache keys */
+  readonly name: string;
+  /** Look up the current BTC price in `currency` (upper-case ISO 4217 code) */
+  getPrice(currency: string): Promise<BtcPrice>;
+}
+
+export type PriceSourceType = "mempool" | "coingecko" | "fixed";
+
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+const PRICE_CACHE_TTL = 5 * 60 * 1000; // refetch after 5 minutes
+const PRICE_MAX_AGE = 60 * 60 * 1000; // serve a cached price for up to 1 hour while the source fails
+
+/**
+ * mempool.space price API (also served by self-hosted mempool instances)
+ * Quotes USD, EUR, GBP, CAD, CHF, AUD and JPY.
+ */
+export class MempoolPriceSource implements PriceSource {
+  readonly name = "mempool";
+  private baseUrl: string;
+
+  constructor(baseUrl = "https://mempool.space/api") {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  async getPrice(currency: string): Promise<BtcPrice> {
+    const response = await fetch(`${this.baseUrl}/v1/prices`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new UpstreamError(
+        "price source",
+        `Price API error: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    const price = data[currency];
+    if (typeof price !== "number" || price <= 0) {
+      throw new RequestError(`Unsupported currency: ${currency}`, {
+        code: "unsupported_currency",
+      });
+    }
+
+    // The API reports seconds
+    return { currency, price, time: data.time * 1000 };
+  }
+}
+
+/**
+ * CoinGecko simple price API, which quotes most fiat currencies
+ */
+export class CoinGeckoPriceSource implements PriceSource {
+  readonly name = "coingecko";
+  private baseUrl: string;
+
+  constructor(baseUrl = "https://api.coingecko.com/api/v3") {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  async getPrice(currency: string): Promise<BtcPrice> {
+    const code = currency.toLowerCase();
+    const response = await fetch(
+      `${this.baseUrl}/simple/price?ids=bitcoin&vs_currencies=${code}&include_last_updated_at=true`,
+      { signal: AbortSignal.timeout(REQUEST_TIMEOUT) }
+    );
+
+    if (!response.ok) {
+      throw new UpstreamError(
+        "price source",
+        `Price API error: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+    const price = data.bitcoin?.[code];
+    if (typeof price !== "number" || price <= 0) {
+      throw new RequestError(`Unsupported currency: ${currency}`, {
+        code: "unsupported_currency",
+      });
+    }
+
+    return {
+      currency,
+      price,
+      time: (data.bitcoin.last_updated_at ?? Date.now() / 1000) * 1000,
+    };
+  }
+}
+
+/**
+ * Fixed rates from BTC_PRICES (e.g. "USD=65000,EUR=60000")
+ * For local development and tests, where no price API should be called.
+ */
+export class FixedPriceSource implements PriceSource {
+  readonly name = "fixed";
+  private prices: Record<string, number>;
+
+  constructor(prices: Record<string, number>) {
+    this.prices = prices;
+  }
+
+  async getPrice(currency: string): Promise<BtcPrice> {
+    const price = this.prices[currency];
+    if (price === undefined) {
+      throw new RequestError(`Unsupported currency: ${currency}`, {
+        code: "unsupported_currency",
+      });
+    }
+    return { currency, price, time: Date.now() };
+  }
+}
+
+/**
+ * Parse BTC_PRICES ("USD=65000,EUR=60000") into a price per currency
+ */
+function parseFixedPrices(value: string): Record<string, number> {
+  const prices: Record<string, number> = {};
+  for (const entry of value.split(",")) {
+    const match = entry.trim().match(/^([A-Za-z]{3})=(\d+(?:\.\d+)?)$/);
+    if (!match || parseFloat(match[2]) <= 0) {
+      throw new ConfigurationError(
+        `Invalid BTC_PRICES entry "${entry.trim()}": expected CURRENCY=price (e.g., USD=65000)`
+      );
+    }
+    prices[match[1].toUpperCase()] = parseFloat(match[2]);
+  }
+  return prices;
+}
+
+/**
+ * Build the price source selected by PRICE_SOURCE (defaults to mempool.space)
+ */
+export function createPriceSource(env: Env = process.env): PriceSource {
+  const type = (env.PRICE_SOURCE || "mempool") as PriceSourceType;
+
+  switch (type) {
+    case "mempool":
+      return new MempoolPriceSource(env.PRICE_API_URL || undefined);
+    case "coingecko":
+      return new CoinGeckoPriceSource(env.PRICE_API_URL || undefined);
+    case "fixed":
+      if (!env.BTC_PRICES) {
+        throw new ConfigurationError(
+          "BTC_PRICES environment variable is required when PRICE_SOURCE is fixed"
+        );
+      }
+      return new FixedPriceSource(parseFixedPrices(env.BTC_PRICES));
+    default:
+      throw new ConfigurationError(
+        `Unsupported PRICE_SOURCE: ${type}. Supported: mempool, coingecko, fixed`
+      );
+  }
+}
+
+/**
+ * Get a BTC price, cached in the store for 5 minutes
+ * If the source fails, a cached price up to an hour old is served instead;
+ * its `time` shows how old it is.
+ */
+export async function getCachedPrice(
+  source: PriceSource,
+  store: PoolStore,
+  currency: string
+): Promise<BtcPrice> {
+  const key = `price-${source.name}-${currency}`;
+  const cached = await store
+    .get<BtcPrice & { fetchedAt: number }>(key)
+    .catch(() => null);
+  const now = Date.now();
+
+  if (cached && now - cached.fetchedAt < PRICE_CACHE_TTL) {
+    return { currency, price: cached.price, time: cached.time };
+  }
+
+  try {
+    const price = await source.getPrice(currency);
+    await store.set(key, { ...price, fetchedAt: now }).catch((error) => {
+      console.error("Failed to cache price:", error);
+    });
+    return price;
+  } catch (error) {
+    if (
+      cached &&
+      now - cached.fetchedAt < PRICE_MAX_AGE &&
+      !(error instanceof RequestError)
+    ) {
+      console.error(`Serving cached ${currency} price:`, error);
+      return { currency, price: cached.price, time: cached.time };
+    }
+    throw toUpstreamError(error, "price source");
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Tests for the store-backed request rate limits
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  RATE_LIMIT_KEY,
+  checkRateLimit,
+  rateLimitConfig,
+} from "./rate-limit.ts";
+import { MemoryStore } from "./storage.ts";
+
+const CONFIG = { perIp: 2, global: 3, windowMs: 60_000 };
+const NOW = 1_735_689_610_000; // 10 seconds into a minute
+
+describe("rateLimitConfig", () => {
+  it("is off unless a limit is set", () => {
+    expect(rateLimitConfig({})).toBeNull();
+    expect(
+      rateLimitConfig({ RATE_LIMIT_PER_IP: "0", RATE_LIMIT_GLOBAL: "0" })
+    ).toBeNull();
+  });
+
+  it("reads the limits and the window", () => {
+    expect(rateLimitConfig({ RATE_LIMIT_PER_IP: "5" })).toEqual({
+      perIp: 5,
+      global: 0,
+      windowMs: 60_000,
+    });
+    expect(
+      rateLimitConfig({ RATE_LIMIT_GLOBAL: "600", RATE_LIMIT_WINDOW: "10" })
+    ).toEqual({ perIp: 0, global: 600, windowMs: 10_000 });
+  });
+
+  it("rejects invalid values", () => {
+    expect(() => rateLimitConfig({ RATE_LIMIT_PER_IP: "-1" })).toThrow(
+      "RATE_LIMIT_PER_IP must be a whole number"
+    );
+    expect(() => rateLimitConfig({ RATE_LIMIT_WINDOW: "0" })).toThrow(
+      "RATE_LIMIT_WINDOW must be at least 1 second"
+    );
+  });
+});
+
+describe("checkRateLimit", () => {
+  it("limits each client IP within a window", async () => {
+    const store = new MemoryStore();
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await checkRateLimit(store, CONFIG, "203.0.113.7", NOW));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([
+      true,
+      true,
+      false,
+    ]);
+    // 50 seconds left in the window
+    expect(results[2].retryAfter).toBe(50);
+  });
+
+  it("limits all clients together", async () => {
+    const store = new MemoryStore();
+
+    for (const ip of ["10.0.0.1", "10.0.0.2", "10.0.0.3"]) {
+      expect((await checkRateLimit(store, CONFIG, ip, NOW)).allowed).toBe(true);
+    }
+
+    expect((await checkRateLimit(store, CONFIG, "10.0.0.4", NOW)).allowed).toBe(
+      false
+    );
+    // Requests without a client IP only count towards the global limit
+    expect((await checkRateLimit(store, CONFIG, undefined, NOW)).allowed).toBe(
+      false
+    );
+  });
+
+  it("starts counting again in the next window", async () => {
+    const store = new MemoryStore();
+    await checkRateLimit(store, CONFIG, "203.0.113.7", NOW);
+    await checkRateLimit(store, CONFIG, "203.0.113.7", NOW);
+
+    const next = await checkRateLimit(
+      store,
+      CONFIG,
+      "203.0.113.7",
+      NOW + 60_000
+    );
+
+    expect(next.allowed).toBe(true);
+  });
+
+  it("stores hashed client IPs only", async () => {
+    const store = new MemoryStore();
+    const save = vi.spyOn(store, "setIfVersion");
+    await checkRateLimit(store, CONFIG, "203.0.113.7", NOW);
+
+    const keys = save.mock.calls.map(([key]) => key);
+
+    expect(keys).toEqual([
+      expect.stringMatching(new RegExp(`^${RATE_LIMIT_KEY}-ip-[0-9a-f]{16}$`)),
+      `${RATE_LIMIT_KEY}-global`,
+    ]);
+    expect(JSON.stringify(save.mock.calls)).not.toContain("203.0.113.7");
+  });
+
+  it("lets concurrent clients through", async () => {
+    const store = new MemoryStore();
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        checkRateLimit(
+          store,
+          { perIp: 2, global: 100, windowMs: 60_000 },
+          `10.0.0.${i}`,
+          NOW
+        )
+      )
+    );
+
+    expect(results.every((result) => result.allowed)).toBe(true);
+  });
+
+  it("refuses requests when the counter keeps changing", async () => {
+    const store = new MemoryStore();
+    vi.spyOn(store, "setIfVersion").mockResolvedValue(false);
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await checkRateLimit(
+      store,
+      { perIp: 2, global: 0, windowMs: 60_000 },
+      "203.0.113.7",
+      NOW
+    );
+
+    expect(result).toEqual({ allowed: false, retryAfter: 50 });
+    expect(warn).toHaveBeenCalledOnce();
+  });
+
+  it("allows requests when the store fails", async () => {
+    const store = new MemoryStore();
+    vi.spyOn(store, "getWithVersion").mockRejectedValue(new Error("down"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await checkRateLimit(store, CONFIG, "203.0.113.7", NOW);
+
+    expect(result.allowed).toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Request rate limiting
+ *
+ * Off unless RATE_LIMIT_PER_IP or RATE_LIMIT_GLOBAL is set. Requests are
+ * counted in fixed windows in the pool store, so every function instance
+ * shares the same counts: each client IP has its own counter, keyed by a
+ * truncated hash of the IP, and one more counts all clients together.
+ * Only get-address is limited.
+ */
+
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex, utf8ToBytes } from "@noble/hashes/utils.js";
+import { ConfigurationError } from "./errors.js";
+import type { PoolStore } from "./storage.js";
+import type { Env } from "./validation.js";
+
+export interface RateLimitConfig {
+  /** Requests one client IP may make per window, 0 for no limit */
+  perIp: number;
+  /** Requests all clients together may make per window, 0 for no limit */
+  global: number;
+  windowMs: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  /** Seconds until the current window ends */
+  retryAfter: number;
+}
+
+interface RateLimitCounter {
+  windowStart: number;
+  count: number;
+}
+
+/** Prefix of the counter keys: `rate-limit-global` and `rate-limit-ip-<hash>` */
+export const RATE_LIMIT_KEY = "rate-limit";
+
+const DEFAULT_WINDOW = 60; // seconds
+const MAX_WRITE_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 25; // milliseconds
+
+/**
+ * Parse an optional whole-number rate limit variable
+ */
+function parseLimit(env: Env, name: string, fallback: number): number {
+  const value = env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ConfigurationError(
+      `${name} must be a whole number (0 disables it)`
+    );
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Read RATE_LIMIT_PER_IP, RATE_LIMIT_GLOBAL and RATE_LIMIT_WINDOW (seconds)
+ * @returns The limits, or null when neither limit is set
+ */
+export function rateLimitConfig(env: Env): RateLimitConfig | null {
+  const perIp = parseLimit(env, "RATE_LIMIT_PER_IP", 0);
+  const global = parseLimit(env, "RATE_LIMIT_GLOBAL", 0);
+  const window = parseLimit(env, "RATE_LIMIT_WINDOW", DEFAULT_WINDOW);
+  if (window === 0) {
+    throw new ConfigurationError("RATE_LIMIT_WINDOW must be at least 1 second");
+  }
+
+  return perIp || global ? { perIp, global, windowMs: window * 1000 } : null;
+}
+
+function isValidCounter(counter: unknown): counter is RateLimitCounter {
+  const candidate = counter as RateLimitCounter | null;
+  return (
+    !!candidate &&
+    typeof candidate.windowStart === "number" &&
+    typeof candidate.count === "number"
+  );
+}
+
+/**
+ * Count a request on one counter unless it already reached `limit`
+ * A counter from an earlier window starts over. If the counter keeps changing
+ * under us the request is refused: on a client's counter that means parallel
+ * requests from that client, and on the global one a flood of them, which is
+ * what the limits are for.
+ * @returns false when the limit was already reached or the counter stayed contended
+ */
+async function countRequest(
+  store: PoolStore,
+  key: string,
+  limit: number,
+  windowStart: number
+): Promise<boolean> {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const current = await store.getWithVersion<RateLimitCounter>(key);
+    const count =
+      current &&
+      isValidCounter(current.value) &&
+      current.value.windowStart === windowStart
+        ? current.value.count
+        : 0;
+
+    if (count >= limit) {
+      return false;
+    }
+    if (
+      await store.setIfVersion(
+        key,
+        { windowStart, count: count + 1 },
+        current?.version ?? null
+      )
+    ) {
+      return true;
+    }
+
+    const delay = RETRY_BASE_DELAY * attempt * (0.5 + Math.random());
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  console.warn(
+    `Rate limit counter ${key} changed on ${MAX_WRITE_ATTEMPTS} writes in a row, refusing request`
+  );
+  return false;
+}
+
+/**
+ * Count a request against the limits
+ * The client's own limit is checked first. A request it refuses is not
+ * counted, so a client that keeps retrying is let through again once the
+ * window ends; one refused by the global limit still counts for its client.
+ * Without `clientIp` only the global limit applies. If the store fails the
+ * request is allowed: the limiter must not take the endpoint down with it.
+ */
+export async function checkRateLimit(
+  store: PoolStore,
+  config: RateLimitConfig,
+  clientIp?: string,
+  now = Date.now()
+): Promise<RateLimitResult> {
+  const windowStart = now - (now % config.windowMs);
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((windowStart + config.windowMs - now) / 1000)
+  );
+  const client = clientIp
+    ? bytesToHex(sha256(utf8ToBytes(clientIp))).slice(0, 16)
+    : null;
+
+  try {
+    const clientAllowed =
+      !client ||
+      !config.perIp ||
+      (await countRequest(
+        store,
+        `${RATE_LIMIT_KEY}-ip-${client}`,
+        config.perIp,
+        windowStart
+      ));
+    const allowed =
+      clientAllowed &&
+      (!config.global ||
+        (await countRequest(
+          store,
+          `${RATE_LIMIT_KEY}-global`,
+          config.global,
+          windowStart
+        )));
+    return { allowed, retryAfter };
+  } catch (error) {
+    console.error("Rate limit check failed, allowing request:", error);
+    return { allowed: true, retryAfter };
+  }
+}
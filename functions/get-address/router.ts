@@ -0,0 +1,43 @@
+import { handleAdmin } from "./admin-handler.js";
+import { handleCheckPayment } from "./check-payment-handler.js";
+import { withCors } from "./cors.js";
+import { handleGetAddress, type HandlerDeps } from "./handler.js";
+import { handleLightningInvoice } from "./lightning-handler.js";
+import { handlePrice } from "./price-handler.js";
+import { handleStats } from "./stats-handler.js";
+import { handleVerify } from "./verify-handler.js";
+
+export type RouteHandler = (
+  request: Request,
+  deps: HandlerDeps
+) => Promise<Response>;
+
+/**
+ * Routes served by the platform entry points, keyed by the last path segment
+ * (so /api/lightning-invoice and /lightning-invoice both match)
+ */
+export const ROUTES: Record<string, RouteHandler> = {
+  "get-address": handleGetAddress,
+  "lightning-invoice": handleLightningInvoice,
+  "check-payment": handleCheckPayment,
+  stats: handleStats,
+  price: handlePrice,
+  admin: handleAdmin,
+  verify: handleVerify,
+};
+
+/**
+ * Dispatch a request to its route, with the CORS headers ALLOWED_ORIGINS calls for
+ * Any other path serves get-address, as a single-route deployment always has.
+ */
+export async function handleRequest(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const segment = new URL(request.url).pathname
+    .replace(/\/+$/, "")
+    .split("/")
+    .pop()!;
+  const route = ROUTES[segment] ?? handleGetAddress;
+  return withCors(route, request, deps);
+}
@@ -0,0 +1,110 @@
+/**
+ * Tests for the Ed25519 signatures on get-address responses
+ */
+
+import { describe, it, expect } from "vitest";
+import { ed25519 } from "@noble/curves/ed25519.js";
+import { hexToBytes, utf8ToBytes } from "@noble/hashes/utils.js";
+import { signAddress, signedAddressMessage, signingKey } from "./signing.ts";
+
+// RFC 8032 test vector 1
+const SECRET_KEY =
+  "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60";
+const PUBLIC_KEY =
+  "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a";
+const ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+const NOW = 1_735_689_610_000;
+
+describe("signingKey", () => {
+  it("is off without ADDRESS_SIGNING_KEY", () => {
+    expect(signingKey({})).toBeNull();
+    expect(signingKey({ ADDRESS_SIGNING_KEY: " " })).toBeNull();
+  });
+
+  it("derives the public key to pin", () => {
+    expect(
+      signingKey({ ADDRESS_SIGNING_KEY: SECRET_KEY.toUpperCase() })?.publicKey
+    ).toBe(PUBLIC_KEY);
+  });
+
+  it("rejects keys that are not 32 bytes of hex", () => {
+    for (const value of [SECRET_KEY.slice(2), `${SECRET_KEY}00`, "xpub..."]) {
+      expect(() => signingKey({ ADDRESS_SIGNING_KEY: value })).toThrow(
+        "ADDRESS_SIGNING_KEY must be a 32-byte Ed25519 secret key"
+      );
+    }
+  });
+});
+
+describe("signAddress", () => {
+  const key = signingKey({ ADDRESS_SIGNING_KEY: SECRET_KEY })!;
+  const fields = { address: ADDRESS, uri: `bitcoin:${ADDRESS}` };
+  const verify = (
+    signature: string,
+    signed: Parameters<typeof signedAddressMessage>[0],
+    campaign: string | null
+  ) =>
+    ed25519.verify(
+      hexToBytes(signature),
+      signedAddressMessage(signed, campaign, NOW),
+      hexToBytes(PUBLIC_KEY)
+    );
+
+  it("signs the address, campaign, time, URI and invoice", () => {
+    expect(signedAddressMessage(fields, "spring", NOW)).toEqual(
+      utf8ToBytes(
+        `bitcoin-pay-address\n${ADDRESS}\nspring\n${NOW}\nbitcoin:${ADDRESS}\n\n`
+      )
+    );
+    expect(
+      signedAddressMessage(
+        { ...fields, lightning: "lnbc10u1pexample", expiresAt: NOW + 600_000 },
+        "spring",
+        NOW
+      )
+    ).toEqual(
+      utf8ToBytes(
+        `bitcoin-pay-address\n${ADDRESS}\nspring\n${NOW}\nbitcoin:${ADDRESS}\nlnbc10u1pexample\n${NOW + 600_000}`
+      )
+    );
+
+    const { signature, signedAt } = signAddress(key, fields, "spring", NOW);
+    expect(signedAt).toBe(NOW);
+    expect(verify(signature, fields, "spring")).toBe(true);
+  });
+
+  it("does not verify for another address or campaign", () => {
+    const { signature } = signAddress(key, fields, null, NOW);
+
+    expect(verify(signature, fields, null)).toBe(true);
+    expect(verify(signature, fields, "spring")).toBe(false);
+    expect(
+      verify(
+        signature,
+        { ...fields, address: "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g" },
+        null
+      )
+    ).toBe(false);
+  });
+
+  it("does not verify once the URI, invoice or expiry is altered", () => {
+    const signed = {
+      ...fields,
+      lightning: "lnbc10u1pexample",
+      expiresAt: NOW + 600_000,
+    };
+    const { signature } = signAddress(key, signed, null, NOW);
+
+    expect(verify(signature, signed, null)).toBe(true);
+    expect(
+      verify(signature, { ...signed, lightning: "lnbc10u1pattacker" }, null)
+    ).toBe(false);
+    expect(verify(signature, fields, null)).toBe(false);
+    expect(
+      verify(signature, { ...signed, uri: `${fields.uri}?amount=1` }, null)
+    ).toBe(false);
+    expect(
+      verify(signature, { ...signed, expiresAt: NOW + 3_600_000 }, null)
+    ).toBe(false);
+  });
+});
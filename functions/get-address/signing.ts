@@ -0,0 +1,88 @@
+/**
+ * Signed get-address responses
+ *
+ * With ADDRESS_SIGNING_KEY set (a 32-byte Ed25519 secret key as hex), every
+ * address the route serves carries an Ed25519 signature over the address, its
+ * campaign, the time of signing, the payment URI and any Lightning invoice
+ * with its expiry. A
+ * widget pinned to the public key refuses responses swapped or altered by a
+ * compromised deploy, CDN or proxy.
+ */
+
+import { ed25519 } from "@noble/curves/ed25519.js";
+import { bytesToHex, hexToBytes, utf8ToBytes } from "@noble/hashes/utils.js";
+import { ConfigurationError } from "./errors.js";
+import type { Env } from "./validation.js";
+
+/** Signature fields added to the get-address response */
+export interface AddressSignature {
+  /** Ed25519 signature of signedAddressMessage(), as hex */
+  signature: string;
+  /** When the address was signed (ms since epoch) */
+  signedAt: number;
+}
+
+/** Response fields covered by the signature */
+export interface SignedFields {
+  address: string;
+  uri: string;
+  lightning?: string;
+  /** When the Lightning invoice expires (ms since epoch) */
+  expiresAt?: number;
+}
+
+export interface SigningKey {
+  secretKey: Uint8Array;
+  /** Public key as hex, to pin in the widget */
+  publicKey: string;
+}
+
+/**
+ * Read ADDRESS_SIGNING_KEY
+ * @returns The key pair, or null when responses are not signed
+ */
+export function signingKey(env: Env): SigningKey | null {
+  const value = env.ADDRESS_SIGNING_KEY?.trim();
+  if (!value) {
+    return null;
+  }
+  if (!/^[0-9a-fA-F]{64}$/.test(value)) {
+    throw new ConfigurationError(
+      "ADDRESS_SIGNING_KEY must be a 32-byte Ed25519 secret key as 64 hex characters"
+    );
+  }
+  const secretKey = hexToBytes(value.toLowerCase());
+  return { secretKey, publicKey: bytesToHex(ed25519.getPublicKey(secretKey)) };
+}
+
+/**
+ * The signed text: a fixed prefix, the address, the campaign (empty without
+ * one), the signing time, the URI, the Lightning invoice and its expiry
+ * (empty without them), one per line
+ * The widget builds the same text (src/address.js) to verify it.
+ */
+export function signedAddressMessage(
+  { address, uri, lightning, expiresAt }: SignedFields,
+  campaign: string | null | undefined,
+  signedAt: number
+): Uint8Array {
+  return utf8ToBytes(
+    `bitcoin-pay-address\n${address}\n${campaign ?? ""}\n${signedAt}\n${uri}\n${lightning ?? ""}\n${expiresAt ?? ""}`
+  );
+}
+
+/**
+ * Sign the fields of a get-address response
+ */
+export function signAddress(
+  key: SigningKey,
+  fields: SignedFields,
+  campaign: string | null | undefined,
+  now = Date.now()
+): AddressSignature {
+  const message = signedAddressMessage(fields, campaign, now);
+  return {
+    signature: bytesToHex(ed25519.sign(message, key.secretKey)),
+    signedAt: now,
+  };
+}
@@ -0,0 +1,28 @@
+import {
+  createPoolManager,
+  errorResponse,
+  jsonResponse,
+  type HandlerDeps,
+} from "./handler.js";
+
+/**
+ * Donation totals for progress bars, from the ledger of payments the pool has seen
+ *
+ * Returns the confirmed, pending and total sats, the number of donations and
+ * the most recent ones (amount, confirmation and time only, never addresses
+ * or txids). `campaign` reports that campaign's pool.
+ */
+export async function handleStats(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  const campaign = new URL(request.url).searchParams.get("campaign");
+
+  try {
+    const poolManager = createPoolManager(deps, campaign);
+    return jsonResponse(await poolManager.getDonationStats());
+  } catch (error) {
+    console.error("Failed to read donation stats:", error);
+    return errorResponse(error);
+  }
+}
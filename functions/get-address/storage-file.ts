@@ -0,0 +1,132 @@
+import {
+  mkdir,
+  open,
+  readFile,
+  rename,
+  rm,
+  stat,
+  writeFile,
+} from "node:fs/promises";
+import { join } from "node:path";
+import {
+  contentVersion,
+  type PoolStore,
+  type VersionedValue,
+} from "./storage.js";
+
+const LOCK_RETRY_DELAY = 10; // milliseconds
+const LOCK_ATTEMPTS = 500;
+const LOCK_STALE_AFTER = 30 * 1000; // 30 seconds
+
+/**
+ * Filesystem adapter storing one JSON file per key
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * never leaves a half-written pool state behind. Versions are content hashes;
+ * conditional writes hold a lock file so they are safe across processes.
+ */
+export class FileStore implements PoolStore {
+  private directory: string;
+
+  constructor(directory: string) {
+    this.directory = directory;
+  }
+
+  private pathFor(key: string): string {
+    return join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  private async readRaw(key: string): Promise<string | null> {
+    try {
+      return await readFile(this.pathFor(key), "utf8");
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private async writeRaw(key: string, raw: string): Promise<void> {
+    await mkdir(this.directory, { recursive: true });
+    const path = this.pathFor(key);
+    const tmpPath = `${path}.${process.pid}.${Math.random()
+      .toString(36)
+      .slice(2)}.tmp`;
+    await writeFile(tmpPath, raw, "utf8");
+    await rename(tmpPath, path);
+  }
+
+  /**
+   * Run `fn` while holding an exclusive lock file for `key`
+   */
+  private async withLock<T>(key: string, fn: () => Promise<T>): Promise<T> {
+    await mkdir(this.directory, { recursive: true });
+    const lockPath = `${this.pathFor(key)}.lock`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const handle = await open(lockPath, "wx");
+        await handle.close();
+        break;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== "EEXIST") {
+          throw error;
+        }
+
+        // Break locks left behind by a crashed writer
+        const info = await stat(lockPath).catch(() => null);
+        if (info && Date.now() - info.mtimeMs > LOCK_STALE_AFTER) {
+          await rm(lockPath, { force: true });
+          continue;
+        }
+
+        if (attempt >= LOCK_ATTEMPTS) {
+          throw new Error(`Timed out waiting for file lock on ${key}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await rm(lockPath, { force: true });
+    }
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const raw = await this.readRaw(key);
+    return raw === null ? null : (JSON.parse(raw) as T);
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    await this.withLock(key, () => this.writeRaw(key, JSON.stringify(value)));
+  }
+
+  async delete(key: string): Promise<void> {
+    await rm(this.pathFor(key), { force: true });
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    const raw = await this.readRaw(key);
+    return raw === null
+      ? null
+      : { value: JSON.parse(raw) as T, version: contentVersion(raw) };
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    return this.withLock(key, async () => {
+      const raw = await this.readRaw(key);
+      const currentVersion = raw === null ? null : contentVersion(raw);
+      if (currentVersion !== expectedVersion) {
+        return false;
+      }
+      await this.writeRaw(key, JSON.stringify(value));
+      return true;
+    });
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Storage adapter conformance tests
+ *
+ * Every PoolStore adapter must pass the same suite. New adapters should be
+ * added to the list at the bottom of this file.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import { getStore } from "@netlify/blobs";
+import { sha1 } from "@noble/hashes/legacy.js";
+import { bytesToHex, utf8ToBytes } from "@noble/hashes/utils.js";
+import { BlobsServer } from "@netlify/blobs/server";
+import {
+  MemoryStore,
+  NetlifyBlobsStore,
+  RedisRestStore,
+  SqliteStore,
+  type PoolStore,
+} from "./storage.ts";
+import { FileStore } from "./storage-file.ts";
+import { KVStore } from "../../platforms/cloudflare.ts";
+
+const SAMPLE_STATE = {
+  currentIndex: 2,
+  lastRotation: 1700000000000,
+  pool: [
+    {
+      index: 0,
+      address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      lastCheck: 1700000000000,
+      hasActivity: false,
+    },
+  ],
+};
+
+function runStoreConformance(
+  name: string,
+  createStore: () => Promise<PoolStore>,
+  options: { skip?: boolean } = {}
+) {
+  describe.skipIf(options.skip)(`PoolStore conformance: ${name}`, () => {
+    let store: PoolStore;
+
+    beforeAll(async () => {
+      store = await createStore();
+    });
+
+    it("returns null for missing keys", async () => {
+      expect(await store.get("missing-key")).toBeNull();
+    });
+
+    it("round-trips JSON values", async () => {
+      await store.set("pool-state-roundtrip", SAMPLE_STATE);
+      expect(await store.get("pool-state-roundtrip")).toEqual(SAMPLE_STATE);
+    });
+
+    it("overwrites existing values", async () => {
+      await store.set("pool-state-overwrite", SAMPLE_STATE);
+      await store.set("pool-state-overwrite", {
+        ...SAMPLE_STATE,
+        currentIndex: 4,
+      });
+      expect(await store.get("pool-state-overwrite")).toEqual({
+        ...SAMPLE_STATE,
+        currentIndex: 4,
+      });
+    });
+
+    it("returns copies that do not alias stored state", async () => {
+      await store.set("pool-state-copy", SAMPLE_STATE);
+      const first = await store.get<typeof SAMPLE_STATE>("pool-state-copy");
+      first!.pool[0].hasActivity = true;
+      const second = await store.get<typeof SAMPLE_STATE>("pool-state-copy");
+      expect(second!.pool[0].hasActivity).toBe(false);
+    });
+
+    it("keeps keys independent", async () => {
+      await store.set("pool-state-a", { value: "a" });
+      await store.set("pool-state-b", { value: "b" });
+      expect(await store.get("pool-state-a")).toEqual({ value: "a" });
+      expect(await store.get("pool-state-b")).toEqual({ value: "b" });
+    });
+
+    it("creates a key only if it does not exist yet", async () => {
+      expect(
+        await store.setIfVersion("pool-state-new", SAMPLE_STATE, null)
+      ).toBe(true);
+      expect(
+        await store.setIfVersion("pool-state-new", { value: "other" }, null)
+      ).toBe(false);
+      expect(await store.get("pool-state-new")).toEqual(SAMPLE_STATE);
+    });
+
+    it("writes conditionally on the current version", async () => {
+      await store.set("pool-state-cas", SAMPLE_STATE);
+      const current =
+        await store.getWithVersion<typeof SAMPLE_STATE>("pool-state-cas");
+      expect(current!.value).toEqual(SAMPLE_STATE);
+
+      const next = { ...SAMPLE_STATE, currentIndex: 3 };
+      expect(
+        await store.setIfVersion("pool-state-cas", next, current!.version)
+      ).toBe(true);
+
+      // The old version is now stale
+      expect(
+        await store.setIfVersion(
+          "pool-state-cas",
+          { ...SAMPLE_STATE, currentIndex: 4 },
+          current!.version
+        )
+      ).toBe(false);
+      expect(await store.get("pool-state-cas")).toEqual(next);
+
+      const updated = await store.getWithVersion("pool-state-cas");
+      expect(updated!.version).not.toBe(current!.version);
+    });
+
+    it("rejects conditional updates of missing keys", async () => {
+      expect(await store.getWithVersion("pool-state-absent")).toBeNull();
+      expect(
+        await store.setIfVersion("pool-state-absent", SAMPLE_STATE, "1")
+      ).toBe(false);
+      expect(await store.get("pool-state-absent")).toBeNull();
+    });
+
+    it("deletes values, and deleting a missing key is a no-op", async () => {
+      await store.set("pool-state-delete", SAMPLE_STATE);
+      await store.delete("pool-state-delete");
+      expect(await store.get("pool-state-delete")).toBeNull();
+      await expect(store.delete("pool-state-delete")).resolves.toBeUndefined();
+    });
+  });
+}
+
+// node:sqlite ships unflagged from Node 22.13; older runtimes skip the SQLite suite
+const sqlite = await import("node:sqlite").catch(() => null);
+
+let tempDir: string;
+let blobsServer: BlobsServer;
+let redisServer: Server;
+
+beforeAll(async () => {
+  tempDir = await mkdtemp(join(tmpdir(), "pool-store-"));
+});
+
+afterAll(async () => {
+  await blobsServer?.stop();
+  redisServer?.close();
+  await rm(tempDir, { recursive: true, force: true });
+});
+
+runStoreConformance("memory", async () => new MemoryStore());
+
+runStoreConformance(
+  "filesystem",
+  async () => new FileStore(join(tempDir, "file-store"))
+);
+
+runStoreConformance(
+  "sqlite",
+  async () => new SqliteStore(new sqlite!.DatabaseSync(":memory:")),
+  { skip: !sqlite }
+);
+
+runStoreConformance("netlify-blobs", async () => {
+  blobsServer = new BlobsServer({
+    directory: join(tempDir, "netlify-blobs"),
+    token: "test-token",
+  });
+  const { port } = await blobsServer.start();
+  return new NetlifyBlobsStore(
+    getStore({
+      name: "address-pool",
+      edgeURL: `http://localhost:${port}`,
+      uncachedEdgeURL: `http://localhost:${port}`,
+      siteID: "test-site",
+      token: "test-token",
+    })
+  );
+});
+
+runStoreConformance("cloudflare-kv", async () => {
+  // Stand-in for a KV namespace binding: values are stored as strings, like KV
+  const data = new Map<string, string>();
+  return new KVStore({
+    get: async (key) => data.get(key) ?? null,
+    put: async (key, value) => void data.set(key, value),
+    delete: async (key) => void data.delete(key),
+  });
+});
+
+runStoreConformance("redis-rest", async () => {
+  // Minimal Upstash-compatible REST server supporting GET, SET and DEL
+  const data = new Map<string, string>();
+  redisServer = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (req.headers.authorization !== "Bearer test-token") {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: "Unauthorized" }));
+        return;
+      }
+      const [command, ...args] = JSON.parse(body);
+      let result: unknown = null;
+      if (command === "GET") result = data.get(args[0]) ?? null;
+      if (command === "SET") result = data.set(args[0], args[1]) && "OK";
+      if (command === "DEL") result = data.delete(args[0]) ? 1 : 0;
+      if (command === "EVAL") {
+        // Emulates REDIS_CAS_SCRIPT: EVAL script 1 key value expectedSha1
+        const [, , key, value, expected] = args;
+        const current = data.get(key);
+        const currentSha1 =
+          current === undefined ? "" : bytesToHex(sha1(utf8ToBytes(current)));
+        result = currentSha1 === expected ? (data.set(key, value), 1) : 0;
+      }
+      res.end(JSON.stringify({ result }));
+    });
+  });
+  await new Promise<void>((resolve) =>
+    redisServer.listen(0, "127.0.0.1", resolve)
+  );
+  const { port } = redisServer.address() as AddressInfo;
+  return new RedisRestStore(`http://127.0.0.1:${port}`, "test-token");
+});
@@ -0,0 +1,321 @@
+import type { getStore } from "@netlify/blobs";
+import { sha256 } from "@noble/hashes/sha2.js";
+import { sha1 } from "@noble/hashes/legacy.js";
+import { bytesToHex, utf8ToBytes } from "@noble/hashes/utils.js";
+
+/**
+ * A stored value together with an opaque version token (ETag, row version, content hash)
+ */
+export interface VersionedValue<T> {
+  value: T;
+  version: string;
+}
+
+/**
+ * Key/value persistence for address pool state
+ *
+ * Values are JSON-serialisable objects. Adapters must return a fresh copy from
+ * `get` so callers can mutate the result without touching stored state.
+ * `getWithVersion`/`setIfVersion` provide compare-and-swap for concurrent writers.
+ */
+export interface PoolStore {
+  /** Read a value, or null when the key does not exist */
+  get<T>(key: string): Promise<T | null>;
+  /** Create or overwrite a value */
+  set<T>(key: string, value: T): Promise<void>;
+  /** Remove a value (no-op when the key does not exist) */
+  delete(key: string): Promise<void>;
+  /** Read a value with its current version token, or null when the key does not exist */
+  getWithVersion<T>(key: string): Promise<VersionedValue<T> | null>;
+  /**
+   * Write a value only if the stored version still matches `expectedVersion`
+   * (null means the key must not exist yet)
+   * @returns false when another writer got there first
+   */
+  setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean>;
+}
+
+/**
+ * Version token derived from the serialised value, for stores without native versions
+ */
+export function contentVersion(raw: string): string {
+  return bytesToHex(sha256(utf8ToBytes(raw)));
+}
+
+/**
+ * Netlify Blobs adapter (the default on Netlify)
+ */
+export class NetlifyBlobsStore implements PoolStore {
+  private store: ReturnType<typeof getStore>;
+
+  constructor(store: ReturnType<typeof getStore>) {
+    this.store = store;
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const data = await this.store.get(key, { type: "json" });
+    return (data as T) ?? null;
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    await this.store.set(key, JSON.stringify(value));
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.store.delete(key);
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    // Strong consistency so a retry after a conflict sees the winning write
+    const result = await this.store.getWithMetadata(key, {
+      type: "json",
+      consistency: "strong",
+    });
+    if (!result) {
+      return null;
+    }
+
+    // The local Netlify Dev blobs server omits ETags on reads, but lists them
+    let etag = result.etag;
+    if (!etag) {
+      const { blobs } = await this.store.list({ prefix: key });
+      etag = blobs.find((blob) => blob.key === key)?.etag;
+    }
+    if (!etag) {
+      throw new Error(`Netlify Blobs returned no ETag for ${key}`);
+    }
+
+    return { value: result.data as T, version: etag };
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    const { modified } = await this.store.set(
+      key,
+      JSON.stringify(value),
+      expectedVersion === null
+        ? { onlyIfNew: true }
+        : { onlyIfMatch: expectedVersion }
+    );
+    return modified;
+  }
+}
+
+/**
+ * In-memory adapter for tests and single-process servers
+ * State is lost when the process exits.
+ */
+export class MemoryStore implements PoolStore {
+  private data = new Map<string, { raw: string; version: number }>();
+  private nextVersion = 1;
+
+  async get<T>(key: string): Promise<T | null> {
+    const entry = this.data.get(key);
+    return entry === undefined ? null : (JSON.parse(entry.raw) as T);
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    this.data.set(key, {
+      raw: JSON.stringify(value),
+      version: this.nextVersion++,
+    });
+  }
+
+  async delete(key: string): Promise<void> {
+    this.data.delete(key);
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    const entry = this.data.get(key);
+    return entry === undefined
+      ? null
+      : { value: JSON.parse(entry.raw) as T, version: String(entry.version) };
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    const current = this.data.get(key);
+    const currentVersion = current ? String(current.version) : null;
+    if (currentVersion !== expectedVersion) {
+      return false;
+    }
+    await this.set(key, value);
+    return true;
+  }
+}
+
+/**
+ * Minimal synchronous SQLite API shared by node:sqlite's DatabaseSync and better-sqlite3
+ */
+export interface SqliteDatabase {
+  exec(sql: string): unknown;
+  prepare(sql: string): {
+    get(...params: unknown[]): unknown;
+    run(...params: unknown[]): { changes: number | bigint };
+  };
+}
+
+/**
+ * SQLite adapter storing one row per key, with a row version for compare-and-swap
+ * Pass an open database handle, e.g. `new DatabaseSync("pool.db")` from node:sqlite.
+ */
+export class SqliteStore implements PoolStore {
+  private db: SqliteDatabase;
+  private table: string;
+
+  constructor(db: SqliteDatabase, table = "address_pool") {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid SQLite table name: ${table}`);
+    }
+    this.db = db;
+    this.table = table;
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL, version INTEGER NOT NULL DEFAULT 1)`
+    );
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const row = this.db
+      .prepare(`SELECT value FROM ${this.table} WHERE key = ?`)
+      .get(key) as { value: string } | undefined;
+    return row ? (JSON.parse(row.value) as T) : null;
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    this.db
+      .prepare(
+        `INSERT INTO ${this.table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, version = version + 1`
+      )
+      .run(key, JSON.stringify(value));
+  }
+
+  async delete(key: string): Promise<void> {
+    this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    const row = this.db
+      .prepare(`SELECT value, version FROM ${this.table} WHERE key = ?`)
+      .get(key) as { value: string; version: number } | undefined;
+    return row
+      ? { value: JSON.parse(row.value) as T, version: String(row.version) }
+      : null;
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    const raw = JSON.stringify(value);
+    const { changes } =
+      expectedVersion === null
+        ? this.db
+            .prepare(
+              `INSERT INTO ${this.table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO NOTHING`
+            )
+            .run(key, raw)
+        : this.db
+            .prepare(
+              `UPDATE ${this.table} SET value = ?, version = version + 1 WHERE key = ? AND version = ?`
+            )
+            .run(raw, key, Number(expectedVersion));
+    return Number(changes) === 1;
+  }
+}
+
+/**
+ * Lua compare-and-swap: write ARGV[1] only if the SHA-1 of the current value is ARGV[2]
+ * (an empty ARGV[2] means the key must not exist)
+ */
+const REDIS_CAS_SCRIPT = `local current = redis.call("GET", KEYS[1])
+if ARGV[2] == "" then
+  if current then return 0 end
+elseif not current or redis.sha1hex(current) ~= ARGV[2] then
+  return 0
+end
+redis.call("SET", KEYS[1], ARGV[1])
+return 1`;
+
+/**
+ * Redis adapter over the Upstash-compatible REST API (Upstash, Vercel KV)
+ * Uses fetch only, so it works on edge runtimes without TCP sockets.
+ * Versions are the SHA-1 of the stored value, checked atomically by a Lua script.
+ */
+export class RedisRestStore implements PoolStore {
+  private url: string;
+  private token: string;
+
+  constructor(url: string, token: string) {
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+  }
+
+  private async command(args: string[]): Promise<unknown> {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(args),
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data || data.error) {
+      throw new Error(
+        `Redis REST error: ${data?.error ?? response.status} (${args[0]})`
+      );
+    }
+    return data.result;
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const raw = (await this.command(["GET", key])) as string | null;
+    return raw === null ? null : (JSON.parse(raw) as T);
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    await this.command(["SET", key, JSON.stringify(value)]);
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.command(["DEL", key]);
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    const raw = (await this.command(["GET", key])) as string | null;
+    return raw === null
+      ? null
+      : {
+          value: JSON.parse(raw) as T,
+          version: bytesToHex(sha1(utf8ToBytes(raw))),
+        };
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    const result = await this.command([
+      "EVAL",
+      REDIS_CAS_SCRIPT,
+      "1",
+      key,
+      JSON.stringify(value),
+      expectedVersion ?? "",
+    ]);
+    return Number(result) === 1;
+  }
+}
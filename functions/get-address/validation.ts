@@ -1,46 +1,345 @@
+import { MAX_ADDRESS_INDEX, type MultisigPolicy } from "./address-pool.js";
+import {
+  isMultisigDescriptor,
+  parseDescriptor,
+  parseMultisigDescriptor,
+} from "./descriptors.js";
+import { ConfigurationError, RequestError } from "./errors.js";
+import {
+  isBitcoinNetwork,
+  networkFromCoinType,
+  NETWORKS,
+  type BitcoinNetwork,
+} from "./networks.js";
+
+/**
+ * Environment variables as seen by the handlers
+ * (process.env on Node runtimes, bindings on Cloudflare Workers)
+ */
+export type Env = Record<string, string | undefined>;
+
+/**
+ * Pick the network for a coin type, narrowed by BITCOIN_NETWORK if set
+ */
+function resolveNetwork(
+  coinType: number,
+  networkOverride: string | undefined,
+  source: string
+): BitcoinNetwork {
+  const network = networkFromCoinType(coinType);
+  if (!networkOverride) {
+    return network;
+  }
+
+  if (!isBitcoinNetwork(networkOverride)) {
+    throw new ConfigurationError(
+      `BITCOIN_NETWORK must be one of: ${Object.keys(NETWORKS).join(", ")}`
+    );
+  }
+  if (NETWORKS[networkOverride].coinType !== coinType) {
+    throw new ConfigurationError(
+      `BITCOIN_NETWORK "${networkOverride}" does not match coin type ${coinType}' in ${source}`
+    );
+  }
+  return networkOverride;
+}
+
+/**
+ * Coin type of a descriptor key: from its origin path, or else from the key prefix
+ */
+function descriptorCoinType(
+  origin: { path: string } | null,
+  xpub: string
+): number {
+  const originCoinType = origin?.path.match(/^m\/\d+'\/(\d+)'/);
+  if (originCoinType) {
+    return parseInt(originCoinType[1], 10);
+  }
+  return /^[xyzYZ]pub/.test(xpub) ? 0 : 1;
+}
+
+/**
+ * Validate BITCOIN_DESCRIPTOR, the alternative to BITCOIN_XPUB plus BITCOIN_DERIVATION_PATH
+ * The network comes from the key origin's coin type, or else from the key prefix.
+ */
+function validateDescriptorEnvironment(env: Env) {
+  if (env.BITCOIN_XPUB || env.BITCOIN_DERIVATION_PATH) {
+    throw new ConfigurationError(
+      "Set either BITCOIN_DESCRIPTOR or BITCOIN_XPUB with BITCOIN_DERIVATION_PATH, not both"
+    );
+  }
+
+  if (isMultisigDescriptor(env.BITCOIN_DESCRIPTOR!)) {
+    let multisig;
+    try {
+      multisig = parseMultisigDescriptor(env.BITCOIN_DESCRIPTOR!);
+    } catch (error) {
+      throw new ConfigurationError(
+        `BITCOIN_DESCRIPTOR is invalid: ${error.message}`,
+        { cause: error }
+      );
+    }
+    const { policy, origins } = multisig;
+
+    // Every key must be on the same network, so the first one decides
+    return {
+      xpub: policy.keys.map((key) => key.xpub).join(","),
+      derivationPath: origins[0]?.path ?? "m",
+      network: resolveNetwork(
+        descriptorCoinType(origins[0], policy.keys[0].xpub),
+        env.BITCOIN_NETWORK,
+        "BITCOIN_DESCRIPTOR"
+      ),
+      multisig: policy,
+    };
+  }
+
+  let descriptor;
+  try {
+    descriptor = parseDescriptor(env.BITCOIN_DESCRIPTOR!);
+  } catch (error) {
+    throw new ConfigurationError(
+      `BITCOIN_DESCRIPTOR is invalid: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  return {
+    xpub: descriptor.xpub,
+    derivationPath: descriptor.origin?.path ?? "m",
+    network: resolveNetwork(
+      descriptorCoinType(descriptor.origin, descriptor.xpub),
+      env.BITCOIN_NETWORK,
+      "BITCOIN_DESCRIPTOR"
+    ),
+    purpose: descriptor.purpose,
+    receiveBranch: descriptor.receiveBranch,
+  };
+}
+
+/**
+ * Multisig from BITCOIN_XPUB (comma-separated xpubs), a BIP48 BITCOIN_DERIVATION_PATH
+ * (m/48'/coin'/account'/script_type', 1' = P2SH-P2WSH, 2' = P2WSH) and
+ * BITCOIN_MULTISIG_THRESHOLD. Keys are sorted per address, as in sortedmulti().
+ */
+function validateMultisigEnvironment(
+  env: Env,
+  scriptTypeNumber: number
+): MultisigPolicy {
+  if (scriptTypeNumber !== 1 && scriptTypeNumber !== 2) {
+    throw new ConfigurationError(
+      "BIP48 script type in BITCOIN_DERIVATION_PATH must be 1' (P2SH-P2WSH) or 2' (P2WSH)"
+    );
+  }
+
+  const xpubs = env.BITCOIN_XPUB!.split(",").map((xpub) => xpub.trim());
+  if (xpubs.length > 20) {
+    throw new ConfigurationError(
+      "BITCOIN_XPUB can hold at most 20 multisig xpubs"
+    );
+  }
+  const threshold = env.BITCOIN_MULTISIG_THRESHOLD ?? "";
+  if (!/^[1-9]\d*$/.test(threshold) || parseInt(threshold, 10) > xpubs.length) {
+    throw new ConfigurationError(
+      `BITCOIN_MULTISIG_THRESHOLD must be a whole number from 1 to the number of xpubs (${xpubs.length})`
+    );
+  }
+
+  return {
+    scriptType: scriptTypeNumber === 1 ? "sh-wsh" : "wsh",
+    threshold: parseInt(threshold, 10),
+    keys: xpubs.map((xpub) => ({ xpub, receiveBranch: [0] })),
+    sorted: true,
+  };
+}
+
 /**
  * Validates required environment variables for Bitcoin address functions
- * @returns Object containing validated xpub and derivationPath, or throws error
+ * The wallet is either BITCOIN_DESCRIPTOR or BITCOIN_XPUB with BITCOIN_DERIVATION_PATH.
+ * @param env Environment variables to read (defaults to process.env)
+ * @returns Object containing validated xpub, derivationPath, network and optional gapLimit,
+ * campaigns and expectedFirstAddress, plus purpose and receiveBranch for descriptors or the
+ * policy for multisig, or throws error
  */
-export function validateBitcoinEnvironment(): {
+export function validateBitcoinEnvironment(env: Env = process.env): {
   xpub: string;
   derivationPath: string;
+  network: BitcoinNetwork;
+  gapLimit?: number;
+  campaigns?: Record<string, number>;
+  expectedFirstAddress?: string;
+  purpose?: number;
+  receiveBranch?: number[];
+  multisig?: MultisigPolicy;
 } {
-  const xpub = process.env.BITCOIN_XPUB;
-  const derivationPath = process.env.BITCOIN_DERIVATION_PATH;
+  const gapLimit = validateGapLimit(env);
+  const campaigns = validateCampaigns(env);
+  const expectedFirstAddress = validateExpectedFirstAddress(env);
+  if (env.BITCOIN_DESCRIPTOR) {
+    return {
+      ...validateDescriptorEnvironment(env),
+      gapLimit,
+      campaigns,
+      expectedFirstAddress,
+    };
+  }
+
+  const xpub = env.BITCOIN_XPUB;
+  const derivationPath = env.BITCOIN_DERIVATION_PATH;
 
   if (!xpub) {
-    throw new Error("BITCOIN_XPUB environment variable is required");
+    throw new ConfigurationError(
+      "BITCOIN_XPUB environment variable is required (or set BITCOIN_DESCRIPTOR)"
+    );
   }
 
   if (!derivationPath) {
-    throw new Error("BITCOIN_DERIVATION_PATH environment variable is required");
+    throw new ConfigurationError(
+      "BITCOIN_DERIVATION_PATH environment variable is required"
+    );
+  }
+
+  // BIP48 multisig: m/48'/coin'/account'/script_type'
+  const multisigPath = derivationPath.match(/^m\/48'\/(\d+)'\/\d+'\/(\d+)'$/);
+  if (multisigPath) {
+    return {
+      xpub,
+      derivationPath,
+      network: resolveNetwork(
+        parseInt(multisigPath[1], 10),
+        env.BITCOIN_NETWORK,
+        "BITCOIN_DERIVATION_PATH"
+      ),
+      gapLimit,
+      campaigns,
+      expectedFirstAddress,
+      multisig: validateMultisigEnvironment(env, parseInt(multisigPath[2], 10)),
+    };
+  }
+  if (xpub.includes(",") || env.BITCOIN_MULTISIG_THRESHOLD) {
+    throw new ConfigurationError(
+      "Multisig needs a BIP48 BITCOIN_DERIVATION_PATH (e.g., m/48'/0'/0'/2') or a BITCOIN_DESCRIPTOR"
+    );
   }
 
   // Validate that derivation path is at account level (ends with hardened derivation)
   // Expected format: m/purpose'/coin'/account' (e.g., m/84'/0'/0')
   // This path is used for purpose detection only - the XPUB should be at account level
-  if (!derivationPath.match(/^m\/\d+'\/\d+'\/\d+'$/)) {
-    throw new Error(
+  const match = derivationPath.match(/^m\/\d+'\/(\d+)'\/\d+'$/);
+  if (!match) {
+    throw new ConfigurationError(
       "BITCOIN_DERIVATION_PATH must be at account level (e.g., m/84'/0'/0'). " +
         "This is used for purpose detection - the XPUB should be at the same account level."
     );
   }
 
-  return { xpub, derivationPath };
+  // The coin type selects the network; BITCOIN_NETWORK can narrow 1' down to signet or regtest
+  const network = resolveNetwork(
+    parseInt(match[1], 10),
+    env.BITCOIN_NETWORK,
+    "BITCOIN_DERIVATION_PATH"
+  );
+
+  return {
+    xpub,
+    derivationPath,
+    network,
+    gapLimit,
+    campaigns,
+    expectedFirstAddress,
+  };
+}
+
+/**
+ * Optional BITCOIN_EXPECTED_FIRST_ADDRESS: the wallet software's first receive
+ * address, which index 0 must derive before the pool is used
+ */
+function validateExpectedFirstAddress(env: Env): string | undefined {
+  const address = env.BITCOIN_EXPECTED_FIRST_ADDRESS?.trim();
+  if (!address) {
+    return undefined;
+  }
+  if (!/^[a-zA-Z0-9]{26,90}$/.test(address)) {
+    throw new ConfigurationError(
+      "BITCOIN_EXPECTED_FIRST_ADDRESS must be a Bitcoin address (e.g., bc1q...)"
+    );
+  }
+  return address;
+}
+
+/**
+ * Optional BITCOIN_GAP_LIMIT: how far past the last funded address new ones may be derived
+ */
+function validateGapLimit(env: Env): number | undefined {
+  if (!env.BITCOIN_GAP_LIMIT) {
+    return undefined;
+  }
+  if (!/^[1-9]\d*$/.test(env.BITCOIN_GAP_LIMIT)) {
+    throw new ConfigurationError(
+      "BITCOIN_GAP_LIMIT must be a positive whole number"
+    );
+  }
+  return parseInt(env.BITCOIN_GAP_LIMIT, 10);
 }
 
 /**
- * Creates a standardized error response for validation failures
- * @param message Error message
- * @returns Response object
+ * Optional BITCOIN_CAMPAIGNS: the campaigns allowed as `campaign` and the
+ * address index each one starts at, e.g. "spring=1000,gala=2000"
+ * @returns Start index by campaign name
  */
-export function createValidationErrorResponse(message: string): Response {
-  return new Response(message, {
-    status: 500,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Content-Type": "application/json",
-    },
-  });
+function validateCampaigns(env: Env): Record<string, number> | undefined {
+  if (!env.BITCOIN_CAMPAIGNS) {
+    return undefined;
+  }
+
+  const campaigns: Record<string, number> = {};
+  const starts = new Set<number>();
+  for (const entry of env.BITCOIN_CAMPAIGNS.split(",")) {
+    const match = entry.trim().match(/^([a-z0-9][a-z0-9_-]{0,31})=(\d+)$/);
+    if (!match) {
+      throw new ConfigurationError(
+        `Invalid BITCOIN_CAMPAIGNS entry "${entry.trim()}": expected name=startIndex ` +
+          "with a lowercase name of letters, digits, - and _ (e.g., spring=1000)"
+      );
+    }
+    const [, name, start] = match;
+    const firstIndex = parseInt(start, 10);
+    if (firstIndex < 1 || firstIndex > MAX_ADDRESS_INDEX) {
+      throw new ConfigurationError(
+        `BITCOIN_CAMPAIGNS start index for "${name}" must be between 1 and ${MAX_ADDRESS_INDEX}`
+      );
+    }
+    if (name in campaigns || starts.has(firstIndex)) {
+      throw new ConfigurationError(
+        `BITCOIN_CAMPAIGNS lists "${name}" or start index ${firstIndex} twice`
+      );
+    }
+    campaigns[name] = firstIndex;
+    starts.add(firstIndex);
+  }
+  return campaigns;
+}
+
+/**
+ * Index range of a campaign's pool, or of the default pool without `campaign`
+ * Each range runs up to the next campaign's start index; the default pool
+ * keeps the indices below the first one.
+ * Throws if `campaign` is not one of BITCOIN_CAMPAIGNS.
+ */
+export function resolveCampaign(
+  campaigns: Record<string, number> | undefined,
+  campaign?: string | null
+): { firstIndex: number; lastIndex: number } {
+  if (campaign && !(campaigns && Object.hasOwn(campaigns, campaign))) {
+    throw new RequestError(`Unknown campaign "${campaign}"`, {
+      code: "unknown_campaign",
+    });
+  }
+
+  const firstIndex = campaign ? campaigns![campaign] : 0;
+  const nextStart = Math.min(
+    MAX_ADDRESS_INDEX + 1,
+    ...Object.values(campaigns ?? {}).filter((start) => start > firstIndex)
+  );
+  return { firstIndex, lastIndex: nextStart - 1 };
 }
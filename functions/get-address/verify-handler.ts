@@ -0,0 +1,57 @@
+import { adminErrorResponse, checkAdminAuth } from "./admin-handler.js";
+import { RequestError } from "./errors.js";
+import {
+  createPoolManager,
+  errorResponse,
+  jsonResponse,
+  type HandlerDeps,
+} from "./handler.js";
+import { signingKey } from "./signing.js";
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+
+/**
+ * Report what the backend derives, to check against the wallet software,
+ * authenticated with ADMIN_SECRET like the admin route
+ *
+ * Returns the network, derivation path, script type and key fingerprints with
+ * the first `count` receive addresses (default 5, at most 20). With
+ * BITCOIN_EXPECTED_FIRST_ADDRESS set, `matches` tells whether index 0 derives
+ * it; the report is served either way, while the pool refuses to. With
+ * ADDRESS_SIGNING_KEY set, `signingKey` is the public key to pin in the widget.
+ */
+export async function handleVerify(
+  request: Request,
+  deps: HandlerDeps
+): Promise<Response> {
+  try {
+    checkAdminAuth(request, deps.env);
+  } catch (error) {
+    return errorResponse(error);
+  }
+
+  const count = new URL(request.url).searchParams.get("count");
+  if (
+    count !== null &&
+    (!/^\d{1,2}$/.test(count) || Number(count) < 1 || Number(count) > MAX_COUNT)
+  ) {
+    return errorResponse(
+      new RequestError(
+        `Invalid count "${count}": expected a whole number from 1 to ${MAX_COUNT}`
+      )
+    );
+  }
+
+  try {
+    const poolManager = createPoolManager(deps);
+    const key = signingKey(deps.env);
+    return jsonResponse({
+      ...poolManager.describeWallet(count ? Number(count) : DEFAULT_COUNT),
+      ...(key && { signingKey: key.publicKey }),
+    });
+  } catch (error) {
+    console.error("Wallet verification failed:", error);
+    return adminErrorResponse(error);
+  }
+}
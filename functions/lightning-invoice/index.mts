@@ -0,0 +1,14 @@
+import type { Context } from "@netlify/functions";
+import { getStore } from "@netlify/blobs";
+import { STORE_NAME } from "../get-address/address-pool.js";
+import { withCors } from "../get-address/cors.js";
+import { handleLightningInvoice } from "../get-address/lightning-handler.js";
+import { NetlifyBlobsStore } from "../get-address/storage.js";
+
+export default async (req: Request, context: Context) => {
+  return withCors(handleLightningInvoice, req, {
+    env: process.env,
+    store: new NetlifyBlobsStore(getStore(STORE_NAME)),
+    clientIp: context.ip,
+  });
+};
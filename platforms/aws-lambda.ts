@@ -0,0 +1,135 @@
+/**
+ * AWS Lambda entry point for API Gateway (REST API v1 and HTTP API v2 events)
+ *
+ * Lambda has no persistent local storage, so pool state lives in Redis through
+ * the Upstash-compatible REST API (REDIS_REST_URL / REDIS_REST_TOKEN). Use
+ * createLambdaHandler to plug in another PoolStore, e.g. a DynamoDB adapter.
+ */
+
+import { ConfigurationError } from "../functions/get-address/errors.js";
+import {
+  errorResponse,
+  type HandlerDeps,
+} from "../functions/get-address/handler.js";
+import { handleRequest } from "../functions/get-address/router.js";
+import { RedisRestStore } from "../functions/get-address/storage.js";
+
+/**
+ * Fields shared by API Gateway REST (v1) and HTTP API (v2) proxy events
+ */
+export interface ApiGatewayEvent {
+  version?: string;
+  httpMethod?: string;
+  path?: string;
+  rawPath?: string;
+  rawQueryString?: string;
+  queryStringParameters?: Record<string, string | undefined> | null;
+  headers?: Record<string, string | undefined> | null;
+  body?: string | null;
+  isBase64Encoded?: boolean;
+  requestContext?: {
+    http?: { method: string; sourceIp?: string };
+    identity?: { sourceIp?: string };
+  };
+}
+
+export interface ApiGatewayResult {
+  statusCode: number;
+  headers: Record<string, string>;
+  body: string;
+  isBase64Encoded: boolean;
+}
+
+/**
+ * Convert an API Gateway proxy event into a Fetch API Request
+ */
+export function eventToRequest(event: ApiGatewayEvent): Request {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(event.headers ?? {})) {
+    if (value !== undefined) headers.set(name, value);
+  }
+
+  const method =
+    event.requestContext?.http?.method ?? event.httpMethod ?? "GET";
+  const path = event.rawPath ?? event.path ?? "/";
+  const query =
+    event.rawQueryString ??
+    new URLSearchParams(
+      Object.entries(event.queryStringParameters ?? {}).filter(
+        (entry): entry is [string, string] => entry[1] !== undefined
+      )
+    ).toString();
+  const url = `https://${headers.get("host") ?? "localhost"}${path}${
+    query ? `?${query}` : ""
+  }`;
+
+  const hasBody = event.body && method !== "GET" && method !== "HEAD";
+  return new Request(url, {
+    method,
+    headers,
+    body: hasBody
+      ? event.isBase64Encoded
+        ? Buffer.from(event.body!, "base64")
+        : event.body
+      : undefined,
+  });
+}
+
+/**
+ * Convert a Fetch API Response into an API Gateway proxy result
+ */
+export async function responseToResult(
+  response: Response
+): Promise<ApiGatewayResult> {
+  return {
+    statusCode: response.status,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: await response.text(),
+    isBase64Encoded: false,
+  };
+}
+
+/**
+ * Client IP as seen by API Gateway (v2 reports it under http, v1 under identity)
+ */
+export function eventSourceIp(event: ApiGatewayEvent): string | undefined {
+  return (
+    event.requestContext?.http?.sourceIp ??
+    event.requestContext?.identity?.sourceIp
+  );
+}
+
+/**
+ * Build a Lambda handler around custom dependencies
+ */
+export function createLambdaHandler(
+  getDeps: () => HandlerDeps
+): (event: ApiGatewayEvent) => Promise<ApiGatewayResult> {
+  return async (event) =>
+    responseToResult(
+      await handleRequest(eventToRequest(event), {
+        ...getDeps(),
+        clientIp: eventSourceIp(event),
+      })
+    );
+}
+
+export const handler = async (
+  event: ApiGatewayEvent
+): Promise<ApiGatewayResult> => {
+  const url = process.env.REDIS_REST_URL;
+  const token = process.env.REDIS_REST_TOKEN;
+
+  if (!url || !token) {
+    const error = new ConfigurationError(
+      "REDIS_REST_URL and REDIS_REST_TOKEN environment variables are required"
+    );
+    console.error(error.message);
+    return responseToResult(errorResponse(error));
+  }
+
+  return createLambdaHandler(() => ({
+    env: process.env,
+    store: new RedisRestStore(url, token),
+  }))(event);
+};
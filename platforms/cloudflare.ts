@@ -0,0 +1,103 @@
+/**
+ * Cloudflare Workers entry point
+ *
+ * wrangler.toml:
+ *   main = "platforms/cloudflare.ts"
+ *   compatibility_flags = ["nodejs_compat"]
+ *   [[kv_namespaces]]
+ *   binding = "ADDRESS_POOL"
+ *   id = "<namespace id>"
+ *
+ * Set BITCOIN_XPUB and BITCOIN_DERIVATION_PATH as Worker variables or secrets.
+ */
+
+import { handleRequest } from "../functions/get-address/router.js";
+import {
+  contentVersion,
+  type PoolStore,
+  type VersionedValue,
+} from "../functions/get-address/storage.js";
+import type { Env } from "../functions/get-address/validation.js";
+
+/**
+ * Subset of the Workers KV namespace binding used by KVStore
+ */
+export interface KVNamespace {
+  get(key: string, type: "text"): Promise<string | null>;
+  put(key: string, value: string): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Workers KV adapter
+ *
+ * KV has no conditional writes and is eventually consistent across locations,
+ * so setIfVersion is a best-effort read-compare-write on content hashes. It
+ * catches most races within one location; strict guarantees need a Durable Object.
+ */
+export class KVStore implements PoolStore {
+  private namespace: KVNamespace;
+
+  constructor(namespace: KVNamespace) {
+    this.namespace = namespace;
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const raw = await this.namespace.get(key, "text");
+    return raw === null ? null : (JSON.parse(raw) as T);
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    await this.namespace.put(key, JSON.stringify(value));
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.namespace.delete(key);
+  }
+
+  async getWithVersion<T>(key: string): Promise<VersionedValue<T> | null> {
+    const raw = await this.namespace.get(key, "text");
+    return raw === null
+      ? null
+      : { value: JSON.parse(raw) as T, version: contentVersion(raw) };
+  }
+
+  async setIfVersion<T>(
+    key: string,
+    value: T,
+    expectedVersion: string | null
+  ): Promise<boolean> {
+    const raw = await this.namespace.get(key, "text");
+    const currentVersion = raw === null ? null : contentVersion(raw);
+    if (currentVersion !== expectedVersion) {
+      return false;
+    }
+    await this.namespace.put(key, JSON.stringify(value));
+    return true;
+  }
+}
+
+export interface WorkerEnv {
+  ADDRESS_POOL: KVNamespace;
+  [binding: string]: unknown;
+}
+
+/**
+ * Keep only the string bindings (variables and secrets) from the Worker env
+ */
+function variablesFrom(env: WorkerEnv): Env {
+  return Object.fromEntries(
+    Object.entries(env).filter(([, value]) => typeof value === "string")
+  ) as Env;
+}
+
+export default {
+  async fetch(request: Request, env: WorkerEnv): Promise<Response> {
+    return handleRequest(request, {
+      env: variablesFrom(env),
+      store: new KVStore(env.ADDRESS_POOL),
+      // Set by Cloudflare's edge, so clients cannot forge it
+      clientIp: request.headers.get("CF-Connecting-IP") ?? undefined,
+    });
+  },
+};
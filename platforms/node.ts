@@ -0,0 +1,98 @@
+/**
+ * Standalone Node.js server and Express adapter
+ *
+ * As a request listener (works with http.createServer and Express):
+ *   app.get("/get-address", createNodeListener({ env: process.env, store }));
+ *
+ * As a server (Node 22.6+ with type stripping, or via tsx):
+ *   node --experimental-strip-types platforms/node.ts
+ * Pool state is written to POOL_STORE_DIR (default ./.data/address-pool) and
+ * the server listens on PORT (default 8787).
+ */
+
+import {
+  createServer,
+  type IncomingMessage,
+  type ServerResponse,
+} from "node:http";
+import { pathToFileURL } from "node:url";
+import type { HandlerDeps } from "../functions/get-address/handler.js";
+import { handleRequest } from "../functions/get-address/router.js";
+import { FileStore } from "../functions/get-address/storage-file.js";
+
+/**
+ * Convert a Node.js IncomingMessage into a Fetch API Request
+ */
+export async function nodeRequestToRequest(
+  req: IncomingMessage
+): Promise<Request> {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => headers.append(name, item));
+    } else if (value !== undefined) {
+      headers.set(name, value);
+    }
+  }
+
+  const method = req.method ?? "GET";
+  let body: Uint8Array<ArrayBuffer> | undefined;
+  if (method !== "GET" && method !== "HEAD") {
+    const chunks: Buffer[] = [];
+    for await (const chunk of req) {
+      chunks.push(chunk as Buffer);
+    }
+    body = new Uint8Array(Buffer.concat(chunks));
+  }
+
+  const url = `http://${req.headers.host ?? "localhost"}${req.url ?? "/"}`;
+  return new Request(url, { method, headers, body });
+}
+
+/**
+ * Write a Fetch API Response to a Node.js ServerResponse
+ */
+export async function writeResponse(
+  response: Response,
+  res: ServerResponse
+): Promise<void> {
+  res.statusCode = response.status;
+  response.headers.forEach((value, name) => res.setHeader(name, value));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Create a request listener for http.createServer or an Express route
+ * Rate limits count the socket's remote address. Behind a reverse proxy that
+ * is the proxy's, so pass `clientIp` per request (e.g. from Express's req.ip
+ * with "trust proxy" set) by wrapping the listener, or rely on the global limit.
+ */
+export function createNodeListener(
+  deps: HandlerDeps
+): (req: IncomingMessage, res: ServerResponse) => Promise<void> {
+  return async (req, res) => {
+    const response = await handleRequest(await nodeRequestToRequest(req), {
+      clientIp: req.socket.remoteAddress,
+      ...deps,
+    });
+    await writeResponse(response, res);
+  };
+}
+
+// Start a standalone server when run directly
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const port = parseInt(process.env.PORT ?? "8787", 10);
+  const store = new FileStore(
+    process.env.POOL_STORE_DIR ?? ".data/address-pool"
+  );
+
+  createServer(createNodeListener({ env: process.env, store })).listen(
+    port,
+    () => {
+      console.log(`Bitcoin donation address server listening on port ${port}`);
+    }
+  );
+}
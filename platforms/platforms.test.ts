@@ -0,0 +1,175 @@
+/**
+ * Tests for the request/response conversion in the platform entry points
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createServer, type Server } from "node:http";
+import type { AddressInfo } from "node:net";
+import {
+  eventSourceIp,
+  eventToRequest,
+  responseToResult,
+} from "./aws-lambda.ts";
+import { createNodeListener } from "./node.ts";
+import { MemoryStore } from "../functions/get-address/storage.ts";
+import { handleRequest } from "../functions/get-address/router.ts";
+
+const ENV = {
+  BITCOIN_XPUB:
+    "zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs",
+  BITCOIN_DERIVATION_PATH: "m/84'/0'/0'",
+};
+
+describe("AWS Lambda adapter", () => {
+  it("converts REST API (v1) events", () => {
+    const request = eventToRequest({
+      httpMethod: "GET",
+      path: "/get-address",
+      queryStringParameters: { campaign: "spring" },
+      headers: { Host: "api.example.com" },
+    });
+
+    expect(request.method).toBe("GET");
+    expect(request.url).toBe(
+      "https://api.example.com/get-address?campaign=spring"
+    );
+  });
+
+  it("converts HTTP API (v2) events", () => {
+    const request = eventToRequest({
+      version: "2.0",
+      rawPath: "/get-address",
+      rawQueryString: "a=1",
+      headers: { host: "abc.execute-api.aws.com" },
+      requestContext: { http: { method: "GET" } },
+    });
+
+    expect(request.url).toBe("https://abc.execute-api.aws.com/get-address?a=1");
+  });
+
+  it("reads the client IP from v1 and v2 events", () => {
+    expect(
+      eventSourceIp({ requestContext: { identity: { sourceIp: "192.0.2.1" } } })
+    ).toBe("192.0.2.1");
+    expect(
+      eventSourceIp({
+        requestContext: { http: { method: "GET", sourceIp: "192.0.2.2" } },
+      })
+    ).toBe("192.0.2.2");
+  });
+
+  it("converts responses into proxy results", async () => {
+    const result = await responseToResult(
+      new Response('{"address":"bc1q"}', {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+
+    expect(result).toEqual({
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: '{"address":"bc1q"}',
+      isBase64Encoded: false,
+    });
+  });
+});
+
+describe("Node adapter", () => {
+  let server: Server;
+
+  afterEach(() => server?.close());
+
+  it("serves addresses through http.createServer", async () => {
+    server = createServer(
+      createNodeListener({
+        env: ENV,
+        store: new MemoryStore(),
+        chainBackend: null,
+      })
+    );
+    await new Promise<void>((resolve) =>
+      server.listen(0, "127.0.0.1", resolve)
+    );
+    const { port } = server.address() as AddressInfo;
+
+    const response = await fetch(`http://127.0.0.1:${port}/get-address`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("access-control-allow-origin")).toBe("*");
+    expect(await response.json()).toEqual({
+      address: "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+      uri: "bitcoin:bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu",
+    });
+  });
+});
+
+describe("handleRequest", () => {
+  it("routes on the last path segment", async () => {
+    const deps = { env: ENV, store: new MemoryStore(), chainBackend: null };
+
+    const address = await handleRequest(
+      new Request("https://example.com/api/get-address"),
+      deps
+    );
+    const lightning = await handleRequest(
+      new Request("https://example.com/api/lightning-invoice/"),
+      deps
+    );
+
+    expect(address.status).toBe(200);
+    // No LIGHTNING_ADDRESS configured
+    expect(lightning.status).toBe(500);
+    expect((await lightning.json()).code).toBe("configuration_error");
+  });
+});
+
+describe("ALLOWED_ORIGINS", () => {
+  const deps = {
+    env: {
+      ...ENV,
+      ALLOWED_ORIGINS: "https://example.com, https://www.example.com/",
+    },
+    store: new MemoryStore(),
+    chainBackend: null,
+  };
+  const fromOrigin = (origin?: string) =>
+    new Request(
+      "https://api.example.com/get-address",
+      origin ? { headers: { Origin: origin } } : {}
+    );
+
+  it("echoes a listed origin instead of the wildcard", async () => {
+    const response = await handleRequest(
+      fromOrigin("https://www.example.com"),
+      deps
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe(
+      "https://www.example.com"
+    );
+    expect(response.headers.get("Vary")).toBe("Origin");
+  });
+
+  it("refuses other origins before running the route", async () => {
+    const store = new MemoryStore();
+    const save = vi.spyOn(store, "setIfVersion");
+
+    const response = await handleRequest(fromOrigin("https://evil.example"), {
+      ...deps,
+      store,
+    });
+
+    expect(response.status).toBe(403);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBeNull();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it("serves requests without an Origin header", async () => {
+    const response = await handleRequest(fromOrigin(), deps);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Vercel Edge Function entry point
+ *
+ * Re-export it from your project's api directory:
+ *   // api/get-address.ts (and api/lightning-invoice.ts, same content)
+ *   export { default, config } from "../platforms/vercel.js";
+ *
+ * Pool state lives in Redis through the Upstash REST API. Connecting an
+ * Upstash/Vercel KV store sets KV_REST_API_URL and KV_REST_API_TOKEN for you.
+ */
+
+import { ConfigurationError } from "../functions/get-address/errors.js";
+import { errorResponse } from "../functions/get-address/handler.js";
+import { handleRequest } from "../functions/get-address/router.js";
+import { RedisRestStore } from "../functions/get-address/storage.js";
+
+export const config = { runtime: "edge" };
+
+export default async function handler(request: Request): Promise<Response> {
+  const url = process.env.REDIS_REST_URL ?? process.env.KV_REST_API_URL;
+  const token = process.env.REDIS_REST_TOKEN ?? process.env.KV_REST_API_TOKEN;
+
+  if (!url || !token) {
+    const error = new ConfigurationError(
+      "REDIS_REST_URL and REDIS_REST_TOKEN environment variables are required (KV_REST_API_URL and KV_REST_API_TOKEN also work)"
+    );
+    console.error(error.message);
+    return errorResponse(error);
+  }
+
+  return handleRequest(request, {
+    env: process.env,
+    store: new RedisRestStore(url, token),
+    // Set by Vercel's edge network, which overwrites any value the client sent
+    clientIp: request.headers.get("X-Real-IP") ?? undefined,
+  });
+}
@@ -0,0 +1,405 @@
+/**
+ * Address checks for the browser
+ * Addresses from the endpoint or the local cache are decoded and their
+ * checksums verified before they are shown, so a tampered value is caught.
+ * https://github.com/bitcoin/bips/blob/master/bip-0350.mediawiki
+ */
+
+const BECH32_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Address prefixes per network; signet shares testnet's
+export const NETWORKS = {
+  mainnet: { bech32: "bc", pubKeyHash: 0x00, scriptHash: 0x05 },
+  testnet: { bech32: "tb", pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  signet: { bech32: "tb", pubKeyHash: 0x6f, scriptHash: 0xc4 },
+  regtest: { bech32: "bcrt", pubKeyHash: 0x6f, scriptHash: 0xc4 },
+};
+
+// Script types an address can be recognized as ("p2sh" includes wrapped SegWit)
+export const SCRIPT_TYPES = ["p2pkh", "p2sh", "p2wpkh", "p2wsh", "p2tr"];
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * SHA-256 of a short byte array
+ * crypto.subtle would need async rendering and is missing on plain http pages.
+ */
+function sha256(bytes) {
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ];
+  const padded = new Uint8Array(((bytes.length + 72) >> 6) << 6);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 4, bytes.length * 8);
+
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value >>> 0));
+  return digest;
+}
+
+/**
+ * Decode base58 text to bytes, or null if it has other characters
+ */
+function decodeBase58(text) {
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      return null;
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Each leading "1" stands for a zero byte
+  for (const char of text) {
+    if (char !== "1") {
+      break;
+    }
+    bytes.push(0);
+  }
+  return bytes.reverse();
+}
+
+/**
+ * Decode a legacy (P2PKH or P2SH) address and verify its double-SHA256 checksum
+ */
+function parseBase58Address(address) {
+  const bytes = decodeBase58(address);
+  if (!bytes || bytes.length !== 25) {
+    return null;
+  }
+  const payload = bytes.slice(0, 21);
+  const checksum = sha256(sha256(payload));
+  if (!checksum.slice(0, 4).every((byte, i) => byte === bytes[21 + i])) {
+    return null;
+  }
+
+  const [version] = payload;
+  const type = Object.values(NETWORKS).some((n) => n.pubKeyHash === version)
+    ? "p2pkh"
+    : Object.values(NETWORKS).some((n) => n.scriptHash === version)
+      ? "p2sh"
+      : null;
+  if (!type) {
+    return null;
+  }
+  const networks = Object.keys(NETWORKS).filter((name) =>
+    type === "p2pkh"
+      ? NETWORKS[name].pubKeyHash === version
+      : NETWORKS[name].scriptHash === version
+  );
+  return { networks, type };
+}
+
+function bech32Polymod(values) {
+  const generator = [
+    0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3,
+  ];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        checksum ^= generator[i];
+      }
+    }
+  }
+  return checksum;
+}
+
+/**
+ * Regroup 5-bit words into bytes, or null if the padding is invalid
+ */
+function fromWords(words) {
+  const bytes = [];
+  let accumulator = 0;
+  let bits = 0;
+  for (const word of words) {
+    accumulator = (accumulator << 5) | word;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >>> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (accumulator << (8 - bits)) & 0xff) {
+    return null;
+  }
+  return bytes;
+}
+
+/**
+ * Split a bech32 or bech32m string into its prefix and data words
+ * @returns {{hrp: string, words: number[], bech32m: boolean}|null} The
+ *   lower-case prefix, the words without the checksum and which checksum
+ *   matched, or null if neither does
+ */
+function decodeBech32(text, maxLength) {
+  if (
+    text.length > maxLength ||
+    (text !== text.toLowerCase() && text !== text.toUpperCase())
+  ) {
+    return null;
+  }
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf("1");
+  if (separator < 1 || separator + 7 > lower.length) {
+    return null;
+  }
+
+  const hrp = lower.slice(0, separator);
+  const data = Array.from(lower.slice(separator + 1), (char) =>
+    BECH32_CHARSET.indexOf(char)
+  );
+  if (data.includes(-1)) {
+    return null;
+  }
+  const expanded = [
+    ...Array.from(hrp, (char) => char.charCodeAt(0) >> 5),
+    0,
+    ...Array.from(hrp, (char) => char.charCodeAt(0) & 31),
+  ];
+  const checksum = bech32Polymod([...expanded, ...data]);
+  if (checksum !== BECH32_CONST && checksum !== BECH32M_CONST) {
+    return null;
+  }
+  return {
+    hrp,
+    words: data.slice(0, -6),
+    bech32m: checksum === BECH32M_CONST,
+  };
+}
+
+/**
+ * Decode a SegWit address: bech32 for version 0, bech32m for later versions
+ * Versions and program lengths with no script type defined yet only decode
+ * with `allowFutureWitnessVersions`, as type `witness-v<version>`.
+ */
+function parseSegwitAddress(address, allowFutureWitnessVersions) {
+  const decoded = decodeBech32(address, 90);
+  if (!decoded) {
+    return null;
+  }
+  const { hrp, words } = decoded;
+  const version = words[0];
+  if (version > 16 || decoded.bech32m !== (version !== 0)) {
+    return null;
+  }
+
+  const program = fromWords(words.slice(1));
+  if (!program || program.length < 2 || program.length > 40) {
+    return null;
+  }
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    return null;
+  }
+
+  const networks = Object.keys(NETWORKS).filter(
+    (name) => NETWORKS[name].bech32 === hrp
+  );
+  if (networks.length === 0) {
+    return null;
+  }
+  const type =
+    version === 0
+      ? program.length === 20
+        ? "p2wpkh"
+        : "p2wsh"
+      : version === 1 && program.length === 32
+        ? "p2tr"
+        : null;
+  if (!type && !allowFutureWitnessVersions) {
+    return null;
+  }
+  return { networks, type: type ?? `witness-v${version}` };
+}
+
+/**
+ * Decode a Bitcoin address and verify its checksum
+ * @param {string} address - Address to check
+ * @param {{allowFutureWitnessVersions?: boolean}} [options] - Whether to accept
+ *   SegWit outputs with no script type defined yet (v2 to v16, or v1 other
+ *   than Taproot), which no wallet can spend from today
+ * @returns {{networks: string[], type: string}|null} The networks it belongs
+ *   to and its script type, or null if it is not a valid address
+ */
+export function parseAddress(
+  address,
+  { allowFutureWitnessVersions = false } = {}
+) {
+  if (typeof address !== "string" || !/^[a-zA-Z0-9]{14,90}$/.test(address)) {
+    return null;
+  }
+  return (
+    parseSegwitAddress(address, allowFutureWitnessVersions) ||
+    parseBase58Address(address)
+  );
+}
+
+/**
+ * Check an address against the expected networks and, if given, script types
+ * @param {string} address - Address to check
+ * @param {string[]} networks - Networks the address may belong to
+ * @param {string[]} [scriptTypes] - Allowed script types (any when omitted)
+ * @param {{allowFutureWitnessVersions?: boolean}} [options] - As for parseAddress()
+ * @returns {boolean}
+ */
+export function isAcceptedAddress(address, networks, scriptTypes, options) {
+  const parsed = parseAddress(address, options);
+  return (
+    !!parsed &&
+    parsed.networks.some((network) => networks.includes(network)) &&
+    (!scriptTypes || scriptTypes.includes(parsed.type))
+  );
+}
+
+/**
+ * Check a BIP352 silent payment address (sp1... on mainnet, tsp1... on test networks)
+ * Verifies the bech32m checksum, version 0 and its two 33-byte compressed
+ * keys (scan and spend). Whether the keys are points on the curve is left to
+ * the wallet that pays.
+ * https://github.com/bitcoin/bips/blob/master/bip-0352.mediawiki
+ * @param {string} address - Address to check
+ * @returns {boolean}
+ */
+export function isSilentPaymentAddress(address) {
+  // Longer than the 90 characters bech32m allows elsewhere
+  const decoded =
+    typeof address === "string" ? decodeBech32(address, 1023) : null;
+  if (
+    !decoded?.bech32m ||
+    (decoded.hrp !== "sp" && decoded.hrp !== "tsp") ||
+    decoded.words[0] !== 0
+  ) {
+    return false;
+  }
+  const keys = fromWords(decoded.words.slice(1));
+  return (
+    !!keys &&
+    keys.length === 66 &&
+    [keys[0], keys[33]].every((prefix) => prefix === 2 || prefix === 3)
+  );
+}
+
+/**
+ * Check the form of a Lightning address (LUD-16: name@domain)
+ */
+export function isLightningAddress(value) {
+  return (
+    typeof value === "string" &&
+    /^[a-z0-9._+-]+@(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i.test(
+      value
+    )
+  );
+}
+
+/**
+ * Check the form of a BOLT11 invoice or bech32 LNURL
+ * Only the characters are checked, so the value is safe to put in a URI.
+ */
+export function isLightningRequest(value) {
+  return (
+    typeof value === "string" &&
+    (/^ln(?:bc|tb|url)[0-9a-z]+$/.test(value) ||
+      /^LN(?:BC|TB|URL)[0-9A-Z]+$/.test(value))
+  );
+}
+
+/**
+ * Verify the backend's Ed25519 signature of a get-address response
+ * The signed text matches signedAddressMessage() in functions/get-address/signing.ts.
+ * Web Crypto only offers Ed25519 on HTTPS pages of current browsers; elsewhere this throws.
+ * @param {{ address: string, uri: string, lightning?: string, expiresAt?: number, signature: string, signedAt: number }} signed
+ *   - The response's address, payment URI, Lightning invoice and its expiry with its signature (hex) and signing time (ms since epoch)
+ * @param {string} [campaign] - Campaign it was served for
+ * @param {string} publicKey - Pinned public key, as hex
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAddressSignature(signed, campaign, publicKey) {
+  const { address, uri, lightning, expiresAt, signature, signedAt } = signed;
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("Address signatures can only be checked on HTTPS pages");
+  }
+  if (typeof signature !== "string" || !/^[0-9a-fA-F]{128}$/.test(signature)) {
+    return false;
+  }
+
+  const hexToBytes = (hex) =>
+    Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+  const key = await crypto.subtle.importKey(
+    "raw",
+    hexToBytes(publicKey),
+    { name: "Ed25519" },
+    false,
+    ["verify"]
+  );
+  return crypto.subtle.verify(
+    { name: "Ed25519" },
+    key,
+    hexToBytes(signature),
+    new TextEncoder().encode(
+      `bitcoin-pay-address\n${address}\n${campaign ?? ""}\n${signedAt}\n${uri}\n${lightning ?? ""}\n${expiresAt ?? ""}`
+    )
+  );
+}
@@ -0,0 +1,146 @@
+/**
+ * Tests for the widget's address checks
+ *
+ * Signatures are made with the backend's signing.ts, so these also catch the
+ * two sides building different signed texts.
+ */
+
+import { describe, it, expect } from "vitest";
+import { bech32m } from "@scure/base";
+import {
+  isAcceptedAddress,
+  isSilentPaymentAddress,
+  parseAddress,
+  verifyAddressSignature,
+} from "./address.js";
+import { signAddress, signingKey } from "../functions/get-address/signing.ts";
+
+// RFC 8032 test vector 1
+const SECRET_KEY =
+  "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60";
+const PUBLIC_KEY =
+  "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a";
+const ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+const NOW = 1_735_689_610_000;
+
+// BIP350 test vectors of SegWit versions without a script type
+const FUTURE_WITNESS_ADDRESSES = [
+  "bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs",
+  "BC1SW50QGDZ25J",
+  "bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y",
+];
+
+describe("parseAddress", () => {
+  it("decodes the defined SegWit script types", () => {
+    expect(parseAddress(ADDRESS)).toEqual({
+      networks: ["mainnet"],
+      type: "p2wpkh",
+    });
+    expect(
+      parseAddress(
+        "bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr"
+      )
+    ).toEqual({ networks: ["mainnet"], type: "p2tr" });
+  });
+
+  it("refuses SegWit versions with no script type unless allowed", () => {
+    for (const address of FUTURE_WITNESS_ADDRESSES) {
+      expect(parseAddress(address)).toBeNull();
+      expect(isAcceptedAddress(address, ["mainnet"])).toBe(false);
+    }
+
+    const options = { allowFutureWitnessVersions: true };
+    expect(
+      FUTURE_WITNESS_ADDRESSES.map(
+        (address) => parseAddress(address, options)?.type
+      )
+    ).toEqual(["witness-v2", "witness-v16", "witness-v1"]);
+    expect(
+      isAcceptedAddress(
+        FUTURE_WITNESS_ADDRESSES[0],
+        ["mainnet"],
+        undefined,
+        options
+      )
+    ).toBe(true);
+  });
+});
+
+describe("isSilentPaymentAddress", () => {
+  // From the BIP352 test vectors
+  const BIP352_ADDRESS =
+    "sp1qqgste7k9hx0qftg6qmwlkqtwuy6cycyavzmzj85c6qdfhjdpdjtdgqjuexzk6murw56suy3e0rd2cgqvycxttddwsvgxe2usfpxumr70xc9pkqwv";
+  const KEYS = bech32m.fromWords(
+    bech32m.decode(BIP352_ADDRESS as `${string}1${string}`, 1023).words.slice(1)
+  );
+
+  // Encode any prefix, version and data with a valid checksum
+  const rawAddress = (hrp: string, version: number, data: Uint8Array) =>
+    bech32m.encode(hrp, [version, ...bech32m.toWords(data)], 1023);
+
+  it("accepts the BIP352 test vector and its test network form", () => {
+    expect(isSilentPaymentAddress(BIP352_ADDRESS)).toBe(true);
+    expect(isSilentPaymentAddress(BIP352_ADDRESS.toUpperCase())).toBe(true);
+    expect(isSilentPaymentAddress(rawAddress("tsp", 0, KEYS))).toBe(true);
+  });
+
+  it.each([
+    ["a bad checksum", BIP352_ADDRESS.slice(0, -1) + "q"],
+    [
+      "mixed case",
+      BIP352_ADDRESS.slice(0, 10) + BIP352_ADDRESS.slice(10).toUpperCase(),
+    ],
+    ["another prefix", rawAddress("bc", 0, KEYS)],
+    ["a later version", rawAddress("sp", 1, KEYS)],
+    ["a missing spend key", rawAddress("sp", 0, KEYS.slice(0, 33))],
+    ["extra data", rawAddress("sp", 0, Uint8Array.from([...KEYS, 0]))],
+    [
+      "an uncompressed key prefix",
+      rawAddress(
+        "sp",
+        0,
+        Uint8Array.from(KEYS, (byte, i) => (i ? byte : 4))
+      ),
+    ],
+    ["an on-chain address", ADDRESS],
+  ])("refuses %s", (_, address) => {
+    expect(isSilentPaymentAddress(address)).toBe(false);
+  });
+});
+
+describe("verifyAddressSignature", () => {
+  const key = signingKey({ ADDRESS_SIGNING_KEY: SECRET_KEY })!;
+  const fields = {
+    address: ADDRESS,
+    uri: `bitcoin:${ADDRESS}?lightning=lnbc10u1pexample`,
+    lightning: "lnbc10u1pexample",
+    expiresAt: NOW + 600_000,
+  };
+  const response = { ...fields, ...signAddress(key, fields, "spring", NOW) };
+
+  it("accepts a response signed by the backend", async () => {
+    expect(await verifyAddressSignature(response, "spring", PUBLIC_KEY)).toBe(
+      true
+    );
+  });
+
+  it("refuses a response that was tampered with", async () => {
+    const tampered = [
+      { ...response, address: "bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g" },
+      { ...response, uri: `bitcoin:${ADDRESS}?lightning=lnbc10u1pattacker` },
+      { ...response, lightning: "lnbc10u1pattacker" },
+      { ...response, lightning: undefined },
+      { ...response, expiresAt: NOW + 3_600_000 },
+      { ...response, signedAt: NOW + 1 },
+    ];
+
+    for (const fields of tampered) {
+      expect(await verifyAddressSignature(fields, "spring", PUBLIC_KEY)).toBe(
+        false
+      );
+    }
+    expect(await verifyAddressSignature(response, null, PUBLIC_KEY)).toBe(
+      false
+    );
+  });
+});
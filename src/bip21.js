@@ -0,0 +1,99 @@
+/**
+ * BIP21 payment URI helpers
+ * https://github.com/bitcoin/bips/blob/master/bip-0021.mediawiki
+ */
+
+const SATS_PER_BTC = 100000000;
+const MAX_SATS = 21000000 * SATS_PER_BTC;
+
+/**
+ * Convert an amount to an integer number of satoshis
+ * @param {number|string} amount - Amount in BTC, or in sats when unit is "sats"
+ * @param {string} unit - "btc" (default) or "sats"
+ * @returns {number} Amount in satoshis
+ */
+export function toSats(amount, unit = "btc") {
+  // Numbers may carry float noise (0.1 + 0.2), so fix them to 8 decimals first
+  const text =
+    typeof amount === "number" && unit !== "sats"
+      ? amount.toFixed(8)
+      : String(amount).trim();
+
+  let sats;
+  if (unit === "sats") {
+    if (!/^\d+$/.test(text)) {
+      throw new Error(`Invalid amount in sats: ${amount}`);
+    }
+    sats = parseInt(text, 10);
+  } else if (unit === "btc") {
+    const match = text.match(/^(\d+)(?:\.(\d{1,8}))?$/);
+    if (!match) {
+      throw new Error(`Invalid BTC amount: ${amount}`);
+    }
+    sats =
+      parseInt(match[1], 10) * SATS_PER_BTC +
+      parseInt((match[2] || "").padEnd(8, "0"), 10);
+  } else {
+    throw new Error(`Unknown amount unit: ${unit}`);
+  }
+
+  if (sats <= 0 || sats > MAX_SATS) {
+    throw new Error(`Amount out of range: ${amount}`);
+  }
+  return sats;
+}
+
+/**
+ * Format satoshis as a BTC decimal string without trailing zeros
+ */
+export function formatBtcAmount(sats) {
+  const whole = Math.floor(sats / SATS_PER_BTC);
+  const fraction = String(sats % SATS_PER_BTC)
+    .padStart(8, "0")
+    .replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : String(whole);
+}
+
+/**
+ * Build a bitcoin: URI with optional amount, label and message
+ * @param {string} address - Bitcoin address
+ * @param {Object} params - Optional payment request parameters
+ * @param {number|string} params.amount - Requested amount
+ * @param {string} params.amountUnit - "btc" (default) or "sats"
+ * @param {string} params.label - Label for the recipient
+ * @param {string} params.message - Message describing the payment
+ * @param {string} params.lightning - BOLT11 invoice or LNURL for unified QR codes
+ * @param {string} params.sp - Silent payment address (BIP321); `address` may then be empty
+ * @returns {string} BIP21 URI
+ */
+export function buildBip21Uri(address, params = {}) {
+  const { amount, amountUnit = "btc", label, message, lightning, sp } = params;
+  const query = [];
+
+  if (amount !== undefined && amount !== null && amount !== "") {
+    query.push(`amount=${formatBtcAmount(toSats(amount, amountUnit))}`);
+  }
+  if (label) {
+    query.push(`label=${encodeURIComponent(label)}`);
+  }
+  if (message) {
+    query.push(`message=${encodeURIComponent(message)}`);
+  }
+  if (lightning) {
+    query.push(`lightning=${lightning}`);
+  }
+  if (sp) {
+    query.push(`sp=${sp}`);
+  }
+
+  return query.length > 0
+    ? `bitcoin:${address}?${query.join("&")}`
+    : `bitcoin:${address}`;
+}
+
+/**
+ * Check whether a bitcoin: URI also offers a Lightning payment
+ */
+export function hasLightningParam(uri) {
+  return /[?&]lightning=/i.test(uri);
+}
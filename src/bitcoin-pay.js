@@ -4,17 +4,84 @@
  */
 
 import generateQrSvg from "./qr.js";
+import {
+  NETWORKS,
+  SCRIPT_TYPES,
+  isAcceptedAddress,
+  isLightningAddress,
+  isLightningRequest,
+  isSilentPaymentAddress,
+  parseAddress,
+  verifyAddressSignature,
+} from "./address.js";
+import { LOCALES, formatBtc, formatNumber, resolveLocale } from "./i18n.js";
+import { buildBip21Uri, hasLightningParam, toSats } from "./bip21.js";
+
+// Widget CSS for the <bitcoin-pay> shadow root, inlined during build
+const SHADOW_STYLES = "__BITCOIN_PAY_SHADOW_CSS__";
+
+// <bitcoin-pay> attributes and the render() settings they set
+const ELEMENT_ATTRIBUTES = {
+  endpoint: "endpoint",
+  "fallback-address": "bitcoinFallbackAddress",
+  "bitcoin-donate-text": "bitcoinDonateText",
+  "lightning-address": "lightningAddress",
+  "lightning-donate-text": "lightningDonateText",
+  "silent-payment-address": "silentPaymentAddress",
+  "silent-payment-donate-text": "silentPaymentDonateText",
+  amount: "amount",
+  "amount-unit": "amountUnit",
+  label: "label",
+  message: "message",
+  campaign: "campaign",
+  "fiat-currency": "fiatCurrency",
+  "signing-key": "signingKey",
+};
+
+// Signed addresses older than this are refused (allows for visitors' clock skew)
+const SIGNATURE_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+// Payment checks that find nothing new back off to at most this many poll intervals apart
+const MAX_POLL_BACKOFF = 8;
+
+// An expired unified invoice is replaced no sooner than this after rendering,
+// so a backend handing out stale invoices is not asked again and again
+const MIN_INVOICE_REFRESH = 60 * 1000; // 1 minute
+
+// Longest delay setTimeout can wait; later invoice expiries are not scheduled
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// render() controllers and the widget each one currently drives
+const CONTROLLED_WIDGETS = new WeakMap();
 
 class BitcoinPay {
   constructor() {
     this.version = "0.0.0"; // Auto-injected from package.json during build
+    this.shadowRoots = new Set(); // shadow roots this instance has rendered into
+    this.widgets = new Map(); // instanceId -> { element, abort, address, controller } of live widgets
+    this.fallbackError = null; // why the last address lookup fell back, if it did
+    this.unifiedLightning = null; // Lightning invoice or LNURL that came with the last address, if any
+    this.unifiedExpiresAt = null; // when that invoice expires (ms since epoch), if it is one
     this.defaultConfig = {
       width: 200,
       height: 200,
       showCopyButton: true,
-      copyButtonText: "Copy",
-      copiedText: "Copied!",
+      locale: undefined, // BCP 47 tag such as "de"; the browser's languages by default
+      messages: {}, // overrides of single messages of the locale (see i18n.js)
+      allowHtml: false, // insert the donate texts, paymentReceivedText and progressText as HTML
+      network: undefined, // 'mainnet' | 'testnet' | 'signet' | 'regtest'; taken from bitcoinFallbackAddress by default
+      allowedScriptTypes: undefined, // e.g. ['p2wpkh', 'p2tr']; any type by default
+      allowFutureWitnessVersions: false, // accept SegWit versions no wallet can spend from yet (v2 to v16, v1 other than Taproot)
       cacheDuration: 10 * 60 * 1000, // 10 minutes
+      unifiedQr: false, // one QR carrying both on-chain and Lightning (needs LIGHTNING_ADDRESS on the backend)
+      lightningInvoices: false, // amount form and BOLT11 invoices in the Lightning tab (needs LIGHTNING_ADDRESS on the backend)
+      detectPayments: false, // poll the backend and show a confirmation once the address is paid
+      paymentPollInterval: 15 * 1000, // 15 seconds at first (minimum 5 seconds), backing off while nothing changes
+      paymentPollTimeout: 60 * 60 * 1000, // stop polling after 1 hour
+      confirmOn: "mempool", // 'mempool' | 'confirmed'
+      includePending: true, // count unconfirmed donations towards the goal
+      recentDonations: 0, // number of recent donation amounts listed below the bar (at most 10)
+      fiatInput: true, // free-entry field next to the preset fiat amounts
       qrCodeOptions: {
         ecc: "H",
         logo: "btc", // 'btc' | 'lightning' | undefined
@@ -27,77 +94,210 @@ class BitcoinPay {
   /**
    * Static method to render the Bitcoin donation widget
    * @param {Object} config - Configuration object
-   * @param {string} config.endpoint - The serverless function endpoint URL
+   * @param {string} config.endpoint - The serverless function endpoint URL (optional with a silent payment address)
    * @param {string} config.selector - CSS selector for the target element(s)
-   * @param {string} config.bitcoinFallbackAddress - Fallback Bitcoin address to use if the serverless function fails
-   * @param {string} config.bitcoinDonateText - Optional custom text to display above the Bitcoin address field
+   * @param {Element} config.element - Element to render into instead of `selector` (e.g. inside a shadow root)
+   * @param {string} config.bitcoinFallbackAddress - Fallback Bitcoin address to use if the serverless function fails (required with `endpoint`)
+   * @param {string} config.bitcoinDonateText - Optional custom text to display above the Bitcoin address field (HTML with `options.allowHtml`)
    * @param {string} config.lightningAddress - Optional Lightning address (e.g. "name@provider.com")
-   * @param {string} config.lightningDonateText - Optional custom text to display above the Lightning address field
+   * @param {string} config.lightningDonateText - Optional custom text to display above the Lightning address field (HTML with `options.allowHtml`)
+   * @param {string} config.silentPaymentAddress - Optional BIP352 silent payment address (sp1...), shown alone or in its own tab
+   * @param {string} config.silentPaymentDonateText - Optional custom text to display above the silent payment address field (HTML with `options.allowHtml`)
+   * @param {number|string} config.amount - Optional requested amount, added to the BIP21 payment URI
+   * @param {string} config.amountUnit - Unit of `amount`: "btc" (default) or "sats"
+   * @param {string} config.label - Optional BIP21 label (e.g. your name or project)
+   * @param {string} config.message - Optional BIP21 message describing the payment
+   * @param {string} config.campaign - Optional campaign, served from its own address pool (must be listed in BITCOIN_CAMPAIGNS on the backend)
+   * @param {string} config.fiatCurrency - Optional ISO 4217 currency (e.g. "USD") for choosing the amount in fiat
+   * @param {number[]} config.fiatAmounts - Optional preset amounts in `fiatCurrency`, converted to sats at the backend's rate
+   * @param {string} config.signingKey - Optional Ed25519 public key (hex) of the backend's ADDRESS_SIGNING_KEY; unsigned addresses are then refused
    * @param {Object} config.options - Optional configuration overrides
-   * @returns {Promise<Array>} Array of results for each element (with status and value/reason)
+   * @returns {Promise<Array>} Array of results for each element (with status and value/reason); each value controls its widget with update(), refreshAddress() and destroy()
    */
   static async render(config) {
     const {
       endpoint,
       selector,
+      element,
       bitcoinFallbackAddress,
       bitcoinDonateText,
       lightningAddress,
       lightningDonateText,
+      silentPaymentAddress,
+      silentPaymentDonateText,
+      amount,
+      amountUnit = "btc",
+      label,
+      message,
+      campaign,
+      fiatCurrency,
+      fiatAmounts = [],
+      signingKey,
       options = {},
     } = config;
 
-    if (!endpoint) {
+    // A silent payment address never needs rotating, so it works without a backend
+    if (!endpoint && !silentPaymentAddress) {
       throw new Error("BitcoinPay: endpoint is required");
     }
 
-    if (!bitcoinFallbackAddress) {
+    if (endpoint && !bitcoinFallbackAddress) {
       throw new Error("BitcoinPay: bitcoinFallbackAddress is required");
     }
 
-    if (!selector) {
+    if (
+      bitcoinFallbackAddress &&
+      !parseAddress(bitcoinFallbackAddress, options)
+    ) {
+      throw new Error(
+        "BitcoinPay: bitcoinFallbackAddress must be a valid Bitcoin address"
+      );
+    }
+
+    if (lightningAddress && !isLightningAddress(lightningAddress)) {
+      throw new Error(
+        "BitcoinPay: lightningAddress must be a Lightning address (name@domain)"
+      );
+    }
+
+    if (silentPaymentAddress && !isSilentPaymentAddress(silentPaymentAddress)) {
+      throw new Error(
+        "BitcoinPay: silentPaymentAddress must be a silent payment address (sp1...)"
+      );
+    }
+
+    if (!selector && !element) {
       throw new Error("BitcoinPay: selector is required");
     }
 
-    const targetElements = document.querySelectorAll(selector);
+    if (signingKey !== undefined && !/^[0-9a-fA-F]{64}$/.test(signingKey)) {
+      throw new Error(
+        "BitcoinPay: signingKey must be an Ed25519 public key as 64 hex characters"
+      );
+    }
+
+    if (campaign !== undefined && (typeof campaign !== "string" || !campaign)) {
+      throw new Error("BitcoinPay: campaign must be a non-empty string");
+    }
+
+    if (fiatCurrency !== undefined || fiatAmounts.length > 0) {
+      if (!/^[A-Za-z]{3}$/.test(fiatCurrency || "")) {
+        throw new Error(
+          "BitcoinPay: fiatCurrency must be an ISO 4217 code (e.g. USD)"
+        );
+      }
+      if (!fiatAmounts.every((value) => Number.isFinite(value) && value > 0)) {
+        throw new Error("BitcoinPay: fiatAmounts must be positive numbers");
+      }
+      // The on-chain amount changes with the fiat choice, which a unified URI's invoice cannot follow
+      if (!endpoint || options.unifiedQr) {
+        throw new Error(
+          "BitcoinPay: fiat amounts need an endpoint and cannot be combined with unifiedQr"
+        );
+      }
+    }
+
+    if (amount !== undefined) {
+      try {
+        toSats(amount, amountUnit);
+      } catch (error) {
+        throw new Error(`BitcoinPay: ${error.message}`);
+      }
+    }
+
+    const targetElements = element
+      ? [element]
+      : document.querySelectorAll(selector);
     if (targetElements.length === 0) {
       throw new Error(`BitcoinPay: no elements found matching "${selector}"`);
     }
 
     // Create instance for default config and utility methods
     const instance = new BitcoinPay();
+    instance.campaign = campaign;
+    instance.endpoint = endpoint && instance.withCampaign(endpoint);
+    instance.signingKey = signingKey;
 
     // Merge user options with defaults
-    const finalConfig = { ...instance.defaultConfig, ...options };
+    const finalConfig = instance.resolveConfig(options);
 
-    // Create stable cache keys based on endpoint (UTF-8 safe)
-    const endpointHash = btoa(unescape(encodeURIComponent(endpoint))).replace(
-      /[^a-zA-Z0-9]/g,
-      ""
-    );
-    const addressKey = `btc-address-${endpointHash}`;
-    const timestampKey = `btc-timestamp-${endpointHash}`;
-
-    // Fetch the Bitcoin address once (shared across all elements)
-    let address;
-    try {
-      address = await instance.getBitcoinAddress(
-        endpoint,
-        addressKey,
-        timestampKey,
-        finalConfig,
-        bitcoinFallbackAddress
+    // Addresses from the endpoint must belong to the fallback address's network
+    instance.networks = finalConfig.network
+      ? [finalConfig.network]
+      : bitcoinFallbackAddress
+        ? parseAddress(bitcoinFallbackAddress, finalConfig).networks
+        : [];
+    if (
+      bitcoinFallbackAddress &&
+      !instance.acceptsAddress(bitcoinFallbackAddress, finalConfig)
+    ) {
+      throw new Error(
+        "BitcoinPay: bitcoinFallbackAddress does not match network or allowedScriptTypes"
       );
-    } catch (error) {
-      // If address fetch fails, all elements fail
-      console.error("BitcoinPay: Failed to fetch address", error);
-      const errorHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
-        Failed to load Bitcoin payment widget. Please check your configuration.
+    }
+
+    const paymentParams = { amount, amountUnit, label, message };
+
+    // The silent payment address goes in a BIP321 URI with no on-chain address
+    const silentPayment = silentPaymentAddress
+      ? {
+          address: silentPaymentAddress,
+          uri: buildBip21Uri("", {
+            ...paymentParams,
+            sp: silentPaymentAddress,
+          }),
+          donateText: silentPaymentDonateText,
+        }
+      : null;
+
+    // Without a backend only the silent payment (and Lightning) tabs are shown
+    let address = null;
+    let paymentUri = null;
+    if (endpoint) {
+      const { addressKey, timestampKey, signatureKey, retryKey } =
+        instance.cacheKeys();
+
+      // Fetch the Bitcoin address once (shared across all elements)
+      // Unified mode gets the Lightning invoice or LNURL from the same response
+      try {
+        address = await instance.getBitcoinAddress(
+          finalConfig.unifiedQr
+            ? instance.unifiedEndpoint(paymentParams)
+            : instance.endpoint,
+          addressKey,
+          timestampKey,
+          signatureKey,
+          retryKey,
+          finalConfig,
+          bitcoinFallbackAddress
+        );
+      } catch (error) {
+        // If address fetch fails, all elements fail
+        console.error("BitcoinPay: Failed to fetch address", error);
+        const errorHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
+        ${instance.escapeHtml(finalConfig.messages.loadErrorText)}
       </div>`;
-      targetElements.forEach((el) => {
-        el.innerHTML = errorHTML;
+        targetElements.forEach((el) => {
+          el.innerHTML = errorHTML;
+          instance.emit(el, "error", { error });
+        });
+        throw error;
+      }
+
+      // Build the BIP21 URI used for links and QR codes
+      paymentUri = buildBip21Uri(address, {
+        ...paymentParams,
+        lightning: instance.unifiedLightning,
       });
-      throw error;
+    }
+
+    // Fiat amounts need a rate; without one the widget works in BTC as usual
+    let fiat = null;
+    if (address && fiatCurrency) {
+      const rate = await instance.getFiatRate(fiatCurrency);
+      if (rate) {
+        fiat = { ...rate, amounts: fiatAmounts, paymentParams };
+      }
     }
 
     // Render to each element independently
@@ -105,261 +305,1193 @@ class BitcoinPay {
       instance.renderToElement(
         targetElement,
         address,
+        paymentUri,
         lightningAddress,
         bitcoinDonateText,
         lightningDonateText,
+        silentPayment,
+        fiat,
         finalConfig
       )
     );
 
     // Use allSettled so one failure doesn't break others
     const results = await Promise.allSettled(renderPromises);
+    const rendered = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+
+    if (address) {
+      const fallback = instance.fallbackError !== null;
+      rendered.forEach(({ element }) => {
+        instance.emit(element, "address", {
+          address,
+          uri: paymentUri,
+          fallback,
+        });
+        if (fallback) {
+          instance.emit(element, "fallback", {
+            address,
+            error: instance.fallbackError,
+          });
+        }
+      });
+    }
+
+    // One poller per address, shared by every rendered element
+    // (silent payments cannot be seen without the wallet's scan key)
+    if (address && finalConfig.detectPayments) {
+      instance.watchPayment(
+        address,
+        rendered.map((widget) => widget.instanceId),
+        finalConfig
+      );
+    }
+
+    results.forEach((result) => {
+      if (result.status === "fulfilled") {
+        const { element, instanceId } = result.value;
+        result.value = instance.createController(element, instanceId, config);
+        if (finalConfig.unifiedQr && instance.unifiedExpiresAt) {
+          instance.refreshAtExpiry(instanceId, instance.unifiedExpiresAt);
+        }
+      }
+    });
     return results;
   }
 
   /**
-   * Render widget to a single element
-   * @private
+   * Static method to render a fundraising progress bar from the backend's donation totals
+   * @param {Object} config - Configuration object
+   * @param {string} config.endpoint - The serverless function endpoint URL (the stats route next to it is used)
+   * @param {string} config.selector - CSS selector for the target element(s)
+   * @param {number|string} config.goal - Fundraising goal, in BTC unless `goalUnit` is "sats"
+   * @param {string} config.goalUnit - Unit of `goal`: "btc" (default) or "sats"
+   * @param {string} config.campaign - Optional campaign whose donations are shown
+   * @param {Object} config.options - Optional configuration overrides
+   * @returns {Promise<Array>} Array of results for each element (with status and value/reason)
    */
-  async renderToElement(
-    targetElement,
-    address,
-    lightningAddress,
-    bitcoinDonateText,
-    lightningDonateText,
-    finalConfig
-  ) {
-    // Create unique keys for this instance (for DOM elements)
-    const instanceId = this.generateInstanceId();
+  static async renderProgress(config) {
+    const {
+      endpoint,
+      selector,
+      goal,
+      goalUnit = "btc",
+      campaign,
+      options = {},
+    } = config;
+
+    if (!endpoint) {
+      throw new Error("BitcoinPay: endpoint is required");
+    }
+
+    if (!selector) {
+      throw new Error("BitcoinPay: selector is required");
+    }
 
+    let goalSats;
     try {
-      // Create the widget HTML (single or dual mode)
-      const widgetHTML = lightningAddress
-        ? this.createDualWidgetHTML(
-            address,
-            lightningAddress,
-            bitcoinDonateText,
-            lightningDonateText,
-            finalConfig,
-            instanceId
-          )
-        : this.createSingleWidgetHTML(
-            address,
-            bitcoinDonateText,
-            finalConfig,
-            instanceId
-          );
-      targetElement.innerHTML = widgetHTML;
+      goalSats = toSats(goal, goalUnit);
+    } catch (error) {
+      throw new Error(`BitcoinPay: goal: ${error.message}`);
+    }
 
-      // Initialize QR code and copy functionality
-      if (lightningAddress) {
-        await this.initializeDualWidget(
-          address,
-          lightningAddress,
-          finalConfig,
-          instanceId
-        );
-      } else {
-        await this.initializeSingleWidget(address, finalConfig, instanceId);
-      }
+    const targetElements = document.querySelectorAll(selector);
+    if (targetElements.length === 0) {
+      throw new Error(`BitcoinPay: no elements found matching "${selector}"`);
+    }
+
+    const instance = new BitcoinPay();
+    instance.campaign = campaign;
+    instance.endpoint = endpoint;
+    const finalConfig = instance.resolveConfig(options);
 
-      return { success: true, element: targetElement };
+    // Fetch the totals once (shared across all elements)
+    let stats;
+    try {
+      const response = await fetch(instance.routeUrl("stats"));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      stats = await response.json();
     } catch (error) {
-      console.error("BitcoinPay: Failed to initialize widget", error);
-      targetElement.innerHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
-        Failed to load Bitcoin payment widget. Please check your configuration.
+      console.error("BitcoinPay: Failed to fetch donation stats", error);
+      targetElements.forEach((el) => {
+        el.innerHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
+        ${instance.escapeHtml(finalConfig.messages.progressErrorText)}
       </div>`;
+      });
       throw error;
     }
+
+    const html = instance.createProgressHTML(stats, goalSats, finalConfig);
+    const results = await Promise.allSettled(
+      Array.from(targetElements).map(async (targetElement) => {
+        targetElement.innerHTML = html;
+        return { success: true, element: targetElement };
+      })
+    );
+    return results;
   }
 
   /**
-   * Check if localStorage is available
+   * The bundled message catalogues by language tag
+   * Add a catalogue (e.g. `BitcoinPay.locales.sv = { copyButtonText: "Kopiera" }`)
+   * to support another language; messages it leaves out are shown in English.
+   * @returns {Object}
    */
-  isLocalStorageAvailable() {
-    try {
-      localStorage.setItem("test", "test");
-      localStorage.removeItem("test");
-      return true;
-    } catch {
-      return false;
-    }
+  static get locales() {
+    return LOCALES;
   }
 
   /**
-   * Copy text to clipboard with fallback for insecure origins
+   * Register the <bitcoin-pay> custom element (done on load when custom elements are supported)
+   * It renders the widget into its own shadow root from its attributes: those in
+   * ELEMENT_ATTRIBUTES, `fiat-amounts` (comma-separated), `options` (JSON) and
+   * `lang` (the locale). Attribute changes re-render it, and removing it stops
+   * its payment polling.
+   * @param {string} tagName - Element name, if "bitcoin-pay" is taken
+   * @returns {CustomElementConstructor} The element class
    */
-  async copyToClipboard(text) {
-    // Try modern clipboard API first
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      try {
-        await navigator.clipboard.writeText(text);
-        return true;
-      } catch {
-        // Fall back to legacy method
-      }
+  static defineElement(tagName = "bitcoin-pay") {
+    const defined = customElements.get(tagName);
+    if (defined) {
+      return defined;
     }
 
-    // Legacy fallback: create temporary textarea
-    const textarea = document.createElement("textarea");
-    textarea.value = text;
-    textarea.style.position = "fixed";
-    textarea.style.opacity = "0";
-    document.body.appendChild(textarea);
-    textarea.select();
+    class BitcoinPayElement extends HTMLElement {
+      static observedAttributes = [
+        ...Object.keys(ELEMENT_ATTRIBUTES),
+        "fiat-amounts",
+        "options",
+        "lang",
+      ];
 
-    try {
-      const success = document.execCommand("copy");
-      return success;
-    } catch {
-      return false;
-    } finally {
-      document.body.removeChild(textarea);
-    }
-  }
+      constructor() {
+        super();
+        // The host page's styles stay out; the --btc-pay-* properties are inherited
+        this.attachShadow({ mode: "open" }).innerHTML =
+          `<style>${SHADOW_STYLES}</style>`;
+        this.container = null;
+        this.controller = null;
+        this.renderQueued = false;
+      }
 
-  /**
-   * Get Bitcoin address with caching
-   */
-  async getBitcoinAddress(
-    endpoint,
-    addressKey,
-    timestampKey,
-    config,
-    fallbackAddress
-  ) {
-    // Validate cache duration (0 to 1 week)
-    const validCacheDuration = Math.max(
-      0,
-      Math.min(config.cacheDuration, 604800000)
-    );
+      connectedCallback() {
+        this.queueRender();
+      }
 
-    // Check localStorage cache if available
-    if (this.isLocalStorageAvailable()) {
-      const storedAddress = localStorage.getItem(addressKey);
-      const storedTimestamp = localStorage.getItem(timestampKey);
+      disconnectedCallback() {
+        this.controller?.destroy();
+        this.controller = null;
+        this.container?.remove();
+        this.container = null;
+      }
 
-      if (storedAddress && storedTimestamp) {
-        const timestamp = parseInt(storedTimestamp);
-        const now = Date.now();
-        if (now - timestamp < validCacheDuration) {
-          return storedAddress;
+      attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && this.isConnected) {
+          this.queueRender();
         }
       }
-    }
 
-    // Fetch from server if no valid cache
-    try {
-      const response = await fetch(endpoint);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      /**
+       * Render once after the current task, however many attributes it changes
+       */
+      queueRender() {
+        if (this.renderQueued) {
+          return;
+        }
+        this.renderQueued = true;
+        queueMicrotask(() => {
+          this.renderQueued = false;
+          if (this.isConnected) {
+            this.renderWidget();
+          }
+        });
       }
 
-      const data = await response.json();
-      if (!data.address) {
-        throw new Error("Invalid response: no address field");
+      /**
+       * The render() settings given by the attributes
+       */
+      renderConfig() {
+        const config = {};
+        for (const [attribute, setting] of Object.entries(ELEMENT_ATTRIBUTES)) {
+          if (this.hasAttribute(attribute)) {
+            config[setting] = this.getAttribute(attribute);
+          }
+        }
+        if (this.hasAttribute("fiat-amounts")) {
+          config.fiatAmounts = this.getAttribute("fiat-amounts")
+            .split(",")
+            .map((value) => Number(value.trim()));
+        }
+        if (this.hasAttribute("options")) {
+          try {
+            config.options = JSON.parse(this.getAttribute("options"));
+          } catch {
+            throw new Error("BitcoinPay: options must be a JSON object");
+          }
+        }
+        // lang="de" picks the locale, unless options set one
+        if (this.lang) {
+          config.options = { locale: this.lang, ...config.options };
+        }
+        return config;
       }
 
-      // Store in cache if localStorage is available
-      if (this.isLocalStorageAvailable()) {
-        localStorage.setItem(addressKey, data.address);
-        localStorage.setItem(timestampKey, Date.now().toString());
+      /**
+       * Ask the backend for a new address and render it (see render()'s controllers)
+       * @returns {Promise<string|null>} The address now shown
+       */
+      async refreshAddress() {
+        return this.controller ? this.controller.refreshAddress() : null;
       }
-      return data.address;
-    } catch (err) {
-      console.error("Failed to fetch Bitcoin address", err);
-      if (fallbackAddress) {
-        return fallbackAddress;
+
+      async renderWidget() {
+        // Each render gets a fresh container; the last one's timers and polling stop
+        this.controller?.destroy();
+        this.controller = null;
+        this.container?.remove();
+        const container = document.createElement("div");
+        container.setAttribute("part", "widget");
+        this.shadowRoot.append(container);
+        this.container = container;
+
+        try {
+          const [result] = await BitcoinPay.render({
+            ...this.renderConfig(),
+            element: container,
+          });
+          if (result.status === "fulfilled") {
+            // A newer render or removal may have replaced the container meanwhile
+            if (this.container === container) {
+              this.controller = result.value;
+            } else {
+              result.value.destroy();
+            }
+          }
+        } catch (error) {
+          console.error(`BitcoinPay: <${tagName}> failed to render`, error);
+          // Invalid settings fail before the widget exists, so nothing has reported them yet
+          if (!container.hasChildNodes()) {
+            this.dispatchEvent(
+              new CustomEvent("error", { detail: { error }, bubbles: true })
+            );
+          }
+          container.innerHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
+            ${BitcoinPay.prototype.escapeHtml(
+              resolveLocale(this.lang || undefined).messages.loadErrorText
+            )}
+          </div>`;
+        }
       }
-      throw new Error(`Failed to fetch Bitcoin address: ${err.message}`);
     }
+
+    customElements.define(tagName, BitcoinPayElement);
+    return BitcoinPayElement;
   }
 
   /**
-   * Create the single Bitcoin widget HTML structure
+   * Build the progress bar, its text and the recent donations list
    */
-  createSingleWidgetHTML(address, bitcoinDonateText, config, instanceId) {
-    const qrContainerId = `btc-qr-${instanceId}`;
-    const buttonId = `btc-btn-${instanceId}`;
+  createProgressHTML(stats, goalSats, config) {
+    const raisedSats = config.includePending
+      ? stats.totalSats
+      : stats.confirmedSats;
+    const percent = Math.min(100, Math.floor((raisedSats / goalSats) * 100));
+    const { progressText } = config.messages;
+    const values = {
+      raised: formatBtc(raisedSats, config.locale),
+      goal: formatBtc(goalSats, config.locale),
+      percent: formatNumber(percent, config.locale),
+      count: formatNumber(stats.donationCount, config.locale),
+    };
+    const text =
+      typeof progressText === "function"
+        ? this.richText(
+            progressText({ ...stats, raisedSats, goalSats, percent }),
+            config
+          )
+        : this.richText(progressText, config, values);
 
-    // Use custom text if provided, otherwise use smart device-detection behavior
-    const descriptionHTML = bitcoinDonateText
-      ? bitcoinDonateText
-      : `<span class="prefix-desktop">Scan with</span>
-              <span class="prefix-touch">Tap to open</span>
-              your Bitcoin wallet, or copy the on-chain address below.`;
+    const recent = stats.recentDonations
+      .filter((donation) => config.includePending || donation.confirmed)
+      .slice(0, Math.max(0, config.recentDonations))
+      .map(
+        (donation) => `<li>${formatBtc(donation.sats, config.locale)} BTC</li>`
+      )
+      .join("");
 
     return `
-      <div class="bitcoin-pay-widget">
-        <div class="widget-layout">
-          <a href="bitcoin:${address}" class="qr-container" aria-label="Open in Bitcoin wallet">
-            <div id="${qrContainerId}" class="qr-code"></div>
-          </a>
-          <div class="content-area">
-            <p class="description">
-              ${descriptionHTML}
-            </p>
-            <div class="address-container">
-              <div class="address-text">
-                <span>${address}</span>
-              </div>
-              ${
-                config.showCopyButton
-                  ? `<button id="${buttonId}" class="copy-btn">${config.copyButtonText}</button>`
-                  : ""
-              }
-            </div>
-          </div>
+      <div class="bitcoin-pay-widget bitcoin-pay-progress" ${this.localeAttributes(config)}>
+        <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+          <div class="progress-fill" style="width: ${percent}%"></div>
         </div>
+        <p class="description">${text}</p>
+        ${recent ? `<ul class="recent-donations">${recent}</ul>` : ""}
       </div>
     `;
   }
 
   /**
-   * Create the dual Bitcoin/Lightning widget HTML structure
+   * Merge the options over the defaults and add the locale's messages
+   * Text options such as copyButtonText override single messages, like `messages`.
    */
-  createDualWidgetHTML(
-    address,
-    lightningAddress,
-    bitcoinDonateText,
-    lightningDonateText,
-    config,
-    instanceId
-  ) {
-    const bitcoinQrId = `btc-qr-${instanceId}`;
-    const lightningQrId = `lightning-qr-${instanceId}`;
-    const bitcoinBtnId = `btc-btn-${instanceId}`;
-    const lightningBtnId = `lightning-btn-${instanceId}`;
-
+  resolveConfig(options) {
+    const config = { ...this.defaultConfig, ...options };
+    if (config.locale !== undefined) {
+      try {
+        Intl.getCanonicalLocales(config.locale);
+      } catch {
+        throw new Error(
+          'BitcoinPay: locale must be a BCP 47 language tag (e.g. "de" or "pt-BR")'
+        );
+      }
+    }
+
+    if (
+      config.network !== undefined &&
+      !Object.hasOwn(NETWORKS, config.network)
+    ) {
+      throw new Error(
+        `BitcoinPay: network must be one of ${Object.keys(NETWORKS).join(", ")}`
+      );
+    }
+    if (
+      config.allowedScriptTypes !== undefined &&
+      (!Array.isArray(config.allowedScriptTypes) ||
+        !config.allowedScriptTypes.every((type) => SCRIPT_TYPES.includes(type)))
+    ) {
+      throw new Error(
+        `BitcoinPay: allowedScriptTypes must list script types out of ${SCRIPT_TYPES.join(", ")}`
+      );
+    }
+
+    const { locale, dir, messages } = resolveLocale(config.locale);
+    const textOptions = Object.fromEntries(
+      Object.keys(LOCALES.en)
+        .filter((key) => options[key] !== undefined)
+        .map((key) => [key, options[key]])
+    );
+    return {
+      ...config,
+      locale,
+      dir,
+      messages: { ...messages, ...textOptions, ...config.messages },
+    };
+  }
+
+  /**
+   * lang and dir attributes for a widget's root element
+   */
+  localeAttributes(config) {
+    return `lang="${this.escapeHtml(config.locale)}" dir="${config.dir}"`;
+  }
+
+  /**
+   * Escape text for HTML content and quoted attribute values
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * HTML of a custom text (donate texts, paymentReceivedText, progressText)
+   * The text is escaped unless `allowHtml` is set; its {name} values always are.
+   */
+  richText(text, config, values = {}) {
+    const escaped = Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [
+        name,
+        this.escapeHtml(value),
+      ])
+    );
+    return this.fillTemplate(
+      config.allowHtml ? String(text) : this.escapeHtml(text),
+      escaped
+    );
+  }
+
+  /**
+   * Check an address from the endpoint or the cache against the expected
+   * network (`network`, or the fallback address's), `allowedScriptTypes` and
+   * `allowFutureWitnessVersions`
+   */
+  acceptsAddress(address, config) {
+    return isAcceptedAddress(
+      address,
+      this.networks,
+      config.allowedScriptTypes,
+      config
+    );
+  }
+
+  /**
+   * Render widget to a single element
+   * @private
+   */
+  async renderToElement(
+    targetElement,
+    address,
+    paymentUri,
+    lightningAddress,
+    bitcoinDonateText,
+    lightningDonateText,
+    silentPayment,
+    fiat,
+    finalConfig
+  ) {
+    // Create unique keys for this instance (for DOM elements)
+    const instanceId = this.generateInstanceId();
+    this.widgets.set(instanceId, {
+      element: targetElement,
+      abort: new AbortController(),
+      address,
+    });
+
+    // Elements in a shadow root are not found through the document
+    const root = targetElement.getRootNode();
+    if (root !== document && root.getElementById) {
+      this.shadowRoots.add(root);
+    }
+
+    try {
+      // A unified URI already covers Lightning, so it needs no separate tab
+      const lightningTab =
+        lightningAddress && !(paymentUri && hasLightningParam(paymentUri))
+          ? lightningAddress
+          : null;
+      const tabCount = [address, lightningTab, silentPayment].filter(
+        Boolean
+      ).length;
+
+      // Create the widget HTML (single on-chain, single silent payment or tabbed)
+      if (tabCount > 1) {
+        targetElement.innerHTML = this.createTabbedWidgetHTML(
+          address,
+          paymentUri,
+          lightningTab,
+          silentPayment,
+          bitcoinDonateText,
+          lightningDonateText,
+          finalConfig,
+          instanceId
+        );
+        await this.initializeTabbedWidget(
+          address,
+          paymentUri,
+          lightningTab,
+          silentPayment,
+          finalConfig,
+          instanceId
+        );
+      } else if (address) {
+        targetElement.innerHTML = this.createSingleWidgetHTML(
+          address,
+          paymentUri,
+          bitcoinDonateText,
+          finalConfig,
+          instanceId
+        );
+        await this.initializeSingleWidget(
+          address,
+          paymentUri,
+          finalConfig,
+          instanceId
+        );
+      } else {
+        targetElement.innerHTML = `
+          <div class="bitcoin-pay-widget" ${this.localeAttributes(finalConfig)}>
+            ${this.createSilentPaymentContentHTML(silentPayment, finalConfig, instanceId)}
+          </div>
+        `;
+        this.initializeSilentPayment(silentPayment, finalConfig, instanceId);
+      }
+
+      if (fiat) {
+        // The tabbed layout always shows the logo in its on-chain QR code
+        this.setupFiatAmounts(
+          address,
+          paymentUri,
+          fiat,
+          finalConfig,
+          instanceId,
+          tabCount > 1 || finalConfig.qrCodeOptions.logo === "btc"
+        );
+      }
+
+      return { success: true, element: targetElement, instanceId };
+    } catch (error) {
+      console.error("BitcoinPay: Failed to initialize widget", error);
+      this.destroyWidget(instanceId);
+      targetElement.innerHTML = `<div style="color: red; padding: 10px; border: 1px solid red; border-radius: 4px;">
+        ${this.escapeHtml(finalConfig.messages.loadErrorText)}
+      </div>`;
+      this.emit(targetElement, "error", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Wrap a rendered widget in the controller render() returns
+   * update() renders a new widget into the same element, so the controller
+   * follows whichever instance drives the element at the moment.
+   */
+  createController(element, instanceId, config) {
+    let widget = { instance: this, instanceId };
+    let current = config;
+
+    const controller = {
+      success: true,
+      element,
+
+      /** The on-chain address shown, or null (silent payment only, destroyed) */
+      get address() {
+        return widget.instance.widgets.get(widget.instanceId)?.address ?? null;
+      },
+
+      /**
+       * Render again with `changes` merged into the config (options are merged too)
+       * The current widget is destroyed first, so a failed update leaves none.
+       */
+      async update(changes = {}) {
+        current = {
+          ...current,
+          ...changes,
+          options: { ...current.options, ...changes.options },
+        };
+        controller.destroy();
+        const [result] = await BitcoinPay.render({
+          ...current,
+          selector: undefined,
+          element,
+        });
+        if (result.status === "rejected") {
+          throw result.reason;
+        }
+        widget = CONTROLLED_WIDGETS.get(result.value);
+        widget.instance.adoptWidget(widget.instanceId, controller);
+        return controller;
+      },
+
+      /**
+       * Drop the cached address and render with a new one from the backend
+       * A backoff after a failed request is kept, so this may show the fallback address.
+       */
+      async refreshAddress() {
+        const { instance } = widget;
+        if (instance.endpoint && instance.isLocalStorageAvailable()) {
+          const { addressKey, timestampKey, signatureKey } =
+            instance.cacheKeys();
+          localStorage.removeItem(addressKey);
+          localStorage.removeItem(timestampKey);
+          localStorage.removeItem(signatureKey);
+        }
+        await controller.update();
+        return controller.address;
+      },
+
+      /**
+       * Remove the widget's listeners, timers and payment polling and empty the element
+       */
+      destroy() {
+        widget.instance.destroyWidget(widget.instanceId);
+      },
+    };
+
+    CONTROLLED_WIDGETS.set(controller, widget);
+    this.adoptWidget(instanceId, controller);
+    return controller;
+  }
+
+  /**
+   * Record the controller driving a widget, for updates the widget starts itself
+   */
+  adoptWidget(instanceId, controller) {
+    const entry = this.widgets.get(instanceId);
+    if (entry) {
+      entry.controller = controller;
+    }
+  }
+
+  /**
+   * Render a unified widget again once its Lightning invoice expires
+   * Wallets refuse an expired invoice, so its controller updates the widget,
+   * which fetches a new address and invoice. Widgets that have seen a payment
+   * are left alone so the donor keeps seeing its status.
+   */
+  refreshAtExpiry(instanceId, expiresAt) {
+    const delay = Math.max(expiresAt - Date.now(), MIN_INVOICE_REFRESH);
+    const widget = this.widgets.get(instanceId);
+    if (!widget || delay > MAX_TIMER_DELAY) {
+      return;
+    }
+
+    let paid = false;
+    widget.element.addEventListener(
+      "payment",
+      () => {
+        paid = true;
+      },
+      { signal: widget.abort.signal }
+    );
+    this.later(
+      instanceId,
+      () => {
+        if (!paid) {
+          widget.controller.update().catch((err) => {
+            console.error(
+              "Failed to replace the expired Lightning invoice",
+              err
+            );
+          });
+        }
+      },
+      delay
+    );
+  }
+
+  /**
+   * Stop a widget and empty its element
+   * Aborting its signal removes the listeners and cancels the timers bound to it.
+   */
+  destroyWidget(instanceId) {
+    const widget = this.widgets.get(instanceId);
+    if (!widget) {
+      return;
+    }
+    this.widgets.delete(instanceId);
+    widget.abort.abort();
+    widget.element.innerHTML = "";
+  }
+
+  /**
+   * Signal that aborts when the widget is destroyed (for listeners and timers)
+   */
+  widgetSignal(instanceId) {
+    return this.widgets.get(instanceId)?.abort.signal;
+  }
+
+  /**
+   * setTimeout that is cancelled when the widget is destroyed
+   */
+  later(instanceId, callback, delay) {
+    const signal = this.widgetSignal(instanceId);
+    const cancel = () => clearTimeout(timer);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", cancel);
+      callback();
+    }, delay);
+    signal?.addEventListener("abort", cancel, { once: true });
+  }
+
+  /**
+   * Fire a widget event (address, copy, tabchange, fallback, error, payment)
+   * composed, so it also reaches the page from a <bitcoin-pay> shadow root
+   */
+  emit(target, type, detail) {
+    target.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true })
+    );
+  }
+
+  /**
+   * localStorage keys for the endpoint's cached address, its age, its signature and the retry backoff
+   */
+  cacheKeys() {
+    // Stable keys based on endpoint and campaign (UTF-8 safe)
+    const endpointHash = btoa(
+      unescape(encodeURIComponent(this.endpoint))
+    ).replace(/[^a-zA-Z0-9]/g, "");
+    return {
+      addressKey: `btc-address-${endpointHash}`,
+      timestampKey: `btc-timestamp-${endpointHash}`,
+      signatureKey: `btc-signature-${endpointHash}`,
+      retryKey: `btc-retry-${endpointHash}`,
+    };
+  }
+
+  /**
+   * Find a widget element by ID, in the document or a shadow root rendered into
+   */
+  getElementById(id) {
+    for (const root of this.shadowRoots) {
+      const element = root.getElementById(id);
+      if (element) {
+        return element;
+      }
+    }
+    return document.getElementById(id);
+  }
+
+  /**
+   * Find widget elements by selector, in the document and the shadow roots rendered into
+   */
+  querySelectorAll(selector) {
+    return [document, ...this.shadowRoots].flatMap((root) =>
+      Array.from(root.querySelectorAll(selector))
+    );
+  }
+
+  /**
+   * Check if localStorage is available
+   */
+  isLocalStorageAvailable() {
+    try {
+      localStorage.setItem("test", "test");
+      localStorage.removeItem("test");
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Copy text to clipboard with fallback for insecure origins
+   */
+  async copyToClipboard(text) {
+    // Try modern clipboard API first
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch {
+        // Fall back to legacy method
+      }
+    }
+
+    // Legacy fallback: create temporary textarea
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.style.position = "fixed";
+    textarea.style.opacity = "0";
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      const success = document.execCommand("copy");
+      return success;
+    } catch {
+      return false;
+    } finally {
+      document.body.removeChild(textarea);
+    }
+  }
+
+  /**
+   * Get Bitcoin address with caching
+   * Failures fall back to `fallbackAddress`, depending on the backend's error
+   * code: storage and upstream failures are retried once first, and while the
+   * backend is rate limiting (until Retry-After) or misconfigured (5 minutes)
+   * it is not asked again. Addresses that fail checkAddress() are never
+   * shown: a bad cached one is dropped, and a bad response counts as a failure.
+   * With `config.unifiedQr` the cache is not read, since the address has to
+   * come with a fresh invoice; the response's Lightning invoice or LNURL is
+   * left in `this.unifiedLightning`, and the invoice's expiry in
+   * `this.unifiedExpiresAt`.
+   */
+  async getBitcoinAddress(
+    endpoint,
+    addressKey,
+    timestampKey,
+    signatureKey,
+    retryKey,
+    config,
+    fallbackAddress
+  ) {
+    this.fallbackError = null;
+    this.unifiedLightning = null;
+    this.unifiedExpiresAt = null;
+
+    // Validate cache duration (0 to 1 week)
+    const validCacheDuration = Math.max(
+      0,
+      Math.min(config.cacheDuration, 604800000)
+    );
+
+    // Check localStorage cache if available
+    if (this.isLocalStorageAvailable()) {
+      const storedAddress = localStorage.getItem(addressKey);
+      const storedTimestamp = localStorage.getItem(timestampKey);
+
+      if (
+        !config.unifiedQr &&
+        storedAddress &&
+        Date.now() - parseInt(storedTimestamp) < validCacheDuration
+      ) {
+        try {
+          // The signature was at most SIGNATURE_MAX_AGE old when it was cached
+          await this.checkAddress(
+            storedAddress,
+            this.readStoredSignature(signatureKey),
+            config,
+            validCacheDuration + SIGNATURE_MAX_AGE
+          );
+          return storedAddress;
+        } catch (err) {
+          console.error("Discarding cached Bitcoin address", err);
+          localStorage.removeItem(addressKey);
+          localStorage.removeItem(timestampKey);
+          localStorage.removeItem(signatureKey);
+        }
+      }
+
+      const retryAt = parseInt(localStorage.getItem(retryKey));
+      if (fallbackAddress && retryAt > Date.now()) {
+        this.fallbackError = new Error(
+          `Backend failed recently; next request after ${new Date(retryAt).toISOString()}`
+        );
+        return fallbackAddress;
+      }
+    }
+
+    // Fetch from server if no valid cache
+    try {
+      let response = await fetch(endpoint);
+      let failure = response.ok ? null : await this.readBackendError(response);
+
+      // Storage and chain backend failures usually pass, so try once more
+      if (
+        failure?.code === "storage_unavailable" ||
+        failure?.code === "upstream_error"
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        response = await fetch(endpoint);
+        failure = response.ok ? null : await this.readBackendError(response);
+      }
+
+      if (failure) {
+        // Leave a rate limiting or misconfigured backend alone for a while (seconds)
+        const backoff =
+          failure.code === "rate_limited" || response.status === 429
+            ? parseInt(response.headers.get("Retry-After")) || 60
+            : failure.code === "configuration_error" ||
+                failure.code === "derivation_failed"
+              ? 5 * 60
+              : 0;
+        if (backoff && this.isLocalStorageAvailable()) {
+          localStorage.setItem(retryKey, String(Date.now() + backoff * 1000));
+        }
+        throw new Error(`${failure.message} (${failure.code})`);
+      }
+
+      const data = await response.json();
+      if (!data.address) {
+        throw new Error("Invalid response: no address field");
+      }
+      await this.checkAddress(data.address, data, config, SIGNATURE_MAX_AGE);
+      if (data.lightning && isLightningRequest(data.lightning)) {
+        this.unifiedLightning = data.lightning;
+        this.unifiedExpiresAt = Number.isInteger(data.expiresAt)
+          ? data.expiresAt
+          : null;
+      } else if (data.lightning) {
+        console.error("Ignoring invalid Lightning payload", data.lightning);
+      }
+
+      // Store in cache if localStorage is available
+      if (this.isLocalStorageAvailable()) {
+        localStorage.setItem(addressKey, data.address);
+        localStorage.setItem(timestampKey, Date.now().toString());
+        localStorage.setItem(
+          signatureKey,
+          JSON.stringify({
+            signature: data.signature,
+            signedAt: data.signedAt,
+            uri: data.uri,
+            lightning: data.lightning,
+            expiresAt: data.expiresAt,
+          })
+        );
+      }
+      return data.address;
+    } catch (err) {
+      console.error("Failed to fetch Bitcoin address", err);
+      if (fallbackAddress) {
+        this.fallbackError = err;
+        return fallbackAddress;
+      }
+      throw new Error(`Failed to fetch Bitcoin address: ${err.message}`);
+    }
+  }
+
+  /**
+   * Check an address from the endpoint or the cache before it is shown
+   * It must pass acceptsAddress() and, with a pinned `signingKey`, carry a
+   * valid signature at most `maxAge` old. `signed` holds the response's
+   * `signature`, `signedAt`, `uri`, `lightning` and `expiresAt`, which are
+   * signed together with the address. Throws the reason it is refused.
+   */
+  async checkAddress(address, signed, config, maxAge) {
+    if (!this.acceptsAddress(address, config)) {
+      throw new Error("Invalid response: not a valid address for this network");
+    }
+    if (!this.signingKey) {
+      return;
+    }
+
+    const { signedAt } = signed || {};
+    if (!Number.isInteger(signedAt)) {
+      throw new Error("Invalid response: address is not signed");
+    }
+    if (Math.abs(Date.now() - signedAt) > maxAge) {
+      throw new Error(
+        `Address signature from ${new Date(signedAt).toISOString()} is out of date`
+      );
+    }
+    const valid = await verifyAddressSignature(
+      { ...signed, address },
+      this.campaign,
+      this.signingKey
+    );
+    if (!valid) {
+      throw new Error("Address signature does not match signingKey");
+    }
+  }
+
+  /**
+   * The signature cached with the address, or null
+   */
+  readStoredSignature(signatureKey) {
+    try {
+      return JSON.parse(localStorage.getItem(signatureKey));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the `{ error, code }` body of a failed backend response
+   * Responses from elsewhere (e.g. a proxy's HTML error page) get the code "unknown".
+   */
+  async readBackendError(response) {
+    const body = await response.json().catch(() => null);
+    return {
+      code: body?.code ?? "unknown",
+      message: body?.error ?? `HTTP ${response.status}: ${response.statusText}`,
+    };
+  }
+
+  /**
+   * Fetch the BTC price in a fiat currency from the backend's price route
+   * Not cached here: the backend caches it. Returns null if no price is available.
+   */
+  async getFiatRate(currency) {
+    const url = this.routeUrl("price");
+    url.searchParams.set("currency", currency);
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      if (typeof data.price !== "number" || !(data.price > 0)) {
+        throw new Error("Invalid response: no price field");
+      }
+      return {
+        currency: currency.toUpperCase(),
+        price: data.price,
+        time: Number(data.time),
+      };
+    } catch (err) {
+      console.error("Failed to fetch fiat rate", err);
+      return null;
+    }
+  }
+
+  /**
+   * Choose the QR error-correction level for a payload
+   * Unified URIs with an invoice run to several hundred characters, so lower
+   * levels keep the modules large enough to scan at widget size.
+   */
+  selectQrEcc(text, config) {
+    const preferred = (config.qrCodeOptions && config.qrCodeOptions.ecc) || "H";
+    if (text.length > 600) {
+      return "L";
+    }
+    if (text.length > 200 && (preferred === "H" || preferred === "Q")) {
+      return "M";
+    }
+    return preferred;
+  }
+
+  /**
+   * Create the "copy payment link" button, shown when the URI carries BIP21 parameters
+   */
+  createCopyLinkButtonHTML(address, paymentUri, config, instanceId) {
+    if (!config.showCopyButton || paymentUri === `bitcoin:${address}`) {
+      return "";
+    }
+    return `<button id="btc-link-btn-${instanceId}" class="copy-link-btn">${this.escapeHtml(config.messages.copyLinkButtonText)}</button>`;
+  }
+
+  /**
+   * Create the single Bitcoin widget HTML structure
+   */
+  createSingleWidgetHTML(
+    address,
+    paymentUri,
+    bitcoinDonateText,
+    config,
+    instanceId
+  ) {
+    const qrContainerId = `btc-qr-${instanceId}`;
+    const buttonId = `btc-btn-${instanceId}`;
+    const { messages } = config;
+
     // Use custom text if provided, otherwise use smart device-detection behavior
-    const bitcoinDescriptionHTML = bitcoinDonateText
-      ? bitcoinDonateText
-      : `<span class="prefix-desktop">Scan with</span>
-              <span class="prefix-touch">Tap to open</span>
-              your Bitcoin wallet, or copy the on-chain address below.`;
-
-    const lightningDescriptionHTML = lightningDonateText
-      ? lightningDonateText
-      : `<span class="prefix-desktop">Scan with</span>
-              <span class="prefix-touch">Tap to open</span>
-              your Lightning wallet, or copy my Lightning address below.`;
+    const descriptionHTML = bitcoinDonateText
+      ? this.richText(bitcoinDonateText, config)
+      : this.createPromptHTML(
+          messages.bitcoinScanText,
+          messages.bitcoinTapText,
+          {
+            wallet: hasLightningParam(paymentUri)
+              ? messages.bitcoinOrLightningWallet
+              : messages.bitcoinWallet,
+          }
+        );
+
+    return `
+      <div class="bitcoin-pay-widget" ${this.localeAttributes(config)}>
+        <div class="widget-layout">
+          <a href="${this.escapeHtml(paymentUri)}" class="qr-container" aria-label="${this.escapeHtml(messages.openBitcoinWallet)}">
+            <div id="${qrContainerId}" class="qr-code"></div>
+          </a>
+          <div class="content-area">
+            <p class="description">
+              ${descriptionHTML}
+            </p>
+            <div class="address-container">
+              <div class="address-text">
+                <span>${this.escapeHtml(address)}</span>
+              </div>
+              ${
+                config.showCopyButton
+                  ? `<button id="${buttonId}" class="copy-btn">${this.escapeHtml(messages.copyButtonText)}</button>`
+                  : ""
+              }
+            </div>
+            ${this.createCopyLinkButtonHTML(
+              address,
+              paymentUri,
+              config,
+              instanceId
+            )}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the tabbed widget HTML: Bitcoin, silent payment and Lightning tabs, as configured
+   * The first tab is active.
+   */
+  createTabbedWidgetHTML(
+    address,
+    paymentUri,
+    lightningAddress,
+    silentPayment,
+    bitcoinDonateText,
+    lightningDonateText,
+    config,
+    instanceId
+  ) {
+    const tabs = [];
+    const { messages } = config;
+
+    if (address) {
+      const bitcoinQrId = `btc-qr-${instanceId}`;
+      const bitcoinBtnId = `btc-btn-${instanceId}`;
+
+      // Use custom text if provided, otherwise use smart device-detection behavior
+      const bitcoinDescriptionHTML = bitcoinDonateText
+        ? this.richText(bitcoinDonateText, config)
+        : this.createPromptHTML(
+            messages.bitcoinScanText,
+            messages.bitcoinTapText,
+            {
+              wallet: hasLightningParam(paymentUri)
+                ? messages.bitcoinOrLightningWallet
+                : messages.bitcoinWallet,
+            }
+          );
+
+      tabs.push({
+        name: "bitcoin",
+        label: messages.bitcoinTab,
+        icon: `<svg width="20" height="20" viewBox="0 0 64 64" fill="currentColor">
+                <g transform="translate(0.00630876,-0.00301984)">
+                  <path d="m63.033,39.744c-4.274,17.143-21.637,27.576-38.782,23.301-17.138-4.274-27.571-21.638-23.295-38.78,4.272-17.145,21.635-27.579,38.775-23.305,17.144,4.274,27.576,21.64,23.302,38.784z"/>
+                  <path fill="#FFF" d="m46.103,27.444c0.637-4.258-2.605-6.547-7.038-8.074l1.438-5.768-3.511-0.875-1.4,5.616c-0.923-0.23-1.871-0.447-2.813-0.662l1.41-5.653-3.509-0.875-1.439,5.766c-0.764-0.174-1.514-0.346-2.242-0.527l0.004-0.018-4.842-1.209-0.934,3.75s2.605,0.597,2.55,0.634c1.422,0.355,1.679,1.296,1.636,2.042l-1.638,6.571c0.098,0.025,0.225,0.061,0.365,0.117-0.117-0.029-0.242-0.061-0.371-0.092l-2.296,9.205c-0.174,0.432-0.615,1.08-1.609,0.834,0.035,0.051-2.552-0.637-2.552-0.637l-1.743,4.019,4.569,1.139c0.85,0.213,1.683,0.436,2.503,0.646l-1.453,5.834,3.507,0.875,1.439-5.772c0.958,0.26,1.888,0.5,2.798,0.726l-1.434,5.745,3.511,0.875,1.453-5.823c5.987,1.133,10.489,0.676,12.384-4.739,1.527-4.36-0.076-6.875-3.226-8.515,2.294-0.529,4.022-2.038,4.483-5.155zm-8.022,11.249c-1.085,4.36-8.426,2.003-10.806,1.412l1.928-7.729c2.38,0.594,10.012,1.77,8.878,6.317zm1.086-11.312c-0.990,3.966-7.1,1.951-9.082,1.457l1.748-7.01c1.982,0.494,8.365,1.416,7.334,5.553z"/>
+                </g>
+              </svg>`,
+        content: `
+            <div class="widget-layout">
+              <a href="${this.escapeHtml(paymentUri)}" class="qr-container" aria-label="${this.escapeHtml(messages.openBitcoinWallet)}">
+                <div id="${bitcoinQrId}" class="qr-code"></div>
+              </a>
+              <div class="content-area">
+                <p class="description">
+                  ${bitcoinDescriptionHTML}
+                </p>
+                <div class="address-container">
+                  <div class="address-text">
+                    <span>${this.escapeHtml(address)}</span>
+                  </div>
+                  ${
+                    config.showCopyButton
+                      ? `<button id="${bitcoinBtnId}" class="copy-btn">${this.escapeHtml(messages.copyButtonText)}</button>`
+                      : ""
+                  }
+                </div>
+                ${this.createCopyLinkButtonHTML(
+                  address,
+                  paymentUri,
+                  config,
+                  instanceId
+                )}
+              </div>
+            </div>`,
+      });
+    }
+
+    if (silentPayment) {
+      tabs.push({
+        name: "silent-payment",
+        label: messages.silentPaymentTab,
+        icon: `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12 2a5 5 0 0 0-5 5v3H6a2 2 0 0 0-2 2v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8a2 2 0 0 0-2-2h-1V7a5 5 0 0 0-5-5zm-3 8V7a3 3 0 0 1 6 0v3H9z"/>
+              </svg>`,
+        content: this.createSilentPaymentContentHTML(
+          silentPayment,
+          config,
+          instanceId
+        ),
+      });
+    }
 
-    return `
-      <div class="bitcoin-pay-widget has-tabs">
-        <div class="widget-content">
-          <!-- Tab Navigation -->
-          <div class="tab-navigation">
-            <button id="bitcoin-tab-${instanceId}" class="tab-btn active" data-tab="bitcoin">
-              <svg width="20" height="20" viewBox="0 0 64 64" fill="currentColor">
-                <g transform="translate(0.00630876,-0.00301984)">
-                  <path d="m63.033,39.744c-4.274,17.143-21.637,27.576-38.782,23.301-17.138-4.274-27.571-21.638-23.295-38.78,4.272-17.145,21.635-27.579,38.775-23.305,17.144,4.274,27.576,21.64,23.302,38.784z"/>
-                  <path fill="#FFF" d="m46.103,27.444c0.637-4.258-2.605-6.547-7.038-8.074l1.438-5.768-3.511-0.875-1.4,5.616c-0.923-0.23-1.871-0.447-2.813-0.662l1.41-5.653-3.509-0.875-1.439,5.766c-0.764-0.174-1.514-0.346-2.242-0.527l0.004-0.018-4.842-1.209-0.934,3.75s2.605,0.597,2.55,0.634c1.422,0.355,1.679,1.296,1.636,2.042l-1.638,6.571c0.098,0.025,0.225,0.061,0.365,0.117-0.117-0.029-0.242-0.061-0.371-0.092l-2.296,9.205c-0.174,0.432-0.615,1.08-1.609,0.834,0.035,0.051-2.552-0.637-2.552-0.637l-1.743,4.019,4.569,1.139c0.85,0.213,1.683,0.436,2.503,0.646l-1.453,5.834,3.507,0.875,1.439-5.772c0.958,0.26,1.888,0.5,2.798,0.726l-1.434,5.745,3.511,0.875,1.453-5.823c5.987,1.133,10.489,0.676,12.384-4.739,1.527-4.36-0.076-6.875-3.226-8.515,2.294-0.529,4.022-2.038,4.483-5.155zm-8.022,11.249c-1.085,4.36-8.426,2.003-10.806,1.412l1.928-7.729c2.38,0.594,10.012,1.77,8.878,6.317zm1.086-11.312c-0.990,3.966-7.1,1.951-9.082,1.457l1.748-7.01c1.982,0.494,8.365,1.416,7.334,5.553z"/>
-                </g>
-              </svg>
-              Bitcoin
-            </button>
-            <button id="lightning-tab-${instanceId}" class="tab-btn" data-tab="lightning">
-              <svg width="20" height="20" viewBox="0 0 282 282" fill="currentColor">
+    if (lightningAddress) {
+      const lightningQrId = `lightning-qr-${instanceId}`;
+      const lightningBtnId = `lightning-btn-${instanceId}`;
+
+      const lightningDescriptionHTML = lightningDonateText
+        ? this.richText(lightningDonateText, config)
+        : this.createPromptHTML(
+            messages.lightningScanText,
+            messages.lightningTapText
+          );
+
+      tabs.push({
+        name: "lightning",
+        label: messages.lightningTab,
+        icon: `<svg width="20" height="20" viewBox="0 0 282 282" fill="currentColor">
                 <g clip-path="url(#clip0)">
                   <circle cx="140.983" cy="141.003" r="141" />
                   <path d="M79.7609 144.047L173.761 63.0466C177.857 60.4235 181.761 63.0466 179.261 67.5466L149.261 126.547H202.761C202.761 126.547 211.261 126.547 202.761 133.547L110.261 215.047C103.761 220.547 99.261 217.547 103.761 209.047L132.761 151.547H79.7609C79.7609 151.547 71.2609 151.547 79.7609 144.047Z" fill="white"/>
@@ -369,139 +1501,191 @@ class BitcoinPay {
                     <rect width="282" height="282" fill="white"/>
                   </clipPath>
                 </defs>
-              </svg>
-              Lightning
-            </button>
-          </div>
-
-          <!-- Bitcoin Tab Content -->
-          <div id="bitcoin-content-${instanceId}" class="tab-content active" data-tab="bitcoin">
+              </svg>`,
+        content: `
             <div class="widget-layout">
-              <a href="bitcoin:${address}" class="qr-container" aria-label="Open in Bitcoin wallet">
-                <div id="${bitcoinQrId}" class="qr-code"></div>
+              <a id="lightning-link-${instanceId}" href="lightning:${this.escapeHtml(lightningAddress)}" class="qr-container" aria-label="${this.escapeHtml(messages.openLightningWallet)}">
+                <div id="${lightningQrId}" class="qr-code"></div>
               </a>
               <div class="content-area">
                 <p class="description">
-                  ${bitcoinDescriptionHTML}
+                  ${lightningDescriptionHTML}
                 </p>
                 <div class="address-container">
                   <div class="address-text">
-                    <span>${address}</span>
+                    <span id="lightning-text-${instanceId}">${this.escapeHtml(lightningAddress)}</span>
                   </div>
                   ${
                     config.showCopyButton
-                      ? `<button id="${bitcoinBtnId}" class="copy-btn">${config.copyButtonText}</button>`
+                      ? `<button id="${lightningBtnId}" class="copy-btn">${this.escapeHtml(messages.copyButtonText)}</button>`
                       : ""
                   }
                 </div>
               </div>
-            </div>
+            </div>`,
+      });
+    }
+
+    return `
+      <div class="bitcoin-pay-widget has-tabs" ${this.localeAttributes(config)}>
+        <div class="widget-content">
+          <!-- Tab Navigation -->
+          <div class="tab-navigation">
+            ${tabs
+              .map(
+                (tab, i) => `
+            <button id="${tab.name}-tab-${instanceId}" class="tab-btn${i === 0 ? " active" : ""}" data-tab="${tab.name}">
+              ${tab.icon}
+              ${this.escapeHtml(tab.label)}
+            </button>`
+              )
+              .join("")}
           </div>
+          ${tabs
+            .map(
+              (tab, i) => `
+          <!-- ${tab.name} tab content -->
+          <div id="${tab.name}-content-${instanceId}" class="tab-content${i === 0 ? " active" : ""}" data-tab="${tab.name}">${tab.content}
+          </div>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
 
-          <!-- Lightning Tab Content -->
-          <div id="lightning-content-${instanceId}" class="tab-content" data-tab="lightning">
+  /**
+   * Create the silent payment address content (QR, description and copy button)
+   */
+  createSilentPaymentContentHTML(silentPayment, config, instanceId) {
+    const { messages } = config;
+    const descriptionHTML = silentPayment.donateText
+      ? this.richText(silentPayment.donateText, config)
+      : this.createPromptHTML(
+          messages.silentPaymentScanText,
+          messages.silentPaymentTapText
+        );
+
+    return `
             <div class="widget-layout">
-              <a href="lightning:${lightningAddress}" class="qr-container" aria-label="Open in Lightning wallet">
-                <div id="${lightningQrId}" class="qr-code"></div>
+              <a href="${this.escapeHtml(silentPayment.uri)}" class="qr-container" aria-label="${this.escapeHtml(messages.openBitcoinWallet)}">
+                <div id="sp-qr-${instanceId}" class="qr-code"></div>
               </a>
               <div class="content-area">
                 <p class="description">
-                  ${lightningDescriptionHTML}
+                  ${descriptionHTML}
                 </p>
                 <div class="address-container">
                   <div class="address-text">
-                    <span>${lightningAddress}</span>
+                    <span>${this.escapeHtml(silentPayment.address)}</span>
                   </div>
                   ${
                     config.showCopyButton
-                      ? `<button id="${lightningBtnId}" class="copy-btn">Copy</button>`
+                      ? `<button id="sp-btn-${instanceId}" class="copy-btn">${this.escapeHtml(messages.copyButtonText)}</button>`
                       : ""
                   }
                 </div>
               </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
+            </div>`;
+  }
+
+  /**
+   * Scan (desktop) and tap (touch) instructions; the stylesheet shows the one that fits the device
+   */
+  createPromptHTML(scanText, tapText, values = {}) {
+    return `<span class="prefix-desktop">${this.escapeHtml(this.fillTemplate(scanText, values))}</span>
+              <span class="prefix-touch">${this.escapeHtml(this.fillTemplate(tapText, values))}</span>`;
+  }
+
+  /**
+   * Copy `text` when the button is clicked, briefly showing the result on the button
+   * The text lives in data-copy so it can be swapped later (e.g. for an invoice).
+   */
+  bindCopyButton(buttonId, text, config, instanceId) {
+    const copyButton = this.getElementById(buttonId);
+    if (!copyButton) {
+      return;
+    }
+
+    copyButton.dataset.copy = text;
+    copyButton.addEventListener(
+      "click",
+      async () => {
+        const copied = copyButton.dataset.copy;
+        const success = await this.copyToClipboard(copied);
+        const originalText = copyButton.textContent;
+
+        if (success) {
+          copyButton.textContent = config.messages.copiedText;
+        } else {
+          copyButton.textContent = config.messages.copyFailedText;
+        }
+        this.emit(copyButton, "copy", { text: copied, success });
+
+        this.later(
+          instanceId,
+          () => {
+            copyButton.textContent = originalText;
+          },
+          2000
+        );
+      },
+      { signal: this.widgetSignal(instanceId) }
+    );
   }
 
   /**
    * Initialize single Bitcoin widget
    */
-  async initializeSingleWidget(address, config, instanceId) {
-    const qrContainerId = `btc-qr-${instanceId}`;
+  async initializeSingleWidget(address, paymentUri, config, instanceId) {
     const buttonId = `btc-btn-${instanceId}`;
 
     // Render QR code
-    const qrContainer = document.getElementById(qrContainerId);
-    if (qrContainer) {
-      const logoHref =
-        config.qrCodeOptions.logo === "btc"
-          ? this.defaultConfig.qrCodeOptions.bitcoinImage
-          : undefined;
-      const svg = generateQrSvg({
-        text: `bitcoin:${address}`,
-        size: config.width,
-        logoHref,
-        alt: "Bitcoin address QR",
-      });
-      qrContainer.innerHTML = svg;
-    }
+    this.renderBitcoinQr(
+      paymentUri,
+      config,
+      instanceId,
+      config.qrCodeOptions.logo === "btc"
+    );
 
-    // Initialize copy button
+    // Initialize copy buttons
     if (config.showCopyButton) {
-      const copyButton = document.getElementById(buttonId);
-      if (copyButton) {
-        copyButton.addEventListener("click", async () => {
-          const success = await this.copyToClipboard(address);
-          const originalText = copyButton.textContent;
-
-          if (success) {
-            copyButton.textContent = config.copiedText;
-          } else {
-            copyButton.textContent = "Failed to copy";
-          }
-
-          setTimeout(() => {
-            copyButton.textContent = originalText;
-          }, 2000);
-        });
-      }
+      this.bindCopyButton(buttonId, address, config, instanceId);
+      this.bindCopyButton(
+        `btc-link-btn-${instanceId}`,
+        paymentUri,
+        config,
+        instanceId
+      );
     }
   }
 
   /**
-   * Initialize dual Bitcoin/Lightning widget
+   * Initialize the tabbed widget
    */
-  async initializeDualWidget(address, lightningAddress, config, instanceId) {
-    const bitcoinQrId = `btc-qr-${instanceId}`;
-    const lightningQrId = `lightning-qr-${instanceId}`;
+  async initializeTabbedWidget(
+    address,
+    paymentUri,
+    lightningAddress,
+    silentPayment,
+    config,
+    instanceId
+  ) {
     const bitcoinBtnId = `btc-btn-${instanceId}`;
     const lightningBtnId = `lightning-btn-${instanceId}`;
 
     // Render Bitcoin QR code
-    const bitcoinQrContainer = document.getElementById(bitcoinQrId);
-    if (bitcoinQrContainer) {
-      const svg = generateQrSvg({
-        text: `bitcoin:${address}`,
-        size: config.width,
-        logoHref: this.defaultConfig.qrCodeOptions.bitcoinImage,
-        alt: "Bitcoin address QR",
-      });
-      bitcoinQrContainer.innerHTML = svg;
+    if (paymentUri) {
+      this.renderBitcoinQr(paymentUri, config, instanceId, true);
     }
 
     // Render Lightning QR code
-    const lightningQrContainer = document.getElementById(lightningQrId);
-    if (lightningQrContainer) {
-      const svg = generateQrSvg({
-        text: `lightning:${lightningAddress}`,
-        size: config.width,
-        logoHref: this.defaultConfig.qrCodeOptions.lightningImage,
-        alt: "Lightning address QR",
-      });
-      lightningQrContainer.innerHTML = svg;
+    if (lightningAddress) {
+      this.renderLightningQr(lightningAddress, config, instanceId);
+    }
+
+    if (silentPayment) {
+      this.initializeSilentPayment(silentPayment, config, instanceId);
     }
 
     // Initialize tab switching
@@ -509,75 +1693,594 @@ class BitcoinPay {
 
     // Initialize copy buttons
     if (config.showCopyButton) {
-      // Bitcoin copy button
-      const bitcoinCopyButton = document.getElementById(bitcoinBtnId);
-      if (bitcoinCopyButton) {
-        bitcoinCopyButton.addEventListener("click", async () => {
-          const success = await this.copyToClipboard(address);
-          const originalText = bitcoinCopyButton.textContent;
-
-          if (success) {
-            bitcoinCopyButton.textContent = config.copiedText;
-          } else {
-            bitcoinCopyButton.textContent = "Failed to copy";
-          }
+      this.bindCopyButton(bitcoinBtnId, address, config, instanceId);
+      this.bindCopyButton(
+        `btc-link-btn-${instanceId}`,
+        paymentUri,
+        config,
+        instanceId
+      );
+      this.bindCopyButton(lightningBtnId, lightningAddress, config, instanceId);
+    }
 
-          setTimeout(() => {
-            bitcoinCopyButton.textContent = originalText;
-          }, 2000);
-        });
+    // Offer real invoices when the backend can resolve the Lightning address
+    if (lightningAddress && address && config.lightningInvoices) {
+      await this.setupLightningInvoices(
+        lightningAddress,
+        paymentUri,
+        config,
+        instanceId
+      );
+    }
+  }
+
+  /**
+   * Show a BIP21 URI in the on-chain QR code, its wallet link and the copy link button
+   */
+  renderBitcoinQr(paymentUri, config, instanceId, withLogo) {
+    const qrContainer = this.getElementById(`btc-qr-${instanceId}`);
+    if (!qrContainer) {
+      return;
+    }
+
+    const ecc = this.selectQrEcc(paymentUri, config);
+    // At the lowest level the logo would cover more than can be corrected
+    const logoHref =
+      withLogo && ecc !== "L"
+        ? this.defaultConfig.qrCodeOptions.bitcoinImage
+        : undefined;
+    qrContainer.innerHTML = generateQrSvg({
+      text: paymentUri,
+      size: config.width,
+      ecc,
+      logoHref,
+      alt: config.messages.bitcoinQrAlt,
+    });
+
+    const link = qrContainer.closest("a");
+    if (link) {
+      link.href = paymentUri;
+    }
+    const copyLinkButton = this.getElementById(`btc-link-btn-${instanceId}`);
+    if (copyLinkButton) {
+      copyLinkButton.dataset.copy = paymentUri;
+    }
+  }
+
+  /**
+   * Add preset fiat amounts and a free-entry field below the on-chain address
+   * Choosing an amount converts it to sats at the backend's rate and puts it
+   * in the BIP21 URI behind the QR code; clearing it restores the original URI.
+   */
+  setupFiatAmounts(address, paymentUri, fiat, config, instanceId, withLogo) {
+    const qrContainer = this.getElementById(`btc-qr-${instanceId}`);
+    const contentArea = qrContainer
+      ?.closest(".widget-layout")
+      ?.querySelector(".content-area");
+    if (!contentArea) {
+      return;
+    }
+
+    const { messages } = config;
+    const fiatPlaceholder = this.escapeHtml(
+      `${messages.fiatInputPlaceholder} (${fiat.currency})`
+    );
+    const currencyFormat = new Intl.NumberFormat(config.locale, {
+      style: "currency",
+      currency: fiat.currency,
+    });
+    const rateText = this.fillTemplate(messages.fiatRateText, {
+      price: currencyFormat.format(fiat.price),
+      time: new Date(fiat.time).toLocaleString(config.locale, {
+        dateStyle: "short",
+        timeStyle: "short",
+      }),
+    });
+
+    contentArea.insertAdjacentHTML(
+      "beforeend",
+      `<div id="btc-fiat-${instanceId}" class="fiat-amounts">
+        ${fiat.amounts
+          .map(
+            (value) =>
+              `<button type="button" class="fiat-btn" data-amount="${value}" aria-pressed="false">${this.escapeHtml(currencyFormat.format(value))}</button>`
+          )
+          .join("")}
+        ${
+          config.fiatInput
+            ? `<input type="number" inputmode="decimal" min="0" step="any" placeholder="${fiatPlaceholder}" aria-label="${fiatPlaceholder}">`
+            : ""
+        }
+        <p id="btc-fiat-status-${instanceId}" class="invoice-status" aria-live="polite">${this.escapeHtml(rateText)}</p>
+      </div>`
+    );
+
+    const container = this.getElementById(`btc-fiat-${instanceId}`);
+    const status = this.getElementById(`btc-fiat-status-${instanceId}`);
+    const buttons = Array.from(container.querySelectorAll(".fiat-btn"));
+    const input = container.querySelector("input");
+
+    const select = (value) => {
+      const sats = Math.round((value / fiat.price) * 100000000);
+      if (!(sats >= 1)) {
+        // Nothing (or too little) chosen: back to the original request
+        this.renderBitcoinQr(paymentUri, config, instanceId, withLogo);
+        status.textContent = rateText;
+        return;
       }
 
-      // Lightning copy button
-      const lightningCopyButton = document.getElementById(lightningBtnId);
-      if (lightningCopyButton) {
-        lightningCopyButton.addEventListener("click", async () => {
-          const success = await this.copyToClipboard(lightningAddress);
-          const originalText = lightningCopyButton.textContent;
+      this.renderBitcoinQr(
+        buildBip21Uri(address, {
+          ...fiat.paymentParams,
+          amount: sats,
+          amountUnit: "sats",
+        }),
+        config,
+        instanceId,
+        withLogo
+      );
+      status.textContent = `${this.fillTemplate(messages.fiatAmountText, {
+        fiat: currencyFormat.format(value),
+        btc: formatBtc(sats, config.locale),
+      })} · ${rateText}`;
+    };
 
-          if (success) {
-            lightningCopyButton.textContent = config.copiedText;
-          } else {
-            lightningCopyButton.textContent = "Failed to copy";
+    const signal = this.widgetSignal(instanceId);
+    buttons.forEach((button) => {
+      button.addEventListener(
+        "click",
+        () => {
+          const pressed = button.getAttribute("aria-pressed") !== "true";
+          buttons.forEach((other) =>
+            other.setAttribute("aria-pressed", "false")
+          );
+          button.setAttribute("aria-pressed", String(pressed));
+          if (input) {
+            input.value = "";
           }
+          select(pressed ? parseFloat(button.dataset.amount) : 0);
+        },
+        { signal }
+      );
+    });
 
-          setTimeout(() => {
-            lightningCopyButton.textContent = originalText;
-          }, 2000);
-        });
+    if (input) {
+      input.addEventListener(
+        "input",
+        () => {
+          buttons.forEach((button) =>
+            button.setAttribute("aria-pressed", "false")
+          );
+          select(parseFloat(input.value) || 0);
+        },
+        { signal }
+      );
+    }
+  }
+
+  /**
+   * Replace {name} placeholders in a text with the given values
+   */
+  fillTemplate(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? values[name] : match
+    );
+  }
+
+  /**
+   * Render the silent payment QR code and bind its copy button
+   */
+  initializeSilentPayment(silentPayment, config, instanceId) {
+    const qrContainer = this.getElementById(`sp-qr-${instanceId}`);
+    if (qrContainer) {
+      const ecc = this.selectQrEcc(silentPayment.uri, config);
+      qrContainer.innerHTML = generateQrSvg({
+        text: silentPayment.uri,
+        size: config.width,
+        ecc,
+        logoHref:
+          config.qrCodeOptions.logo === "btc" && ecc !== "L"
+            ? this.defaultConfig.qrCodeOptions.bitcoinImage
+            : undefined,
+        alt: config.messages.silentPaymentQrAlt,
+      });
+    }
+
+    if (config.showCopyButton) {
+      this.bindCopyButton(
+        `sp-btn-${instanceId}`,
+        silentPayment.address,
+        config,
+        instanceId
+      );
+    }
+  }
+
+  /**
+   * Show a Lightning address or BOLT11 invoice in the Lightning tab (QR, link, text and copy button)
+   */
+  renderLightningQr(text, config, instanceId) {
+    const qrContainer = this.getElementById(`lightning-qr-${instanceId}`);
+    if (qrContainer) {
+      const uri = `lightning:${text}`;
+      const ecc = this.selectQrEcc(uri, config);
+      qrContainer.innerHTML = generateQrSvg({
+        text: uri,
+        size: config.width,
+        ecc,
+        logoHref:
+          ecc !== "L"
+            ? this.defaultConfig.qrCodeOptions.lightningImage
+            : undefined,
+        alt: config.messages.lightningQrAlt,
+      });
+    }
+
+    const link = this.getElementById(`lightning-link-${instanceId}`);
+    if (link) {
+      link.href = `lightning:${text}`;
+    }
+    const textElement = this.getElementById(`lightning-text-${instanceId}`);
+    if (textElement) {
+      textElement.textContent = text;
+    }
+    const copyButton = this.getElementById(`lightning-btn-${instanceId}`);
+    if (copyButton) {
+      copyButton.dataset.copy = text;
+    }
+  }
+
+  /**
+   * URL of another backend route next to the get-address endpoint
+   * e.g. /.netlify/functions/get-address -> /.netlify/functions/lightning-invoice
+   */
+  routeUrl(route) {
+    const url = new URL(this.endpoint, window.location.href);
+    url.pathname = url.pathname.replace(/[^/]*\/?$/, route);
+    url.search = "";
+    if (this.campaign) {
+      url.searchParams.set("campaign", this.campaign);
+    }
+    return url;
+  }
+
+  /**
+   * The endpoint asking for a unified URI
+   * Passes amount, label and message on so the invoice matches the on-chain request.
+   */
+  unifiedEndpoint(paymentParams) {
+    const url = new URL(this.endpoint, window.location.href);
+    new URL(buildBip21Uri("", paymentParams)).searchParams.forEach(
+      (value, key) => {
+        url.searchParams.set(key, value);
+      }
+    );
+    url.searchParams.set("lightning", "true");
+    return url.toString();
+  }
+
+  /**
+   * The endpoint with the campaign, if any, added to its query
+   * Kept as given otherwise, so existing address caches stay valid.
+   */
+  withCampaign(endpoint) {
+    if (!this.campaign) {
+      return endpoint;
+    }
+    const url = new URL(endpoint, window.location.href);
+    url.searchParams.set("campaign", this.campaign);
+    return url.toString();
+  }
+
+  /**
+   * Add the amount form that turns the Lightning address into BOLT11 invoices
+   * Leaves the static Lightning address in place if the backend cannot resolve it.
+   */
+  async setupLightningInvoices(
+    lightningAddress,
+    paymentUri,
+    config,
+    instanceId
+  ) {
+    let limits;
+    try {
+      const response = await fetch(this.routeUrl("lightning-invoice"));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
+      const { minSats, maxSats, commentAllowed = 0 } = await response.json();
+      if (![minSats, maxSats, commentAllowed].every(Number.isInteger)) {
+        throw new Error("Invalid response: limits must be whole numbers");
+      }
+      limits = { minSats, maxSats, commentAllowed };
+    } catch (err) {
+      console.error("Lightning invoices unavailable", err);
+      return;
     }
+
+    const contentArea = this.getElementById(
+      `lightning-content-${instanceId}`
+    )?.querySelector(".content-area");
+    if (!contentArea) {
+      return;
+    }
+
+    const { messages } = config;
+    const amountPlaceholder = this.escapeHtml(messages.amountPlaceholder);
+    const commentPlaceholder = this.escapeHtml(messages.commentPlaceholder);
+
+    // Prefill the on-chain amount, if one was requested
+    const btcAmount = new URL(paymentUri).searchParams.get("amount");
+    const prefill = btcAmount ? toSats(btcAmount) : "";
+
+    contentArea.insertAdjacentHTML(
+      "beforeend",
+      `<form id="lightning-form-${instanceId}" class="invoice-form">
+        <input name="amount" type="number" inputmode="numeric" min="${limits.minSats}" max="${limits.maxSats}" step="1" value="${prefill}" placeholder="${amountPlaceholder}" aria-label="${amountPlaceholder}" required>
+        ${
+          limits.commentAllowed > 0
+            ? `<input name="comment" type="text" maxlength="${limits.commentAllowed}" placeholder="${commentPlaceholder}" aria-label="${commentPlaceholder}">`
+            : ""
+        }
+        <button type="submit" class="copy-btn">${this.escapeHtml(messages.invoiceButtonText)}</button>
+      </form>
+      <p id="lightning-status-${instanceId}" class="invoice-status" aria-live="polite"></p>`
+    );
+
+    const form = this.getElementById(`lightning-form-${instanceId}`);
+    const status = this.getElementById(`lightning-status-${instanceId}`);
+    const signal = this.widgetSignal(instanceId);
+    let countdown = null;
+    signal?.addEventListener("abort", () => clearInterval(countdown));
+
+    form.addEventListener(
+      "submit",
+      async (event) => {
+        event.preventDefault();
+        const amount = parseInt(form.elements.amount.value, 10);
+        const comment = form.elements.comment
+          ? form.elements.comment.value
+          : "";
+
+        if (
+          !Number.isInteger(amount) ||
+          amount < limits.minSats ||
+          amount > limits.maxSats
+        ) {
+          status.textContent = this.fillTemplate(messages.invoiceRangeText, {
+            min: formatNumber(limits.minSats, config.locale),
+            max: formatNumber(limits.maxSats, config.locale),
+          });
+          return;
+        }
+
+        const url = this.routeUrl("lightning-invoice");
+        url.searchParams.set("amount", String(amount));
+        if (comment) {
+          url.searchParams.set("comment", comment);
+        }
+
+        status.textContent = "";
+        form.querySelector("button").disabled = true;
+        try {
+          const response = await fetch(url);
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+          }
+          if (!isLightningRequest(data.invoice)) {
+            throw new Error("Invalid response: not a Lightning invoice");
+          }
+          if (signal?.aborted) {
+            return;
+          }
+
+          this.renderLightningQr(data.invoice, config, instanceId);
+
+          // Count down to expiry, then go back to the Lightning address
+          clearInterval(countdown);
+          const tick = () => {
+            const remaining = Math.floor((data.expiresAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+              clearInterval(countdown);
+              this.renderLightningQr(lightningAddress, config, instanceId);
+              status.textContent = messages.invoiceExpiredText;
+              return;
+            }
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, "0");
+            status.textContent = this.fillTemplate(
+              messages.invoiceExpiresText,
+              {
+                amount: formatNumber(amount, config.locale),
+                time: `${minutes}:${seconds}`,
+              }
+            );
+          };
+          tick();
+          countdown = setInterval(tick, 1000);
+        } catch (err) {
+          console.error("Failed to create Lightning invoice", err);
+          status.textContent = this.fillTemplate(messages.invoiceErrorText, {
+            error: err.message,
+          });
+        } finally {
+          form.querySelector("button").disabled = false;
+        }
+      },
+      { signal }
+    );
+  }
+
+  /**
+   * Poll the check-payment route for payments to the address
+   * The address may already have been paid by an earlier visitor (the pool rotates
+   * every 10 minutes), so only funds above the first response count. That first
+   * check runs as soon as the widget renders, hidden tab or not, so a donor who
+   * pays from a wallet app before coming back is not taken for the baseline. Each status
+   * change fires a "payment" event on the elements; reaching `config.confirmOn`
+   * switches them to the confirmation state. Checks that find nothing new wait
+   * 1.5 times longer each time and failed ones twice as long, up to
+   * MAX_POLL_BACKOFF intervals; a status change brings the interval back.
+   * Polling pauses while the tab is hidden, and ends once the payment confirms,
+   * on timeout, or when every widget is destroyed or has left the page.
+   */
+  watchPayment(address, instanceIds, config) {
+    const url = this.routeUrl("check-payment");
+    url.searchParams.set("address", address);
+    const interval = Math.max(config.paymentPollInterval, 5000);
+    const stopAt = Date.now() + config.paymentPollTimeout;
+    let baselineSats = null;
+    let lastStatus = "unpaid";
+    let shown = false;
+    let timer = null;
+    let delay = interval;
+
+    const watched = () =>
+      instanceIds
+        .map((instanceId) => this.widgets.get(instanceId)?.element)
+        .filter((element) => element?.isConnected);
+    const schedule = (factor) => {
+      delay = Math.min(delay * factor, interval * MAX_POLL_BACKOFF);
+      timer = setTimeout(poll, delay);
+    };
+
+    // Destroying the last widget stops polling without waiting for the next check
+    instanceIds.forEach((instanceId) => {
+      this.widgetSignal(instanceId)?.addEventListener("abort", () => {
+        if (watched().length === 0) {
+          clearTimeout(timer);
+        }
+      });
+    });
+
+    const poll = async () => {
+      if (watched().length === 0 || Date.now() > stopAt) {
+        return;
+      }
+
+      // Wait for the tab to come back rather than polling in the background
+      // (the baseline is taken regardless, before the donor can pay)
+      if (document.hidden && baselineSats !== null) {
+        document.addEventListener("visibilitychange", poll, { once: true });
+        return;
+      }
+
+      let data;
+      try {
+        const response = await fetch(url);
+        if (response.status === 404) {
+          // Not a pool address (e.g. the fallback address), so nothing to watch
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        data = await response.json();
+      } catch (err) {
+        console.error("Failed to check payment", err);
+        schedule(2);
+        return;
+      }
+
+      // Widgets may have been destroyed while the request was out
+      const connected = watched();
+      if (connected.length === 0) {
+        return;
+      }
+
+      const first = baselineSats === null;
+      if (first) {
+        baselineSats = data.amountSats;
+      }
+
+      const receivedSats = data.amountSats - baselineSats;
+      const status =
+        receivedSats <= 0
+          ? "unpaid"
+          : data.confirmedSats > baselineSats
+            ? "confirmed"
+            : "mempool";
+
+      const changed = status !== lastStatus;
+      if (changed) {
+        lastStatus = status;
+        delay = interval;
+        const payment = { address, status, amountSats: receivedSats };
+        connected.forEach((element) => this.emit(element, "payment", payment));
+
+        if (
+          !shown &&
+          (status === "confirmed" || config.confirmOn !== "confirmed")
+        ) {
+          shown = true;
+          connected.forEach((element) =>
+            this.showPaymentReceived(element, payment, config)
+          );
+        }
+      }
+
+      if (status !== "confirmed") {
+        schedule(changed || first ? 1 : 1.5);
+      }
+    };
+
+    poll();
+  }
+
+  /**
+   * Replace the widget with the confirmation state
+   * `paymentReceivedText` is a text, or a function of the payment returning
+   * one; with `allowHtml` either may be HTML.
+   */
+  showPaymentReceived(element, payment, config) {
+    const { paymentReceivedText } = config.messages;
+    const html = this.richText(
+      typeof paymentReceivedText === "function"
+        ? paymentReceivedText(payment)
+        : paymentReceivedText,
+      config
+    );
+
+    element.innerHTML = `
+      <div class="bitcoin-pay-widget payment-received" role="status" ${this.localeAttributes(config)}>
+        <p class="description">${html}</p>
+      </div>
+    `;
   }
 
   /**
    * Setup tab switching functionality
    */
   setupTabs(instanceId) {
-    const tabButtons = document.querySelectorAll(
-      `.tab-btn[id$="-${instanceId}"]`
-    );
-    const tabContents = document.querySelectorAll(
+    const tabButtons = this.querySelectorAll(`.tab-btn[id$="-${instanceId}"]`);
+    const tabContents = this.querySelectorAll(
       `.tab-content[id$="-${instanceId}"]`
     );
 
     tabButtons.forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const targetTab = btn.getAttribute("data-tab");
+      btn.addEventListener(
+        "click",
+        () => {
+          const targetTab = btn.getAttribute("data-tab");
 
-        // Update button states
-        tabButtons.forEach((b) => {
-          b.classList.remove("active");
-        });
-        btn.classList.add("active");
+          // Update button states
+          tabButtons.forEach((b) => {
+            b.classList.remove("active");
+          });
+          btn.classList.add("active");
 
-        // Show/hide content
-        tabContents.forEach((content) => {
-          content.classList.remove("active");
-          if (content.getAttribute("data-tab") === targetTab) {
-            content.classList.add("active");
-          }
-        });
-      });
+          // Show/hide content
+          tabContents.forEach((content) => {
+            content.classList.remove("active");
+            if (content.getAttribute("data-tab") === targetTab) {
+              content.classList.add("active");
+            }
+          });
+          this.emit(btn, "tabchange", { tab: targetTab });
+        },
+        { signal: this.widgetSignal(instanceId) }
+      );
     });
   }
 
@@ -592,6 +2295,11 @@ class BitcoinPay {
 // Make available globally for script tag usage
 if (typeof window !== "undefined") {
   window.BitcoinPay = BitcoinPay;
+
+  // <bitcoin-pay> works without any script on the page
+  if (window.customElements) {
+    BitcoinPay.defineElement();
+  }
 }
 
 // ESM exports
@@ -0,0 +1,149 @@
+/**
+ * Tests for the widget's payment detection and unified invoice refresh
+ *
+ * The page is stubbed down to what watchPayment touches: the tab's visibility,
+ * fetch and the watched element.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { BitcoinPay } from "./bitcoin-pay.js";
+
+// The vendored QR generator is a UMD bundle vitest cannot load, and no QR is drawn here
+vi.mock("./qr.js", () => ({ default: () => "" }));
+
+const ADDRESS = "bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu";
+const CONFIG = {
+  paymentPollInterval: 15_000,
+  paymentPollTimeout: 60 * 60 * 1000,
+  confirmOn: "mempool",
+};
+
+describe("watchPayment", () => {
+  let page: EventTarget & { hidden: boolean };
+  let received: { amountSats: number; confirmedSats: number };
+  let fetchMock: ReturnType<typeof vi.fn>;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    page = Object.assign(new EventTarget(), { hidden: false });
+    received = { amountSats: 0, confirmedSats: 0 };
+    fetchMock = vi.fn(async () => Response.json(received));
+    vi.stubGlobal("document", page);
+    vi.stubGlobal("window", { location: { href: "https://example.com/" } });
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  function watch() {
+    const widget = new BitcoinPay();
+    widget.endpoint = "https://example.com/.netlify/functions/get-address";
+    const element = Object.assign(new EventTarget(), { isConnected: true });
+    widget.widgets.set("a", { element, abort: new AbortController() });
+    const shown = vi
+      .spyOn(widget, "showPaymentReceived")
+      .mockImplementation(() => {});
+    const payments: unknown[] = [];
+    element.addEventListener("payment", (event) =>
+      payments.push((event as CustomEvent).detail)
+    );
+
+    widget.watchPayment(ADDRESS, ["a"], CONFIG);
+    return { payments, shown };
+  }
+
+  it("takes the baseline when the widget renders, even in a hidden tab", async () => {
+    page.hidden = true;
+    const { payments, shown } = watch();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    // Paid from a wallet app while the tab was in the background
+    received = { amountSats: 25_000, confirmedSats: 0 };
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    page.hidden = false;
+    page.dispatchEvent(new Event("visibilitychange"));
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(payments).toEqual([
+      { address: ADDRESS, status: "mempool", amountSats: 25_000 },
+    ]);
+    expect(shown).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not count funds the address held before the widget rendered", async () => {
+    received = { amountSats: 10_000, confirmedSats: 10_000 };
+    const { payments } = watch();
+    await vi.advanceTimersByTimeAsync(0);
+
+    received = { amountSats: 35_000, confirmedSats: 10_000 };
+    await vi.advanceTimersByTimeAsync(CONFIG.paymentPollInterval);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(payments).toEqual([
+      { address: ADDRESS, status: "mempool", amountSats: 25_000 },
+    ]);
+  });
+});
+
+describe("refreshAtExpiry", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function widget() {
+    const pay = new BitcoinPay();
+    const element = new EventTarget();
+    const controller = { update: vi.fn(async () => controller) };
+    pay.widgets.set("a", { element, abort: new AbortController(), controller });
+    return { pay, element, controller };
+  }
+
+  it("updates the widget when the unified invoice expires", async () => {
+    const { pay, controller } = widget();
+    pay.refreshAtExpiry("a", Date.now() + 10 * 60 * 1000);
+
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000 - 1);
+    expect(controller.update).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(controller.update).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits at least a minute for an invoice that has already expired", async () => {
+    const { pay, controller } = widget();
+    pay.refreshAtExpiry("a", Date.now() - 1000);
+
+    await vi.advanceTimersByTimeAsync(59_999);
+    expect(controller.update).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(controller.update).toHaveBeenCalledTimes(1);
+  });
+
+  it("leaves a widget alone once a payment has shown up", async () => {
+    const { pay, element, controller } = widget();
+    pay.refreshAtExpiry("a", Date.now() + 10 * 60 * 1000);
+
+    element.dispatchEvent(new Event("payment"));
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(controller.update).not.toHaveBeenCalled();
+  });
+
+  it("stops when the widget is destroyed", async () => {
+    const { pay, controller } = widget();
+    pay.refreshAtExpiry("a", Date.now() + 10 * 60 * 1000);
+
+    pay.widgets.get("a").abort.abort();
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(controller.update).not.toHaveBeenCalled();
+  });
+});
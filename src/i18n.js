@@ -0,0 +1,506 @@
+/**
+ * Widget messages in several languages, and number formatting for a locale
+ */
+
+import { formatBtcAmount } from "./bip21.js";
+
+// Languages written right to left, including ones a site may add to LOCALES
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+/**
+ * Message catalogues by language tag
+ * {name} placeholders are filled in by the widget. A catalogue may leave
+ * messages out; they are taken from English.
+ */
+export const LOCALES = {
+  en: {
+    copyButtonText: "Copy",
+    copiedText: "Copied!",
+    copyFailedText: "Failed to copy",
+    copyLinkButtonText: "Copy payment link",
+    bitcoinTab: "Bitcoin",
+    lightningTab: "Lightning",
+    silentPaymentTab: "Silent Payment",
+    bitcoinWallet: "Bitcoin",
+    bitcoinOrLightningWallet: "Bitcoin or Lightning",
+    bitcoinScanText:
+      "Scan with your {wallet} wallet, or copy the on-chain address below.",
+    bitcoinTapText:
+      "Tap to open your {wallet} wallet, or copy the on-chain address below.",
+    lightningScanText:
+      "Scan with your Lightning wallet, or copy my Lightning address below.",
+    lightningTapText:
+      "Tap to open your Lightning wallet, or copy my Lightning address below.",
+    silentPaymentScanText:
+      "Scan with a wallet that supports silent payments, or copy the reusable address below.",
+    silentPaymentTapText:
+      "Tap to open a wallet that supports silent payments, or copy the reusable address below.",
+    openBitcoinWallet: "Open in Bitcoin wallet",
+    openLightningWallet: "Open in Lightning wallet",
+    bitcoinQrAlt: "Bitcoin address QR",
+    lightningQrAlt: "Lightning address QR",
+    silentPaymentQrAlt: "Silent payment address QR",
+    loadErrorText:
+      "Failed to load Bitcoin payment widget. Please check your configuration.",
+    progressErrorText:
+      "Failed to load donation progress. Please check your configuration.",
+    invoiceButtonText: "Create invoice",
+    amountPlaceholder: "Amount (sats)",
+    commentPlaceholder: "Comment (optional)",
+    invoiceRangeText: "Enter between {min} and {max} sats",
+    invoiceExpiresText: "Invoice for {amount} sats expires in {time}",
+    invoiceExpiredText: "Invoice expired. Create a new one to pay.",
+    invoiceErrorText: "Could not create invoice: {error}",
+    paymentReceivedText: "Payment received. Thank you!",
+    progressText: "{raised} of {goal} BTC raised",
+    fiatInputPlaceholder: "Other amount",
+    fiatAmountText: "{fiat} ≈ {btc} BTC",
+    fiatRateText: "1 BTC = {price} as of {time}",
+  },
+  de: {
+    copyButtonText: "Kopieren",
+    copiedText: "Kopiert!",
+    copyFailedText: "Kopieren fehlgeschlagen",
+    copyLinkButtonText: "Zahlungslink kopieren",
+    silentPaymentTab: "Silent Payment",
+    bitcoinOrLightningWallet: "Bitcoin- oder Lightning",
+    bitcoinScanText:
+      "Scannen Sie mit Ihrer {wallet}-Wallet oder kopieren Sie die On-Chain-Adresse unten.",
+    bitcoinTapText:
+      "Tippen Sie, um Ihre {wallet}-Wallet zu öffnen, oder kopieren Sie die On-Chain-Adresse unten.",
+    lightningScanText:
+      "Scannen Sie mit Ihrer Lightning-Wallet oder kopieren Sie meine Lightning-Adresse unten.",
+    lightningTapText:
+      "Tippen Sie, um Ihre Lightning-Wallet zu öffnen, oder kopieren Sie meine Lightning-Adresse unten.",
+    silentPaymentScanText:
+      "Scannen Sie mit einer Wallet, die Silent Payments unterstützt, oder kopieren Sie die wiederverwendbare Adresse unten.",
+    silentPaymentTapText:
+      "Tippen Sie, um eine Wallet mit Silent Payments zu öffnen, oder kopieren Sie die wiederverwendbare Adresse unten.",
+    openBitcoinWallet: "In Bitcoin-Wallet öffnen",
+    openLightningWallet: "In Lightning-Wallet öffnen",
+    bitcoinQrAlt: "QR-Code der Bitcoin-Adresse",
+    lightningQrAlt: "QR-Code der Lightning-Adresse",
+    silentPaymentQrAlt: "QR-Code der Silent-Payment-Adresse",
+    loadErrorText:
+      "Das Bitcoin-Zahlungswidget konnte nicht geladen werden. Bitte prüfen Sie die Konfiguration.",
+    progressErrorText:
+      "Der Spendenstand konnte nicht geladen werden. Bitte prüfen Sie die Konfiguration.",
+    invoiceButtonText: "Rechnung erstellen",
+    amountPlaceholder: "Betrag (Sats)",
+    commentPlaceholder: "Kommentar (optional)",
+    invoiceRangeText: "Geben Sie zwischen {min} und {max} Sats ein",
+    invoiceExpiresText: "Rechnung über {amount} Sats läuft in {time} ab",
+    invoiceExpiredText:
+      "Rechnung abgelaufen. Erstellen Sie eine neue, um zu zahlen.",
+    invoiceErrorText: "Rechnung konnte nicht erstellt werden: {error}",
+    paymentReceivedText: "Zahlung erhalten. Vielen Dank!",
+    progressText: "{raised} von {goal} BTC gesammelt",
+    fiatInputPlaceholder: "Anderer Betrag",
+    fiatRateText: "1 BTC = {price}, Stand {time}",
+  },
+  es: {
+    copyButtonText: "Copiar",
+    copiedText: "¡Copiado!",
+    copyFailedText: "No se pudo copiar",
+    copyLinkButtonText: "Copiar enlace de pago",
+    silentPaymentTab: "Pago silencioso",
+    bitcoinOrLightningWallet: "Bitcoin o Lightning",
+    bitcoinScanText:
+      "Escanea con tu monedero {wallet} o copia la dirección on-chain de abajo.",
+    bitcoinTapText:
+      "Toca para abrir tu monedero {wallet} o copia la dirección on-chain de abajo.",
+    lightningScanText:
+      "Escanea con tu monedero Lightning o copia mi dirección Lightning de abajo.",
+    lightningTapText:
+      "Toca para abrir tu monedero Lightning o copia mi dirección Lightning de abajo.",
+    silentPaymentScanText:
+      "Escanea con un monedero compatible con pagos silenciosos o copia la dirección reutilizable de abajo.",
+    silentPaymentTapText:
+      "Toca para abrir un monedero compatible con pagos silenciosos o copia la dirección reutilizable de abajo.",
+    openBitcoinWallet: "Abrir en el monedero Bitcoin",
+    openLightningWallet: "Abrir en el monedero Lightning",
+    bitcoinQrAlt: "Código QR de la dirección Bitcoin",
+    lightningQrAlt: "Código QR de la dirección Lightning",
+    silentPaymentQrAlt: "Código QR de la dirección de pago silencioso",
+    loadErrorText:
+      "No se pudo cargar el widget de pago con Bitcoin. Revisa la configuración.",
+    progressErrorText:
+      "No se pudo cargar el progreso de las donaciones. Revisa la configuración.",
+    invoiceButtonText: "Crear factura",
+    amountPlaceholder: "Importe (sats)",
+    commentPlaceholder: "Comentario (opcional)",
+    invoiceRangeText: "Introduce entre {min} y {max} sats",
+    invoiceExpiresText: "La factura de {amount} sats caduca en {time}",
+    invoiceExpiredText: "La factura ha caducado. Crea una nueva para pagar.",
+    invoiceErrorText: "No se pudo crear la factura: {error}",
+    paymentReceivedText: "Pago recibido. ¡Gracias!",
+    progressText: "{raised} de {goal} BTC recaudados",
+    fiatInputPlaceholder: "Otro importe",
+    fiatRateText: "1 BTC = {price} a fecha de {time}",
+  },
+  fr: {
+    copyButtonText: "Copier",
+    copiedText: "Copié !",
+    copyFailedText: "Échec de la copie",
+    copyLinkButtonText: "Copier le lien de paiement",
+    silentPaymentTab: "Paiement silencieux",
+    bitcoinOrLightningWallet: "Bitcoin ou Lightning",
+    bitcoinScanText:
+      "Scannez avec votre portefeuille {wallet} ou copiez l’adresse on-chain ci-dessous.",
+    bitcoinTapText:
+      "Touchez pour ouvrir votre portefeuille {wallet} ou copiez l’adresse on-chain ci-dessous.",
+    lightningScanText:
+      "Scannez avec votre portefeuille Lightning ou copiez mon adresse Lightning ci-dessous.",
+    lightningTapText:
+      "Touchez pour ouvrir votre portefeuille Lightning ou copiez mon adresse Lightning ci-dessous.",
+    silentPaymentScanText:
+      "Scannez avec un portefeuille compatible avec les paiements silencieux ou copiez l’adresse réutilisable ci-dessous.",
+    silentPaymentTapText:
+      "Touchez pour ouvrir un portefeuille compatible avec les paiements silencieux ou copiez l’adresse réutilisable ci-dessous.",
+    openBitcoinWallet: "Ouvrir dans le portefeuille Bitcoin",
+    openLightningWallet: "Ouvrir dans le portefeuille Lightning",
+    bitcoinQrAlt: "QR code de l’adresse Bitcoin",
+    lightningQrAlt: "QR code de l’adresse Lightning",
+    silentPaymentQrAlt: "QR code de l’adresse de paiement silencieux",
+    loadErrorText:
+      "Impossible de charger le widget de paiement Bitcoin. Veuillez vérifier la configuration.",
+    progressErrorText:
+      "Impossible de charger la progression des dons. Veuillez vérifier la configuration.",
+    invoiceButtonText: "Créer une facture",
+    amountPlaceholder: "Montant (sats)",
+    commentPlaceholder: "Commentaire (facultatif)",
+    invoiceRangeText: "Saisissez entre {min} et {max} sats",
+    invoiceExpiresText: "La facture de {amount} sats expire dans {time}",
+    invoiceExpiredText: "Facture expirée. Créez-en une nouvelle pour payer.",
+    invoiceErrorText: "Impossible de créer la facture : {error}",
+    paymentReceivedText: "Paiement reçu. Merci !",
+    progressText: "{raised} sur {goal} BTC collectés",
+    fiatInputPlaceholder: "Autre montant",
+    fiatRateText: "1 BTC = {price} au {time}",
+  },
+  it: {
+    copyButtonText: "Copia",
+    copiedText: "Copiato!",
+    copyFailedText: "Copia non riuscita",
+    copyLinkButtonText: "Copia link di pagamento",
+    silentPaymentTab: "Pagamento silenzioso",
+    bitcoinOrLightningWallet: "Bitcoin o Lightning",
+    bitcoinScanText:
+      "Scansiona con il tuo wallet {wallet} o copia l’indirizzo on-chain qui sotto.",
+    bitcoinTapText:
+      "Tocca per aprire il tuo wallet {wallet} o copia l’indirizzo on-chain qui sotto.",
+    lightningScanText:
+      "Scansiona con il tuo wallet Lightning o copia il mio indirizzo Lightning qui sotto.",
+    lightningTapText:
+      "Tocca per aprire il tuo wallet Lightning o copia il mio indirizzo Lightning qui sotto.",
+    silentPaymentScanText:
+      "Scansiona con un wallet che supporta i pagamenti silenziosi o copia l’indirizzo riutilizzabile qui sotto.",
+    silentPaymentTapText:
+      "Tocca per aprire un wallet che supporta i pagamenti silenziosi o copia l’indirizzo riutilizzabile qui sotto.",
+    openBitcoinWallet: "Apri nel wallet Bitcoin",
+    openLightningWallet: "Apri nel wallet Lightning",
+    bitcoinQrAlt: "Codice QR dell’indirizzo Bitcoin",
+    lightningQrAlt: "Codice QR dell’indirizzo Lightning",
+    silentPaymentQrAlt: "Codice QR dell’indirizzo per pagamenti silenziosi",
+    loadErrorText:
+      "Impossibile caricare il widget di pagamento Bitcoin. Controlla la configurazione.",
+    progressErrorText:
+      "Impossibile caricare l’avanzamento delle donazioni. Controlla la configurazione.",
+    invoiceButtonText: "Crea fattura",
+    amountPlaceholder: "Importo (sats)",
+    commentPlaceholder: "Commento (facoltativo)",
+    invoiceRangeText: "Inserisci tra {min} e {max} sats",
+    invoiceExpiresText: "La fattura da {amount} sats scade tra {time}",
+    invoiceExpiredText: "Fattura scaduta. Creane una nuova per pagare.",
+    invoiceErrorText: "Impossibile creare la fattura: {error}",
+    paymentReceivedText: "Pagamento ricevuto. Grazie!",
+    progressText: "{raised} di {goal} BTC raccolti",
+    fiatInputPlaceholder: "Altro importo",
+    fiatRateText: "1 BTC = {price} al {time}",
+  },
+  nl: {
+    copyButtonText: "Kopiëren",
+    copiedText: "Gekopieerd!",
+    copyFailedText: "Kopiëren mislukt",
+    copyLinkButtonText: "Betaallink kopiëren",
+    bitcoinOrLightningWallet: "Bitcoin- of Lightning",
+    bitcoinScanText:
+      "Scan met je {wallet}-wallet of kopieer het on-chain adres hieronder.",
+    bitcoinTapText:
+      "Tik om je {wallet}-wallet te openen of kopieer het on-chain adres hieronder.",
+    lightningScanText:
+      "Scan met je Lightning-wallet of kopieer mijn Lightning-adres hieronder.",
+    lightningTapText:
+      "Tik om je Lightning-wallet te openen of kopieer mijn Lightning-adres hieronder.",
+    silentPaymentScanText:
+      "Scan met een wallet die silent payments ondersteunt of kopieer het herbruikbare adres hieronder.",
+    silentPaymentTapText:
+      "Tik om een wallet met silent payments te openen of kopieer het herbruikbare adres hieronder.",
+    openBitcoinWallet: "Openen in Bitcoin-wallet",
+    openLightningWallet: "Openen in Lightning-wallet",
+    bitcoinQrAlt: "QR-code van het Bitcoin-adres",
+    lightningQrAlt: "QR-code van het Lightning-adres",
+    silentPaymentQrAlt: "QR-code van het silent-payment-adres",
+    loadErrorText:
+      "De Bitcoin-betaalwidget kon niet worden geladen. Controleer de configuratie.",
+    progressErrorText:
+      "De donatievoortgang kon niet worden geladen. Controleer de configuratie.",
+    invoiceButtonText: "Factuur maken",
+    amountPlaceholder: "Bedrag (sats)",
+    commentPlaceholder: "Opmerking (optioneel)",
+    invoiceRangeText: "Voer tussen {min} en {max} sats in",
+    invoiceExpiresText: "Factuur voor {amount} sats verloopt over {time}",
+    invoiceExpiredText: "Factuur verlopen. Maak een nieuwe aan om te betalen.",
+    invoiceErrorText: "Factuur kon niet worden gemaakt: {error}",
+    paymentReceivedText: "Betaling ontvangen. Bedankt!",
+    progressText: "{raised} van {goal} BTC opgehaald",
+    fiatInputPlaceholder: "Ander bedrag",
+    fiatRateText: "1 BTC = {price} op {time}",
+  },
+  pt: {
+    copyButtonText: "Copiar",
+    copiedText: "Copiado!",
+    copyFailedText: "Falha ao copiar",
+    copyLinkButtonText: "Copiar link de pagamento",
+    silentPaymentTab: "Pagamento silencioso",
+    bitcoinOrLightningWallet: "Bitcoin ou Lightning",
+    bitcoinScanText:
+      "Escaneie com sua carteira {wallet} ou copie o endereço on-chain abaixo.",
+    bitcoinTapText:
+      "Toque para abrir sua carteira {wallet} ou copie o endereço on-chain abaixo.",
+    lightningScanText:
+      "Escaneie com sua carteira Lightning ou copie meu endereço Lightning abaixo.",
+    lightningTapText:
+      "Toque para abrir sua carteira Lightning ou copie meu endereço Lightning abaixo.",
+    silentPaymentScanText:
+      "Escaneie com uma carteira compatível com pagamentos silenciosos ou copie o endereço reutilizável abaixo.",
+    silentPaymentTapText:
+      "Toque para abrir uma carteira compatível com pagamentos silenciosos ou copie o endereço reutilizável abaixo.",
+    openBitcoinWallet: "Abrir na carteira Bitcoin",
+    openLightningWallet: "Abrir na carteira Lightning",
+    bitcoinQrAlt: "QR code do endereço Bitcoin",
+    lightningQrAlt: "QR code do endereço Lightning",
+    silentPaymentQrAlt: "QR code do endereço de pagamento silencioso",
+    loadErrorText:
+      "Não foi possível carregar o widget de pagamento Bitcoin. Verifique a configuração.",
+    progressErrorText:
+      "Não foi possível carregar o progresso das doações. Verifique a configuração.",
+    invoiceButtonText: "Criar fatura",
+    amountPlaceholder: "Valor (sats)",
+    commentPlaceholder: "Comentário (opcional)",
+    invoiceRangeText: "Digite entre {min} e {max} sats",
+    invoiceExpiresText: "A fatura de {amount} sats expira em {time}",
+    invoiceExpiredText: "Fatura expirada. Crie uma nova para pagar.",
+    invoiceErrorText: "Não foi possível criar a fatura: {error}",
+    paymentReceivedText: "Pagamento recebido. Obrigado!",
+    progressText: "{raised} de {goal} BTC arrecadados",
+    fiatInputPlaceholder: "Outro valor",
+    fiatRateText: "1 BTC = {price} em {time}",
+  },
+  ru: {
+    copyButtonText: "Копировать",
+    copiedText: "Скопировано!",
+    copyFailedText: "Не удалось скопировать",
+    copyLinkButtonText: "Копировать ссылку на оплату",
+    bitcoinOrLightningWallet: "Bitcoin или Lightning",
+    bitcoinScanText:
+      "Отсканируйте кошельком {wallet} или скопируйте ончейн-адрес ниже.",
+    bitcoinTapText:
+      "Нажмите, чтобы открыть кошелёк {wallet}, или скопируйте ончейн-адрес ниже.",
+    lightningScanText:
+      "Отсканируйте кошельком Lightning или скопируйте мой Lightning-адрес ниже.",
+    lightningTapText:
+      "Нажмите, чтобы открыть кошелёк Lightning, или скопируйте мой Lightning-адрес ниже.",
+    silentPaymentScanText:
+      "Отсканируйте кошельком с поддержкой silent payments или скопируйте многоразовый адрес ниже.",
+    silentPaymentTapText:
+      "Нажмите, чтобы открыть кошелёк с поддержкой silent payments, или скопируйте многоразовый адрес ниже.",
+    openBitcoinWallet: "Открыть в Bitcoin-кошельке",
+    openLightningWallet: "Открыть в Lightning-кошельке",
+    bitcoinQrAlt: "QR-код Bitcoin-адреса",
+    lightningQrAlt: "QR-код Lightning-адреса",
+    silentPaymentQrAlt: "QR-код адреса silent payment",
+    loadErrorText:
+      "Не удалось загрузить виджет оплаты Bitcoin. Проверьте настройки.",
+    progressErrorText:
+      "Не удалось загрузить прогресс пожертвований. Проверьте настройки.",
+    invoiceButtonText: "Создать счёт",
+    amountPlaceholder: "Сумма (sats)",
+    commentPlaceholder: "Комментарий (необязательно)",
+    invoiceRangeText: "Введите от {min} до {max} sats",
+    invoiceExpiresText: "Счёт на {amount} sats истекает через {time}",
+    invoiceExpiredText: "Срок действия счёта истёк. Создайте новый для оплаты.",
+    invoiceErrorText: "Не удалось создать счёт: {error}",
+    paymentReceivedText: "Платёж получен. Спасибо!",
+    progressText: "Собрано {raised} из {goal} BTC",
+    fiatInputPlaceholder: "Другая сумма",
+    fiatRateText: "1 BTC = {price} на {time}",
+  },
+  ja: {
+    copyButtonText: "コピー",
+    copiedText: "コピーしました",
+    copyFailedText: "コピーできませんでした",
+    copyLinkButtonText: "支払いリンクをコピー",
+    silentPaymentTab: "サイレントペイメント",
+    bitcoinOrLightningWallet: "Bitcoin または Lightning",
+    bitcoinScanText:
+      "{wallet} ウォレットでスキャンするか、下のオンチェーンアドレスをコピーしてください。",
+    bitcoinTapText:
+      "タップして {wallet} ウォレットを開くか、下のオンチェーンアドレスをコピーしてください。",
+    lightningScanText:
+      "Lightning ウォレットでスキャンするか、下の Lightning アドレスをコピーしてください。",
+    lightningTapText:
+      "タップして Lightning ウォレットを開くか、下の Lightning アドレスをコピーしてください。",
+    silentPaymentScanText:
+      "サイレントペイメント対応のウォレットでスキャンするか、下の再利用可能なアドレスをコピーしてください。",
+    silentPaymentTapText:
+      "タップしてサイレントペイメント対応のウォレットを開くか、下の再利用可能なアドレスをコピーしてください。",
+    openBitcoinWallet: "Bitcoin ウォレットで開く",
+    openLightningWallet: "Lightning ウォレットで開く",
+    bitcoinQrAlt: "Bitcoin アドレスの QR コード",
+    lightningQrAlt: "Lightning アドレスの QR コード",
+    silentPaymentQrAlt: "サイレントペイメントアドレスの QR コード",
+    loadErrorText:
+      "Bitcoin 支払いウィジェットを読み込めませんでした。設定を確認してください。",
+    progressErrorText:
+      "寄付の進捗を読み込めませんでした。設定を確認してください。",
+    invoiceButtonText: "インボイスを作成",
+    amountPlaceholder: "金額 (sats)",
+    commentPlaceholder: "コメント (任意)",
+    invoiceRangeText: "{min}〜{max} sats の範囲で入力してください",
+    invoiceExpiresText:
+      "{amount} sats のインボイスは {time} 後に期限切れになります",
+    invoiceExpiredText:
+      "インボイスの期限が切れました。お支払いには新しく作成してください。",
+    invoiceErrorText: "インボイスを作成できませんでした: {error}",
+    paymentReceivedText: "お支払いを受け取りました。ありがとうございます！",
+    progressText: "{goal} BTC 中 {raised} BTC が集まりました",
+    fiatInputPlaceholder: "その他の金額",
+    fiatRateText: "1 BTC = {price}（{time} 時点）",
+  },
+  zh: {
+    copyButtonText: "复制",
+    copiedText: "已复制！",
+    copyFailedText: "复制失败",
+    copyLinkButtonText: "复制付款链接",
+    silentPaymentTab: "静默支付",
+    bitcoinOrLightningWallet: "Bitcoin 或 Lightning",
+    bitcoinScanText: "用您的 {wallet} 钱包扫描，或复制下方的链上地址。",
+    bitcoinTapText: "点击打开您的 {wallet} 钱包，或复制下方的链上地址。",
+    lightningScanText:
+      "用您的 Lightning 钱包扫描，或复制下方我的 Lightning 地址。",
+    lightningTapText:
+      "点击打开您的 Lightning 钱包，或复制下方我的 Lightning 地址。",
+    silentPaymentScanText:
+      "用支持静默支付的钱包扫描，或复制下方可重复使用的地址。",
+    silentPaymentTapText:
+      "点击打开支持静默支付的钱包，或复制下方可重复使用的地址。",
+    openBitcoinWallet: "在 Bitcoin 钱包中打开",
+    openLightningWallet: "在 Lightning 钱包中打开",
+    bitcoinQrAlt: "Bitcoin 地址二维码",
+    lightningQrAlt: "Lightning 地址二维码",
+    silentPaymentQrAlt: "静默支付地址二维码",
+    loadErrorText: "无法加载 Bitcoin 支付组件。请检查配置。",
+    progressErrorText: "无法加载捐款进度。请检查配置。",
+    invoiceButtonText: "创建发票",
+    amountPlaceholder: "金额（sats）",
+    commentPlaceholder: "留言（可选）",
+    invoiceRangeText: "请输入 {min} 到 {max} sats",
+    invoiceExpiresText: "{amount} sats 的发票将在 {time} 后过期",
+    invoiceExpiredText: "发票已过期。请创建新的发票以付款。",
+    invoiceErrorText: "无法创建发票：{error}",
+    paymentReceivedText: "已收到付款。谢谢！",
+    progressText: "已筹集 {raised} / {goal} BTC",
+    fiatInputPlaceholder: "其他金额",
+    fiatRateText: "1 BTC = {price}（截至 {time}）",
+  },
+  ar: {
+    copyButtonText: "نسخ",
+    copiedText: "تم النسخ!",
+    copyFailedText: "تعذّر النسخ",
+    copyLinkButtonText: "نسخ رابط الدفع",
+    bitcoinTab: "بيتكوين",
+    lightningTab: "لايتنينغ",
+    silentPaymentTab: "الدفع الصامت",
+    bitcoinWallet: "بيتكوين",
+    bitcoinOrLightningWallet: "بيتكوين أو لايتنينغ",
+    bitcoinScanText:
+      "امسح الرمز بمحفظة {wallet} الخاصة بك، أو انسخ العنوان على السلسلة أدناه.",
+    bitcoinTapText:
+      "اضغط لفتح محفظة {wallet} الخاصة بك، أو انسخ العنوان على السلسلة أدناه.",
+    lightningScanText:
+      "امسح الرمز بمحفظة لايتنينغ الخاصة بك، أو انسخ عنوان لايتنينغ الخاص بي أدناه.",
+    lightningTapText:
+      "اضغط لفتح محفظة لايتنينغ الخاصة بك، أو انسخ عنوان لايتنينغ الخاص بي أدناه.",
+    silentPaymentScanText:
+      "امسح الرمز بمحفظة تدعم الدفع الصامت، أو انسخ العنوان القابل لإعادة الاستخدام أدناه.",
+    silentPaymentTapText:
+      "اضغط لفتح محفظة تدعم الدفع الصامت، أو انسخ العنوان القابل لإعادة الاستخدام أدناه.",
+    openBitcoinWallet: "فتح في محفظة بيتكوين",
+    openLightningWallet: "فتح في محفظة لايتنينغ",
+    bitcoinQrAlt: "رمز QR لعنوان بيتكوين",
+    lightningQrAlt: "رمز QR لعنوان لايتنينغ",
+    silentPaymentQrAlt: "رمز QR لعنوان الدفع الصامت",
+    loadErrorText:
+      "تعذّر تحميل أداة الدفع بالبيتكوين. يرجى التحقق من الإعدادات.",
+    progressErrorText: "تعذّر تحميل تقدّم التبرعات. يرجى التحقق من الإعدادات.",
+    invoiceButtonText: "إنشاء فاتورة",
+    amountPlaceholder: "المبلغ (ساتوشي)",
+    commentPlaceholder: "تعليق (اختياري)",
+    invoiceRangeText: "أدخل مبلغًا بين {min} و{max} ساتوشي",
+    invoiceExpiresText: "تنتهي صلاحية فاتورة {amount} ساتوشي خلال {time}",
+    invoiceExpiredText: "انتهت صلاحية الفاتورة. أنشئ فاتورة جديدة للدفع.",
+    invoiceErrorText: "تعذّر إنشاء الفاتورة: {error}",
+    paymentReceivedText: "تم استلام الدفعة. شكرًا لك!",
+    progressText: "تم جمع {raised} من {goal} BTC",
+    fiatInputPlaceholder: "مبلغ آخر",
+    fiatRateText: "1 BTC = {price} بتاريخ {time}",
+  },
+};
+
+/**
+ * Pick the catalogue for a locale, or for the browser's languages if none is given
+ * A tag such as "pt-BR" uses a "pt-BR" catalogue if there is one, otherwise "pt";
+ * the full tag is kept for number and date formatting. Falls back to English.
+ * @param {string} [requested] - BCP 47 language tag
+ * @returns {{ locale: string, dir: "ltr" | "rtl", messages: Object }}
+ */
+export function resolveLocale(requested) {
+  const candidates = requested
+    ? [requested]
+    : typeof navigator === "undefined"
+      ? []
+      : navigator.languages?.length
+        ? navigator.languages
+        : [navigator.language];
+
+  for (const tag of candidates.filter(Boolean)) {
+    const base = tag.split("-")[0].toLowerCase();
+    const catalogue = LOCALES[tag] ?? LOCALES[base];
+    if (catalogue) {
+      return {
+        locale: tag,
+        dir: RTL_LANGUAGES.includes(base) ? "rtl" : "ltr",
+        messages: { ...LOCALES.en, ...catalogue },
+      };
+    }
+  }
+  return { locale: "en", dir: "ltr", messages: { ...LOCALES.en } };
+}
+
+/**
+ * Format a whole number (e.g. sats) with the locale's digits and grouping
+ */
+export function formatNumber(value, locale) {
+  return new Intl.NumberFormat(locale).format(value);
+}
+
+/**
+ * Format satoshis as BTC with the locale's decimal separator, without trailing zeros
+ * The exact decimal string is formatted, so no precision is lost to floats.
+ */
+export function formatBtc(sats, locale) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 8 }).format(
+    formatBtcAmount(sats)
+  );
+}